@@ -0,0 +1,465 @@
+/**
+ * SocialOS Approval Queue
+ * 
+ * Human-in-the-loop review for outbound agent actions. Actions matching an
+ * approval policy are parked as pending with their draft until an approver
+ * approves, edits or rejects them. Approved items are handed to a publisher,
+ * and items left pending past their expiry are dropped. Every item is
+ * persisted through the agent's MemoryManager.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const STATUSES = {
+  PENDING: 'pending',
+  PUBLISHING: 'publishing',
+  PUBLISHED: 'published',
+  FAILED: 'failed',
+  REJECTED: 'rejected'
+};
+
+// Sorted index of item IDs by creation time
+const INDEX_NAME = 'approvals';
+
+class ApprovalQueue extends EventEmitter {
+  /**
+   * Create a new ApprovalQueue
+   * @param {Object} options - Queue options
+   * @param {Object} options.memory - MemoryManager items are persisted through
+   * @param {Array} options.policies - Approval policies; an action needing approval matches at least one
+   *   ({ name, platforms, actions, keywords, sentiment: { min, max } }); omitted criteria match anything
+   * @param {Number} options.ttl - How long an item may stay pending in ms (default: 86400000)
+   * @param {Function} options.publish - Publishes an approved item and resolves with the platform result
+   * @param {Object} options.sentimentAnalyzer - Scores target text when it has no sentiment (analyzeSentiment(text) -> { score })
+   * @param {Number} options.lockTimeout - Longest an approver may hold an item while publishing it in ms (default: 600000)
+   */
+  constructor(options = {}) {
+    super();
+    this.memory = options.memory;
+    this.policies = options.policies || [];
+    this.ttl = options.ttl || 24 * 60 * 60 * 1000;
+    this.publish = options.publish || null;
+    this.sentimentAnalyzer = options.sentimentAnalyzer || null;
+    this.lockTimeout = options.lockTimeout || 10 * 60 * 1000;
+    
+    this.timer = null;
+  }
+  
+  /**
+   * Find the policy an action falls under
+   * @param {Object} action - Outbound action
+   * @param {String} action.platform - Platform name
+   * @param {String} action.account - Account key (x:brandA)
+   * @param {String} action.type - Action type (post, reply, like)
+   * @param {Object|String} action.draft - Content that would be published
+   * @param {Object} action.target - Content being replied to or liked
+   * @returns {Object} Matching policy, or null if the action can go out directly
+   */
+  async match(action) {
+    for (const policy of this.policies) {
+      if (await this._matchesPolicy(policy, action)) {
+        return policy;
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Park an action for approval
+   * @param {Object} action - Outbound action ({ agentId, platform, account, type, draft, target })
+   * @param {Object} policy - Policy that required approval
+   * @returns {Object} Pending item
+   */
+  async submit(action, policy = {}) {
+    const now = Date.now();
+    
+    const item = {
+      id: `approval_${crypto.randomUUID()}`,
+      status: STATUSES.PENDING,
+      agentId: action.agentId || null,
+      platform: action.platform,
+      account: action.account || action.platform,
+      type: action.type,
+      draft: action.draft === undefined ? null : action.draft,
+      target: action.target || null,
+      policy: policy.name || null,
+      edits: [],
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + (policy.ttl || this.ttl)).toISOString()
+    };
+    
+    await this._save(item);
+    await this.memory.addToIndex(INDEX_NAME, item.id, now);
+    
+    this.emit('pending', item);
+    return item;
+  }
+  
+  /**
+   * Get an item by ID
+   * @param {String} id - Item ID
+   * @returns {Object} Item, or null if unknown or dropped
+   */
+  async get(id) {
+    const memory = await this.memory.retrieve(this._getKey(id));
+    return memory ? memory.data : null;
+  }
+  
+  /**
+   * List items, oldest first. Expired items are dropped first.
+   * @param {Object} filter - Filter options
+   * @param {String} filter.status - Only items with this status (pending, published, failed, rejected)
+   * @param {String} filter.platform - Only items for this platform
+   * @param {String} filter.type - Only this action type
+   * @param {Number} filter.limit - Maximum items to return (default: 100)
+   * @returns {Array} Items
+   */
+  async list(filter = {}) {
+    await this.expire();
+    
+    const items = (await this._loadAll())
+      .filter(item =>
+        (!filter.status || item.status === filter.status) &&
+        (!filter.platform || item.platform === filter.platform) &&
+        (!filter.type || item.type === filter.type))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    
+    return items.slice(0, filter.limit || 100);
+  }
+  
+  /**
+   * Replace the draft of a pending item
+   * @param {String} id - Item ID
+   * @param {Object|String} draft - New draft
+   * @param {Object} options - Edit options
+   * @param {String} options.editor - Who made the edit
+   * @returns {Object} Updated item
+   */
+  async edit(id, draft, options = {}) {
+    return this._withLock(id, async () => {
+      const item = await this._getPending(id);
+      
+      item.edits.push({ editor: options.editor || null, previous: item.draft, at: new Date().toISOString() });
+      item.draft = draft;
+      await this._save(item);
+      
+      this.emit('edited', item);
+      return item;
+    });
+  }
+  
+  /**
+   * Approve an item and publish it. A failed item can be approved again to retry.
+   * @param {String} id - Item ID
+   * @param {Object} options - Approval options
+   * @param {String} options.approver - Who approved it
+   * @param {Object|String} options.draft - Final draft, when the approver edits while approving
+   * @param {String} options.note - Approver's note
+   * @returns {Object} Published item, with the platform result
+   */
+  async approve(id, options = {}) {
+    if (!this.publish) {
+      throw new Error('Approval queue has no publisher');
+    }
+    
+    return this._withLock(id, async () => {
+      const item = await this._getPending(id, [STATUSES.PENDING, STATUSES.FAILED]);
+      
+      if (options.draft !== undefined) {
+        item.edits.push({ editor: options.approver || null, previous: item.draft, at: new Date().toISOString() });
+        item.draft = options.draft;
+      }
+      
+      item.status = STATUSES.PUBLISHING;
+      item.approvedBy = options.approver || null;
+      item.approvedAt = new Date().toISOString();
+      item.note = options.note || null;
+      await this._save(item);
+      
+      this.emit('approved', item);
+      
+      try {
+        item.result = await this.publish(item);
+        item.status = STATUSES.PUBLISHED;
+        item.publishedAt = new Date().toISOString();
+        item.error = null;
+      } catch (error) {
+        item.status = STATUSES.FAILED;
+        item.error = error.message;
+      }
+      
+      await this._save(item);
+      
+      this.emit(item.status, item);
+      return item;
+    });
+  }
+  
+  /**
+   * Reject a pending item; it is kept for the record but never published
+   * @param {String} id - Item ID
+   * @param {Object} options - Rejection options
+   * @param {String} options.approver - Who rejected it
+   * @param {String} options.reason - Why it was rejected
+   * @returns {Object} Rejected item
+   */
+  async reject(id, options = {}) {
+    return this._withLock(id, async () => {
+      const item = await this._getPending(id, [STATUSES.PENDING, STATUSES.FAILED]);
+      
+      item.status = STATUSES.REJECTED;
+      item.rejectedBy = options.approver || null;
+      item.rejectedAt = new Date().toISOString();
+      item.reason = options.reason || null;
+      await this._save(item);
+      
+      this.emit('rejected', item);
+      return item;
+    });
+  }
+  
+  /**
+   * Drop pending items that have passed their expiry
+   * @returns {Array} Dropped items
+   */
+  async expire() {
+    const now = Date.now();
+    const expired = (await this._loadAll())
+      .filter(item => item.status === STATUSES.PENDING && Date.parse(item.expiresAt) <= now);
+    
+    for (const item of expired) {
+      await this._remove(item.id);
+      this.emit('expired', item);
+    }
+    
+    return expired;
+  }
+  
+  /**
+   * Mark items left publishing by a crashed process as failed, so they can be
+   * approved again or rejected. Whether the platform received them is unknown.
+   * Items whose approver still holds the lock are left alone.
+   * @returns {Array} Recovered items
+   */
+  async recover() {
+    const publishing = (await this._loadAll()).filter(item => item.status === STATUSES.PUBLISHING);
+    const recovered = [];
+    
+    for (const { id } of publishing) {
+      const token = await this.memory.acquireLock(this._getLockKey(id), this.lockTimeout);
+      if (!token) continue;
+      
+      try {
+        // Re-read under the lock; the approver may have finished meanwhile
+        const item = await this.get(id);
+        if (!item || item.status !== STATUSES.PUBLISHING) continue;
+        
+        item.status = STATUSES.FAILED;
+        item.error = 'Interrupted while publishing; check the platform before approving again';
+        await this._save(item);
+        
+        recovered.push(item);
+        this.emit('failed', item);
+      } finally {
+        await this.memory.releaseLock(this._getLockKey(id), token);
+      }
+    }
+    
+    return recovered;
+  }
+  
+  /**
+   * Recover items interrupted while publishing and drop expired items, now and periodically
+   * @param {Object} options - Sweep options
+   * @param {Number} options.interval - Sweep interval in ms (default: 60000)
+   */
+  start(options = {}) {
+    this.stop();
+    
+    const sweep = () => this.recover()
+      .then(() => this.expire())
+      .catch(error => this.emit('error', error));
+    
+    sweep();
+    this.timer = setInterval(sweep, options.interval || 60000);
+    
+    // Sweeping alone should not keep the process running
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+  }
+  
+  /**
+   * Stop sweeping periodically
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+  
+  /**
+   * Check an action against one policy
+   * @private
+   */
+  async _matchesPolicy(policy, action) {
+    if (policy.platforms && !policy.platforms.includes(action.platform) && !policy.platforms.includes(action.account)) {
+      return false;
+    }
+    
+    if (policy.actions && !policy.actions.includes(action.type)) {
+      return false;
+    }
+    
+    if (policy.keywords) {
+      const text = `${textOf(action.draft)} ${textOf(action.target)}`.toLowerCase();
+      if (!policy.keywords.some(keyword => text.includes(keyword.toLowerCase()))) {
+        return false;
+      }
+    }
+    
+    if (policy.sentiment) {
+      // Without a target sentiment the criterion cannot be met
+      const score = await this._getTargetSentiment(action.target);
+      if (score === null) return false;
+      
+      const { min = -Infinity, max = Infinity } = policy.sentiment;
+      if (score < min || score > max) return false;
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Get the sentiment score of the content an action responds to
+   * @private
+   */
+  async _getTargetSentiment(target) {
+    if (!target) return null;
+    
+    if (typeof target.sentiment === 'number') return target.sentiment;
+    if (target.sentiment && typeof target.sentiment.score === 'number') return target.sentiment.score;
+    
+    if (this.sentimentAnalyzer && textOf(target)) {
+      const sentiment = await this.sentimentAnalyzer.analyzeSentiment(textOf(target));
+      return sentiment.score;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Load an item that is still awaiting a decision
+   * @private
+   */
+  async _getPending(id, statuses = [STATUSES.PENDING]) {
+    const item = await this.get(id);
+    
+    if (!item) {
+      throw createError(`Approval ${id} not found`, 'APPROVAL_NOT_FOUND');
+    }
+    
+    if (item.status === STATUSES.PENDING && Date.parse(item.expiresAt) <= Date.now()) {
+      await this._remove(id);
+      this.emit('expired', item);
+      throw createError(`Approval ${id} expired at ${item.expiresAt}`, 'APPROVAL_EXPIRED');
+    }
+    
+    if (!statuses.includes(item.status)) {
+      throw createError(`Approval ${id} is ${item.status}`, 'APPROVAL_NOT_PENDING');
+    }
+    
+    return item;
+  }
+  
+  /**
+   * Run a change to an item while holding its lock, so two approvers (or two
+   * processes) cannot both act on it
+   * @private
+   */
+  async _withLock(id, fn) {
+    const lockKey = this._getLockKey(id);
+    const token = await this.memory.acquireLock(lockKey, this.lockTimeout);
+    
+    if (!token) {
+      throw createError(`Approval ${id} is being changed by another approver`, 'APPROVAL_NOT_PENDING');
+    }
+    
+    try {
+      return await fn();
+    } finally {
+      await this.memory.releaseLock(lockKey, token);
+    }
+  }
+  
+  /**
+   * Load every item in the queue through the index
+   * @private
+   */
+  async _loadAll() {
+    const ids = (await this.memory.rangeIndex(INDEX_NAME)).map(entry => entry.member);
+    if (ids.length === 0) return [];
+    
+    const memories = await this.memory.retrieveMany(ids.map(id => this._getKey(id)));
+    return memories.filter(Boolean).map(memory => memory.data);
+  }
+  
+  /**
+   * Delete an item and its index entry
+   * @private
+   */
+  async _remove(id) {
+    await this.memory.delete(this._getKey(id));
+    await this.memory.removeFromIndex(INDEX_NAME, [id]);
+  }
+  
+  /**
+   * Persist an item
+   * @private
+   */
+  async _save(item) {
+    await this.memory.store(this._getKey(item.id), item, { status: item.status, platform: item.platform });
+  }
+  
+  /**
+   * Generate the memory key for an item
+   * @private
+   */
+  _getKey(id) {
+    return `approval:${id}`;
+  }
+  
+  /**
+   * Generate the lock key for an item
+   * @private
+   */
+  _getLockKey(id) {
+    return `approval:${id}:lock`;
+  }
+}
+
+/**
+ * Get the text of a draft or target, whether a string or { text }
+ * @private
+ */
+function textOf(content) {
+  if (!content) return '';
+  return typeof content === 'string' ? content : content.text || '';
+}
+
+/**
+ * Create an approval error with a code
+ * @private
+ */
+function createError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+ApprovalQueue.STATUSES = STATUSES;
+
+module.exports = { ApprovalQueue };
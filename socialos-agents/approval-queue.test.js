@@ -0,0 +1,141 @@
+/**
+ * Tests for approval policies, decisions, locking and expiry
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ApprovalQueue } = require('./approval-queue');
+
+/**
+ * Create an in-memory stand-in for the MemoryManager calls the queue makes
+ * @returns {Object} Memory, with the raw entries on .items and locks on .locks
+ */
+function createMemory() {
+  const items = new Map();
+  const index = new Map();
+  const locks = new Map();
+  
+  return {
+    items,
+    locks,
+    async store(key, data, metadata) { items.set(key, { key, data: structuredClone(data), metadata }); },
+    async retrieve(key) { return items.get(key) || null; },
+    async retrieveMany(keys) { return keys.map(key => items.get(key) || null); },
+    async delete(key) { items.delete(key); },
+    async addToIndex(name, member, score) { index.set(member, score); },
+    async removeFromIndex(name, members) { members.forEach(member => index.delete(member)); },
+    async rangeIndex() {
+      return Array.from(index, ([member, score]) => ({ member, score })).sort((a, b) => b.score - a.score);
+    },
+    async acquireLock(name, ttl) {
+      const held = locks.get(name);
+      if (held && held.expiresAt > Date.now()) return null;
+      const token = `${name}#${Math.random()}`;
+      locks.set(name, { token, expiresAt: Date.now() + ttl });
+      return token;
+    },
+    async releaseLock(name, token) {
+      if (locks.has(name) && locks.get(name).token === token) locks.delete(name);
+    }
+  };
+}
+
+test('matches actions against every policy criterion', async () => {
+  const queue = new ApprovalQueue({
+    memory: createMemory(),
+    policies: [
+      { name: 'brand', platforms: ['linkedin'], actions: ['post'] },
+      { name: 'legal', keywords: ['Pricing'] },
+      { name: 'complaints', actions: ['reply'], sentiment: { max: -0.3 } }
+    ],
+    sentimentAnalyzer: { analyzeSentiment: async text => ({ score: text.includes('awful') ? -0.8 : 0.5 }) }
+  });
+  const policyFor = async action => ((await queue.match(action)) || {}).name || null;
+  
+  assert.equal(await policyFor({ platform: 'linkedin', type: 'post', draft: 'Hi' }), 'brand');
+  assert.equal(await policyFor({ platform: 'x', type: 'post', draft: 'Our new pricing' }), 'legal');
+  assert.equal(await policyFor({ platform: 'x', type: 'reply', draft: 'Sorry', target: { text: 'awful service' } }), 'complaints');
+  assert.equal(await policyFor({ platform: 'x', type: 'reply', draft: 'Thanks', target: { text: 'love it', sentiment: 0.9 } }), null);
+  assert.equal(await policyFor({ platform: 'x', type: 'reply', draft: 'Thanks' }), null);
+});
+
+test('publishes an approved item once, with the approver edits', async () => {
+  const published = [];
+  let release;
+  const queue = new ApprovalQueue({
+    memory: createMemory(),
+    publish: async item => {
+      published.push(item.draft);
+      await new Promise(resolve => { release = resolve; });
+      return { id: 'p1' };
+    }
+  });
+  
+  const item = await queue.submit({ agentId: 'a1', platform: 'linkedin', type: 'post', draft: { text: 'Draft' } }, { name: 'brand' });
+  await queue.edit(item.id, { text: 'Edited' }, { editor: 'ann' });
+  
+  const first = queue.approve(item.id, { approver: 'legal', draft: { text: 'Final' } });
+  await new Promise(resolve => setImmediate(resolve));
+  await assert.rejects(queue.approve(item.id), { code: 'APPROVAL_NOT_PENDING' });
+  await assert.rejects(queue.reject(item.id), { code: 'APPROVAL_NOT_PENDING' });
+  release();
+  
+  const approved = await first;
+  assert.equal(approved.status, 'published');
+  assert.deepEqual(approved.result, { id: 'p1' });
+  assert.deepEqual(approved.edits.map(edit => edit.editor), ['ann', 'legal']);
+  assert.deepEqual(published, [{ text: 'Final' }]);
+  await assert.rejects(queue.approve(item.id), { code: 'APPROVAL_NOT_PENDING' });
+});
+
+test('items get random IDs and are listed oldest first through the index', async () => {
+  const memory = createMemory();
+  const queue = new ApprovalQueue({ memory });
+  
+  const first = await queue.submit({ platform: 'x', type: 'post', draft: 'One' });
+  await new Promise(resolve => setTimeout(resolve, 2));
+  const second = await queue.submit({ platform: 'linkedin', type: 'post', draft: 'Two' });
+  await queue.reject(second.id, { approver: 'ann', reason: 'Off-brand' });
+  
+  // Unrelated memories under the same prefix are not read as items
+  await memory.store('approval:notes', { text: 'not an item' });
+  
+  assert.match(first.id, /^approval_[0-9a-f-]{36}$/);
+  assert.deepEqual((await queue.list()).map(item => item.draft), ['One', 'Two']);
+  assert.deepEqual((await queue.list({ status: 'rejected' })).map(item => item.reason), ['Off-brand']);
+});
+
+test('drops items left pending past their expiry', async () => {
+  const memory = createMemory();
+  const queue = new ApprovalQueue({ memory, ttl: 1, publish: async () => ({}) });
+  const expired = [];
+  queue.on('expired', item => expired.push(item.id));
+  
+  const stale = await queue.submit({ platform: 'x', type: 'post', draft: 'Late' });
+  const other = await queue.submit({ platform: 'x', type: 'post', draft: 'Later' });
+  await new Promise(resolve => setTimeout(resolve, 5));
+  
+  await assert.rejects(queue.approve(stale.id), { code: 'APPROVAL_EXPIRED' });
+  assert.deepEqual(await queue.list(), []);
+  assert.deepEqual(expired, [stale.id, other.id]);
+  assert.equal(memory.items.size, 0);
+});
+
+test('recovers interrupted items only once their lock is free', async () => {
+  const memory = createMemory();
+  const queue = new ApprovalQueue({ memory, publish: async () => ({}) });
+  
+  const item = await queue.submit({ platform: 'x', type: 'post', draft: 'Half-sent' });
+  await memory.store(`approval:${item.id}`, { ...item, status: 'publishing' });
+  
+  // Another process is still publishing it
+  const token = await memory.acquireLock(`approval:${item.id}:lock`, 60000);
+  assert.deepEqual(await queue.recover(), []);
+  
+  await memory.releaseLock(`approval:${item.id}:lock`, token);
+  const [recovered] = await queue.recover();
+  
+  assert.equal(recovered.status, 'failed');
+  assert.match(recovered.error, /check the platform/);
+  assert.equal((await queue.approve(item.id)).status, 'published');
+});
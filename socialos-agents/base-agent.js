@@ -9,11 +9,24 @@ const { EventEmitter } = require('events');
 const { MemoryManager } = require('../socialos-core/memory-layer/memory-manager');
 const { VectorMemory } = require('../socialos-core/memory-layer/vector-memory');
 const { PlatformConnectorFactory } = require('../socialos-core/agent-runtime/platform-connector-factory');
+const { RateLimiter, RateLimiterRegistry } = require('../socialos-core/agent-runtime/rate-limiter');
+const { createCredentialProvider } = require('../socialos-core/agent-runtime/connectors/credential-providers');
+const { DryRun } = require('../socialos-core/agent-runtime/dry-run');
+const { ApprovalQueue } = require('./approval-queue');
 
 class BaseAgent extends EventEmitter {
   /**
    * Create a new base agent
    * @param {Object} config - Agent configuration
+   * @param {Array} config.platforms - Platforms or named accounts to connect (e.g. ['linkedin', 'x:brandA', 'x:brandB'])
+   * @param {Object} config.defaultAccounts - Account used when post() names only a platform ({ x: 'x:brandA' })
+   * @param {Array} config.commands - Slash commands routed to agent methods
+   *   ({ name, description, options, method | handler }); platforms with a commandGuildId register them per server
+   * @param {Object|Boolean} config.healthCheck - Health check options ({ interval }) while the agent is active, or false to disable
+   * @param {Number} config.unhealthyTimeout - How long actions wait for an unhealthy platform to recover in ms (default: 300000)
+   * @param {Boolean} config.dryRun - Record every platform write in the dry-run outbox instead of sending it
+   * @param {Object} config.approvals - Approval queue options ({ policies, ttl, sweepInterval, lockTimeout, sentimentAnalyzer });
+   *   actions matching a policy wait for approval instead of publishing
    */
   constructor(config = {}) {
     super();
@@ -22,8 +35,17 @@ class BaseAgent extends EventEmitter {
     this.description = config.description || 'A SocialOS agent';
     this.platforms = config.platforms || ['x'];
     this.connectors = {};
+    this.defaultAccounts = config.defaultAccounts || {};
+    this.commands = config.commands || [];
+    
+    // Per-account rate limiters and stats, keyed like connectors (x, x:brandA)
+    this.rateLimiters = {};
+    this.accountStats = {};
     this.config = config;
     
+    // One provider shared by every connector, so vault writes are serialized
+    this.credentialProvider = createCredentialProvider(config.credentialProvider);
+    
     // Initialize memory systems
     this.memory = new MemoryManager({
       namespace: `agent:${this.id}`,
@@ -35,16 +57,19 @@ class BaseAgent extends EventEmitter {
       ...config.vectorMemoryOptions
     });
     
+    // Outbound actions matching an approval policy wait for a human decision
+    this.approvals = new ApprovalQueue({
+      memory: this.memory,
+      ...config.approvals,
+      publish: (item) => this._publishApproved(item)
+    });
+    this.approvals.on('pending', (item) => this.emit('approvalRequired', item));
+    this.approvals.on('error', (error) => this.emit('error', { error, context: 'approvals' }));
+    
     // Agent state
     this.active = false;
     this.status = 'initialized';
-    this.stats = {
-      posts: 0,
-      replies: 0,
-      likes: 0,
-      follows: 0,
-      engagementRate: 0
-    };
+    this.stats = createStats();
     
     // Performance tracking
     this.performance = {
@@ -83,17 +108,47 @@ class BaseAgent extends EventEmitter {
     
     for (const platform of this.platforms) {
       try {
-        // Get platform-specific config
-        const platformConfig = this.config[platform] || {};
+        // Named accounts (x:brandA) get their own config and credentials
+        const { platform: platformName } = parseAccountKey(platform);
+        const platformConfig = {
+          credentialProvider: this.credentialProvider,
+          credentialKey: platform,
+          ...(this.config.dryRun ? { dryRun: true } : {}),
+          ...this.config[platform]
+        };
         
         // Create connector
-        const connector = PlatformConnectorFactory.create(platform, platformConfig);
+        const connector = PlatformConnectorFactory.create(platformName, platformConfig);
+        
+        // Surface token refreshes so callers can persist or audit them; custom
+        // connectors that do not extend BaseConnector may not emit events
+        if (typeof connector.on === 'function') {
+          connector.on('credentialsRefreshed', (event) => this.emit('credentialsRefreshed', event));
+          connector.on('health', (event) => this.emit('health', { ...event, account: platform }));
+        }
         
         // Connect to the platform
         const result = await connector.connect();
         
+        // Slash commands route into agent methods
+        if (this.commands.length > 0 && PlatformConnectorFactory.supports(connector, 'registerCommand')) {
+          try {
+            await this._registerCommands(platform, connector, platformConfig);
+          } catch (error) {
+            // The connector is not stored yet, so nothing else would disconnect it
+            await disconnectQuietly(connector);
+            throw error;
+          }
+        }
+        
         // Store connector
         this.connectors[platform] = connector;
+        this.accountStats[platform] = this.accountStats[platform] || createStats();
+        this.rateLimiters[platform] = this.rateLimiters[platform] || new RateLimiter({
+          platform: platformName,
+          limits: platformConfig.rateLimits,
+          keyPrefix: `ratelimit:${this.id}:${platform}`
+        });
         
         // Store result
         results[platform] = {
@@ -133,6 +188,17 @@ class BaseAgent extends EventEmitter {
       this.active = true;
       this.status = 'active';
       
+      // Dropped connections are probed and reconnected while the agent runs
+      if (this.config.healthCheck !== false) {
+        for (const connector of Object.values(this.connectors)) {
+          if (typeof connector.startHealthChecks === 'function') {
+            connector.startHealthChecks(this.config.healthCheck || {});
+          }
+        }
+      }
+      
+      this.approvals.start({ interval: (this.config.approvals || {}).sweepInterval });
+      
       this.emit('start', { timestamp: Date.now() });
       
       return {
@@ -161,6 +227,14 @@ class BaseAgent extends EventEmitter {
     this.active = false;
     this.status = 'stopped';
     
+    for (const connector of Object.values(this.connectors)) {
+      if (typeof connector.stopHealthChecks === 'function') {
+        connector.stopHealthChecks();
+      }
+    }
+    
+    this.approvals.stop();
+    
     this.emit('stop', { timestamp: Date.now() });
     
     return {
@@ -172,36 +246,60 @@ class BaseAgent extends EventEmitter {
   
   /**
    * Post content to a platform
-   * @param {String} platform - Platform to post to
+   * @param {String} platform - Platform or account to post to (x, or x:brandA)
    * @param {Object} content - Content to post
-   * @returns {Object} Post result
+   * @param {Object} options - Post options
+   * @param {String} options.account - Account name on the platform (brandA), instead of an account key
+   * @param {Boolean} options.approved - Publish without checking approval policies (used for approved items)
+   * @returns {Object} Post result, or { pending, approvalId, expiresAt } while the post awaits approval
    */
-  async post(platform, content) {
+  async post(platform, content, options = {}) {
     if (!this.active) {
       throw new Error('Agent is not active');
     }
     
-    const connector = this.connectors[platform];
-    if (!connector) {
-      throw new Error(`Not connected to platform: ${platform}`);
-    }
+    const account = this.resolveAccount(platform, options.account);
+    const connector = this.connectors[account];
     
     try {
+      if (!options.approved) {
+        const approval = await this._requestApproval({
+          platform: parseAccountKey(account).platform,
+          account,
+          type: 'post',
+          draft: content
+        });
+        
+        if (approval) {
+          return { pending: true, approvalId: approval.id, expiresAt: approval.expiresAt };
+        }
+      }
+      
+      await this._waitForHealthyPlatform(account, 'post');
+      
+      // Dry runs send nothing, so they do not spend the account's quota
+      if (!DryRun.isEnabled(connector)) {
+        await this._getRateLimiter(account).check('post');
+      }
+      
       const result = await connector.post(content);
       
       // Update stats
       this.stats.posts++;
+      this.accountStats[account].posts++;
       
       // Store in memory
       await this.memory.store(`post:${result.id}`, {
-        platform,
+        platform: parseAccountKey(account).platform,
+        account,
         content,
         result,
         timestamp: Date.now()
       });
       
       this.emit('post', {
-        platform,
+        platform: parseAccountKey(account).platform,
+        account,
         content,
         result
       });
@@ -219,6 +317,50 @@ class BaseAgent extends EventEmitter {
     }
   }
   
+  /**
+   * Resolve a platform or account selector to a connected account key.
+   * A bare platform resolves to its unnamed account, the configured default
+   * account, or its only connected account.
+   * @param {String} platform - Platform or account key (x, x:brandA)
+   * @param {String} account - Account name on the platform (optional)
+   * @returns {String} Account key
+   */
+  resolveAccount(platform, account) {
+    const key = account ? `${parseAccountKey(platform).platform}:${account}` : platform;
+    
+    if (this.connectors[key]) {
+      return key;
+    }
+    
+    if (!account && !key.includes(':')) {
+      const defaultAccount = this.defaultAccounts[key];
+      if (defaultAccount && this.connectors[defaultAccount]) {
+        return defaultAccount;
+      }
+      
+      const accounts = this.getAccounts(key);
+      if (accounts.length > 1) {
+        throw new Error(`Multiple ${key} accounts connected (${accounts.join(', ')}); choose one with an account selector`);
+      }
+      
+      if (accounts.length === 1) {
+        return accounts[0];
+      }
+    }
+    
+    throw new Error(`Not connected to platform: ${key}`);
+  }
+  
+  /**
+   * List connected account keys, optionally for one platform
+   * @param {String} platform - Platform name (optional)
+   * @returns {Array} Account keys
+   */
+  getAccounts(platform) {
+    return Object.keys(this.connectors)
+      .filter(key => !platform || parseAccountKey(key).platform === platform);
+  }
+  
   /**
    * Generate content using the agent's model and persona
    * @param {Object} options - Content generation options
@@ -292,6 +434,134 @@ class BaseAgent extends EventEmitter {
     }
   }
   
+  /**
+   * Register the agent's slash commands on a connector and start receiving them
+   * @param {String} platform - Account key
+   * @param {Object} connector - Platform connector
+   * @param {Object} platformConfig - Platform configuration (commandGuildId)
+   * @private
+   */
+  async _registerCommands(platform, connector, platformConfig) {
+    for (const command of this.commands) {
+      const { method, handler, ...definition } = command;
+      const target = handler || this[method];
+      
+      if (typeof target !== 'function') {
+        throw new Error(`Command /${command.name} routes to unknown agent method: ${method}`);
+      }
+      
+      connector.registerCommand(definition, async (interaction) => {
+        this.emit('command', { platform, command: command.name, interaction });
+        return target.call(this, interaction.options, interaction);
+      });
+    }
+    
+    // The gateway reports the application ID that commands are registered under
+    await connector.startGateway();
+    await connector.syncCommands({ guildId: platformConfig.commandGuildId });
+  }
+  
+  /**
+   * Hold an action while the account's platform is unhealthy, until it
+   * recovers or config.unhealthyTimeout passes
+   * @param {String} account - Account key
+   * @param {String} action - Action being held (for events and errors)
+   * @protected
+   */
+  async _waitForHealthyPlatform(account, action) {
+    const connector = this.connectors[account];
+    
+    // Connectors without health tracking are always treated as healthy
+    if (typeof connector.getHealth !== 'function' || typeof connector.on !== 'function') return;
+    
+    const health = connector.getHealth();
+    
+    if (health.status !== 'unhealthy') return;
+    
+    const timeout = this.config.unhealthyTimeout !== undefined ? this.config.unhealthyTimeout : 5 * 60 * 1000;
+    const since = Date.now();
+    
+    this.emit('platformPaused', { platform: parseAccountKey(account).platform, account, action, reason: health.reason });
+    
+    await new Promise((resolve, reject) => {
+      const onHealth = (event) => {
+        if (event.status === 'unhealthy') return;
+        
+        cleanup();
+        resolve();
+      };
+      
+      const timer = setTimeout(() => {
+        cleanup();
+        
+        const error = new Error(`${account} is unhealthy (${connector.getHealth().reason}); ${action} gave up after ${timeout}ms`);
+        error.code = 'PLATFORM_UNHEALTHY';
+        error.platform = parseAccountKey(account).platform;
+        error.account = account;
+        reject(error);
+      }, timeout);
+      
+      const cleanup = () => {
+        clearTimeout(timer);
+        connector.off('health', onHealth);
+      };
+      
+      connector.on('health', onHealth);
+    });
+    
+    this.emit('platformResumed', { platform: parseAccountKey(account).platform, account, action, waited: Date.now() - since });
+  }
+  
+  /**
+   * Park an action in the approval queue if an approval policy covers it
+   * @param {Object} action - Outbound action ({ platform, account, type, draft, target })
+   * @returns {Object} Pending approval item, or null if the action can go out now
+   * @protected
+   */
+  async _requestApproval(action) {
+    const policy = await this.approvals.match(action);
+    if (!policy) return null;
+    
+    return this.approvals.submit({ agentId: this.id, ...action }, policy);
+  }
+  
+  /**
+   * Publish an approved item; subclasses handle the action types they park
+   * @param {Object} item - Approved item ({ account, type, draft, target })
+   * @returns {Object} Platform result
+   * @protected
+   */
+  async _publishApproved(item) {
+    if (item.type === 'post') {
+      return this.post(item.account, item.draft, { approved: true });
+    }
+    
+    throw new Error(`Agent ${this.id} cannot publish approved ${item.type} actions`);
+  }
+  
+  /**
+   * Get the rate limiter for an account.
+   * Accounts whose connector knows its platform identity share limits with
+   * other agents on that identity; otherwise the account's own limiter is used.
+   * @param {String} account - Account key
+   * @returns {RateLimiter} Rate limiter
+   * @private
+   */
+  _getRateLimiter(account) {
+    const connector = this.connectors[account];
+    const accountId = RateLimiterRegistry.getAccountId(connector);
+    
+    if (!accountId) {
+      return this.rateLimiters[account];
+    }
+    
+    return RateLimiterRegistry.getLimiter({
+      platform: parseAccountKey(account).platform,
+      account: accountId,
+      limits: (this.config[account] || {}).rateLimits
+    });
+  }
+  
   /**
    * Implementation of the agent's main loop
    * @returns {Object} Run result
@@ -314,7 +584,10 @@ class BaseAgent extends EventEmitter {
       active: this.active,
       platforms: this.platforms,
       connectedPlatforms: Object.keys(this.connectors),
+      health: Object.fromEntries(Object.entries(this.connectors)
+        .map(([account, connector]) => [account, typeof connector.getHealth === 'function' ? connector.getHealth().status : 'unknown'])),
       stats: this.stats,
+      accountStats: this.accountStats,
       performance: this.performance
     };
   }
@@ -331,13 +604,11 @@ class BaseAgent extends EventEmitter {
     }
     
     // Reset stats
-    this.stats = {
-      posts: 0,
-      replies: 0,
-      likes: 0,
-      follows: 0,
-      engagementRate: 0
-    };
+    this.stats = createStats();
+    
+    for (const account of Object.keys(this.accountStats)) {
+      this.accountStats[account] = createStats();
+    }
     
     // Reset performance
     this.performance = {
@@ -364,4 +635,47 @@ class BaseAgent extends EventEmitter {
   }
 }
 
-module.exports = { BaseAgent };
+/**
+ * Split an account key into platform and account name (x:brandA -> { platform: 'x', account: 'brandA' })
+ * @param {String} key - Platform or account key
+ * @returns {Object} { platform, account } - account is null for a bare platform
+ */
+function parseAccountKey(key) {
+  const index = key.indexOf(':');
+  
+  if (index === -1) {
+    return { platform: key, account: null };
+  }
+  
+  return { platform: key.slice(0, index), account: key.slice(index + 1) };
+}
+
+/**
+ * Disconnect a connector that is being discarded, ignoring disconnect errors
+ * @private
+ */
+async function disconnectQuietly(connector) {
+  if (typeof connector.disconnect !== 'function') return;
+  
+  try {
+    await connector.disconnect();
+  } catch (error) {
+    console.error('Error disconnecting connector:', error);
+  }
+}
+
+/**
+ * Create an empty stats record
+ * @private
+ */
+function createStats() {
+  return {
+    posts: 0,
+    replies: 0,
+    likes: 0,
+    follows: 0,
+    engagementRate: 0
+  };
+}
+
+module.exports = { BaseAgent, parseAccountKey };
@@ -6,16 +6,33 @@
  */
 
 const { BaseAgent } = require('../base-agent');
+const { PlatformConnectorFactory } = require('../../socialos-core/agent-runtime/platform-connector-factory');
 const { OpenAI } = require('langchain/llms');
 const { PromptTemplate } = require('langchain/prompts');
 const { SentimentAnalyzer } = require('./sentiment-analyzer');
 const { MentionTracker } = require('./mention-tracker');
 const { CompetitorMonitor } = require('./competitor-monitor');
 
+// Actions auto-moderation can take, in the order they are applied
+const MODERATION_ACTIONS = ['deleteMessage', 'timeoutMember', 'kickMember', 'banMember'];
+
+const URL_PATTERN = /https?:\/\/\S+/gi;
+
 class CommunityWatchdog extends BaseAgent {
   /**
    * Create a new CommunityWatchdog agent
    * @param {Object} config - Agent configuration
+   * @param {Object} config.moderation - Auto-moderation settings (off unless enabled)
+   * @param {Boolean} config.moderation.enabled - Act on spam and abuse automatically
+   * @param {Array} config.moderation.rules - Custom rules ({ name, test: (mention, sentiment) => Boolean, actions, reason }), checked before the built-in ones
+   * @param {Number} config.moderation.abuseThreshold - Sentiment at or below which a message is abuse (default: -0.8)
+   * @param {Array} config.moderation.abuseActions - Actions for abuse (default: deleteMessage, timeoutMember)
+   * @param {Array} config.moderation.spamActions - Actions for spam (default: deleteMessage)
+   * @param {Number} config.moderation.spamRepeat - Identical messages from one author that count as spam (default: 3)
+   * @param {Number} config.moderation.spamWindow - Window for repeated messages in ms (default: 60000)
+   * @param {Number} config.moderation.maxLinks - Links allowed in one message (default: 3)
+   * @param {Array} config.moderation.blockedPatterns - Regular expressions (or strings) that mark a message as spam
+   * @param {Number} config.moderation.timeoutDuration - Length of member timeouts in ms (default: 10 minutes)
    */
   constructor(config = {}) {
     super({
@@ -30,6 +47,7 @@ class CommunityWatchdog extends BaseAgent {
     this.competitors = config.competitors || [];
     this.alertThreshold = config.alertThreshold || 'medium';
     this.sentimentThreshold = config.sentimentThreshold || -0.5; // Negative threshold
+    this.channels = config.channels || {}; // Chat channels to monitor per platform (e.g. { slack: ['C123'] })
     
     // Initialize components
     this.sentimentAnalyzer = new SentimentAnalyzer(config.sentimentOptions || {});
@@ -59,6 +77,26 @@ class CommunityWatchdog extends BaseAgent {
     
     // Streaming handlers
     this.mentionStreams = {};
+    
+    // Auto-moderation
+    this.moderation = {
+      enabled: false,
+      rules: [],
+      abuseThreshold: -0.8,
+      abuseActions: ['deleteMessage', 'timeoutMember'],
+      spamActions: ['deleteMessage'],
+      spamRepeat: 3,
+      spamWindow: 60000,
+      maxLinks: 3,
+      blockedPatterns: [],
+      timeoutDuration: 10 * 60 * 1000,
+      ...config.moderation
+    };
+    this.moderation.blockedPatterns = this.moderation.blockedPatterns.map(pattern =>
+      pattern instanceof RegExp ? pattern : new RegExp(pattern, 'i'));
+    this.recentMessages = new Map();
+    this.lastSpamSweep = 0;
+    this.stats.moderationActions = 0;
   }
   
   /**
@@ -71,7 +109,7 @@ class CommunityWatchdog extends BaseAgent {
     
     for (const [platform, connector] of Object.entries(this.connectors)) {
       try {
-        if (connector && typeof connector.streamMentions === 'function') {
+        if (PlatformConnectorFactory.supports(connector, 'streamMentions') || PlatformConnectorFactory.supports(connector, 'streamMessages')) {
           // Start monitoring this platform
           this._monitorPlatform(platform, connector);
           console.log(`Started monitoring on ${platform}`);
@@ -156,8 +194,12 @@ class CommunityWatchdog extends BaseAgent {
    */
   async _monitorPlatform(platform, connector) {
     try {
+      // Chat platforms (Discord, Slack) stream whole channels when channels are configured
+      const streamChannels = PlatformConnectorFactory.supports(connector, 'streamMessages') &&
+        (Boolean(this.channels[platform]) || !PlatformConnectorFactory.supports(connector, 'streamMentions'));
+      
       // Some platforms have streaming APIs
-      if (typeof connector.streamMentions === 'function') {
+      if (PlatformConnectorFactory.supports(connector, 'streamMentions') && !streamChannels) {
         const mentionStream = connector.streamMentions();
         
         // Process the stream
@@ -175,6 +217,31 @@ class CommunityWatchdog extends BaseAgent {
         
         // Store stream for later cleanup
         this.mentionStreams[platform] = mentionStream;
+      } else if (streamChannels) {
+        const controller = new AbortController();
+        const messageStream = connector.streamMessages(this.channels[platform] || [], {
+          signal: controller.signal
+        });
+        
+        (async () => {
+          try {
+            for await (const message of messageStream) {
+              if (message.author && message.author.bot) continue;
+              
+              await this._handleMention(platform, message);
+            }
+          } catch (error) {
+            console.error(`Error in message stream for ${platform}:`, error);
+            // Attempt reconnection after delay
+            if (!controller.signal.aborted) {
+              setTimeout(() => this._monitorPlatform(platform, connector), 30000);
+            }
+          }
+        })();
+        
+        this.mentionStreams[platform] = {
+          stop: () => controller.abort()
+        };
       } else {
         // Fallback to polling for platforms without streaming
         const pollInterval = setInterval(async () => {
@@ -187,11 +254,11 @@ class CommunityWatchdog extends BaseAgent {
             for (const keyword of keywords) {
               const results = await connector.search(keyword);
               
-              if (results && results.tweets) {
-                for (const tweet of results.tweets) {
+              if (results && results.posts) {
+                for (const post of results.posts) {
                   // Check if we've already processed this mention
-                  if (!await this.mentionTracker.hasSeen(tweet.id)) {
-                    await this._handleMention(platform, tweet);
+                  if (!await this.mentionTracker.hasSeen(post.id, platform)) {
+                    await this._handleMention(platform, post);
                   }
                 }
               }
@@ -261,9 +328,16 @@ class CommunityWatchdog extends BaseAgent {
         processed: new Date().toISOString()
       });
       
+      // Spam and abuse always raise an alert, and may be moderated automatically
+      const violation = this._detectViolation(mention, sentiment);
+      
       // Check if this requires an alert
-      if (this._shouldAlert(mention, sentiment)) {
-        await this._createAlert(mention, sentiment);
+      if (violation || this._shouldAlert(mention, sentiment)) {
+        const alert = await this._createAlert(mention, sentiment, violation);
+        
+        if (violation && this.moderation.enabled) {
+          await this._autoModerate(mention, violation, alert);
+        }
       }
       
       // Check if this is a competitor mention
@@ -330,20 +404,225 @@ class CommunityWatchdog extends BaseAgent {
     return false;
   }
   
+  /**
+   * Check a mention against the moderation rules
+   * @param {Object} mention - Mention data
+   * @param {Object} sentiment - Sentiment analysis
+   * @returns {Object|null} Violation ({ rule, reason, actions }), or null
+   * @private
+   */
+  _detectViolation(mention, sentiment) {
+    const settings = this.moderation;
+    const text = mention.text || '';
+    
+    for (const rule of settings.rules) {
+      if (rule.test(mention, sentiment)) {
+        return {
+          rule: rule.name,
+          reason: rule.reason || `Matched moderation rule ${rule.name}`,
+          actions: rule.actions || settings.spamActions
+        };
+      }
+    }
+    
+    if (sentiment.score <= settings.abuseThreshold) {
+      return { rule: 'abuse', reason: 'Abusive message', actions: settings.abuseActions };
+    }
+    
+    const pattern = settings.blockedPatterns.find(blocked => blocked.test(text));
+    if (pattern) {
+      return { rule: 'spam', reason: `Blocked content (${pattern.source})`, actions: settings.spamActions };
+    }
+    
+    if ((text.match(URL_PATTERN) || []).length > settings.maxLinks) {
+      return { rule: 'spam', reason: `More than ${settings.maxLinks} links`, actions: settings.spamActions };
+    }
+    
+    if (this._countRepeats(mention) >= settings.spamRepeat) {
+      return { rule: 'spam', reason: 'Repeated message', actions: settings.spamActions };
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Count how often an author has sent the same text within the spam window
+   * @param {Object} mention - Mention data
+   * @returns {Number} Occurrences including this one
+   * @private
+   */
+  _countRepeats(mention) {
+    if (!mention.author || !mention.author.id || !mention.text) return 0;
+    
+    const now = Date.now();
+    const key = `${mention.platform}:${mention.author.id}`;
+    
+    // Authors who went quiet would otherwise stay in the map forever
+    if (now - this.lastSpamSweep >= this.moderation.spamWindow) {
+      this._pruneRecentMessages(now);
+    }
+    
+    const text = mention.text.trim().toLowerCase();
+    const recent = (this.recentMessages.get(key) || [])
+      .filter(entry => now - entry.timestamp < this.moderation.spamWindow);
+    
+    recent.push({ text, timestamp: now });
+    this.recentMessages.set(key, recent);
+    
+    return recent.filter(entry => entry.text === text).length;
+  }
+  
+  /**
+   * Forget authors whose last message has left the spam window
+   * @param {Number} now - Current time in epoch ms
+   * @private
+   */
+  _pruneRecentMessages(now) {
+    for (const [key, entries] of this.recentMessages) {
+      if (now - entries[entries.length - 1].timestamp >= this.moderation.spamWindow) {
+        this.recentMessages.delete(key);
+      }
+    }
+    
+    this.lastSpamSweep = now;
+  }
+  
+  /**
+   * Apply a violation's moderation actions and record each in the audit trail
+   * @param {Object} mention - Offending mention
+   * @param {Object} violation - Violation from _detectViolation
+   * @param {Object} alert - Alert raised for the mention
+   * @returns {Array} Audit records
+   * @private
+   */
+  async _autoModerate(mention, violation, alert) {
+    const connector = this.connectors[mention.platform];
+    const serverId = mention.guildId || null;
+    const userId = mention.author ? mention.author.id : null;
+    const reason = `${violation.reason} (alert ${alert.id})`;
+    const records = [];
+    
+    const actions = MODERATION_ACTIONS.filter(action => violation.actions.includes(action));
+    
+    for (const action of actions) {
+      const target = { messageId: mention.id, channelId: mention.channelId || null, serverId, userId };
+      let outcome;
+      
+      if (!PlatformConnectorFactory.supports(connector, action)) {
+        outcome = { status: 'skipped', error: `${mention.platform} does not support ${action}` };
+      } else if (action !== 'deleteMessage' && !serverId) {
+        outcome = { status: 'skipped', error: `${action} needs a server; the message was not posted in one` };
+      } else {
+        try {
+          await this._runModerationAction(connector, action, target, reason);
+          outcome = { status: 'succeeded' };
+        } catch (error) {
+          outcome = { status: 'failed', error: error.message, code: error.code };
+        }
+      }
+      
+      records.push(await this._recordModeration({
+        platform: mention.platform,
+        action,
+        rule: violation.rule,
+        reason: violation.reason,
+        alertId: alert.id,
+        target,
+        ...outcome
+      }));
+    }
+    
+    alert.moderation = records.map(record => ({ id: record.id, action: record.action, status: record.status }));
+    if (records.length > 0 && records.every(record => record.status === 'succeeded')) {
+      alert.status = 'auto_moderated';
+    }
+    await this.memory.update(`alert:${alert.id}`, alert);
+    
+    return records;
+  }
+  
+  /**
+   * Call the connector method for a moderation action
+   * @private
+   */
+  async _runModerationAction(connector, action, target, reason) {
+    switch (action) {
+      case 'deleteMessage':
+        return connector.deleteMessage(target.channelId, target.messageId, {
+          serverId: target.serverId,
+          authorId: target.userId,
+          reason
+        });
+      case 'timeoutMember':
+        return connector.timeoutMember(target.serverId, target.userId, this.moderation.timeoutDuration, { reason });
+      case 'kickMember':
+        return connector.kickMember(target.serverId, target.userId, { reason });
+      case 'banMember':
+        return connector.banMember(target.serverId, target.userId, { reason });
+    }
+  }
+  
+  /**
+   * Store a moderation audit record in memory
+   * @param {Object} details - Record fields
+   * @returns {Object} Stored record
+   * @private
+   */
+  async _recordModeration(details) {
+    const record = {
+      id: `mod_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+      ...details,
+      agentId: this.id,
+      timestamp: new Date().toISOString()
+    };
+    
+    await this.memory.store(`moderation:${record.id}`, record);
+    
+    if (record.status === 'succeeded') {
+      this.stats.moderationActions++;
+    }
+    
+    this.emit('moderation', record);
+    return record;
+  }
+  
+  /**
+   * Get the moderation audit trail, newest first
+   * @param {Object} options - Filter options
+   * @param {String} options.platform - Only records for this platform
+   * @param {String} options.userId - Only records targeting this user
+   * @param {String} options.status - Only records with this status (succeeded, failed, skipped)
+   * @param {Number} options.limit - Maximum records (default: 100)
+   * @returns {Array} Audit records
+   */
+  async getModerationLog(options = {}) {
+    const items = await this.memory.list('moderation:', Number.MAX_SAFE_INTEGER);
+    
+    return items
+      .map(item => item.data)
+      .filter(record => !options.platform || record.platform === options.platform)
+      .filter(record => !options.userId || record.target.userId === options.userId)
+      .filter(record => !options.status || record.status === options.status)
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+      .slice(0, options.limit || 100);
+  }
+  
   /**
    * Create an alert for a mention
    * @param {Object} mention - Mention data
    * @param {Object} sentiment - Sentiment analysis
+   * @param {Object} violation - Moderation rule the mention broke (optional)
    * @private
    */
-  async _createAlert(mention, sentiment) {
+  async _createAlert(mention, sentiment, violation = null) {
     // Create the alert
     const alert = {
       id: `alert_${Date.now()}`,
       mention,
       sentiment,
+      violation: violation ? { rule: violation.rule, reason: violation.reason } : null,
       created: new Date().toISOString(),
-      priority: sentiment.score < -0.7 ? 'high' : 'medium',
+      priority: violation || sentiment.score < -0.7 ? 'high' : 'medium',
       status: 'new'
     };
     
@@ -24,7 +24,7 @@ class MentionTracker {
   
   /**
    * Track a new mention
-   * @param {Object} mention - Mention data
+   * @param {Object} mention - Mention data (normalized post)
    * @returns {Boolean} True if this is a new mention
    */
   async trackMention(mention) {
@@ -32,19 +32,19 @@ class MentionTracker {
       throw new Error('Invalid mention: missing ID');
     }
     
+    const key = this._getKey(mention.id, mention.platform);
+    
     // Check if we've already seen this mention
-    if (this.seenMentionIds.has(mention.id)) {
+    if (this.seenMentionIds.has(key)) {
       return false;
     }
     
-    // Add timestamp if missing
-    if (!mention.timestamp) {
-      mention.timestamp = Date.now();
-    }
+    // Track by creation time, falling back to when the mention was seen
+    mention.timestamp = this._getTime(mention) || Date.now();
     
     // Mark as new and store
     this.mentions.push(mention);
-    this.seenMentionIds.add(mention.id);
+    this.seenMentionIds.add(key);
     this.newMentions.push(mention);
     
     // Periodically clean up old mentions
@@ -58,10 +58,11 @@ class MentionTracker {
   /**
    * Check if a mention ID has been seen
    * @param {String} mentionId - Mention ID to check
+   * @param {String} platform - Source platform (IDs are only unique per platform)
    * @returns {Boolean} True if mention has been seen
    */
-  async hasSeen(mentionId) {
-    return this.seenMentionIds.has(mentionId);
+  async hasSeen(mentionId, platform) {
+    return this.seenMentionIds.has(this._getKey(mentionId, platform));
   }
   
   /**
@@ -288,7 +289,7 @@ class MentionTracker {
     });
     
     // Also clean up seen IDs for mentions that are no longer tracked
-    const activeIds = new Set(this.mentions.map(m => m.id));
+    const activeIds = new Set(this.mentions.map(m => this._getKey(m.id, m.platform)));
     for (const id of this.seenMentionIds) {
       if (!activeIds.has(id)) {
         this.seenMentionIds.delete(id);
@@ -311,14 +312,42 @@ class MentionTracker {
     let newCount = 0;
     
     for (const mention of mentionsData) {
-      if (mention && mention.id && !this.seenMentionIds.has(mention.id)) {
-        await this.trackMention(mention);
+      if (mention && mention.id && await this.trackMention(mention)) {
         newCount++;
       }
     }
     
     return newCount;
   }
+  
+  /**
+   * Build the deduplication key for a mention
+   * @param {String} mentionId - Mention ID
+   * @param {String} platform - Source platform
+   * @returns {String} Key
+   * @private
+   */
+  _getKey(mentionId, platform) {
+    return platform ? `${platform}:${mentionId}` : String(mentionId);
+  }
+  
+  /**
+   * Get a mention's time in ms from its timestamp or created_at
+   * @param {Object} mention - Mention data
+   * @returns {Number|null} Time in ms
+   * @private
+   */
+  _getTime(mention) {
+    for (const value of [mention.timestamp, mention.created_at]) {
+      if (value === undefined || value === null) continue;
+      
+      const time = value instanceof Date ? value.getTime() :
+        typeof value === 'number' ? value : Date.parse(value);
+      if (Number.isFinite(time)) return time;
+    }
+    
+    return null;
+  }
 }
 
 module.exports = { MentionTracker };
@@ -5,7 +5,8 @@
  * Adapts to brand voice, generates platform-optimized posts, and tracks performance.
  */
 
-const { BaseAgent } = require('../base-agent');
+const { BaseAgent, parseAccountKey } = require('../base-agent');
+const { PlatformConnectorFactory } = require('../../socialos-core/agent-runtime/platform-connector-factory');
 const { LangChain } = require('langchain');
 const { OpenAI } = require('langchain/llms');
 const { PromptTemplate } = require('langchain/prompts');
@@ -139,7 +140,7 @@ class ContentCrafter extends BaseAgent {
     // Format the prompt
     const prompt = await promptTemplate.format({
       brandVoice: this.brandVoice,
-      platform,
+      platform: parseAccountKey(platform).platform,
       topic,
       trends: trends.map(t => `- ${t.name} (${t.volume || 'unknown'} tweets)`).join('\n'),
       context: memoryContext.map(m => `- ${m.content}`).join('\n'),
@@ -174,8 +175,8 @@ class ContentCrafter extends BaseAgent {
     const hashtagRegex = /#[a-zA-Z0-9_]+/g;
     const hashtags = rawContent.match(hashtagRegex) || [];
     
-    // Process based on platform
-    switch (platform.toLowerCase()) {
+    // Process based on platform (named accounts like x:brandA format as their platform)
+    switch (parseAccountKey(platform).platform.toLowerCase()) {
       case 'x':
       case 'twitter':
         // Ensure content is within character limits
@@ -189,6 +190,19 @@ class ContentCrafter extends BaseAgent {
         // LinkedIn can have longer posts
         return { text: rawContent, hashtags };
         
+      case 'bluesky': {
+        // Bluesky counts graphemes, so emoji and accented text are not over-trimmed
+        const graphemes = Array.from(
+          new Intl.Segmenter(undefined, { granularity: 'grapheme' }).segment(rawContent),
+          part => part.segment
+        );
+        
+        if (graphemes.length > 300) {
+          return { text: graphemes.slice(0, 297).join('') + '...', hashtags };
+        }
+        return { text: rawContent, hashtags };
+      }
+      
       case 'instagram':
         // Instagram posts often have hashtags at the end
         return { 
@@ -217,6 +231,17 @@ class ContentCrafter extends BaseAgent {
         // Post to the platform
         const result = await this.post(platform, { text: content.text });
         
+        // Posts held for approval are tracked once they are published
+        if (result.pending) {
+          results[platform] = {
+            success: true,
+            pending: true,
+            approvalId: result.approvalId,
+            content
+          };
+          continue;
+        }
+        
         // Track content performance
         this.contentPerformance.push({
           id: result.id,
@@ -260,19 +285,19 @@ class ContentCrafter extends BaseAgent {
     for (const platform of this.platforms) {
       try {
         const connector = this.connectors[platform];
-        if (!connector) continue;
+        if (!PlatformConnectorFactory.supports(connector, 'search')) continue;
         
         // For each topic, find relevant content to engage with
         for (const topic of this.topics) {
           const searchResults = await connector.search(topic);
           
-          if (searchResults && searchResults.tweets) {
+          if (searchResults && searchResults.posts) {
             // Add each result as a potential engagement opportunity
-            for (const tweet of searchResults.tweets) {
+            for (const post of searchResults.posts) {
               opportunities.push({
                 platform,
-                content: tweet,
-                relevance: this._calculateRelevance(tweet, topic),
+                content: post,
+                relevance: this._calculateRelevance(post, topic),
                 type: 'reply'
               });
             }
@@ -323,9 +348,12 @@ class ContentCrafter extends BaseAgent {
   /**
    * Engage with an opportunity (reply, like, etc)
    * @param {Object} opportunity - Engagement opportunity
-   * @returns {Object} Engagement result
+   * @param {Object} options - Engagement options
+   * @param {Boolean} options.approved - Publish without checking approval policies (used for approved items)
+   * @param {String} options.draft - Reply text to send instead of generating one
+   * @returns {Object} Engagement result, with pending and approvalId while it awaits approval
    */
-  async engageWithOpportunity(opportunity) {
+  async engageWithOpportunity(opportunity, options = {}) {
     const { platform, content, type } = opportunity;
     
     const connector = this.connectors[platform];
@@ -333,16 +361,49 @@ class ContentCrafter extends BaseAgent {
       throw new Error(`Not connected to platform: ${platform}`);
     }
     
+    // Check before generating a reply that could never be posted
+    if (!PlatformConnectorFactory.supports(connector, type)) {
+      throw new Error(`Failed to engage with opportunity: ${platform} does not support ${type}`);
+    }
+    
     try {
+      // Replies are drafted first so an approver reviews the exact text
+      const draft = type === 'reply' ? (options.draft || await this._generateReply(content)) : null;
+      
+      if (!options.approved) {
+        const approval = await this._requestApproval({
+          platform: parseAccountKey(platform).platform,
+          account: platform,
+          type,
+          draft,
+          target: content
+        });
+        
+        if (approval) {
+          return {
+            success: true,
+            type,
+            pending: true,
+            approvalId: approval.id,
+            content: draft
+          };
+        }
+      }
+      
+      await this._waitForHealthyPlatform(platform, type);
+      
+      // Channel-based platforms (Discord) need the channel the message lives in
+      const target = content.channelId ? { channelId: content.channelId } : {};
+      
       if (type === 'reply') {
-        // Generate reply content
-        const replyContent = await this._generateReply(content);
+        const replyContent = draft;
         
         // Post the reply
-        const result = await connector.reply(content.id, { text: replyContent });
+        const result = await connector.reply(content.id, { text: replyContent }, target);
         
         // Update stats
         this.stats.replies++;
+        this.accountStats[platform].replies++;
         
         // Store in memory
         await this.memory.store(`reply:${result.id}`, {
@@ -361,10 +422,11 @@ class ContentCrafter extends BaseAgent {
         };
       } else if (type === 'like') {
         // Like the content
-        const result = await connector.like(content.id);
+        const result = await connector.like(content.id, target);
         
         // Update stats
         this.stats.likes++;
+        this.accountStats[platform].likes++;
         
         return {
           success: true,
@@ -377,6 +439,23 @@ class ContentCrafter extends BaseAgent {
     }
   }
   
+  /**
+   * Publish an approved reply or like
+   * @param {Object} item - Approved item
+   * @returns {Object} Engagement result
+   * @protected
+   */
+  async _publishApproved(item) {
+    if (item.type !== 'reply' && item.type !== 'like') {
+      return super._publishApproved(item);
+    }
+    
+    return this.engageWithOpportunity(
+      { platform: item.account, content: item.target, type: item.type },
+      { approved: true, draft: item.draft }
+    );
+  }
+  
   /**
    * Generate a reply to content
    * @param {Object} content - Content to reply to
@@ -441,16 +520,17 @@ class ContentCrafter extends BaseAgent {
         const platform = item.platform;
         const connector = this.connectors[platform];
         
-        if (connector) {
+        if (PlatformConnectorFactory.supports(connector, 'getPost')) {
           try {
-            const contentData = await connector.getTweet(item.id);
+            const contentData = await connector.getPost(item.id);
             
             if (contentData) {
               // Update metrics
               item.currentMetrics = {
                 likes: contentData.metrics?.like_count || 0,
                 replies: contentData.metrics?.reply_count || 0,
-                reposts: contentData.metrics?.retweet_count || 0
+                reposts: contentData.metrics?.retweet_count || 0,
+                impressions: contentData.metrics ? contentData.metrics.impression_count : null
               };
               
               // Calculate engagement rate
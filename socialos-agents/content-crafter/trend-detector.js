@@ -5,6 +5,8 @@
  * Helps the ContentCrafter agent create timely and relevant content.
  */
 
+const { PlatformConnectorFactory } = require('../../socialos-core/agent-runtime/platform-connector-factory');
+
 class TrendDetector {
   /**
    * Create a new TrendDetector
@@ -70,7 +72,7 @@ class TrendDetector {
     // Fetch trends from each connected platform
     for (const [platform, connector] of Object.entries(this.connectors)) {
       try {
-        if (connector && typeof connector.getTrends === 'function') {
+        if (PlatformConnectorFactory.supports(connector, 'getTrends')) {
           const platformTrends = await connector.getTrends();
           
           // Add platform indicator to each trend
@@ -220,14 +222,14 @@ class TrendDetector {
     // Search on each platform
     for (const [platform, connector] of Object.entries(this.connectors)) {
       try {
-        if (connector && typeof connector.search === 'function') {
+        if (PlatformConnectorFactory.supports(connector, 'search')) {
           const searchResults = await connector.search(trendName, { max_results: limit });
           
-          if (searchResults && searchResults.tweets) {
+          if (searchResults && searchResults.posts) {
             // Add platform to each result
-            searchResults.tweets.forEach(tweet => {
+            searchResults.posts.forEach(post => {
               results.push({
-                ...tweet,
+                ...post,
                 platform
               });
             });
@@ -6,16 +6,40 @@
  */
 
 const { PlatformConnectorFactory } = require('./platform-connector-factory');
-const { RateLimiter } = require('./rate-limiter');
+const { RateLimiter, RateLimiterRegistry } = require('./rate-limiter');
+const { DryRun } = require('./dry-run');
+const { createExecutionStore } = require('./execution-log');
+const { runWithSignal } = require('./execution-signal');
 const { EventEmitter } = require('events');
 
+// Execution statuses for aborted executions, by abort reason
+const STATUS_BY_CODE = {
+  EXECUTION_TIMEOUT: 'timeout',
+  EXECUTION_CANCELLED: 'cancelled',
+  EXECUTION_VETOED: 'vetoed'
+};
+
+// Events for failed executions, by status; cancellations and vetoes are deliberate, so they are not errors
+const EVENT_BY_STATUS = {
+  cancelled: 'executionCancelled',
+  vetoed: 'executionVetoed'
+};
+
 class AgentExecutor extends EventEmitter {
   /**
    * Create a new AgentExecutor
    * @param {Object} agent - The agent to execute
    * @param {Object} connector - Platform connector instance
+   * @param {Object} options - Executor options
+   * @param {Boolean} options.sharedRateLimits - Share limits with other agents on the same account (default: true)
+   * @param {Boolean} options.dryRun - Run every execution in dry-run mode, even when it is off globally
+   * @param {Object} options.executionLog - Execution store, or store options
+   *   ({ type: 'memory' | 'file' | 'redis', maxEntries, maxAge, path, memory }; default: in-memory)
+   * @param {Number} options.timeout - Time an action may run in ms before it is aborted; 0 disables (default: 300000)
+   * @param {Object} options.timeouts - Per-action timeouts in ms ({ generateContent: 60000 })
+   * @param {Array} options.middleware - Middleware to register, in order (see use)
    */
-  constructor(agent, connector) {
+  constructor(agent, connector, options = {}) {
     super();
     this.agent = agent;
     this.connector = connector || PlatformConnectorFactory.create(agent.platform);
@@ -23,29 +47,73 @@ class AgentExecutor extends EventEmitter {
       platform: agent.platform,
       limits: agent.rateLimits
     });
+    this.sharedRateLimits = options.sharedRateLimits !== false;
+    this.dryRun = Boolean(options.dryRun);
+    
+    this.executionLog = createExecutionStore(options.executionLog);
+    this.timeout = options.timeout !== undefined ? options.timeout : 5 * 60 * 1000;
+    this.timeouts = options.timeouts || {};
+    
+    // Executions in flight, by ID, so they can be cancelled
+    this.running = new Map();
+    
+    this.middleware = [];
+    (options.middleware || []).forEach(fn => this.use(fn));
+  }
+  
+  /**
+   * Add middleware around every execution. Middleware runs in the order it
+   * was added, as async (ctx, next) => result, where ctx is
+   * { action, context, agent, executor, veto(reason) }. It can:
+   * - inspect or rewrite ctx.action and ctx.context before calling next()
+   * - return a result without calling next(), so the action never runs
+   * - transform the result next() resolves with
+   * - refuse the action with ctx.veto(reason), or by throwing
+   * Middleware runs inside the execution's timeout and signal, before the
+   * rate limit is checked.
+   * @param {Function} fn - Middleware function
+   * @returns {AgentExecutor} This executor, for chaining
+   */
+  use(fn) {
+    if (typeof fn !== 'function') {
+      throw new Error('Middleware must be a function');
+    }
     
-    this.executionHistory = [];
+    this.middleware.push(fn);
+    return this;
   }
   
   /**
-   * Execute an agent action
+   * Execute an agent action. The action receives context.signal, which aborts
+   * when the execution times out or is cancelled; connector calls made during
+   * the action are aborted with it.
    * @param {String} action - Action to execute
    * @param {Object} context - Execution context
+   * @param {Object} options - Execution options
+   * @param {Number} options.timeout - Timeout in ms for this execution, overriding the executor's; 0 disables
+   * @param {AbortSignal} options.signal - Signal that cancels this execution
    * @returns {Object} Action result
    */
-  async execute(action, context = {}) {
+  async execute(action, context = {}, options = {}) {
     if (typeof this.agent[action] !== 'function') {
       throw new Error(`Action ${action} not implemented by agent ${this.agent.id}`);
     }
     
+    const dryRun = this.dryRun || DryRun.isEnabled(this.connector);
+    const controller = new AbortController();
+    
     // Prepare execution context
     const executionContext = {
       ...context,
       connector: this.connector,
       timestamp: Date.now(),
-      executionId: `exec_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+      executionId: `exec_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      dryRun,
+      signal: controller.signal
     };
     
+    const { executionId } = executionContext;
+    
     // Emit pre-execution event
     this.emit('beforeExecution', { 
       agent: this.agent.id, 
@@ -53,78 +121,317 @@ class AgentExecutor extends EventEmitter {
       context: executionContext 
     });
     
+    const stopWatching = this._watchExecution(executionId, action, controller, options);
+    
+    const ctx = this._createMiddlewareContext(action, executionContext);
+    let invoked = false;
+    
     try {
-      // Check rate limits before execution
-      await this.rateLimiter.check(action);
+      const invoke = async () => {
+        invoked = true;
+        
+        if (typeof this.agent[ctx.action] !== 'function') {
+          throw new Error(`Action ${ctx.action} not implemented by agent ${this.agent.id}`);
+        }
+        
+        // Dry runs send nothing, so they do not spend the account's quota
+        if (!dryRun) {
+          await this._getRateLimiter().check(ctx.action, { signal: controller.signal });
+        }
+        
+        // The execution may have timed out or been cancelled while it waited for quota
+        controller.signal.throwIfAborted();
+        
+        // Execute the agent action; in a dry run, writes are recorded under this execution
+        console.log(`Executing ${ctx.action} on agent ${this.agent.id}${dryRun ? ' (dry run)' : ''}`);
+        return this.agent[ctx.action](ctx.context);
+      };
       
-      // Execute the agent action
-      console.log(`Executing ${action} on agent ${this.agent.id}`);
-      const result = await this.agent[action](executionContext);
+      const run = () => runWithSignal(controller.signal, () => this._runMiddleware(ctx, invoke));
+      const result = await untilAborted(dryRun ?
+        DryRun.run({ executionId, agentId: this.agent.id, action }, run) :
+        run(), controller.signal);
       
       // Record execution
       const execution = {
+        id: executionId,
         agentId: this.agent.id,
-        action,
+        action: ctx.action,
+        status: 'success',
         timestamp: Date.now(),
         duration: Date.now() - executionContext.timestamp,
         success: true,
         result
       };
       
-      this.executionHistory.push(execution);
+      if (dryRun) {
+        execution.dryRun = true;
+        execution.outbox = DryRun.outbox.list({ executionId }).map(entry => entry.id);
+      }
+      
+      // Middleware answered without running the action
+      if (!invoked) {
+        execution.shortCircuited = true;
+      }
+      
+      await this._recordExecution(execution);
       
       // Emit post-execution event
       this.emit('afterExecution', {
         ...execution,
-        context: executionContext
+        context: ctx.context
       });
       
       return result;
-    } catch (error) {
+    } catch (caught) {
+      // Whatever the action threw once aborted, the abort reason says what happened
+      const thrown = controller.signal.aborted ? controller.signal.reason : caught;
+      
+      // Actions can throw strings, null or other non-errors; record and rethrow them as errors
+      const error = thrown instanceof Error ? thrown : new Error(String(thrown));
+      const status = STATUS_BY_CODE[error.code] || 'error';
+      
       // Handle execution error
       const execution = {
+        id: executionId,
         agentId: this.agent.id,
-        action,
+        action: ctx.action,
+        status,
         timestamp: Date.now(),
         duration: Date.now() - executionContext.timestamp,
         success: false,
         error: error.message
       };
       
-      this.executionHistory.push(execution);
+      if (dryRun) {
+        execution.dryRun = true;
+      }
+      
+      await this._recordExecution(execution);
       
       // Emit error event
-      this.emit('executionError', {
+      this.emit(EVENT_BY_STATUS[status] || 'executionError', {
         ...execution,
-        context: executionContext,
+        context: ctx.context,
         error
       });
       
       throw error;
+    } finally {
+      stopWatching();
     }
   }
   
   /**
-   * Get execution history for the agent
-   * @param {Number} limit - Maximum number of history items to return
+   * Build the context object middleware receives
+   * @param {String} action - Action requested
+   * @param {Object} executionContext - Execution context
+   * @returns {Object} Middleware context ({ action, context, agent, executor, veto })
+   * @private
+   */
+  _createMiddlewareContext(action, executionContext) {
+    const ctx = {
+      action,
+      context: executionContext,
+      agent: this.agent,
+      executor: this,
+      veto: (reason = 'vetoed by middleware') => {
+        const error = new Error(`Action ${ctx.action} on agent ${this.agent.id} was vetoed: ${reason}`);
+        error.code = 'EXECUTION_VETOED';
+        error.executionId = executionContext.executionId;
+        error.reason = reason;
+        throw error;
+      }
+    };
+    
+    return ctx;
+  }
+  
+  /**
+   * Run the middleware chain, ending in the handler that runs the action
+   * @param {Object} ctx - Middleware context
+   * @param {Function} handler - Runs the agent action
+   * @returns {*} Result of the outermost middleware
+   * @private
+   */
+  _runMiddleware(ctx, handler) {
+    const chain = [...this.middleware, handler];
+    let called = -1;
+    
+    const dispatch = (index) => {
+      if (index <= called) {
+        return Promise.reject(new Error('Middleware called next() more than once'));
+      }
+      
+      called = index;
+      
+      try {
+        return Promise.resolve(chain[index](ctx, () => dispatch(index + 1)));
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    };
+    
+    return dispatch(0);
+  }
+  
+  /**
+   * Cancel a running execution. Its signal aborts and execute() rejects with
+   * code EXECUTION_CANCELLED.
+   * @param {String} executionId - Execution ID (context.executionId)
+   * @param {String} reason - Why it was cancelled
+   * @returns {Boolean} True if the execution was running
+   */
+  cancel(executionId, reason = 'cancelled') {
+    const running = this.running.get(executionId);
+    if (!running) return false;
+    
+    const error = new Error(`Execution ${executionId} (${running.action}) was cancelled: ${reason}`);
+    error.code = 'EXECUTION_CANCELLED';
+    error.executionId = executionId;
+    running.controller.abort(error);
+    
+    return true;
+  }
+  
+  /**
+   * List executions in flight
+   * @returns {Array} Running executions ({ executionId, action, startedAt, timeout })
+   */
+  getRunningExecutions() {
+    return Array.from(this.running.entries()).map(([executionId, { action, startedAt, timeout }]) => ({
+      executionId,
+      action,
+      startedAt: new Date(startedAt).toISOString(),
+      timeout
+    }));
+  }
+  
+  /**
+   * Track an execution and arm its timeout and external signal
+   * @param {String} executionId - Execution ID
+   * @param {String} action - Action being executed
+   * @param {AbortController} controller - Controller aborting the execution
+   * @param {Object} options - Execution options (timeout, signal)
+   * @returns {Function} Stops tracking the execution
+   * @private
+   */
+  _watchExecution(executionId, action, controller, options) {
+    const timeout = [options.timeout, this.timeouts[action], this.timeout].find(value => value !== undefined);
+    let timer = null;
+    
+    if (timeout > 0) {
+      timer = setTimeout(() => {
+        const error = new Error(`Action ${action} on agent ${this.agent.id} timed out after ${timeout}ms`);
+        error.code = 'EXECUTION_TIMEOUT';
+        error.executionId = executionId;
+        controller.abort(error);
+      }, timeout);
+    }
+    
+    const onAbort = () => this.cancel(executionId, 'signal aborted');
+    
+    this.running.set(executionId, { action, controller, startedAt: Date.now(), timeout: timeout || null });
+    
+    if (options.signal) {
+      if (options.signal.aborted) onAbort();
+      options.signal.addEventListener('abort', onAbort);
+    }
+    
+    return () => {
+      clearTimeout(timer);
+      if (options.signal) options.signal.removeEventListener('abort', onAbort);
+      this.running.delete(executionId);
+    };
+  }
+  
+  /**
+   * Get execution history for the agent, newest first
+   * @param {Number|Object} filter - Maximum number of items, or a query filter
+   * @param {String|Array} filter.action - Only these actions
+   * @param {String|Array} filter.status - Only these statuses (success, error, timeout, cancelled, vetoed)
+   * @param {Date|Number|String} filter.since - Only executions at or after this time
+   * @param {Date|Number|String} filter.until - Only executions before this time
+   * @param {Number} filter.limit - Maximum number of items (default: 10)
    * @returns {Array} Execution history
    */
-  getExecutionHistory(limit = 10) {
-    return this.executionHistory
-      .slice(-limit)
-      .reverse();
+  async getExecutionHistory(filter = {}) {
+    const query = typeof filter === 'number' ? { limit: filter } : filter;
+    
+    return this.executionLog.query({
+      limit: 10,
+      ...query,
+      agentId: this.agent.id
+    });
+  }
+  
+  /**
+   * Get duration and error statistics for the agent's executions
+   * @param {Object} filter - Query filter (action, status, since, until)
+   * @returns {Object} Stats ({ total, succeeded, failed, cancelled, vetoed, errorRate, duration: { p50, p95, average }, actions })
+   */
+  async getExecutionStats(filter = {}) {
+    return this.executionLog.stats({ ...filter, agentId: this.agent.id });
+  }
+  
+  /**
+   * Record an execution in the log; a failing store does not fail the action
+   * @param {Object} execution - Execution record
+   * @private
+   */
+  async _recordExecution(execution) {
+    try {
+      await this.executionLog.append(execution);
+    } catch (error) {
+      console.error('Error recording execution:', error);
+    }
+  }
+  
+  /**
+   * Get remaining rate limit quota for the agent
+   * @returns {Object} Quota status per action
+   */
+  async getQuotaStatus() {
+    const status = await this._getRateLimiter().getQuotaStatus();
+    
+    return {
+      agentId: this.agent.id,
+      account: RateLimiterRegistry.getAccountId(this.connector),
+      ...status
+    };
   }
   
   /**
-   * Clear execution history
+   * Resolve the rate limiter for the current connector account.
+   * Agents posting through the same account share one limiter; until the
+   * connector knows its account the executor's own limiter is used.
+   * @returns {RateLimiter} Rate limiter
+   * @private
    */
-  clearExecutionHistory() {
-    this.executionHistory = [];
+  _getRateLimiter() {
+    const account = RateLimiterRegistry.getAccountId(this.connector);
+    
+    if (!this.sharedRateLimits || !account) {
+      return this.rateLimiter;
+    }
+    
+    return RateLimiterRegistry.getLimiter({
+      platform: this.connector.platform || this.agent.platform,
+      account,
+      limits: this.agent.rateLimits
+    });
+  }
+  
+  /**
+   * Clear the agent's execution history; other agents sharing the store keep theirs
+   */
+  async clearExecutionHistory() {
+    await this.executionLog.clear({ agentId: this.agent.id });
   }
   
   /**
    * Register a callback for agent events
-   * @param {String} event - Event name (beforeExecution, afterExecution, executionError)
+   * @param {String} event - Event name (beforeExecution, afterExecution, executionError, executionCancelled, executionVetoed)
    * @param {Function} callback - Event callback function
    */
   on(event, callback) {
@@ -168,4 +475,23 @@ class AgentExecutor extends EventEmitter {
   }
 }
 
+/**
+ * Settle with a promise, or reject with the signal's reason as soon as it aborts.
+ * An action that ignores its signal keeps running, but is no longer awaited.
+ * @private
+ */
+function untilAborted(promise, signal) {
+  if (signal.aborted) {
+    promise.catch(() => {});
+    return Promise.reject(signal.reason);
+  }
+  
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
 module.exports = { AgentExecutor };
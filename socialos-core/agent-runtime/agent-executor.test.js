@@ -0,0 +1,246 @@
+/**
+ * Tests for AgentExecutor rate limiting, dry runs, history, timeouts, cancellation and middleware
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AgentExecutor } = require('./agent-executor');
+const { RateLimiterRegistry } = require('./rate-limiter');
+const { DryRun, Outbox } = require('./dry-run');
+const { getCurrentSignal } = require('./execution-signal');
+
+/**
+ * Create an agent whose actions are the given functions
+ * @param {Object} actions - Action handlers by name
+ * @param {Object} options - Extra agent fields
+ * @returns {Object} Agent
+ */
+function createAgent(actions = {}, options = {}) {
+  return { id: 'agent-1', platform: 'x', process: async () => 'processed', ...actions, ...options };
+}
+
+/**
+ * Create a connector signed in to an account
+ * @param {String} account - Account ID
+ * @returns {Object} Connector
+ */
+function createConnector(account = '42') {
+  return { platform: 'x', connectedUser: { id: account } };
+}
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+});
+
+test.afterEach(() => {
+  RateLimiterRegistry.clear();
+});
+
+test('agents on the same account share its rate limit', async () => {
+  const rateLimits = { post: [{ window: 100, max: 1 }] };
+  const post = async () => Date.now();
+  const first = new AgentExecutor(createAgent({ post }, { rateLimits }), createConnector('42'));
+  const second = new AgentExecutor(createAgent({ post }, { id: 'agent-2', rateLimits }), createConnector('42'));
+  const other = new AgentExecutor(createAgent({ post }, { id: 'agent-3', rateLimits }), createConnector('43'));
+  
+  const started = await first.execute('post', {});
+  const quota = await second.getQuotaStatus();
+  const [shared, separate] = await Promise.all([second.execute('post', {}), other.execute('post', {})]);
+  
+  assert.equal(quota.account, '42');
+  assert.equal(quota.actions.post.remaining, 0);
+  assert.ok(shared - started >= 90, 'second agent waited for the shared window');
+  assert.ok(separate < shared, 'another account has its own window');
+});
+
+test('executors can keep their own limits', async () => {
+  const rateLimits = { post: [{ window: 10000, max: 1 }] };
+  const post = async () => 'posted';
+  const shared = new AgentExecutor(createAgent({ post }, { rateLimits }), createConnector());
+  const isolated = new AgentExecutor(createAgent({ post }, { rateLimits }), createConnector(), { sharedRateLimits: false });
+  
+  await shared.execute('post', {});
+  assert.equal(await isolated.execute('post', {}), 'posted');
+});
+
+test('dry runs record writes under the execution and spend no quota', async () => {
+  const outbox = new Outbox();
+  const previous = DryRun.outbox;
+  DryRun.outbox = outbox;
+  
+  // A connector that intercepts its writes the way BaseConnector subclasses do
+  const connector = {
+    ...createConnector('sandbox'),
+    config: {},
+    post: async content => (DryRun.isEnabled() ? DryRun.intercept(connector, 'post', [content]) : assert.fail('sent live'))
+  };
+  const agent = createAgent({ post: async ({ connector: c, text }) => c.post({ text }) }, { rateLimits: { post: [{ window: 60000, max: 1 }] } });
+  const executor = new AgentExecutor(agent, connector, { dryRun: true });
+  
+  try {
+    const first = await executor.execute('post', { text: 'one' });
+    await executor.execute('post', { text: 'two' });
+    const [, execution] = await executor.getExecutionHistory();
+    
+    assert.equal(first.dryRun, true);
+    assert.equal(execution.dryRun, true);
+    assert.deepEqual(execution.outbox, [first.id]);
+    assert.equal(outbox.list({ agentId: 'agent-1' }).length, 2);
+    assert.equal((await executor.getQuotaStatus()).actions.post.remaining, 1);
+    assert.equal(DryRun.isEnabled(), false, 'the scope ends with the execution');
+  } finally {
+    DryRun.outbox = previous;
+  }
+});
+
+test('records and rethrows non-Error throws as errors', async () => {
+  const agent = createAgent({
+    throwString: async () => { throw 'quota gone'; },
+    throwNull: async () => { throw null; }
+  });
+  const executor = new AgentExecutor(agent, createConnector());
+  const errors = [];
+  executor.on('executionError', ({ error }) => errors.push(error));
+  
+  await assert.rejects(executor.execute('throwString'), error => error instanceof Error && error.message === 'quota gone');
+  await assert.rejects(executor.execute('throwNull'), error => error instanceof Error && error.message === 'null');
+  
+  const history = await executor.getExecutionHistory();
+  assert.deepEqual(history.map(execution => [execution.status, execution.error]), [['error', 'null'], ['error', 'quota gone']]);
+  assert.equal(errors.length, 2);
+});
+
+test('times out hung actions and aborts the work they started', async () => {
+  let seen;
+  const agent = createAgent({
+    generate: async (context) => {
+      seen = { signal: context.signal, current: getCurrentSignal() };
+      return new Promise(() => {});
+    }
+  });
+  const executor = new AgentExecutor(agent, createConnector(), { timeouts: { generate: 20 } });
+  const errors = [];
+  executor.on('executionError', ({ error }) => errors.push(error));
+  
+  await assert.rejects(executor.execute('generate'), { code: 'EXECUTION_TIMEOUT', message: /timed out after 20ms/ });
+  
+  const [execution] = await executor.getExecutionHistory();
+  assert.equal(execution.status, 'timeout');
+  assert.equal(seen.signal.aborted, true);
+  assert.equal(seen.current, seen.signal, 'connector calls see the execution signal');
+  assert.equal(errors.length, 1);
+  assert.deepEqual(executor.getRunningExecutions(), []);
+  
+  // A per-call timeout overrides the per-action one, and 0 disables it
+  const quick = new AgentExecutor(createAgent({ wait: () => new Promise(resolve => setTimeout(() => resolve('done'), 30)) }), createConnector(), { timeout: 10 });
+  assert.equal(await quick.execute('wait', {}, { timeout: 0 }), 'done');
+});
+
+test('cancels running executions without reporting an error', async () => {
+  let started;
+  const running = new Promise(resolve => { started = resolve; });
+  const agent = createAgent({ hang: async (context) => { started(context.executionId); return new Promise(() => {}); } });
+  const executor = new AgentExecutor(agent, createConnector());
+  const events = [];
+  executor.on('executionCancelled', () => events.push('cancelled'));
+  executor.on('executionError', () => events.push('error'));
+  
+  const execution = executor.execute('hang');
+  const executionId = await running;
+  const [listed] = executor.getRunningExecutions();
+  
+  assert.equal(listed.executionId, executionId);
+  assert.equal(listed.action, 'hang');
+  assert.equal(listed.timeout, 300000);
+  assert.equal(executor.cancel(executionId, 'user stopped it'), true);
+  await assert.rejects(execution, { code: 'EXECUTION_CANCELLED', executionId, message: /user stopped it/ });
+  
+  const [recorded] = await executor.getExecutionHistory();
+  assert.equal(recorded.status, 'cancelled');
+  assert.deepEqual(events, ['cancelled']);
+  assert.equal(executor.cancel(executionId), false);
+  assert.deepEqual(executor.getRunningExecutions(), []);
+});
+
+test('an external signal cancels the execution', async () => {
+  const agent = createAgent({ hang: async () => new Promise(() => {}) });
+  const executor = new AgentExecutor(agent, createConnector());
+  const controller = new AbortController();
+  
+  const execution = executor.execute('hang', {}, { signal: controller.signal });
+  controller.abort();
+  
+  await assert.rejects(execution, { code: 'EXECUTION_CANCELLED', message: /signal aborted/ });
+  
+  // An already aborted signal cancels before the action runs
+  const post = async () => assert.fail('ran after abort');
+  await assert.rejects(new AgentExecutor(createAgent({ post }), createConnector()).execute('post', {}, { signal: controller.signal }), { code: 'EXECUTION_CANCELLED' });
+});
+
+test('middleware runs in order and can rewrite the action, context and result', async () => {
+  const order = [];
+  const agent = createAgent({
+    draft: async () => assert.fail('rewritten away'),
+    post: async ({ text }) => `posted ${text}`
+  });
+  const executor = new AgentExecutor(agent, createConnector(), {
+    middleware: [async (ctx, next) => {
+      order.push('outer');
+      ctx.action = 'post';
+      return `${await next()}!`;
+    }]
+  });
+  executor.use(async (ctx, next) => {
+    order.push(`inner ${ctx.action}`);
+    ctx.context.text = ctx.context.text.toUpperCase();
+    return next();
+  });
+  
+  assert.equal(await executor.execute('draft', { text: 'hello' }), 'posted HELLO!');
+  assert.deepEqual(order, ['outer', 'inner post']);
+  
+  const [execution] = await executor.getExecutionHistory();
+  assert.equal(execution.action, 'post');
+  assert.equal(execution.shortCircuited, undefined);
+  assert.throws(() => executor.use('logger'), /must be a function/);
+});
+
+test('middleware can answer without running the action or spending quota', async () => {
+  const post = async () => assert.fail('ran the action');
+  const agent = createAgent({ post }, { rateLimits: { post: [{ window: 60000, max: 1 }] } });
+  const executor = new AgentExecutor(agent, createConnector('cached')).use(async () => 'cached');
+  
+  assert.equal(await executor.execute('post'), 'cached');
+  
+  const [execution] = await executor.getExecutionHistory();
+  assert.equal(execution.status, 'success');
+  assert.equal(execution.shortCircuited, true);
+  assert.equal((await executor.getQuotaStatus()).actions.post.remaining, 1);
+});
+
+test('vetoed actions are recorded apart from failures', async () => {
+  const post = async () => assert.fail('ran a vetoed action');
+  const executor = new AgentExecutor(createAgent({ post }), createConnector());
+  executor.use(async (ctx, next) => (ctx.context.text.includes('spam') ? ctx.veto('content filter') : next()));
+  const events = [];
+  executor.on('executionVetoed', ({ error }) => events.push(error.reason));
+  executor.on('executionError', () => events.push('error'));
+  
+  await assert.rejects(executor.execute('post', { text: 'buy spam' }), { code: 'EXECUTION_VETOED', reason: 'content filter' });
+  
+  const [execution] = await executor.getExecutionHistory();
+  assert.equal(execution.status, 'vetoed');
+  assert.deepEqual(events, ['content filter']);
+});
+
+test('middleware may call next() only once', async () => {
+  let runs = 0;
+  const executor = new AgentExecutor(createAgent({ post: async () => ++runs }), createConnector());
+  executor.use(async (ctx, next) => {
+    await next();
+    return next();
+  });
+  
+  await assert.rejects(executor.execute('post'), /called next\(\) more than once/);
+  assert.equal(runs, 1);
+});
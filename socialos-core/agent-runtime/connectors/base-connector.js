@@ -5,15 +5,83 @@
  * Defines the common interface and shared functionality.
  */
 
-class BaseConnector {
+const { EventEmitter } = require('events');
+const { RetryPolicy } = require('./retry-policy');
+const { CircuitBreaker } = require('./circuit-breaker');
+const { HealthMonitor } = require('./health-monitor');
+const { OAuth2Client } = require('./oauth2');
+const { createCredentialProvider } = require('./credential-providers');
+const { DryRun } = require('../dry-run');
+const { getCurrentSignal } = require('../execution-signal');
+
+class BaseConnector extends EventEmitter {
   /**
    * Create a new base connector
    * @param {String} platform - Platform identifier
+   * @param {Object} config - Connector configuration
+   * @param {Object|Boolean} config.retry - Retry policy options, or false to disable retries
+   * @param {Object} config.circuitBreaker - Circuit breaker options
+   * @param {Object} config.credentialProvider - Credential provider, or { type: 'env' | 'file' | 'custom', ... }
+   * @param {String} config.credentialKey - Key credentials are stored under (default: platform)
+   * @param {Boolean} config.dryRun - Record writes in the dry-run outbox instead of sending them (see DryRun)
+   * @param {Object} config.health - Health options: HealthMonitor thresholds, plus interval (probe period in ms,
+   *   default 60000) and reconnect (RetryPolicy options for reconnect backoff, with maxAttempts)
    */
-  constructor(platform) {
+  constructor(platform, config = {}) {
+    super();
     this.platform = platform;
+    this.config = config;
+    
+    // Health is derived from call outcomes, probes and the connection state
+    const healthOptions = config.health || {};
+    this.health = new HealthMonitor({ name: platform, ...healthOptions });
+    this.healthTimer = null;
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+    this.reconnectPolicy = new RetryPolicy({
+      baseDelay: 1000,
+      maxDelay: 5 * 60 * 1000,
+      maxAttempts: Infinity,
+      ...healthOptions.reconnect
+    });
+    
+    this.health.on('change', (change) => {
+      this.logActivity('health', change);
+      this.emit('health', { platform: this.platform, ...change, health: this.health.getStatus() });
+    });
+    
     this.connected = false;
     this.lastConnection = null;
+    
+    // Credentials can come from a provider instead of the config object
+    this.credentialProvider = createCredentialProvider(config.credentialProvider);
+    this.oauth = null;
+    
+    // Resilience for platform API calls
+    this.retryPolicy = new RetryPolicy(config.retry === false ? { maxAttempts: 1 } : config.retry);
+    this.circuitBreaker = new CircuitBreaker({
+      name: platform,
+      ...config.circuitBreaker
+    });
+    
+    this.circuitBreaker.on('stateChange', (change) => {
+      this.logActivity('circuit', change);
+      this.health.setCircuitOpen(change.to === CircuitBreaker.STATES.OPEN);
+      this.emit('circuitStateChange', { platform: this.platform, ...change });
+    });
+  }
+  
+  /**
+   * Whether the connector is connected; setting it updates the health status
+   * @type {Boolean}
+   */
+  get connected() {
+    return this._connected;
+  }
+  
+  set connected(connected) {
+    this._connected = Boolean(connected);
+    this.health.setConnected(this._connected);
   }
   
   /**
@@ -27,6 +95,9 @@ class BaseConnector {
    * Disconnect from the platform
    */
   async disconnect() {
+    // A deliberate disconnect must not trigger a reconnect
+    this.stopHealthChecks();
+    
     this.connected = false;
     this.lastConnection = null;
     return { disconnected: true };
@@ -40,36 +111,494 @@ class BaseConnector {
     return {
       platform: this.platform,
       connected: this.connected,
-      lastConnection: this.lastConnection
+      lastConnection: this.lastConnection,
+      circuit: this.circuitBreaker.getStatus(),
+      health: this.getHealth()
     };
   }
   
   /**
-   * Post content to the platform (to be implemented by subclasses)
+   * Get the connector's health
+   * @returns {Object} Health ({ platform, status, reason, errorRate, latency, ... })
+   */
+  getHealth() {
+    return {
+      platform: this.platform,
+      ...this.health.getStatus(),
+      monitoring: Boolean(this.healthTimer),
+      reconnectAttempts: this.reconnectAttempts
+    };
+  }
+  
+  /**
+   * Probe the platform periodically and reconnect with backoff when the connection drops
+   * @param {Object} options - Health check options
+   * @param {Number} options.interval - Probe period in ms (default: config.health.interval or 60000)
+   */
+  startHealthChecks(options = {}) {
+    if (this.healthTimer) return;
+    
+    const interval = options.interval || (this.config.health || {}).interval || 60000;
+    
+    this.healthTimer = setInterval(() => {
+      this.checkHealth().catch(error => this.logActivity('health_check_error', { error: error.message }));
+    }, interval);
+    
+    // Monitoring alone should not keep the process alive
+    if (this.healthTimer.unref) this.healthTimer.unref();
+  }
+  
+  /**
+   * Stop health probes and any pending reconnect
+   */
+  stopHealthChecks() {
+    clearInterval(this.healthTimer);
+    clearTimeout(this.reconnectTimer);
+    this.healthTimer = null;
+    this.reconnectTimer = null;
+  }
+  
+  /**
+   * Run one health probe. A dropped connection, or too many failed probes,
+   * schedules a reconnect while health checks are running.
+   * @returns {Object} Health after the probe
+   */
+  async checkHealth() {
+    if (!this.connected) {
+      this._scheduleReconnect();
+      return this.getHealth();
+    }
+    
+    try {
+      await this._probe();
+      this.health.recordProbe(true);
+    } catch (error) {
+      // An open circuit kept the probe from reaching the platform at all
+      if (error.code !== 'CIRCUIT_OPEN') {
+        this.health.recordProbe(false, error);
+      }
+      
+      if (this.health.isProbeFailing()) {
+        this._handleDrop(`health probe failed: ${error.message}`);
+      }
+    }
+    
+    return this.getHealth();
+  }
+  
+  /**
+   * Make a cheap authenticated call to check the platform is reachable.
+   * Subclasses override this; the default only checks the connection flag.
+   * @protected
+   */
+  async _probe() {
+    if (!this.connected) {
+      throw new Error(`Not connected to ${this.platform}`);
+    }
+  }
+  
+  /**
+   * Mark the connection as dropped and reconnect if health checks are running
+   * @param {String} reason - Why the connection was lost
+   * @protected
+   */
+  _handleDrop(reason) {
+    if (this.connected) {
+      this.connected = false;
+      this.logActivity('connection_dropped', { reason });
+      this.emit('connectionDropped', { platform: this.platform, reason });
+    }
+    
+    this._scheduleReconnect();
+  }
+  
+  /**
+   * Schedule the next reconnect attempt with backoff
+   * @private
+   */
+  _scheduleReconnect() {
+    if (!this.healthTimer || this.reconnectTimer) return;
+    
+    if (this.reconnectAttempts >= this.reconnectPolicy.maxAttempts) {
+      this.emit('reconnectFailed', { platform: this.platform, attempts: this.reconnectAttempts });
+      this.stopHealthChecks();
+      return;
+    }
+    
+    this.reconnectAttempts++;
+    let delay = this.reconnectPolicy.getDelay(this.reconnectAttempts);
+    
+    // Attempts while the circuit is open would be rejected without reaching the platform
+    const circuit = this.circuitBreaker;
+    if (circuit.state === CircuitBreaker.STATES.OPEN) {
+      delay = Math.max(delay, circuit.openedAt + circuit.resetTimeout - Date.now());
+    }
+    
+    this.emit('reconnecting', { platform: this.platform, attempt: this.reconnectAttempts, delay });
+    
+    this.reconnectTimer = setTimeout(async () => {
+      try {
+        await this.connect();
+        
+        const attempts = this.reconnectAttempts;
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
+        this.emit('reconnected', { platform: this.platform, attempts });
+      } catch (error) {
+        this.logActivity('reconnect_failed', { attempt: this.reconnectAttempts, error: error.message });
+        this.reconnectTimer = null;
+        this._scheduleReconnect();
+      }
+    }, delay);
+    
+    if (this.reconnectTimer.unref) this.reconnectTimer.unref();
+  }
+  
+  /**
+   * Get the actions this connector supports
+   * @returns {Array} Supported action names
+   */
+  getCapabilities() {
+    return [...(this.constructor.capabilities || [])];
+  }
+  
+  /**
+   * Check whether an action is supported before attempting it
+   * @param {String} action - Action name (e.g. repost, streamMentions)
+   * @returns {Boolean} True if the action is supported
+   */
+  supports(action) {
+    return typeof this[action] === 'function' && this.getCapabilities().includes(action);
+  }
+  
+  // PlatformConnector interface (socialos-protocol). Subclasses override the
+  // actions their platform supports; the rest reject with UNSUPPORTED_CAPABILITY.
+  
+  /**
+   * Post content to the platform
    * @param {Object} content - Content to post
    * @param {Object} options - Post options
+   * @returns {Object} Post result
    */
   async post(content, options = {}) {
-    throw new Error('Method not implemented');
+    throw this._createUnsupportedError('post');
+  }
+  
+  /**
+   * Reply to a post
+   * @param {String} targetId - ID of the post to reply to
+   * @param {Object} content - Reply content
+   * @returns {Object} Reply result
+   */
+  async reply(targetId, content) {
+    throw this._createUnsupportedError('reply');
+  }
+  
+  /**
+   * Repost (share) a post
+   * @param {String} targetId - ID of the post to repost
+   * @param {Object} comment - Optional comment (quote)
+   * @returns {Object} Repost result
+   */
+  async repost(targetId, comment) {
+    throw this._createUnsupportedError('repost');
+  }
+  
+  /**
+   * Like a post
+   * @param {String} targetId - ID of the post to like
+   * @returns {Object} Like result
+   */
+  async like(targetId) {
+    throw this._createUnsupportedError('like');
+  }
+  
+  /**
+   * Get a post by ID
+   * @param {String} id - Post ID
+   * @returns {Object} Normalized post
+   */
+  async getPost(id) {
+    throw this._createUnsupportedError('getPost');
+  }
+  
+  /**
+   * Get a user profile
+   * @param {String} handle - User handle or ID
+   * @returns {Object} Normalized author
+   */
+  async getUserProfile(handle) {
+    throw this._createUnsupportedError('getUserProfile');
+  }
+  
+  /**
+   * Search the platform
+   * @param {String} query - Search query
+   * @param {Object} options - Search options
+   * @returns {Object} Search results ({ posts, meta })
+   */
+  async search(query, options = {}) {
+    throw this._createUnsupportedError('search');
+  }
+  
+  /**
+   * Get trending topics
+   * @param {*} location - Platform-specific location or options
+   * @returns {Array} Trends
+   */
+  async getTrends(location) {
+    throw this._createUnsupportedError('getTrends');
+  }
+  
+  /**
+   * Follow a user
+   * @param {String} handle - User handle or ID
+   * @returns {Object} Follow result
+   */
+  async followUser(handle) {
+    throw this._createUnsupportedError('followUser');
+  }
+  
+  /**
+   * Send a direct message
+   * @param {String} recipient - Recipient handle or ID
+   * @param {Object} content - Message content
+   * @returns {Object} Message result
+   */
+  async sendDirectMessage(recipient, content) {
+    throw this._createUnsupportedError('sendDirectMessage');
+  }
+  
+  /**
+   * Stream mentions of the connected account
+   * @param {Object} options - Stream options
+   * @returns {AsyncGenerator} Mention stream
+   */
+  async *streamMentions(options = {}) {
+    throw this._createUnsupportedError('streamMentions');
+  }
+  
+  /**
+   * Stream the connected account's timeline
+   * @param {Object} options - Stream options
+   * @returns {AsyncGenerator} Post stream
+   */
+  async *streamTimeline(options = {}) {
+    throw this._createUnsupportedError('streamTimeline');
+  }
+  
+  /**
+   * Build the URL a user visits to authorize this connector (OAuth 2 platforms only)
+   * @param {Object} options - Authorization options (state, scopes)
+   * @returns {Object} { url, state, codeVerifier } - keep state and codeVerifier for the callback
+   */
+  getAuthorizationUrl(options = {}) {
+    const oauth = this._getOAuthClient();
+    if (!oauth) {
+      throw this._createUnsupportedError('OAuth 2 authorization');
+    }
+    
+    return oauth.getAuthorizationUrl(options);
+  }
+  
+  /**
+   * Complete authorization with the code from the OAuth redirect
+   * @param {String} code - Authorization code
+   * @param {Object} options - Exchange options (codeVerifier for PKCE platforms)
+   * @returns {Object} Tokens ({ accessToken, refreshToken, expiresAt })
+   */
+  async completeAuthorization(code, options = {}) {
+    const oauth = this._getOAuthClient();
+    if (!oauth) {
+      throw this._createUnsupportedError('OAuth 2 authorization');
+    }
+    
+    return oauth.exchangeCode(code, options);
+  }
+  
+  /**
+   * Merge credentials from the credential provider into the config.
+   * Subclasses call this at the start of connect().
+   * @returns {Object} Resolved config
+   * @protected
+   */
+  async _loadCredentials() {
+    if (this.credentialProvider) {
+      const credentials = await this.credentialProvider.get(this.config.credentialKey || this.platform);
+      this.config = { ...this.config, ...credentials };
+      
+      if (this.oauth) {
+        this.oauth.setCredentials(credentials);
+      }
+    }
+    
+    return this.config;
+  }
+  
+  /**
+   * Get the OAuth 2 client, creating it on first use.
+   * Available when the connector class declares oauthEndpoints and config.clientId is set.
+   * @returns {OAuth2Client|null} OAuth client
+   * @protected
+   */
+  _getOAuthClient() {
+    const endpoints = this.constructor.oauthEndpoints;
+    
+    if (this.oauth || !endpoints || !this.config.clientId) {
+      return this.oauth;
+    }
+    
+    this.oauth = new OAuth2Client({
+      ...endpoints,
+      platform: this.platform,
+      clientId: this.config.clientId,
+      clientSecret: this.config.clientSecret,
+      redirectUri: this.config.redirectUri,
+      scopes: this.config.scopes || endpoints.scopes,
+      credentials: {
+        accessToken: this.config.accessToken,
+        refreshToken: this.config.refreshToken,
+        expiresAt: this.config.expiresAt
+      },
+      provider: this.credentialProvider,
+      credentialKey: this.config.credentialKey || this.platform,
+      timeout: this.config.timeout,
+      fetch: this.config.fetch
+    });
+    
+    this.oauth.on('credentialsRefreshed', (event) => {
+      this.config = { ...this.config, ...event.credentials };
+      this.logActivity('credentials_refreshed', { grant: event.grant, expiresAt: event.expiresAt });
+      this.emit('credentialsRefreshed', event);
+    });
+    
+    return this.oauth;
+  }
+  
+  /**
+   * Check whether a write should go to the dry-run outbox instead of the platform.
+   * Write methods start with
+   * `if (this._isDryRun('post')) return this._recordDryRun('post', [content, options]);`
+   * Unsupported actions are never intercepted, so they still reject.
+   * @param {String} action - Write action
+   * @returns {Boolean} True in dry-run mode for a supported action
+   * @protected
+   */
+  _isDryRun(action) {
+    return DryRun.isEnabled(this) && this.supports(action);
   }
   
   /**
-   * Generic method to handle platform API calls
+   * Record a write in the dry-run outbox
+   * @param {String} action - Write action
+   * @param {Array} args - Call arguments
+   * @returns {Object} Fake result shaped like the real one
+   * @protected
+   */
+  async _recordDryRun(action, args) {
+    return DryRun.intercept(this, action, args);
+  }
+  
+  /**
+   * Generic method to handle platform API calls.
+   * Retries transient failures and short-circuits while the platform is failing.
+   * A 401 from an OAuth 2 platform refreshes the token and retries the call once.
+   * Inside a cancelled or timed-out execution the call rejects with the execution's abort reason.
    * @param {Function} apiCall - API call function
    * @param {String} errorMessage - Error message if call fails
+   * @param {Object} options - Call options
+   * @param {Boolean} options.retry - Set to false to skip retries for this call
    */
-  async _handleApiCall(apiCall, errorMessage) {
+  async _handleApiCall(apiCall, errorMessage, options = {}) {
+    const signal = getCurrentSignal();
+    
+    if (signal && signal.aborted) {
+      throw signal.reason;
+    }
+    
+    if (!this.circuitBreaker.canExecute()) {
+      throw this._formatError(this.circuitBreaker.createOpenError(), errorMessage);
+    }
+    
+    const policy = options.retry === false ? new RetryPolicy({ maxAttempts: 1 }) : this.retryPolicy;
+    
+    const executeOptions = {
+      signal,
+      onRetry: (error, attempt, delay) => {
+        this.logActivity('retry', { errorMessage, attempt, delay, error: error.message });
+      }
+    };
+    
+    const startTime = Date.now();
+    
     try {
-      return await apiCall();
+      let result;
+      try {
+        result = await policy.execute(apiCall, executeOptions);
+      } catch (error) {
+        // The token expired early or was revoked: refresh it and try once more
+        if (RetryPolicy.getStatus(error) !== 401 || !this.oauth || !this.oauth.canRefresh()) {
+          throw error;
+        }
+        
+        await this.oauth.refresh();
+        result = await policy.execute(apiCall, executeOptions);
+      }
+      
+      this.circuitBreaker.recordSuccess();
+      this.health.recordSuccess(Date.now() - startTime);
+      return result;
     } catch (error) {
-      // Format and rethrow the error with platform context
-      const formattedError = new Error(`${this.platform} connector error - ${errorMessage}: ${error.message}`);
-      formattedError.originalError = error;
-      formattedError.platform = this.platform;
-      throw formattedError;
+      // A cancelled call says nothing about the platform either way
+      if (signal && signal.aborted) {
+        this.circuitBreaker.release();
+        throw signal.reason;
+      }
+      
+      // Client errors are the caller's fault and say nothing about platform health
+      if (RetryPolicy.classify(error) === 'client') {
+        this.circuitBreaker.release();
+        this.health.recordSuccess(Date.now() - startTime);
+      } else {
+        this.circuitBreaker.recordFailure(error);
+        this.health.recordFailure(Date.now() - startTime, error);
+      }
+      
+      throw this._formatError(error, errorMessage);
     }
   }
   
+  /**
+   * Format an error with platform context
+   * @param {Error} error - Original error
+   * @param {String} errorMessage - Error message
+   * @returns {Error} Formatted error
+   * @private
+   */
+  _formatError(error, errorMessage) {
+    const formattedError = new Error(`${this.platform} connector error - ${errorMessage}: ${error.message}`);
+    formattedError.originalError = error;
+    formattedError.platform = this.platform;
+    formattedError.code = error.code;
+    formattedError.status = RetryPolicy.getStatus(error);
+    formattedError.attempts = error.attempts;
+    return formattedError;
+  }
+  
+  /**
+   * Create the error thrown for actions the platform does not support
+   * @param {String} action - Action name
+   * @returns {Error} Error with code UNSUPPORTED_CAPABILITY
+   * @private
+   */
+  _createUnsupportedError(action) {
+    const error = new Error(`${this.platform} connector does not support ${action}`);
+    error.code = 'UNSUPPORTED_CAPABILITY';
+    error.platform = this.platform;
+    error.capability = action;
+    return error;
+  }
+  
   /**
    * Log activity to platform-specific analytics
    * @param {String} action - Action performed
@@ -0,0 +1,186 @@
+/**
+ * Tests for BaseConnector API call handling
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BaseConnector } = require('./base-connector');
+
+/**
+ * Create an error carrying an HTTP status
+ * @param {Number} status - HTTP status
+ * @returns {Error} Error
+ */
+function httpError(status) {
+  const error = new Error(`HTTP ${status}`);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Create a connector with fast retries
+ * @param {Object} config - Extra connector config
+ * @returns {BaseConnector} Connector
+ */
+function createConnector(config = {}) {
+  return new BaseConnector('test', {
+    retry: { baseDelay: 1, jitter: 0 },
+    circuitBreaker: { failureThreshold: 2, resetTimeout: 10000 },
+    ...config
+  });
+}
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+});
+
+test('retries transient failures before succeeding', async () => {
+  const connector = createConnector();
+  let calls = 0;
+  
+  const result = await connector._handleApiCall(async () => {
+    calls++;
+    if (calls < 3) throw httpError(502);
+    return { ok: true };
+  }, 'Failed to post');
+  
+  assert.deepEqual(result, { ok: true });
+  assert.equal(calls, 3);
+  assert.equal(connector.circuitBreaker.state, 'closed');
+});
+
+test('formats the final error with platform context', async () => {
+  const connector = createConnector({ retry: false });
+  
+  const error = await connector._handleApiCall(async () => { throw httpError(500); }, 'Failed to post').catch(e => e);
+  
+  assert.equal(error.message, 'test connector error - Failed to post: HTTP 500');
+  assert.equal(error.platform, 'test');
+  assert.equal(error.status, 500);
+  assert.equal(error.attempts, 1);
+  assert.equal(error.originalError.status, 500);
+});
+
+test('opens the circuit after repeated failures and stops calling the platform', async () => {
+  const connector = createConnector({ retry: false });
+  const changes = [];
+  connector.on('circuitStateChange', change => changes.push(change.to));
+  let calls = 0;
+  const failing = async () => { calls++; throw httpError(503); };
+  
+  await assert.rejects(connector._handleApiCall(failing, 'Failed'));
+  await assert.rejects(connector._handleApiCall(failing, 'Failed'));
+  await assert.rejects(connector._handleApiCall(failing, 'Failed'), { code: 'CIRCUIT_OPEN' });
+  
+  assert.equal(calls, 2);
+  assert.deepEqual(changes, ['open']);
+  assert.equal(connector.getConnectionStatus().circuit.state, 'open');
+});
+
+test('client errors do not count against the circuit', async () => {
+  const connector = createConnector();
+  let calls = 0;
+  const rejected = async () => { calls++; throw httpError(422); };
+  
+  for (let i = 0; i < 3; i++) {
+    await assert.rejects(connector._handleApiCall(rejected, 'Failed'), { status: 422 });
+  }
+  
+  assert.equal(calls, 3, 'client errors are not retried');
+  assert.equal(connector.circuitBreaker.state, 'closed');
+});
+
+test('a single call can opt out of retries', async () => {
+  const connector = createConnector();
+  let calls = 0;
+  
+  await assert.rejects(connector._handleApiCall(async () => { calls++; throw httpError(503); }, 'Failed', { retry: false }));
+  assert.equal(calls, 1);
+});
+
+/**
+ * Connector whose connect() fails a number of times before succeeding
+ */
+class FlakyConnector extends BaseConnector {
+  constructor(failures, config = {}) {
+    super('flaky', { health: { maxProbeFailures: 1, reconnect: { baseDelay: 1, jitter: 0, maxAttempts: 5 } }, ...config });
+    this.failures = failures;
+    this.connects = 0;
+    this.probeError = null;
+  }
+  
+  async connect() {
+    this.connects++;
+    if (this.connects <= this.failures) {
+      throw new Error('connection refused');
+    }
+    this.connected = true;
+    return { connected: true };
+  }
+  
+  async _probe() {
+    if (this.probeError) throw this.probeError;
+  }
+}
+
+/**
+ * Keep the event loop alive for a test; reconnect timers are unref'd
+ * @param {Object} t - Test context
+ */
+function keepAlive(t) {
+  const timer = setInterval(() => {}, 1000);
+  t.after(() => clearInterval(timer));
+}
+
+test('reconnects with backoff after a failed probe drops the connection', async (t) => {
+  const connector = new FlakyConnector(0);
+  await connector.connect();
+  connector.failures = 3;
+  connector.startHealthChecks({ interval: 60000 });
+  t.after(() => connector.stopHealthChecks());
+  keepAlive(t);
+  
+  const statuses = [];
+  const attempts = [];
+  connector.on('health', ({ status }) => statuses.push(status));
+  connector.on('reconnecting', ({ attempt }) => attempts.push(attempt));
+  const reconnected = new Promise(resolve => connector.once('reconnected', resolve));
+  
+  connector.probeError = new Error('timeout');
+  const health = await connector.checkHealth();
+  
+  assert.equal(health.status, 'unhealthy');
+  assert.equal(health.connected, false);
+  
+  connector.probeError = null;
+  assert.deepEqual(await reconnected, { platform: 'flaky', attempts: 3 });
+  assert.deepEqual(attempts, [1, 2, 3]);
+  assert.deepEqual(statuses, ['unhealthy', 'healthy']);
+  assert.equal(connector.getHealth().reconnectAttempts, 0);
+});
+
+test('gives up reconnecting after the maximum attempts', async (t) => {
+  const connector = new FlakyConnector(Infinity);
+  connector.startHealthChecks({ interval: 60000 });
+  t.after(() => connector.stopHealthChecks());
+  keepAlive(t);
+  
+  const failed = new Promise(resolve => connector.once('reconnectFailed', resolve));
+  await connector.checkHealth();
+  
+  assert.deepEqual(await failed, { platform: 'flaky', attempts: 5 });
+  assert.equal(connector.connects, 5);
+  assert.equal(connector.getHealth().monitoring, false);
+});
+
+test('does not reconnect after a deliberate disconnect', async () => {
+  const connector = new FlakyConnector(0);
+  await connector.connect();
+  connector.startHealthChecks({ interval: 60000 });
+  
+  await connector.disconnect();
+  await connector.checkHealth();
+  
+  assert.equal(connector.reconnectTimer, null);
+  assert.equal(connector.connects, 1);
+});
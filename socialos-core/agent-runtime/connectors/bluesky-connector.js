@@ -0,0 +1,706 @@
+/**
+ * SocialOS Bluesky Connector
+ * 
+ * Platform connector for Bluesky and other AT Protocol services.
+ * Handles app-password sessions, rich-text posting, engagement and mentions.
+ */
+
+const { BaseConnector } = require('./base-connector');
+const { HttpClient } = require('./http-client');
+const { createPost, createAuthor, createSearchResults } = require('./content-model');
+const { sleep } = require('./retry-policy');
+
+const MAX_GRAPHEMES = 300;
+const CHAT_SERVICE = 'did:web:api.bsky.chat#bsky_chat';
+
+class BlueskyConnector extends BaseConnector {
+  /**
+   * Create a new Bluesky connector
+   * @param {Object} config - Connector configuration
+   * @param {String} config.identifier - Account handle or email
+   * @param {String} config.appPassword - App password (not the account password)
+   * @param {String} config.service - PDS / service URL (default: https://bsky.social)
+   * @param {Number} config.pollInterval - Mention polling interval in ms (default: 30000)
+   */
+  constructor(config = {}) {
+    super('bluesky', config);
+    
+    this.config = config;
+    this.service = config.service || 'https://bsky.social';
+    this.client = null;
+    this.session = null;
+    this.connectedUser = null;
+    this.pollInterval = config.pollInterval || 30000;
+  }
+  
+  /**
+   * Create an app-password session
+   * @returns {Object} Connection result
+   */
+  async connect() {
+    await this._loadCredentials();
+    
+    if (!this.config.identifier || !this.config.appPassword) {
+      throw new Error('Bluesky identifier and appPassword are required');
+    }
+    
+    this.client = new HttpClient({
+      baseUrl: this.service,
+      timeout: this.config.timeout,
+      fetch: this.config.fetch
+    });
+    
+    return this._handleApiCall(async () => {
+      console.log(`Creating Bluesky session for ${this.config.identifier}`);
+      
+      this.session = await this.client.post('/xrpc/com.atproto.server.createSession', {
+        identifier: this.config.identifier,
+        password: this.config.appPassword
+      });
+      
+      this.connected = true;
+      this.lastConnection = new Date();
+      this.connectedUser = {
+        id: this.session.did,
+        username: this.session.handle,
+        name: this.session.handle
+      };
+      
+      return {
+        connected: true,
+        user: this.connectedUser
+      };
+    }, 'Failed to connect to Bluesky');
+  }
+  
+  /**
+   * Check the platform is reachable by looking up the session
+   * @protected
+   */
+  async _probe() {
+    await this._xrpc('GET', 'com.atproto.server.getSession', {}, 'Health probe failed', { retry: false });
+  }
+  
+  /**
+   * Publish a post
+   * @param {Object} content - Post content
+   * @param {String} content.text - Post text (max 300 graphemes)
+   * @param {Array} content.langs - Language codes (optional)
+   * @param {Object} options - Post options
+   * @param {Object} options.reply - Reply refs ({ root: { uri, cid }, parent: { uri, cid } })
+   * @param {Object} options.embed - Embed object (e.g. a quoted record)
+   * @returns {Object} Post result
+   */
+  async post(content, options = {}) {
+    if (this._isDryRun('post')) return this._recordDryRun('post', [content, options]);
+    
+    this._requireConnection();
+    
+    const graphemes = countGraphemes(content.text);
+    if (graphemes > MAX_GRAPHEMES) {
+      throw new Error(`Bluesky posts are limited to ${MAX_GRAPHEMES} graphemes (got ${graphemes})`);
+    }
+    
+    const record = {
+      $type: 'app.bsky.feed.post',
+      text: content.text,
+      createdAt: new Date().toISOString()
+    };
+    
+    const facets = await this.buildFacets(content.text);
+    if (facets.length > 0) {
+      record.facets = facets;
+    }
+    
+    if (content.langs) {
+      record.langs = content.langs;
+    }
+    
+    if (options.reply) {
+      record.reply = options.reply;
+    }
+    
+    if (options.embed) {
+      record.embed = options.embed;
+    }
+    
+    console.log(`Posting to Bluesky: "${content.text}"`);
+    
+    // Record creation is not idempotent, so a retry could publish twice
+    const created = await this._createRecord('app.bsky.feed.post', record, 'Failed to post', { retry: false });
+    
+    return {
+      success: true,
+      id: created.uri,
+      cid: created.cid,
+      text: content.text,
+      url: this._getPostUrl(created.uri, this.session.handle)
+    };
+  }
+  
+  /**
+   * Reply to a post, threading it under the original conversation root
+   * @param {String} postUri - AT URI of the post to reply to
+   * @param {Object} content - Reply content
+   * @returns {Object} Reply result
+   */
+  async reply(postUri, content) {
+    if (this._isDryRun('reply')) return this._recordDryRun('reply', [postUri, content]);
+    
+    this._requireConnection();
+    
+    const parent = await this._getRawPost(postUri);
+    const parentRef = { uri: parent.uri, cid: parent.cid };
+    const root = parent.record && parent.record.reply ? parent.record.reply.root : parentRef;
+    
+    const result = await this.post(content, {
+      reply: { root, parent: parentRef }
+    });
+    
+    return {
+      ...result,
+      replyTo: postUri
+    };
+  }
+  
+  /**
+   * Like a post
+   * @param {String} postUri - AT URI of the post to like
+   * @returns {Object} Like result
+   */
+  async like(postUri) {
+    if (this._isDryRun('like')) return this._recordDryRun('like', [postUri]);
+    
+    this._requireConnection();
+    
+    const post = await this._getRawPost(postUri);
+    console.log(`Liking Bluesky post ${postUri}`);
+    
+    const created = await this._createRecord('app.bsky.feed.like', {
+      $type: 'app.bsky.feed.like',
+      subject: { uri: post.uri, cid: post.cid },
+      createdAt: new Date().toISOString()
+    }, 'Failed to like post');
+    
+    return {
+      success: true,
+      id: postUri,
+      likeUri: created.uri
+    };
+  }
+  
+  /**
+   * Repost a post, or quote it when a comment is given
+   * @param {String} postUri - AT URI of the post to repost
+   * @param {Object} comment - Quote content (optional)
+   * @returns {Object} Repost result
+   */
+  async repost(postUri, comment) {
+    if (this._isDryRun('repost')) return this._recordDryRun('repost', [postUri, comment]);
+    
+    this._requireConnection();
+    
+    const post = await this._getRawPost(postUri);
+    
+    if (comment && comment.text) {
+      const result = await this.post(comment, {
+        embed: {
+          $type: 'app.bsky.embed.record',
+          record: { uri: post.uri, cid: post.cid }
+        }
+      });
+      
+      return {
+        ...result,
+        quoted: postUri
+      };
+    }
+    
+    console.log(`Reposting Bluesky post ${postUri}`);
+    
+    const created = await this._createRecord('app.bsky.feed.repost', {
+      $type: 'app.bsky.feed.repost',
+      subject: { uri: post.uri, cid: post.cid },
+      createdAt: new Date().toISOString()
+    }, 'Failed to repost');
+    
+    return {
+      success: true,
+      id: postUri,
+      repostUri: created.uri
+    };
+  }
+  
+  /**
+   * Get a post by AT URI
+   * @param {String} postUri - AT URI
+   * @returns {Object} Post data
+   */
+  async getPost(postUri) {
+    this._requireConnection();
+    return this._mapPost(await this._getRawPost(postUri));
+  }
+  
+  /**
+   * Get an actor profile
+   * @param {String} handle - Handle or DID (with or without @)
+   * @returns {Object} Profile
+   */
+  async getUserProfile(handle) {
+    this._requireConnection();
+    
+    const profile = await this._xrpc('GET', 'app.bsky.actor.getProfile', {
+      actor: handle.replace(/^@/, '')
+    }, 'Failed to get profile');
+    
+    return {
+      ...this._mapAuthor(profile),
+      description: profile.description || '',
+      following_count: profile.followsCount || 0,
+      posts_count: profile.postsCount || 0
+    };
+  }
+  
+  /**
+   * Follow an actor
+   * @param {String} handle - Handle or DID (with or without @)
+   * @returns {Object} Follow result
+   */
+  async followUser(handle) {
+    if (this._isDryRun('followUser')) return this._recordDryRun('followUser', [handle]);
+    
+    this._requireConnection();
+    
+    const profile = await this._xrpc('GET', 'app.bsky.actor.getProfile', {
+      actor: handle.replace(/^@/, '')
+    }, 'Failed to get profile');
+    
+    console.log(`Following Bluesky account ${profile.handle}`);
+    
+    const created = await this._createRecord('app.bsky.graph.follow', {
+      $type: 'app.bsky.graph.follow',
+      subject: profile.did,
+      createdAt: new Date().toISOString()
+    }, 'Failed to follow account', { retry: false });
+    
+    return {
+      success: true,
+      userId: profile.did,
+      username: profile.handle,
+      following: true,
+      followUri: created.uri
+    };
+  }
+  
+  /**
+   * Send a direct message through the Bluesky chat service
+   * @param {String} recipient - Recipient handle or DID (with or without @)
+   * @param {Object} content - Message content
+   * @param {String} content.text - Message text
+   * @returns {Object} Message result
+   */
+  async sendDirectMessage(recipient, content) {
+    if (this._isDryRun('sendDirectMessage')) return this._recordDryRun('sendDirectMessage', [recipient, content]);
+    
+    this._requireConnection();
+    
+    const actor = recipient.replace(/^@/, '');
+    const did = actor.startsWith('did:') ? actor : await this._resolveHandle(actor);
+    if (!did) {
+      throw new Error(`Unknown Bluesky handle: ${actor}`);
+    }
+    
+    // Chat lives on a separate service reached through the PDS proxy
+    const headers = { 'atproto-proxy': CHAT_SERVICE };
+    
+    const { convo } = await this._xrpc('GET', 'chat.bsky.convo.getConvoForMembers', {
+      members: [did]
+    }, 'Failed to open conversation', { headers });
+    
+    console.log(`Sending Bluesky direct message to ${actor}`);
+    
+    const message = await this._xrpc('POST', 'chat.bsky.convo.sendMessage', {
+      convoId: convo.id,
+      message: { text: content.text }
+    }, 'Failed to send direct message', { headers, retry: false });
+    
+    return {
+      success: true,
+      id: message.id,
+      conversationId: convo.id,
+      recipient: did,
+      text: content.text
+    };
+  }
+  
+  /**
+   * Search for posts
+   * @param {String} query - Search query
+   * @param {Object} options - Search options
+   * @param {Number} options.limit - Maximum results (default: 25)
+   * @param {String} options.cursor - Pagination cursor
+   * @returns {Object} Search results
+   */
+  async search(query, options = {}) {
+    this._requireConnection();
+    console.log(`Searching Bluesky for: "${query}"`);
+    
+    const result = await this._xrpc('GET', 'app.bsky.feed.searchPosts', {
+      q: query,
+      limit: options.limit || options.max_results || 25,
+      cursor: options.cursor
+    }, 'Search failed');
+    
+    const posts = (result.posts || []).map(post => this._mapPost(post));
+    
+    return createSearchResults(posts, { next_token: result.cursor || null });
+  }
+  
+  /**
+   * Stream mentions and replies by polling notifications.
+   * Only notifications received after the stream starts are yielded.
+   * @param {Object} options - Stream options
+   * @param {AbortSignal} options.signal - Signal to stop the stream
+   * @returns {AsyncGenerator} Mention stream
+   */
+  async *streamMentions(options = {}) {
+    this._requireConnection();
+    console.log('Starting Bluesky mentions stream');
+    
+    const initial = await this._listNotifications();
+    let lastSeen = initial.length > 0 ? initial[0].indexedAt : new Date().toISOString();
+    
+    while (this.connected && !(options.signal && options.signal.aborted)) {
+      try {
+        const notifications = (await this._listNotifications())
+          .filter(n => n.indexedAt > lastSeen && (n.reason === 'mention' || n.reason === 'reply'));
+        
+        // Notifications arrive newest first
+        for (const notification of notifications.reverse()) {
+          lastSeen = notification.indexedAt;
+          
+          yield {
+            ...this._mapPost({
+              uri: notification.uri,
+              record: notification.record,
+              author: notification.author,
+              indexedAt: notification.indexedAt
+            }),
+            cid: notification.cid,
+            reason: notification.reason
+          };
+        }
+      } catch (error) {
+        this.logActivity('stream_error', { error: error.message });
+      }
+      
+      await sleep(this.pollInterval, options.signal);
+    }
+  }
+  
+  /**
+   * Stream the home timeline by polling for new posts
+   * @param {Object} options - Stream options
+   * @param {AbortSignal} options.signal - Signal to stop the stream
+   * @returns {AsyncGenerator} Post stream
+   */
+  async *streamTimeline(options = {}) {
+    this._requireConnection();
+    console.log('Starting Bluesky timeline stream');
+    
+    const initial = await this._getTimeline();
+    let lastSeen = initial.length > 0 ? initial[0].post.indexedAt : new Date().toISOString();
+    
+    while (this.connected && !(options.signal && options.signal.aborted)) {
+      try {
+        const items = (await this._getTimeline()).filter(item => item.post.indexedAt > lastSeen);
+        
+        // Feed items arrive newest first
+        for (const item of items.reverse()) {
+          lastSeen = item.post.indexedAt;
+          yield this._mapPost(item.post);
+        }
+      } catch (error) {
+        this.logActivity('stream_error', { error: error.message });
+      }
+      
+      await sleep(this.pollInterval, options.signal);
+    }
+  }
+  
+  /**
+   * Compute rich-text facets (mentions, links, hashtags) for post text.
+   * Facet indices are UTF-8 byte offsets, as required by the AT Protocol.
+   * @param {String} text - Post text
+   * @returns {Array} Facets
+   */
+  async buildFacets(text) {
+    const facets = [];
+    
+    for (const match of findMatches(text, /(^|[\s(])(@(([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]([a-z0-9-]{0,61}[a-z0-9])?))/gi)) {
+      const handle = match.value.slice(1);
+      const did = await this._resolveHandle(handle);
+      
+      // Unknown handles stay plain text
+      if (!did) continue;
+      
+      facets.push({
+        index: byteRange(text, match.start, match.end),
+        features: [{ $type: 'app.bsky.richtext.facet#mention', did }]
+      });
+    }
+    
+    for (const match of findMatches(text, /(^|[\s(])(https?:\/\/[^\s]+)/gi)) {
+      // Trailing punctuation usually belongs to the sentence, not the URL
+      const uri = match.value.replace(/[.,;:!?)]+$/, '');
+      
+      facets.push({
+        index: byteRange(text, match.start, match.start + uri.length),
+        features: [{ $type: 'app.bsky.richtext.facet#link', uri }]
+      });
+    }
+    
+    for (const match of findMatches(text, /(^|\s)(#[^\s#]+)/gu)) {
+      const tag = match.value.replace(/\p{P}+$/u, '');
+      if (tag.length < 2 || tag.length > 65 || /^#\d+$/.test(tag)) continue;
+      
+      facets.push({
+        index: byteRange(text, match.start, match.start + tag.length),
+        features: [{ $type: 'app.bsky.richtext.facet#tag', tag: tag.slice(1) }]
+      });
+    }
+    
+    return facets.sort((a, b) => a.index.byteStart - b.index.byteStart);
+  }
+  
+  /**
+   * Resolve a handle to a DID
+   * @param {String} handle - Handle without the leading @
+   * @returns {String|null} DID
+   * @private
+   */
+  async _resolveHandle(handle) {
+    try {
+      const result = await this._xrpc('GET', 'com.atproto.identity.resolveHandle', { handle }, 'Failed to resolve handle', { retry: false });
+      return result.did;
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  /**
+   * Fetch the raw post view for a URI
+   * @private
+   */
+  async _getRawPost(postUri) {
+    const result = await this._xrpc('GET', 'app.bsky.feed.getPosts', { uris: [postUri] }, 'Failed to get post');
+    
+    if (!result.posts || result.posts.length === 0) {
+      throw new Error(`Bluesky post not found: ${postUri}`);
+    }
+    
+    return result.posts[0];
+  }
+  
+  /**
+   * Get the latest home timeline feed items (newest first)
+   * @private
+   */
+  async _getTimeline() {
+    const result = await this._xrpc('GET', 'app.bsky.feed.getTimeline', { limit: 50 }, 'Failed to get timeline');
+    return result.feed || [];
+  }
+  
+  /**
+   * List the latest notifications (newest first)
+   * @private
+   */
+  async _listNotifications() {
+    const result = await this._xrpc('GET', 'app.bsky.notification.listNotifications', { limit: 50 }, 'Failed to list notifications');
+    return result.notifications || [];
+  }
+  
+  /**
+   * Create a record in the connected account's repo
+   * @private
+   */
+  async _createRecord(collection, record, errorMessage, options = {}) {
+    return this._xrpc('POST', 'com.atproto.repo.createRecord', {
+      repo: this.session.did,
+      collection,
+      record
+    }, errorMessage, options);
+  }
+  
+  /**
+   * Call an XRPC method, refreshing the session once if the access token expired
+   * @param {String} method - GET (query) or POST (procedure)
+   * @param {String} nsid - XRPC method id
+   * @param {Object} params - Query parameters or request body
+   * @param {String} errorMessage - Error message if the call fails
+   * @param {Object} options - Call options passed to _handleApiCall
+   * @param {Object} options.headers - Extra request headers (e.g. atproto-proxy)
+   * @returns {Object} Response data
+   * @private
+   */
+  async _xrpc(method, nsid, params, errorMessage, options = {}) {
+    const send = () => this.client.request({
+      method,
+      path: `/xrpc/${nsid}`,
+      query: method === 'GET' ? params : undefined,
+      body: method === 'GET' ? undefined : params,
+      headers: { ...options.headers, Authorization: `Bearer ${this.session.accessJwt}` }
+    });
+    
+    return this._handleApiCall(async () => {
+      try {
+        return (await send()).data;
+      } catch (error) {
+        if (!(error.body && error.body.error === 'ExpiredToken')) throw error;
+        
+        await this._refreshSession();
+        return (await send()).data;
+      }
+    }, errorMessage, options);
+  }
+  
+  /**
+   * Refresh the session tokens
+   * @private
+   */
+  async _refreshSession() {
+    const refreshed = (await this.client.request({
+      method: 'POST',
+      path: '/xrpc/com.atproto.server.refreshSession',
+      headers: { Authorization: `Bearer ${this.session.refreshJwt}` }
+    })).data;
+    
+    this.session = { ...this.session, ...refreshed };
+    this.logActivity('session_refreshed', { did: this.session.did });
+  }
+  
+  /**
+   * Map a post view to the normalized post shape (the CID is kept for likes and reposts)
+   * @private
+   */
+  _mapPost(post) {
+    const record = post.record || {};
+    
+    return {
+      ...createPost({
+        id: post.uri,
+        platform: this.platform,
+        text: record.text,
+        author: this._mapAuthor(post.author),
+        metrics: {
+          like_count: post.likeCount,
+          retweet_count: post.repostCount,
+          reply_count: post.replyCount,
+          quote_count: post.quoteCount
+        },
+        created_at: record.createdAt || post.indexedAt,
+        url: this._getPostUrl(post.uri, post.author && post.author.handle),
+        in_reply_to_id: record.reply && record.reply.parent ? record.reply.parent.uri : null
+      }),
+      cid: post.cid
+    };
+  }
+  
+  /**
+   * Map a profile view to the normalized author shape
+   * @private
+   */
+  _mapAuthor(author = {}) {
+    return createAuthor({
+      id: author.did,
+      username: author.handle,
+      name: author.displayName,
+      profile_image_url: author.avatar,
+      url: author.handle ? `https://bsky.app/profile/${author.handle}` : null,
+      followers_count: author.followersCount
+    });
+  }
+  
+  /**
+   * Build the bsky.app URL for a post URI
+   * @private
+   */
+  _getPostUrl(uri, handle) {
+    const match = /^at:\/\/([^/]+)\/app\.bsky\.feed\.post\/([^/]+)$/.exec(uri || '');
+    return match ? `https://bsky.app/profile/${handle || match[1]}/post/${match[2]}` : null;
+  }
+  
+  /**
+   * Ensure the connector is connected
+   * @private
+   */
+  _requireConnection() {
+    if (!this.connected || !this.session) {
+      throw new Error('Not connected to Bluesky');
+    }
+  }
+}
+
+/**
+ * Count user-perceived characters (graphemes) in a string
+ * @param {String} text - Text to measure
+ * @returns {Number} Grapheme count
+ */
+function countGraphemes(text = '') {
+  if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+    return Array.from(new Intl.Segmenter(undefined, { granularity: 'grapheme' }).segment(text)).length;
+  }
+  
+  return Array.from(text).length;
+}
+
+/**
+ * Find regex matches, returning the character range of the entity captured
+ * by group 2 (group 1 is the leading boundary)
+ * @private
+ */
+function findMatches(text, regex) {
+  const matches = [];
+  let match;
+  
+  while ((match = regex.exec(text)) !== null) {
+    const value = match[2];
+    const start = match.index + match[1].length;
+    
+    matches.push({
+      value,
+      start,
+      end: start + value.length
+    });
+  }
+  
+  return matches;
+}
+
+/**
+ * Convert a character range to a UTF-8 byte range
+ * @private
+ */
+function byteRange(text, start, end) {
+  return {
+    byteStart: Buffer.byteLength(text.slice(0, start), 'utf8'),
+    byteEnd: Buffer.byteLength(text.slice(0, end), 'utf8')
+  };
+}
+
+// Actions supported by this connector
+BlueskyConnector.capabilities = [
+  'post',
+  'reply',
+  'like',
+  'repost',
+  'getPost',
+  'getUserProfile',
+  'search',
+  'followUser',
+  'sendDirectMessage',
+  'streamMentions',
+  'streamTimeline'
+];
+
+module.exports = { BlueskyConnector, countGraphemes };
@@ -0,0 +1,159 @@
+/**
+ * Tests for the Bluesky connector: rich-text facets, threading and sessions
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getEventListeners } = require('events');
+const { BlueskyConnector, countGraphemes } = require('./bluesky-connector');
+
+const SESSION = { did: 'did:plc:me', handle: 'me.bsky.social', accessJwt: 'access-1', refreshJwt: 'refresh-1' };
+
+/**
+ * Create a fake PDS answering XRPC methods
+ * @param {Object} methods - Handlers keyed by NSID, called with (params, request)
+ * @returns {Function} fetch, with the handled calls on .calls
+ */
+function createPds(methods) {
+  const fetch = async (url, init) => {
+    const { pathname, searchParams } = new URL(url);
+    const nsid = pathname.replace('/xrpc/', '');
+    const params = init.body ? JSON.parse(init.body) : Object.fromEntries(searchParams);
+    const call = { nsid, params, headers: init.headers };
+    fetch.calls.push(call);
+    
+    const handler = methods[nsid] || (nsid === 'com.atproto.server.createSession' && (() => SESSION));
+    if (!handler) {
+      return new Response(JSON.stringify({ error: 'MethodNotImplemented' }), { status: 501 });
+    }
+    
+    const result = await handler(params, call);
+    if (result instanceof Response) return result;
+    return new Response(JSON.stringify(result), { status: 200, headers: { 'content-type': 'application/json' } });
+  };
+  
+  fetch.calls = [];
+  return fetch;
+}
+
+/**
+ * Create a connected connector for a fake PDS
+ * @param {Object} methods - XRPC handlers
+ * @param {Object} config - Extra connector config
+ * @returns {Promise<Object>} { connector, fetch }
+ */
+async function connect(methods, config = {}) {
+  const fetch = createPds(methods);
+  const connector = new BlueskyConnector({ identifier: 'me.bsky.social', appPassword: 'app-pass', fetch, retry: { baseDelay: 1 }, ...config });
+  
+  await connector.connect();
+  return { connector, fetch };
+}
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+});
+
+test('builds facets with UTF-8 byte offsets', async () => {
+  const { connector } = await connect({
+    'com.atproto.identity.resolveHandle': ({ handle }) => (handle === 'alice.bsky.social'
+      ? { did: 'did:plc:alice' }
+      : new Response(JSON.stringify({ error: 'InvalidRequest' }), { status: 400 }))
+  });
+  
+  const text = '✨ Hi @alice.bsky.social and @nobody.example, see https://example.com/a. #launch!';
+  const facets = await connector.buildFacets(text);
+  const slice = ({ index }) => Buffer.from(text).subarray(index.byteStart, index.byteEnd).toString();
+  
+  assert.deepEqual(facets.map(slice), ['@alice.bsky.social', 'https://example.com/a', '#launch']);
+  assert.deepEqual(facets.map(facet => facet.features[0]), [
+    { $type: 'app.bsky.richtext.facet#mention', did: 'did:plc:alice' },
+    { $type: 'app.bsky.richtext.facet#link', uri: 'https://example.com/a' },
+    { $type: 'app.bsky.richtext.facet#tag', tag: 'launch' }
+  ]);
+});
+
+test('limits posts to 300 graphemes, not code units', async () => {
+  const { connector, fetch } = await connect({
+    'com.atproto.repo.createRecord': () => ({ uri: 'at://did:plc:me/app.bsky.feed.post/3k1', cid: 'cid1' })
+  });
+  
+  const family = '👨‍👩‍👧';
+  assert.equal(countGraphemes(family.repeat(300)), 300);
+  
+  const result = await connector.post({ text: family.repeat(300) });
+  assert.equal(result.url, 'https://bsky.app/profile/me.bsky.social/post/3k1');
+  assert.equal(fetch.calls.at(-1).params.record.$type, 'app.bsky.feed.post');
+  
+  await assert.rejects(connector.post({ text: 'a'.repeat(301) }), /limited to 300 graphemes \(got 301\)/);
+});
+
+test('replies thread under the conversation root', async () => {
+  const parent = {
+    uri: 'at://did:plc:bob/app.bsky.feed.post/2',
+    cid: 'cid2',
+    author: { did: 'did:plc:bob', handle: 'bob.bsky.social' },
+    record: { text: 'reply', reply: { root: { uri: 'at://did:plc:bob/app.bsky.feed.post/1', cid: 'cid1' } } }
+  };
+  const { connector, fetch } = await connect({
+    'app.bsky.feed.getPosts': () => ({ posts: [parent] }),
+    'com.atproto.repo.createRecord': () => ({ uri: 'at://did:plc:me/app.bsky.feed.post/3', cid: 'cid3' })
+  });
+  
+  const result = await connector.reply(parent.uri, { text: 'Agreed' });
+  
+  assert.equal(result.replyTo, parent.uri);
+  assert.deepEqual(fetch.calls.at(-1).params.record.reply, {
+    root: { uri: 'at://did:plc:bob/app.bsky.feed.post/1', cid: 'cid1' },
+    parent: { uri: parent.uri, cid: 'cid2' }
+  });
+});
+
+test('refreshes an expired session and retries the call', async () => {
+  const { connector, fetch } = await connect({
+    'app.bsky.actor.getProfile': (params, call) => (call.headers.Authorization === 'Bearer access-2'
+      ? { did: 'did:plc:bob', handle: 'bob.bsky.social', followersCount: 5 }
+      : new Response(JSON.stringify({ error: 'ExpiredToken' }), { status: 400 })),
+    'com.atproto.server.refreshSession': () => ({ accessJwt: 'access-2', refreshJwt: 'refresh-2' })
+  });
+  
+  const profile = await connector.getUserProfile('@bob.bsky.social');
+  
+  assert.equal(profile.username, 'bob.bsky.social');
+  assert.equal(connector.session.accessJwt, 'access-2');
+  assert.equal(fetch.calls.find(call => call.nsid === 'com.atproto.server.refreshSession').headers.Authorization, 'Bearer refresh-1');
+});
+
+test('streams mentions and replies received after the stream starts', async () => {
+  const author = { did: 'did:plc:bob', handle: 'bob.bsky.social' };
+  const notification = (n, reason) => ({
+    uri: `at://did:plc:bob/app.bsky.feed.post/${n}`,
+    cid: `cid${n}`,
+    reason,
+    author,
+    record: { text: `note ${n}` },
+    indexedAt: `2024-01-01T00:00:0${n}.000Z`
+  });
+  const pages = [
+    [notification(1, 'mention')],
+    [notification(1, 'mention')],
+    [notification(1, 'mention')],
+    [notification(4, 'like'), notification(3, 'reply'), notification(2, 'mention'), notification(1, 'mention')]
+  ];
+  const { connector } = await connect({
+    'app.bsky.notification.listNotifications': () => ({ notifications: pages.length > 1 ? pages.shift() : pages[0] })
+  }, { pollInterval: 5 });
+  
+  const controller = new AbortController();
+  const mentions = [];
+  let listeners;
+  
+  for await (const mention of connector.streamMentions({ signal: controller.signal })) {
+    mentions.push(mention);
+    listeners = getEventListeners(controller.signal, 'abort').length;
+    if (mentions.length === 2) controller.abort();
+  }
+  
+  assert.deepEqual(mentions.map(m => [m.text, m.reason, m.cid]), [['note 2', 'mention', 'cid2'], ['note 3', 'reply', 'cid3']]);
+  assert.equal(listeners, 0, 'finished polls leave no abort listeners behind');
+});
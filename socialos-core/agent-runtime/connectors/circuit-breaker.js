@@ -0,0 +1,157 @@
+/**
+ * SocialOS Circuit Breaker
+ * 
+ * Stops calling a platform after repeated failures and probes it again
+ * once a cool-down period has passed.
+ */
+
+const { EventEmitter } = require('events');
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+class CircuitBreaker extends EventEmitter {
+  /**
+   * Create a new CircuitBreaker
+   * @param {Object} options - Breaker options
+   * @param {String} options.name - Name used in errors and events
+   * @param {Number} options.failureThreshold - Consecutive failures before opening (default: 5)
+   * @param {Number} options.resetTimeout - Time in ms before a half-open probe (default: 30000)
+   * @param {Number} options.halfOpenMaxCalls - Concurrent probe calls allowed while half-open (default: 1)
+   */
+  constructor(options = {}) {
+    super();
+    this.name = options.name || 'circuit';
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeout = options.resetTimeout || 30000;
+    this.halfOpenMaxCalls = options.halfOpenMaxCalls || 1;
+    
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastFailure = null;
+    this.halfOpenCalls = 0;
+  }
+  
+  /**
+   * Check whether a call may go through, moving to half-open after the cool-down
+   * @returns {Boolean} True if the call is allowed
+   */
+  canExecute() {
+    if (this.state === STATES.OPEN && Date.now() - this.openedAt >= this.resetTimeout) {
+      this._transition(STATES.HALF_OPEN);
+    }
+    
+    if (this.state === STATES.OPEN) {
+      return false;
+    }
+    
+    if (this.state === STATES.HALF_OPEN) {
+      if (this.halfOpenCalls >= this.halfOpenMaxCalls) {
+        return false;
+      }
+      this.halfOpenCalls++;
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Record a successful call
+   */
+  recordSuccess() {
+    this.failures = 0;
+    
+    if (this.state !== STATES.CLOSED) {
+      this._transition(STATES.CLOSED);
+    }
+  }
+  
+  /**
+   * Record a failed call
+   * @param {Error} error - Failure cause
+   */
+  recordFailure(error) {
+    this.failures++;
+    this.lastFailure = {
+      message: error ? error.message : 'unknown error',
+      timestamp: new Date()
+    };
+    
+    if (this.state === STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this._transition(STATES.OPEN);
+    }
+  }
+  
+  /**
+   * Release a half-open slot without counting the call either way
+   */
+  release() {
+    if (this.state === STATES.HALF_OPEN && this.halfOpenCalls > 0) {
+      this.halfOpenCalls--;
+    }
+  }
+  
+  /**
+   * Force the breaker back to closed
+   */
+  reset() {
+    this.failures = 0;
+    this._transition(STATES.CLOSED);
+  }
+  
+  /**
+   * Get breaker status
+   * @returns {Object} Breaker status
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt,
+      nextAttemptAt: this.state === STATES.OPEN ?
+        new Date(this.openedAt + this.resetTimeout) : null,
+      lastFailure: this.lastFailure
+    };
+  }
+  
+  /**
+   * Create the error thrown while the circuit is open
+   * @returns {Error} Circuit open error
+   */
+  createOpenError() {
+    const error = new Error(`Circuit ${this.name} is open after ${this.failures} consecutive failures`);
+    error.code = 'CIRCUIT_OPEN';
+    error.retryAfter = this.openedAt ? Math.max(this.openedAt + this.resetTimeout - Date.now(), 0) : null;
+    return error;
+  }
+  
+  /**
+   * Move to a new state and notify listeners
+   * @param {String} state - New state
+   * @private
+   */
+  _transition(state) {
+    const previous = this.state;
+    if (previous === state) return;
+    
+    this.state = state;
+    this.halfOpenCalls = 0;
+    
+    if (state === STATES.OPEN) {
+      this.openedAt = Date.now();
+    } else if (state === STATES.CLOSED) {
+      this.openedAt = null;
+    }
+    
+    this.emit('stateChange', { name: this.name, from: previous, to: state });
+  }
+}
+
+CircuitBreaker.STATES = STATES;
+
+module.exports = { CircuitBreaker };
@@ -0,0 +1,71 @@
+/**
+ * Tests for the circuit breaker state machine
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CircuitBreaker } = require('./circuit-breaker');
+
+const { CLOSED, OPEN, HALF_OPEN } = CircuitBreaker.STATES;
+
+test('opens after consecutive failures and rejects calls', () => {
+  const breaker = new CircuitBreaker({ name: 'x', failureThreshold: 2, resetTimeout: 10000 });
+  const changes = [];
+  breaker.on('stateChange', change => changes.push(change));
+  
+  breaker.recordFailure(new Error('one'));
+  assert.equal(breaker.canExecute(), true);
+  breaker.recordFailure(new Error('two'));
+  
+  assert.equal(breaker.state, OPEN);
+  assert.equal(breaker.canExecute(), false);
+  assert.deepEqual(changes, [{ name: 'x', from: CLOSED, to: OPEN }]);
+  assert.equal(breaker.getStatus().lastFailure.message, 'two');
+  
+  const error = breaker.createOpenError();
+  assert.equal(error.code, 'CIRCUIT_OPEN');
+  assert.ok(error.retryAfter > 9000);
+});
+
+test('a success resets the failure count', () => {
+  const breaker = new CircuitBreaker({ failureThreshold: 2 });
+  
+  breaker.recordFailure(new Error('one'));
+  breaker.recordSuccess();
+  breaker.recordFailure(new Error('two'));
+  
+  assert.equal(breaker.state, CLOSED);
+  assert.equal(breaker.failures, 1);
+});
+
+test('lets one probe through after the cool-down', async () => {
+  const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeout: 20 });
+  breaker.recordFailure(new Error('down'));
+  
+  await new Promise(resolve => setTimeout(resolve, 30));
+  
+  assert.equal(breaker.canExecute(), true);
+  assert.equal(breaker.state, HALF_OPEN);
+  assert.equal(breaker.canExecute(), false, 'only one probe at a time');
+  
+  // A released probe frees the slot without closing the circuit
+  breaker.release();
+  assert.equal(breaker.canExecute(), true);
+  
+  breaker.recordSuccess();
+  assert.equal(breaker.state, CLOSED);
+});
+
+test('a failed probe opens the circuit again', async () => {
+  const breaker = new CircuitBreaker({ failureThreshold: 3, resetTimeout: 20 });
+  breaker.recordFailure(new Error('1'));
+  breaker.recordFailure(new Error('2'));
+  breaker.recordFailure(new Error('3'));
+  
+  await new Promise(resolve => setTimeout(resolve, 30));
+  breaker.canExecute();
+  breaker.recordFailure(new Error('still down'));
+  
+  assert.equal(breaker.state, OPEN);
+  assert.ok(breaker.getStatus().nextAttemptAt instanceof Date);
+});
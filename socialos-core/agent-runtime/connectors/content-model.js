@@ -0,0 +1,170 @@
+/**
+ * SocialOS Content Model
+ * 
+ * Normalized Post, Author and Metrics shapes that every connector maps into,
+ * so agents can read content without knowing which platform it came from.
+ * Field names follow the X API v2 vocabulary the agents were built against.
+ */
+
+/**
+ * @typedef {Object} Metrics
+ * @property {Number} like_count - Likes, favourites or reactions
+ * @property {Number} retweet_count - Reposts, boosts or shares
+ * @property {Number} reply_count - Replies or comments
+ * @property {Number} quote_count - Quote posts
+ * @property {Number|null} impression_count - Views, when the platform reports them
+ */
+
+/**
+ * @typedef {Object} Author
+ * @property {String} id - Platform user ID
+ * @property {String|null} username - Handle without the @ prefix
+ * @property {String|null} name - Display name
+ * @property {String|null} profile_image_url - Avatar URL
+ * @property {String|null} url - Profile URL
+ * @property {Boolean} bot - Whether the account is a bot
+ * @property {Object} metrics - Author metrics ({ followers_count })
+ */
+
+/**
+ * @typedef {Object} Post
+ * @property {String} id - Platform post or message ID
+ * @property {String} platform - Source platform
+ * @property {String} text - Plain text content
+ * @property {Author} author - Post author
+ * @property {Metrics} metrics - Engagement metrics
+ * @property {String|null} created_at - ISO 8601 creation time
+ * @property {String|null} url - Public URL
+ * @property {String|null} in_reply_to_id - Parent post ID for replies
+ */
+
+/**
+ * @typedef {Post} Message
+ * Chat message (Discord, Slack). Keeps the chat fields alongside the post fields.
+ * @property {String} channelId - Channel ID
+ * @property {String} content - Message text (same as text)
+ * @property {String} timestamp - ISO 8601 creation time (same as created_at)
+ * @property {Array} reactions - Reactions ({ emoji, count })
+ */
+
+/**
+ * Create normalized metrics, defaulting missing counts to 0
+ * @param {Object} metrics - Raw counts (like_count, retweet_count, reply_count, quote_count, impression_count)
+ * @returns {Metrics} Metrics
+ */
+function createMetrics(metrics = {}) {
+  return {
+    like_count: toCount(metrics.like_count),
+    retweet_count: toCount(metrics.retweet_count),
+    reply_count: toCount(metrics.reply_count),
+    quote_count: toCount(metrics.quote_count),
+    impression_count: metrics.impression_count === undefined || metrics.impression_count === null ?
+      null : toCount(metrics.impression_count)
+  };
+}
+
+/**
+ * Create a normalized author
+ * @param {Object} author - Author fields (id, username, name, profile_image_url, url, bot, followers_count)
+ * @returns {Author} Author
+ */
+function createAuthor(author = {}) {
+  return {
+    id: author.id === undefined || author.id === null ? null : String(author.id),
+    username: author.username || null,
+    name: author.name || author.username || null,
+    profile_image_url: author.profile_image_url || null,
+    url: author.url || null,
+    bot: Boolean(author.bot),
+    metrics: {
+      followers_count: toCount(author.metrics ? author.metrics.followers_count : author.followers_count)
+    }
+  };
+}
+
+/**
+ * Create a normalized post.
+ * Platform-specific extras (e.g. channelId for chat messages) can be spread on top by the connector.
+ * @param {Object} post - Post fields (id, platform, text, author, metrics, created_at, url, in_reply_to_id)
+ * @returns {Post} Post
+ */
+function createPost(post = {}) {
+  return {
+    id: post.id === undefined || post.id === null ? null : String(post.id),
+    platform: post.platform || null,
+    text: post.text || '',
+    author: createAuthor(post.author),
+    metrics: createMetrics(post.metrics),
+    created_at: toIsoDate(post.created_at),
+    url: post.url || null,
+    in_reply_to_id: post.in_reply_to_id || null
+  };
+}
+
+/**
+ * Create a normalized chat message.
+ * Reaction counts are summed into metrics.like_count.
+ * @param {Object} message - Message fields (id, platform, channelId, text, author, reactions, created_at, url, in_reply_to_id)
+ * @returns {Message} Message
+ */
+function createMessage(message = {}) {
+  const reactions = message.reactions || [];
+  const post = createPost({
+    ...message,
+    metrics: {
+      like_count: reactions.reduce((sum, reaction) => sum + toCount(reaction.count), 0),
+      reply_count: message.reply_count
+    }
+  });
+  
+  return {
+    ...post,
+    author: {
+      ...post.author,
+      discriminator: message.author && message.author.discriminator !== undefined ? message.author.discriminator : null
+    },
+    channelId: message.channelId || null,
+    content: post.text,
+    timestamp: post.created_at,
+    reactions
+  };
+}
+
+/**
+ * Create normalized search results
+ * @param {Array} posts - Normalized posts
+ * @param {Object} meta - Extra metadata (e.g. next_token)
+ * @returns {Object} Search results ({ posts, meta })
+ */
+function createSearchResults(posts = [], meta = {}) {
+  return {
+    posts,
+    meta: {
+      result_count: posts.length,
+      next_token: null,
+      ...meta
+    }
+  };
+}
+
+/**
+ * Coerce a count to a non-negative number
+ * @private
+ */
+function toCount(value) {
+  const count = Number(value);
+  return Number.isFinite(count) && count > 0 ? count : 0;
+}
+
+/**
+ * Coerce a date-like value to an ISO 8601 string
+ * @private
+ */
+function toIsoDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+module.exports = { createPost, createAuthor, createMetrics, createMessage, createSearchResults };
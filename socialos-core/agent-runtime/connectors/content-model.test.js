@@ -0,0 +1,98 @@
+/**
+ * Tests for the normalized content model
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPost, createAuthor, createMetrics, createMessage, createSearchResults } = require('./content-model');
+const { XConnector } = require('./x-connector');
+
+test('metrics default missing and invalid counts to 0', () => {
+  assert.deepEqual(createMetrics({ like_count: '3', retweet_count: -1, reply_count: 'n/a' }), {
+    like_count: 3,
+    retweet_count: 0,
+    reply_count: 0,
+    quote_count: 0,
+    impression_count: null
+  });
+  assert.equal(createMetrics({ impression_count: 0 }).impression_count, 0);
+});
+
+test('authors accept flat or nested follower counts', () => {
+  assert.deepEqual(createAuthor({ id: 7, username: 'alice', followers_count: 12 }), {
+    id: '7',
+    username: 'alice',
+    name: 'alice',
+    profile_image_url: null,
+    url: null,
+    bot: false,
+    metrics: { followers_count: 12 }
+  });
+  assert.equal(createAuthor({ metrics: { followers_count: 4 } }).metrics.followers_count, 4);
+});
+
+test('posts normalize IDs and dates', () => {
+  const post = createPost({ id: 100, platform: 'linkedin', text: 'Hi', created_at: 1704067200000 });
+  
+  assert.equal(post.id, '100');
+  assert.equal(post.created_at, '2024-01-01T00:00:00.000Z');
+  assert.equal(post.author.id, null);
+  assert.equal(post.in_reply_to_id, null);
+  assert.equal(createPost({ created_at: 'not a date' }).created_at, null);
+});
+
+test('chat messages keep their chat fields and sum reactions into likes', () => {
+  const message = createMessage({
+    id: 'm1',
+    platform: 'discord',
+    channelId: 'c1',
+    text: 'gm',
+    author: { id: 'u1', username: 'bob', discriminator: '0' },
+    reactions: [{ emoji: '👍', count: 2 }, { emoji: '🎉', count: 1 }],
+    created_at: '2024-01-01T00:00:00Z'
+  });
+  
+  assert.equal(message.metrics.like_count, 3);
+  assert.equal(message.content, 'gm');
+  assert.equal(message.text, 'gm');
+  assert.equal(message.timestamp, message.created_at);
+  assert.equal(message.author.discriminator, '0');
+  assert.equal(message.channelId, 'c1');
+});
+
+test('search results count their posts', () => {
+  assert.deepEqual(createSearchResults([createPost({ id: 1 })], { next_token: 'n' }).meta, { result_count: 1, next_token: 'n' });
+  assert.deepEqual(createSearchResults().meta, { result_count: 0, next_token: null });
+});
+
+test('X search results map into normalized posts', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const fetch = async () => new Response(JSON.stringify({
+    data: [{
+      id: '1',
+      text: 'Launch day',
+      author_id: '9',
+      created_at: '2024-01-01T00:00:00.000Z',
+      public_metrics: { like_count: 5, retweet_count: 1, reply_count: 2, quote_count: 0 },
+      referenced_tweets: [{ type: 'replied_to', id: '0' }]
+    }],
+    includes: { users: [{ id: '9', username: 'carol', name: 'Carol', public_metrics: { followers_count: 30 } }] },
+    meta: { result_count: 1 }
+  }), { status: 200, headers: { 'content-type': 'application/json' } });
+  
+  const connector = new XConnector({ bearerToken: 'bearer', fetch, retry: false });
+  await connector.connect();
+  const results = await connector.search('launch');
+  
+  assert.equal(results.tweets, results.posts);
+  assert.deepEqual(results.posts[0], createPost({
+    id: '1',
+    platform: 'x',
+    text: 'Launch day',
+    author: { id: '9', username: 'carol', name: 'Carol', url: 'https://twitter.com/carol', followers_count: 30 },
+    metrics: { like_count: 5, retweet_count: 1, reply_count: 2, quote_count: 0 },
+    created_at: '2024-01-01T00:00:00.000Z',
+    url: 'https://twitter.com/i/web/status/1',
+    in_reply_to_id: '0'
+  }));
+});
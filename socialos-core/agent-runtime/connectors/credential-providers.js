@@ -0,0 +1,321 @@
+/**
+ * SocialOS Credential Providers
+ * 
+ * Supply connector credentials from somewhere other than plain config objects.
+ * A provider implements get(key) and, if it can persist refreshed tokens,
+ * set(key, credentials). Keys are platform names (e.g. "linkedin"), or
+ * platform:account for multi-account setups.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+class CredentialProvider {
+  /**
+   * Get the credentials stored under a key
+   * @param {String} key - Platform or platform:account key
+   * @returns {Object} Credentials (empty if none are stored)
+   */
+  async get(key) {
+    throw new Error('Method not implemented');
+  }
+  
+  /**
+   * Merge credentials into those stored under a key
+   * @param {String} key - Platform or platform:account key
+   * @param {Object} credentials - Credentials to store
+   */
+  async set(key, credentials) {
+    throw new Error(`${this.constructor.name} is read-only`);
+  }
+}
+
+/**
+ * Reads credentials from environment variables named PREFIX_KEY_FIELD,
+ * e.g. SOCIALOS_LINKEDIN_ACCESS_TOKEN becomes linkedin.accessToken and
+ * SOCIALOS_X__BRANDA_API_KEY becomes x:brandA's apiKey.
+ * Environment variables cannot be written back, so refreshed tokens are
+ * kept in memory for the life of the process.
+ */
+class EnvCredentialProvider extends CredentialProvider {
+  /**
+   * Create a new environment credential provider
+   * @param {Object} options - Provider options
+   * @param {String} options.prefix - Variable prefix (default: SOCIALOS)
+   * @param {Object} options.env - Environment to read (default: process.env)
+   */
+  constructor(options = {}) {
+    super();
+    this.prefix = options.prefix || 'SOCIALOS';
+    this.env = options.env || process.env;
+    this.overrides = {};
+  }
+  
+  /**
+   * Get the credentials stored under a key
+   * @param {String} key - Platform or platform:account key
+   * @returns {Object} Credentials
+   */
+  async get(key) {
+    const prefix = `${this.prefix}_${toEnvName(key)}_`;
+    const credentials = {};
+    
+    for (const [name, value] of Object.entries(this.env)) {
+      const field = name.slice(prefix.length);
+      
+      // A leading underscore means the variable belongs to an account (x vs x:brandA)
+      if (name.startsWith(prefix) && !field.startsWith('_') && value !== undefined && value !== '') {
+        credentials[toCamelCase(field)] = value;
+      }
+    }
+    
+    return { ...credentials, ...this.overrides[key] };
+  }
+  
+  /**
+   * Keep refreshed credentials in memory
+   * @param {String} key - Platform or platform:account key
+   * @param {Object} credentials - Credentials to store
+   */
+  async set(key, credentials) {
+    this.overrides[key] = { ...this.overrides[key], ...credentials };
+  }
+}
+
+/**
+ * Stores credentials for every key in one AES-256-GCM encrypted JSON file.
+ * The key is either given directly (32 bytes) or derived from a passphrase with scrypt.
+ */
+class EncryptedFileCredentialProvider extends CredentialProvider {
+  /**
+   * Create a new encrypted file credential provider
+   * @param {Object} options - Provider options
+   * @param {String} options.path - Vault file path
+   * @param {String} options.passphrase - Passphrase the encryption key is derived from
+   * @param {Buffer|String} options.key - 32-byte encryption key (Buffer, hex or base64), instead of a passphrase
+   */
+  constructor(options = {}) {
+    super();
+    
+    if (!options.path) {
+      throw new Error('EncryptedFileCredentialProvider requires a path');
+    }
+    
+    if (!options.passphrase && !options.key) {
+      throw new Error('EncryptedFileCredentialProvider requires a passphrase or key');
+    }
+    
+    this.path = options.path;
+    this.passphrase = options.passphrase || null;
+    this.key = options.key ? toKey(options.key) : null;
+    this.derivedKey = null;
+    
+    // Writes are serialized so concurrent refreshes cannot drop each other's tokens
+    this.writeQueue = Promise.resolve();
+  }
+  
+  /**
+   * Get the credentials stored under a key
+   * @param {String} key - Platform or platform:account key
+   * @returns {Object} Credentials
+   */
+  async get(key) {
+    const { secrets } = await this._read();
+    return { ...secrets[key] };
+  }
+  
+  /**
+   * Merge credentials into those stored under a key and rewrite the vault
+   * @param {String} key - Platform or platform:account key
+   * @param {Object} credentials - Credentials to store
+   */
+  async set(key, credentials) {
+    const write = this.writeQueue.then(async () => {
+      const { secrets, salt } = await this._read();
+      secrets[key] = { ...secrets[key], ...credentials };
+      await this._write(secrets, salt);
+    });
+    
+    // Keep the queue alive after a failed write
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+  
+  /**
+   * Decrypt the vault file
+   * @private
+   */
+  async _read() {
+    let raw;
+    try {
+      raw = await fs.promises.readFile(this.path, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return { secrets: {}, salt: null };
+      throw error;
+    }
+    
+    const vault = JSON.parse(raw);
+    const salt = vault.salt ? Buffer.from(vault.salt, 'base64') : null;
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this._getKey(salt), Buffer.from(vault.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(vault.tag, 'base64'));
+    
+    let plaintext;
+    try {
+      plaintext = Buffer.concat([decipher.update(Buffer.from(vault.data, 'base64')), decipher.final()]);
+    } catch (error) {
+      const decryptError = new Error(`Could not decrypt credential vault ${this.path}: wrong key or corrupted file`);
+      decryptError.code = 'VAULT_DECRYPT_FAILED';
+      throw decryptError;
+    }
+    
+    return { secrets: JSON.parse(plaintext.toString('utf8')), salt };
+  }
+  
+  /**
+   * Encrypt and atomically replace the vault file
+   * @private
+   */
+  async _write(secrets, salt) {
+    const vaultSalt = this.key ? null : (salt || crypto.randomBytes(16));
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this._getKey(vaultSalt), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+    
+    const vault = {
+      version: 1,
+      salt: vaultSalt ? vaultSalt.toString('base64') : null,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+    
+    const tempPath = `${this.path}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(vault, null, 2), { mode: 0o600 });
+    await fs.promises.rename(tempPath, this.path);
+  }
+  
+  /**
+   * Get the encryption key, deriving it from the passphrase if needed
+   * @private
+   */
+  _getKey(salt) {
+    if (this.key) return this.key;
+    
+    if (!salt) {
+      throw new Error(`Credential vault ${this.path} has no salt to derive a key from`);
+    }
+    
+    // scrypt is deliberately slow, so derive once per salt
+    if (!this.derivedKey || !this.derivedKey.salt.equals(salt)) {
+      this.derivedKey = { salt, key: crypto.scryptSync(this.passphrase, salt, 32) };
+    }
+    
+    return this.derivedKey.key;
+  }
+}
+
+/**
+ * Adapts user-supplied functions (e.g. a secrets manager client) to the provider interface
+ */
+class CustomCredentialProvider extends CredentialProvider {
+  /**
+   * Create a new custom credential provider
+   * @param {Object} options - Provider functions
+   * @param {Function} options.get - async (key) => credentials
+   * @param {Function} options.set - async (key, credentials) => void (optional)
+   */
+  constructor(options = {}) {
+    super();
+    
+    if (typeof options.get !== 'function') {
+      throw new Error('CustomCredentialProvider requires a get function');
+    }
+    
+    // Bound so provider objects with get/set methods keep their own this
+    this.getFn = options.get.bind(options);
+    this.setFn = typeof options.set === 'function' ? options.set.bind(options) : null;
+  }
+  
+  /**
+   * Get the credentials stored under a key
+   * @param {String} key - Platform or platform:account key
+   * @returns {Object} Credentials
+   */
+  async get(key) {
+    return { ...(await this.getFn(key)) };
+  }
+  
+  /**
+   * Store credentials under a key
+   * @param {String} key - Platform or platform:account key
+   * @param {Object} credentials - Credentials to store
+   */
+  async set(key, credentials) {
+    if (!this.setFn) {
+      return super.set(key, credentials);
+    }
+    
+    return this.setFn(key, credentials);
+  }
+}
+
+/**
+ * Create a credential provider from a provider instance or a description
+ * @param {Object} spec - Provider, { type: 'env' | 'file' | 'custom', ...options }, or { get, set }
+ * @returns {CredentialProvider} Provider
+ */
+function createCredentialProvider(spec) {
+  if (!spec) return null;
+  if (spec instanceof CredentialProvider) return spec;
+  
+  switch (spec.type) {
+    case 'env':
+      return new EnvCredentialProvider(spec);
+    case 'file':
+      return new EncryptedFileCredentialProvider(spec);
+    case 'custom':
+    case undefined:
+      return new CustomCredentialProvider(spec);
+    default:
+      throw new Error(`Unknown credential provider type: ${spec.type}`);
+  }
+}
+
+/**
+ * Convert a credential key to an environment variable segment (x:brandA -> X__BRANDA)
+ * @private
+ */
+function toEnvName(key) {
+  return key.toUpperCase().split(':').map(part => part.replace(/[^A-Z0-9]+/g, '_')).join('__');
+}
+
+/**
+ * Convert an environment variable segment to camelCase (ACCESS_TOKEN -> accessToken)
+ * @private
+ */
+function toCamelCase(name) {
+  return name.toLowerCase().replace(/_([a-z0-9])/g, (match, char) => char.toUpperCase());
+}
+
+/**
+ * Normalize an encryption key to a 32-byte Buffer
+ * @private
+ */
+function toKey(key) {
+  const buffer = Buffer.isBuffer(key) ? key :
+    /^[0-9a-f]{64}$/i.test(key) ? Buffer.from(key, 'hex') : Buffer.from(key, 'base64');
+  
+  if (buffer.length !== 32) {
+    throw new Error('Credential vault key must be 32 bytes');
+  }
+  
+  return buffer;
+}
+
+module.exports = {
+  CredentialProvider,
+  EnvCredentialProvider,
+  EncryptedFileCredentialProvider,
+  CustomCredentialProvider,
+  createCredentialProvider
+};
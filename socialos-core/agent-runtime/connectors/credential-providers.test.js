@@ -0,0 +1,90 @@
+/**
+ * Tests for the environment, encrypted file and custom credential providers
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  EnvCredentialProvider,
+  EncryptedFileCredentialProvider,
+  CustomCredentialProvider,
+  createCredentialProvider
+} = require('./credential-providers');
+
+/**
+ * Create a temporary directory removed after the test
+ * @param {Object} t - Test context
+ * @returns {String} Directory path
+ */
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'socialos-vault-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('env provider maps variables to camelCase fields per account', async () => {
+  const provider = new EnvCredentialProvider({
+    env: {
+      SOCIALOS_X_API_KEY: 'default-key',
+      SOCIALOS_X__BRANDA_API_KEY: 'brand-key',
+      SOCIALOS_X__BRANDA_ACCESS_TOKEN: 'brand-token',
+      SOCIALOS_LINKEDIN_ACCESS_TOKEN: ''
+    }
+  });
+  
+  assert.deepEqual(await provider.get('x'), { apiKey: 'default-key' });
+  assert.deepEqual(await provider.get('x:brandA'), { apiKey: 'brand-key', accessToken: 'brand-token' });
+  assert.deepEqual(await provider.get('linkedin'), {});
+  
+  // Refreshed tokens live in memory on top of the environment
+  await provider.set('x', { accessToken: 'refreshed' });
+  assert.deepEqual(await provider.get('x'), { apiKey: 'default-key', accessToken: 'refreshed' });
+});
+
+test('file provider encrypts the vault and survives concurrent writes', async (t) => {
+  const vaultPath = path.join(tempDir(t), 'vault.json');
+  const provider = new EncryptedFileCredentialProvider({ path: vaultPath, passphrase: 'correct horse' });
+  
+  assert.deepEqual(await provider.get('linkedin'), {});
+  
+  await Promise.all([
+    provider.set('linkedin', { accessToken: 'li-token' }),
+    provider.set('x', { apiKey: 'x-key' }),
+    provider.set('linkedin', { refreshToken: 'li-refresh' })
+  ]);
+  
+  assert.doesNotMatch(fs.readFileSync(vaultPath, 'utf8'), /li-token/);
+  
+  const reopened = new EncryptedFileCredentialProvider({ path: vaultPath, passphrase: 'correct horse' });
+  assert.deepEqual(await reopened.get('linkedin'), { accessToken: 'li-token', refreshToken: 'li-refresh' });
+  assert.deepEqual(await reopened.get('x'), { apiKey: 'x-key' });
+  
+  const wrong = new EncryptedFileCredentialProvider({ path: vaultPath, passphrase: 'wrong' });
+  await assert.rejects(wrong.get('x'), { code: 'VAULT_DECRYPT_FAILED' });
+});
+
+test('file provider accepts a raw 32-byte key', async (t) => {
+  const vaultPath = path.join(tempDir(t), 'vault.json');
+  const key = 'ab'.repeat(32);
+  
+  await new EncryptedFileCredentialProvider({ path: vaultPath, key }).set('discord', { token: 'bot' });
+  
+  assert.deepEqual(await new EncryptedFileCredentialProvider({ path: vaultPath, key }).get('discord'), { token: 'bot' });
+  assert.throws(() => new EncryptedFileCredentialProvider({ path: vaultPath, key: 'short' }), /32 bytes/);
+});
+
+test('createCredentialProvider builds providers from descriptions', async () => {
+  const custom = createCredentialProvider({ get: async key => ({ key }) });
+  
+  assert.ok(custom instanceof CustomCredentialProvider);
+  assert.deepEqual(await custom.get('x'), { key: 'x' });
+  await assert.rejects(custom.set('x', {}), /read-only/);
+  
+  assert.ok(createCredentialProvider({ type: 'env', env: {} }) instanceof EnvCredentialProvider);
+  assert.equal(createCredentialProvider(custom), custom);
+  assert.equal(createCredentialProvider(null), null);
+  assert.throws(() => createCredentialProvider({ type: 'ldap' }), /Unknown credential provider type/);
+});
@@ -2,26 +2,74 @@
  * SocialOS Discord Connector
  * 
  * Platform connector for interacting with the Discord API.
- * Handles bot authentication, message sending, and server interactions.
+ * Handles bot authentication, message sending, server interactions, the
+ * gateway event stream and slash commands.
  */
 
 const { BaseConnector } = require('./base-connector');
+const { HttpClient } = require('./http-client');
+const { DiscordGateway } = require('./discord-gateway');
+const { EventQueue } = require('./websocket-utils');
+const { createMessage, createAuthor } = require('./content-model');
+
+// Interaction types and response types used for slash commands
+const INTERACTION_APPLICATION_COMMAND = 2;
+const RESPONSE_CHANNEL_MESSAGE = 4;
+const RESPONSE_DEFERRED_CHANNEL_MESSAGE = 5;
+const EPHEMERAL_FLAG = 1 << 6;
+
+// Discord drops interactions that are not answered within 3 seconds
+const DEFAULT_DEFER_AFTER = 2000;
+
+// Permission bits required by moderation actions (permissions are 64-bit, hence BigInt)
+const PERMISSIONS = {
+  KICK_MEMBERS: 1n << 1n,
+  BAN_MEMBERS: 1n << 2n,
+  ADMINISTRATOR: 1n << 3n,
+  MANAGE_MESSAGES: 1n << 13n,
+  MODERATE_MEMBERS: 1n << 40n
+};
+
+// Discord caps member timeouts at 28 days
+const MAX_TIMEOUT = 28 * 24 * 60 * 60 * 1000;
+
+const CHANNEL_TYPES = { 0: 'text', 2: 'voice', 4: 'category', 5: 'announcement', 13: 'stage', 15: 'forum' };
+
+// Channel type of a thread created without a starter message
+const PUBLIC_THREAD = 11;
 
 class DiscordConnector extends BaseConnector {
   /**
    * Create a new Discord connector
    * @param {Object} config - Connector configuration
    * @param {String} config.token - Discord bot token
-   * @param {String} config.clientId - Discord client ID
-   * @param {Array} config.intents - Bot intents array
+   * @param {String} config.clientId - Discord application ID (used to register slash commands)
+   * @param {Array|Number} config.intents - Gateway intent names or bit field
+   * @param {String} config.defaultChannelId - Channel used by post() when none is given
+   * @param {String} config.apiUrl - REST API base URL (default: https://discord.com/api/v10)
+   * @param {String} config.gatewayUrl - Gateway URL (default: looked up with GET /gateway/bot)
+   * @param {Function} config.WebSocket - WebSocket implementation (defaults to global WebSocket or ws)
+   * @param {Number} config.gatewayReadyTimeout - How long startGateway() waits for READY in ms (default: 30000)
+   * @param {Number} config.gatewayMaxReconnectAttempts - Consecutive failed gateway reconnects before giving up (default: 10)
+   * @param {Number} config.commandDeferAfter - Defer command responses that take longer than this many ms (default: 2000)
+   * @param {Array} config.protectedRoles - Role names or IDs whose members are never moderated
+   * @param {Number} config.serverInfoTtl - How long server roles are cached for moderation checks in ms (default: 60000)
    */
   constructor(config = {}) {
-    super('discord');
+    super('discord', config);
     
     this.config = config;
     this.client = null;
     this.botUser = null;
     this.servers = [];
+    
+    // Gateway connection and slash commands
+    this.gateway = null;
+    this.applicationId = config.clientId || null;
+    this.commands = new Map();
+    
+    // Server info cached for moderation role checks
+    this.serverCache = new Map();
   }
   
   /**
@@ -29,40 +77,59 @@ class DiscordConnector extends BaseConnector {
    * @returns {Object} Connection result
    */
   async connect() {
-    try {
-      console.log('Connecting to Discord API with token:', this.config.token ? '***' : undefined);
-      
-      // Simulate successful connection
-      this.connected = true;
-      this.lastConnection = new Date();
-      this.botUser = {
-        id: 'discord12345',
-        username: 'SocialOSAgent',
-        discriminator: '0001'
-      };
-      
-      // Simulate joined servers
-      this.servers = [
-        {
-          id: 'server1',
-          name: 'SocialOS Community',
-          memberCount: 1250
-        },
-        {
-          id: 'server2',
-          name: 'AI Agents Hub',
-          memberCount: 3724
-        }
-      ];
-      
-      return {
-        connected: true,
-        bot: this.botUser,
-        servers: this.servers
-      };
-    } catch (error) {
-      throw new Error(`Failed to connect to Discord API: ${error.message}`);
+    await this._loadCredentials();
+    
+    if (!this.config.token) {
+      throw new Error('Discord bot token is required');
     }
+    
+    this.client = new HttpClient({
+      baseUrl: this.config.apiUrl || 'https://discord.com/api/v10',
+      headers: { Authorization: `Bot ${this.config.token}` },
+      timeout: this.config.timeout,
+      fetch: this.config.fetch
+    });
+    
+    console.log('Connecting to Discord API with token:', this.config.token ? '***' : undefined);
+    
+    const user = await this._request('GET', '/users/@me', null, 'Failed to connect to Discord API');
+    const guilds = await this._request('GET', '/users/@me/guilds?with_counts=true', null, 'Failed to list Discord servers');
+    
+    this.connected = true;
+    this.lastConnection = new Date();
+    this.botUser = {
+      id: user.id,
+      username: user.username,
+      discriminator: user.discriminator
+    };
+    this.servers = guilds.map(guild => ({
+      id: guild.id,
+      name: guild.name,
+      memberCount: guild.approximate_member_count || null
+    }));
+    
+    return {
+      connected: true,
+      bot: this.botUser,
+      servers: this.servers
+    };
+  }
+  
+  /**
+   * Check the platform is reachable by looking up the bot user
+   * @protected
+   */
+  async _probe() {
+    await this._request('GET', '/users/@me', null, 'Health probe failed', { retry: false });
+  }
+  
+  /**
+   * Disconnect from Discord, closing the gateway if it is open
+   * @returns {Object} Disconnect result
+   */
+  async disconnect() {
+    this.stopGateway();
+    return super.disconnect();
   }
   
   /**
@@ -74,115 +141,241 @@ class DiscordConnector extends BaseConnector {
    * @returns {Object} Message result
    */
   async sendMessage(channelId, content) {
+    if (this._isDryRun('sendMessage')) return this._recordDryRun('sendMessage', [channelId, content]);
+    
     if (!this.connected) {
       throw new Error('Not connected to Discord API');
     }
     
-    try {
-      console.log(`Sending message to channel ${channelId}: "${content.text}"`);
-      
-      // Simulate successful message
-      const messageId = `msg_${Date.now()}`;
-      
-      return {
-        success: true,
-        id: messageId,
-        channelId,
-        content: content.text
-      };
-    } catch (error) {
-      throw new Error(`Failed to send message: ${error.message}`);
-    }
+    console.log(`Sending message to channel ${channelId}: "${content.text}"`);
+    
+    // Sending is not idempotent, so a retried timeout could post twice
+    const message = await this._request('POST', `/channels/${channelId}/messages`, toMessageBody(content),
+      'Failed to send message', { retry: false });
+    
+    return {
+      success: true,
+      id: message.id,
+      channelId,
+      content: message.content
+    };
+  }
+  
+  /**
+   * Post content to a channel (PlatformConnector interface)
+   * @param {Object} content - Message content
+   * @param {Object} options - Post options
+   * @param {String} options.channelId - Target channel (defaults to config.defaultChannelId)
+   * @returns {Object} Message result
+   */
+  async post(content, options = {}) {
+    if (this._isDryRun('post')) return this._recordDryRun('post', [content, options]);
+    
+    return this.sendMessage(this._getChannelId(options, 'post'), content);
   }
   
   /**
    * Reply to a Discord message
    * @param {String} messageId - Message ID to reply to
    * @param {Object} content - Reply content
+   * @param {Object} options - Reply options
+   * @param {String} options.channelId - Channel containing the message (defaults to config.defaultChannelId)
    * @returns {Object} Reply result
    */
-  async reply(messageId, content) {
+  async reply(messageId, content, options = {}) {
+    if (this._isDryRun('reply')) return this._recordDryRun('reply', [messageId, content, options]);
+    
     if (!this.connected) {
       throw new Error('Not connected to Discord API');
     }
     
-    try {
-      console.log(`Replying to message ${messageId}: "${content.text}"`);
-      
-      // Simulate successful reply
-      const replyId = `reply_${Date.now()}`;
-      
-      return {
-        success: true,
-        id: replyId,
-        replyTo: messageId,
-        content: content.text
-      };
-    } catch (error) {
-      throw new Error(`Failed to reply to message: ${error.message}`);
-    }
+    const channelId = this._getChannelId(options, 'reply');
+    
+    console.log(`Replying to message ${messageId}: "${content.text}"`);
+    
+    const message = await this._request('POST', `/channels/${channelId}/messages`, {
+      ...toMessageBody(content),
+      // A deleted original still gets the reply, just without the reference
+      message_reference: { message_id: messageId, channel_id: channelId, fail_if_not_exists: false }
+    }, 'Failed to reply to message', { retry: false });
+    
+    return {
+      success: true,
+      id: message.id,
+      channelId,
+      replyTo: messageId,
+      content: message.content
+    };
   }
   
   /**
-   * Create a Discord thread
+   * Create a Discord thread, started from an initial message when content is given
    * @param {String} channelId - Channel ID
    * @param {String} name - Thread name
-   * @param {Object} content - Initial message content
+   * @param {Object} content - Initial message content (optional)
    * @returns {Object} Thread result
    */
   async createThread(channelId, name, content) {
+    if (this._isDryRun('createThread')) return this._recordDryRun('createThread', [channelId, name, content]);
+    
     if (!this.connected) {
       throw new Error('Not connected to Discord API');
     }
     
-    try {
-      console.log(`Creating thread in channel ${channelId}: "${name}"`);
-      
-      // Simulate successful thread creation
-      const threadId = `thread_${Date.now()}`;
-      const messageId = `msg_${Date.now()}`;
+    console.log(`Creating thread in channel ${channelId}: "${name}"`);
+    
+    let messageId = null;
+    let thread;
+    
+    if (content) {
+      const message = await this.sendMessage(channelId, content);
+      messageId = message.id;
       
-      return {
-        success: true,
-        threadId,
-        messageId,
-        name,
-        channelId
-      };
-    } catch (error) {
-      throw new Error(`Failed to create thread: ${error.message}`);
+      thread = await this._request('POST', `/channels/${channelId}/messages/${messageId}/threads`, { name },
+        'Failed to create thread', { retry: false });
+    } else {
+      thread = await this._request('POST', `/channels/${channelId}/threads`, { name, type: PUBLIC_THREAD },
+        'Failed to create thread', { retry: false });
     }
+    
+    return {
+      success: true,
+      threadId: thread.id,
+      messageId,
+      name: thread.name,
+      channelId
+    };
   }
   
   /**
    * Add a reaction to a Discord message
    * @param {String} messageId - Message ID
-   * @param {String} emoji - Emoji to react with
+   * @param {String} emoji - Unicode emoji, or name:id for a custom emoji
+   * @param {Object} options - Reaction options
+   * @param {String} options.channelId - Channel containing the message (defaults to config.defaultChannelId)
    * @returns {Object} Reaction result
    */
-  async addReaction(messageId, emoji) {
+  async addReaction(messageId, emoji, options = {}) {
+    if (this._isDryRun('addReaction')) return this._recordDryRun('addReaction', [messageId, emoji, options]);
+    
     if (!this.connected) {
       throw new Error('Not connected to Discord API');
     }
     
-    try {
-      console.log(`Adding reaction to message ${messageId}: ${emoji}`);
-      
-      // Simulate successful reaction
-      return {
-        success: true,
-        messageId,
-        emoji
-      };
-    } catch (error) {
-      throw new Error(`Failed to add reaction: ${error.message}`);
+    const channelId = this._getChannelId(options, 'addReaction');
+    
+    console.log(`Adding reaction to message ${messageId}: ${emoji}`);
+    
+    // Reacting is idempotent, so it can be retried safely
+    await this._request('PUT', `/channels/${channelId}/messages/${messageId}/reactions/${encodeURIComponent(emoji)}/@me`,
+      null, 'Failed to add reaction');
+    
+    return {
+      success: true,
+      messageId,
+      channelId,
+      emoji
+    };
+  }
+  
+  /**
+   * Like a message (adds a thumbs-up reaction)
+   * @param {String} messageId - Message ID
+   * @param {Object} options - Reaction options
+   * @param {String} options.channelId - Channel containing the message (defaults to config.defaultChannelId)
+   * @returns {Object} Reaction result
+   */
+  async like(messageId, options = {}) {
+    if (this._isDryRun('like')) return this._recordDryRun('like', [messageId, options]);
+    
+    return this.addReaction(messageId, '👍', options);
+  }
+  
+  /**
+   * Get a single message
+   * @param {String} messageId - Message ID
+   * @param {Object} options - Query options
+   * @param {String} options.channelId - Channel containing the message (defaults to config.defaultChannelId)
+   * @returns {Object} Message
+   */
+  async getPost(messageId, options = {}) {
+    if (!this.connected) {
+      throw new Error('Not connected to Discord API');
+    }
+    
+    const channelId = this._getChannelId(options, 'getPost');
+    
+    console.log(`Getting message ${messageId}`);
+    
+    const message = await this._request('GET', `/channels/${channelId}/messages/${messageId}`, null, 'Failed to get message');
+    
+    return this._mapMessage(channelId, message);
+  }
+  
+  /**
+   * Get a Discord user
+   * @param {String} userId - User ID
+   * @returns {Object} User profile
+   */
+  async getUserProfile(userId) {
+    if (!this.connected) {
+      throw new Error('Not connected to Discord API');
     }
+    
+    console.log(`Getting Discord user ${userId}`);
+    
+    const user = await this._request('GET', `/users/${userId}`, null, 'Failed to get user');
+    
+    return {
+      ...createAuthor({
+        id: user.id,
+        username: user.username,
+        name: user.global_name,
+        profile_image_url: user.avatar ? `https://cdn.discordapp.com/avatars/${user.id}/${user.avatar}.png` : null,
+        bot: user.bot
+      }),
+      discriminator: user.discriminator
+    };
   }
   
   /**
-   * Get messages from a Discord channel
+   * Send a direct message to a user
+   * @param {String} userId - Recipient user ID
+   * @param {Object} content - Message content
+   * @param {String} content.text - Message text
+   * @param {Array} content.embeds - Message embeds (optional)
+   * @returns {Object} Message result
+   */
+  async sendDirectMessage(userId, content) {
+    if (this._isDryRun('sendDirectMessage')) return this._recordDryRun('sendDirectMessage', [userId, content]);
+    
+    if (!this.connected) {
+      throw new Error('Not connected to Discord API');
+    }
+    
+    console.log(`Sending direct message to ${userId}: "${content.text}"`);
+    
+    // Opening a DM returns the existing channel if there is one, so it can be retried
+    const channel = await this._request('POST', '/users/@me/channels', { recipient_id: userId }, 'Failed to open direct message');
+    const message = await this._request('POST', `/channels/${channel.id}/messages`, toMessageBody(content),
+      'Failed to send direct message', { retry: false });
+    
+    return {
+      success: true,
+      id: message.id,
+      channelId: channel.id,
+      recipient: userId,
+      content: message.content
+    };
+  }
+  
+  /**
+   * Get messages from a Discord channel, newest first
    * @param {String} channelId - Channel ID
    * @param {Object} options - Query options
+   * @param {Number} options.limit - Messages to return, up to 100 (default: 50)
+   * @param {String} options.before - Only return messages before this message ID (optional)
+   * @param {String} options.after - Only return messages after this message ID (optional)
    * @returns {Array} Channel messages
    */
   async getMessages(channelId, options = {}) {
@@ -190,105 +383,784 @@ class DiscordConnector extends BaseConnector {
       throw new Error('Not connected to Discord API');
     }
     
-    try {
-      console.log(`Getting messages from channel ${channelId}`);
-      
-      // Simulate message data
-      return Array(options.limit || 10).fill().map((_, i) => ({
-        id: `msg_${4000 + i}`,
-        content: `Sample Discord message ${i+1}`,
-        author: {
-          id: `user_${5000 + i % 5}`,
-          username: `DiscordUser${i % 5}`,
-          discriminator: `${1000 + i % 5}`,
-          bot: i % 5 === 0
-        },
-        timestamp: new Date(Date.now() - i * 60000).toISOString(),
-        reactions: [
-          { emoji: '👍', count: Math.floor(Math.random() * 5) },
-          { emoji: '🎉', count: Math.floor(Math.random() * 3) }
-        ]
-      }));
-    } catch (error) {
-      throw new Error(`Failed to get messages: ${error.message}`);
-    }
+    console.log(`Getting messages from channel ${channelId}`);
+    
+    const query = new URLSearchParams({ limit: String(Math.min(options.limit || 50, 100)) });
+    if (options.before) query.set('before', options.before);
+    if (options.after) query.set('after', options.after);
+    
+    const messages = await this._request('GET', `/channels/${channelId}/messages?${query}`, null, 'Failed to get messages');
+    
+    return messages.map(message => this._mapMessage(channelId, message));
   }
   
   /**
-   * Stream messages from Discord channels
-   * @param {Array} channelIds - Channel IDs to monitor
+   * Stream messages from Discord channels over the gateway
+   * @param {Array} channelIds - Channel IDs to monitor (empty for every channel the bot can see)
+   * @param {Object} options - Stream options
+   * @param {AbortSignal} options.signal - Signal to stop the stream
+   * @param {Boolean} options.includeBots - Also yield messages posted by bots (default: false)
    * @returns {AsyncGenerator} Message stream
    */
-  async *streamMessages(channelIds = []) {
+  async *streamMessages(channelIds = [], options = {}) {
     if (!this.connected) {
       throw new Error('Not connected to Discord API');
     }
     
+    console.log(`Starting message stream for channels: ${channelIds.join(', ') || 'all'}`);
+    
+    const channels = new Set(channelIds);
+    const queue = new EventQueue();
+    const onMessage = message => {
+      if (channels.size > 0 && !channels.has(message.channelId)) return;
+      if (message.author.bot && !options.includeBots) return;
+      queue.push(message);
+    };
+    const onError = error => queue.end(error);
+    const stop = () => queue.end();
+    
+    if (options.signal) {
+      if (options.signal.aborted) return;
+      options.signal.addEventListener('abort', stop, { once: true });
+    }
+    
+    this.on('message', onMessage);
+    this.on('gatewayError', onError);
+    
     try {
-      console.log(`Starting message stream for channels: ${channelIds.join(', ')}`);
-      
-      // This is a simplified simulation of a streaming API
-      // In a real implementation, this would use Discord's WebSocket gateway
-      
-      // Yield an initial message as a demonstration
-      yield {
-        id: `msg_${Date.now()}`,
-        channelId: channelIds[0] || 'unknown',
-        content: 'Hey, has anyone tried the new SocialOS framework?',
-        author: {
-          id: 'user_9999',
-          username: 'DiscordUser',
-          discriminator: '1234',
-          bot: false
-        },
-        timestamp: new Date().toISOString()
-      };
-      
-      // In a real implementation, this would be an infinite loop yielding new messages
-      // For this simulation, we just yield once and then "end" the stream
-    } catch (error) {
-      throw new Error(`Message stream error: ${error.message}`);
+      await this.startGateway();
+      yield* queue;
+    } finally {
+      this.off('message', onMessage);
+      this.off('gatewayError', onError);
+      if (options.signal) options.signal.removeEventListener('abort', stop);
     }
   }
   
+  /**
+   * Stream messages that mention the bot
+   * @param {Object} options - Stream options
+   * @param {Array} options.channelIds - Channel IDs to monitor
+   * @returns {AsyncGenerator} Mention stream
+   */
+  async *streamMentions(options = {}) {
+    for await (const message of this.streamMessages(options.channelIds || [], options)) {
+      if (message.content.includes(`<@${this.botUser.id}>`)) {
+        yield message;
+      }
+    }
+  }
+  
+  /**
+   * Stream channel messages as the bot's timeline
+   * @param {Object} options - Stream options
+   * @param {Array} options.channelIds - Channel IDs to monitor
+   * @returns {AsyncGenerator} Message stream
+   */
+  async *streamTimeline(options = {}) {
+    yield* this.streamMessages(options.channelIds || [], options);
+  }
+  
   /**
    * Get information about a Discord server
    * @param {String} serverId - Server ID
-   * @returns {Object} Server information
+   * @returns {Object} Server information ({ id, name, ownerId, memberCount, channels, roles })
    */
   async getServerInfo(serverId) {
     if (!this.connected) {
       throw new Error('Not connected to Discord API');
     }
     
+    const guild = await this._request('GET', `/guilds/${serverId}?with_counts=true`, null, 'Failed to get server info');
+    const channels = await this._request('GET', `/guilds/${serverId}/channels`, null, 'Failed to get server channels');
+    
+    return {
+      id: guild.id,
+      name: guild.name,
+      ownerId: guild.owner_id,
+      memberCount: guild.approximate_member_count || null,
+      channels: channels.map(channel => ({
+        id: channel.id,
+        name: channel.name,
+        type: CHANNEL_TYPES[channel.type] || 'other'
+      })),
+      roles: guild.roles
+        .map(role => ({
+          id: role.id,
+          name: role.name,
+          color: `#${role.color.toString(16).padStart(6, '0').toUpperCase()}`,
+          position: role.position,
+          permissions: role.permissions
+        }))
+        .sort((a, b) => b.position - a.position)
+    };
+  }
+  
+  /**
+   * Get a member of a Discord server
+   * @param {String} serverId - Server ID
+   * @param {String} userId - User ID
+   * @returns {Object|null} Member ({ user, roles, joinedAt, timeoutUntil }), or null if the user is not a member
+   */
+  async getMember(serverId, userId) {
+    if (!this.connected) {
+      throw new Error('Not connected to Discord API');
+    }
+    
+    let member;
     try {
-      console.log(`Getting info for server ${serverId}`);
+      member = await this._request('GET', `/guilds/${serverId}/members/${userId}`, null, 'Failed to get member');
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+    
+    return {
+      user: createAuthor({ ...member.user, name: member.nick || member.user.global_name || member.user.username }),
+      roles: member.roles,
+      joinedAt: member.joined_at,
+      timeoutUntil: member.communication_disabled_until || null
+    };
+  }
+  
+  /**
+   * Delete a message
+   * @param {String} channelId - Channel ID
+   * @param {String} messageId - Message ID
+   * @param {Object} options - Moderation options
+   * @param {String} options.serverId - Server the channel belongs to (checks the bot may manage messages there)
+   * @param {String} options.authorId - Message author (checks the author is not protected)
+   * @param {String} options.reason - Reason recorded in the server audit log
+   * @returns {Object} Moderation result
+   */
+  async deleteMessage(channelId, messageId, options = {}) {
+    if (this._isDryRun('deleteMessage')) return this._recordDryRun('deleteMessage', [channelId, messageId, options]);
+    
+    if (options.serverId) {
+      await this._checkModeration(options.serverId, 'deleteMessage', PERMISSIONS.MANAGE_MESSAGES, options.authorId);
+    }
+    
+    await this._moderate('DELETE', `/channels/${channelId}/messages/${messageId}`, null, options.reason, 'Failed to delete message');
+    return this._recordModeration('deleteMessage', { serverId: options.serverId || null, channelId, messageId, userId: options.authorId || null }, options.reason);
+  }
+  
+  /**
+   * Pin a message in its channel
+   * @param {String} channelId - Channel ID
+   * @param {String} messageId - Message ID
+   * @param {Object} options - Moderation options (serverId, reason)
+   * @returns {Object} Moderation result
+   */
+  async pinMessage(channelId, messageId, options = {}) {
+    if (this._isDryRun('pinMessage')) return this._recordDryRun('pinMessage', [channelId, messageId, options]);
+    
+    if (options.serverId) {
+      await this._checkModeration(options.serverId, 'pinMessage', PERMISSIONS.MANAGE_MESSAGES);
+    }
+    
+    await this._moderate('PUT', `/channels/${channelId}/pins/${messageId}`, null, options.reason, 'Failed to pin message');
+    return this._recordModeration('pinMessage', { serverId: options.serverId || null, channelId, messageId }, options.reason);
+  }
+  
+  /**
+   * Unpin a message
+   * @param {String} channelId - Channel ID
+   * @param {String} messageId - Message ID
+   * @param {Object} options - Moderation options (serverId, reason)
+   * @returns {Object} Moderation result
+   */
+  async unpinMessage(channelId, messageId, options = {}) {
+    if (this._isDryRun('unpinMessage')) return this._recordDryRun('unpinMessage', [channelId, messageId, options]);
+    
+    if (options.serverId) {
+      await this._checkModeration(options.serverId, 'unpinMessage', PERMISSIONS.MANAGE_MESSAGES);
+    }
+    
+    await this._moderate('DELETE', `/channels/${channelId}/pins/${messageId}`, null, options.reason, 'Failed to unpin message');
+    return this._recordModeration('unpinMessage', { serverId: options.serverId || null, channelId, messageId }, options.reason);
+  }
+  
+  /**
+   * Time out a member so they cannot post, react or join voice
+   * @param {String} serverId - Server ID
+   * @param {String} userId - Member to time out
+   * @param {Number} duration - Timeout length in ms (0 lifts an existing timeout; max 28 days)
+   * @param {Object} options - Moderation options (reason)
+   * @returns {Object} Moderation result
+   */
+  async timeoutMember(serverId, userId, duration, options = {}) {
+    if (this._isDryRun('timeoutMember')) return this._recordDryRun('timeoutMember', [serverId, userId, duration, options]);
+    
+    if (!(duration >= 0) || duration > MAX_TIMEOUT) {
+      throw new Error('Discord timeouts must be between 0 and 28 days');
+    }
+    
+    await this._checkModeration(serverId, 'timeoutMember', PERMISSIONS.MODERATE_MEMBERS, userId);
+    
+    const until = duration > 0 ? new Date(Date.now() + duration).toISOString() : null;
+    await this._moderate('PATCH', `/guilds/${serverId}/members/${userId}`, { communication_disabled_until: until },
+      options.reason, 'Failed to time out member');
+    
+    return this._recordModeration('timeoutMember', { serverId, userId, until }, options.reason);
+  }
+  
+  /**
+   * Remove a member from a server (they can rejoin with an invite)
+   * @param {String} serverId - Server ID
+   * @param {String} userId - Member to kick
+   * @param {Object} options - Moderation options (reason)
+   * @returns {Object} Moderation result
+   */
+  async kickMember(serverId, userId, options = {}) {
+    if (this._isDryRun('kickMember')) return this._recordDryRun('kickMember', [serverId, userId, options]);
+    
+    await this._checkModeration(serverId, 'kickMember', PERMISSIONS.KICK_MEMBERS, userId);
+    
+    await this._moderate('DELETE', `/guilds/${serverId}/members/${userId}`, null, options.reason, 'Failed to kick member');
+    return this._recordModeration('kickMember', { serverId, userId }, options.reason);
+  }
+  
+  /**
+   * Ban a user from a server
+   * @param {String} serverId - Server ID
+   * @param {String} userId - User to ban
+   * @param {Object} options - Moderation options
+   * @param {Number} options.deleteMessageSeconds - Also delete the user's messages from this many seconds back (max 604800)
+   * @param {String} options.reason - Reason recorded in the server audit log
+   * @returns {Object} Moderation result
+   */
+  async banMember(serverId, userId, options = {}) {
+    if (this._isDryRun('banMember')) return this._recordDryRun('banMember', [serverId, userId, options]);
+    
+    await this._checkModeration(serverId, 'banMember', PERMISSIONS.BAN_MEMBERS, userId);
+    
+    await this._moderate('PUT', `/guilds/${serverId}/bans/${userId}`, { delete_message_seconds: options.deleteMessageSeconds || 0 },
+      options.reason, 'Failed to ban member');
+    
+    return this._recordModeration('banMember', { serverId, userId }, options.reason);
+  }
+  
+  /**
+   * Check the bot may take a moderation action in a server.
+   * The bot needs the permission through one of its roles, and a target member
+   * must rank below the bot's highest role and hold none of the protected roles.
+   * @param {String} serverId - Server ID
+   * @param {String} action - Moderation action
+   * @param {BigInt} permission - Required permission bit
+   * @param {String} targetId - Member the action applies to (optional)
+   * @private
+   */
+  async _checkModeration(serverId, action, permission, targetId) {
+    if (!this.connected) {
+      throw new Error('Not connected to Discord API');
+    }
+    
+    const server = await this._getCachedServerInfo(serverId);
+    const roles = new Map(server.roles.map(role => [role.id, role]));
+    const deny = (code, reason) => {
+      const error = new Error(`Cannot ${action} in server ${serverId}: ${reason}`);
+      error.code = code;
+      error.platform = this.platform;
+      error.action = action;
+      return error;
+    };
+    
+    const botMember = await this.getMember(serverId, this.botUser.id);
+    if (!botMember) {
+      throw deny('MISSING_PERMISSIONS', 'the bot is not a member of this server');
+    }
+    
+    // Every member implicitly holds @everyone, whose role ID is the server ID
+    const botRoles = [serverId, ...botMember.roles].map(id => roles.get(id)).filter(Boolean);
+    const granted = botRoles.reduce((bits, role) => bits | BigInt(role.permissions), 0n);
+    
+    if (server.ownerId !== this.botUser.id && !(granted & PERMISSIONS.ADMINISTRATOR) && !(granted & permission)) {
+      throw deny('MISSING_PERMISSIONS', 'the bot has no role granting this permission');
+    }
+    
+    if (!targetId) return;
+    
+    if (targetId === server.ownerId) {
+      throw deny('ROLE_HIERARCHY', 'the server owner cannot be moderated');
+    }
+    
+    const target = await this.getMember(serverId, targetId);
+    
+    // Users who already left can still be banned
+    if (!target) return;
+    
+    const protectedRoles = this.config.protectedRoles || [];
+    const targetRoles = target.roles.map(id => roles.get(id)).filter(Boolean);
+    
+    if (targetRoles.some(role => protectedRoles.includes(role.id) || protectedRoles.includes(role.name))) {
+      throw deny('PROTECTED_MEMBER', 'the member holds a protected role');
+    }
+    
+    const topPosition = list => Math.max(0, ...list.map(role => role.position));
+    if (server.ownerId !== this.botUser.id && topPosition(targetRoles) >= topPosition(botRoles)) {
+      throw deny('ROLE_HIERARCHY', "the member's highest role is not below the bot's");
+    }
+  }
+  
+  /**
+   * Get server info for role checks, cached for config.serverInfoTtl
+   * @private
+   */
+  async _getCachedServerInfo(serverId) {
+    const ttl = this.config.serverInfoTtl !== undefined ? this.config.serverInfoTtl : 60000;
+    const cached = this.serverCache.get(serverId);
+    
+    if (cached && Date.now() - cached.fetchedAt < ttl) {
+      return cached.info;
+    }
+    
+    const info = await this.getServerInfo(serverId);
+    this.serverCache.set(serverId, { info, fetchedAt: Date.now() });
+    return info;
+  }
+  
+  /**
+   * Send a moderation request with its audit log reason
+   * @private
+   */
+  async _moderate(method, path, body, reason, errorMessage) {
+    return this._request(method, path, body, errorMessage, {
+      retry: false,
+      headers: reason ? { 'X-Audit-Log-Reason': encodeURIComponent(reason) } : {}
+    });
+  }
+  
+  /**
+   * Log and announce a completed moderation action
+   * @private
+   */
+  _recordModeration(action, target, reason) {
+    const result = {
+      success: true,
+      action,
+      ...target,
+      reason: reason || null,
+      timestamp: new Date().toISOString()
+    };
+    
+    this.logActivity('moderation', result);
+    this.emit('moderation', result);
+    
+    return result;
+  }
+  
+  /**
+   * Open the gateway connection.
+   * Gateway events are emitted as message, reaction, memberJoin and interaction;
+   * registered slash commands are answered automatically. Safe to call repeatedly.
+   * @returns {Object} Gateway state
+   */
+  async startGateway() {
+    if (!this.connected) {
+      throw new Error('Not connected to Discord API');
+    }
+    
+    if (!this.gateway) {
+      const url = this.config.gatewayUrl || (await this._request('GET', '/gateway/bot', null, 'Failed to get gateway URL')).url;
       
-      // Find server or simulate one
-      const server = this.servers.find(s => s.id === serverId) || {
-        id: serverId,
-        name: 'Unknown Server',
-        memberCount: 1000
-      };
+      this.gateway = new DiscordGateway({
+        token: this.config.token,
+        intents: this.config.intents,
+        url,
+        WebSocket: this.config.WebSocket,
+        readyTimeout: this.config.gatewayReadyTimeout,
+        maxReconnectAttempts: this.config.gatewayMaxReconnectAttempts
+      });
       
-      // Add more simulated data
-      return {
-        ...server,
-        channels: [
-          { id: 'channel1', name: 'general', type: 'text' },
-          { id: 'channel2', name: 'announcements', type: 'text' },
-          { id: 'channel3', name: 'voice-chat', type: 'voice' }
-        ],
-        roles: [
-          { id: 'role1', name: 'Admin', color: '#FF0000' },
-          { id: 'role2', name: 'Moderator', color: '#00FF00' },
-          { id: 'role3', name: 'Member', color: '#0000FF' }
-        ]
-      };
+      this.gateway.on('dispatch', ({ type, data }) => this._handleGatewayEvent(type, data));
+      this.gateway.on('reconnecting', details => this.logActivity('gateway_reconnect', details));
+      this.gateway.on('resumed', () => this.logActivity('gateway_resumed', { sessionId: this.gateway.sessionId }));
+      this.gateway.on('error', error => {
+        this.logActivity('gateway_error', { error: error.message });
+        this.emit('gatewayError', error);
+      });
+    }
+    
+    try {
+      await this.gateway.connect();
     } catch (error) {
-      throw new Error(`Failed to get server info: ${error.message}`);
+      this.gateway = null;
+      throw this._formatError(error, 'Failed to connect to Discord gateway');
+    }
+    
+    return this.gateway.getState();
+  }
+  
+  /**
+   * Close the gateway connection
+   */
+  stopGateway() {
+    if (this.gateway) {
+      this.gateway.close();
+      this.gateway = null;
     }
   }
+  
+  /**
+   * Register a slash command handler.
+   * The handler receives the normalized interaction and returns the reply
+   * (a string or { content, embeds, ephemeral }). Call syncCommands() to publish
+   * new definitions to Discord.
+   * @param {Object} definition - Command definition ({ name, description, options, ephemeral })
+   * @param {Function} handler - async (interaction) => reply
+   * @returns {Object} Command definition
+   */
+  registerCommand(definition, handler) {
+    if (!definition || !/^[-_a-z0-9]{1,32}$/.test(definition.name || '')) {
+      throw new Error('Discord command names must be 1-32 lowercase letters, digits, - or _');
+    }
+    
+    if (!definition.description) {
+      throw new Error(`Discord command /${definition.name} requires a description`);
+    }
+    
+    if (typeof handler !== 'function') {
+      throw new Error(`Discord command /${definition.name} requires a handler function`);
+    }
+    
+    this.commands.set(definition.name, { definition: { ...definition }, handler });
+    return definition;
+  }
+  
+  /**
+   * Remove a slash command handler
+   * @param {String} name - Command name
+   * @returns {Boolean} True if a command was removed
+   */
+  unregisterCommand(name) {
+    return this.commands.delete(name);
+  }
+  
+  /**
+   * List registered slash commands
+   * @returns {Array} Command definitions
+   */
+  getCommands() {
+    return Array.from(this.commands.values(), ({ definition }) => ({ ...definition }));
+  }
+  
+  /**
+   * Publish the registered commands to Discord, replacing any others
+   * @param {Object} options - Sync options
+   * @param {String} options.guildId - Register for one server only (updates instantly; global commands can take an hour)
+   * @returns {Array} Commands as registered by Discord
+   */
+  async syncCommands(options = {}) {
+    if (this._isDryRun('syncCommands')) return this._recordDryRun('syncCommands', [options]);
+    
+    if (!this.connected) {
+      throw new Error('Not connected to Discord API');
+    }
+    
+    if (!this.applicationId) {
+      throw new Error('Discord syncCommands requires config.clientId (the application ID)');
+    }
+    
+    const path = options.guildId ?
+      `/applications/${this.applicationId}/guilds/${options.guildId}/commands` :
+      `/applications/${this.applicationId}/commands`;
+    
+    const body = this.getCommands().map(({ name, description, options: commandOptions }) => ({
+      type: 1,
+      name,
+      description,
+      options: commandOptions || []
+    }));
+    
+    return this._request('PUT', path, body, 'Failed to sync commands');
+  }
+  
+  /**
+   * Answer an interaction
+   * @param {Object} interaction - Normalized interaction (needs id and token)
+   * @param {String|Object} response - Reply text or { content, embeds, ephemeral }
+   * @returns {Object} Response result
+   */
+  async respondToInteraction(interaction, response) {
+    if (this._isDryRun('respondToInteraction')) return this._recordDryRun('respondToInteraction', [interaction, response]);
+    
+    await this._request('POST', `/interactions/${interaction.id}/${interaction.token}/callback`, {
+      type: RESPONSE_CHANNEL_MESSAGE,
+      data: toInteractionMessage(response)
+    }, 'Failed to respond to interaction', { retry: false });
+    
+    return { success: true, interactionId: interaction.id };
+  }
+  
+  /**
+   * Route a gateway dispatch to connector events
+   * @param {String} type - Dispatch event type
+   * @param {Object} data - Event data
+   * @private
+   */
+  async _handleGatewayEvent(type, data) {
+    try {
+      switch (type) {
+        case 'READY':
+          this.botUser = { id: data.user.id, username: data.user.username, discriminator: data.user.discriminator };
+          this.applicationId = this.applicationId || (data.application && data.application.id) || null;
+          break;
+          
+        case 'GUILD_CREATE':
+          this.servers = [
+            ...this.servers.filter(server => server.id !== data.id),
+            { id: data.id, name: data.name, memberCount: data.member_count }
+          ];
+          break;
+          
+        case 'MESSAGE_CREATE':
+          this.emit('message', {
+            ...this._mapMessage(data.channel_id, data),
+            guildId: data.guild_id || null
+          });
+          break;
+          
+        case 'MESSAGE_REACTION_ADD':
+        case 'MESSAGE_REACTION_REMOVE':
+          this.emit('reaction', {
+            action: type === 'MESSAGE_REACTION_ADD' ? 'add' : 'remove',
+            messageId: data.message_id,
+            channelId: data.channel_id,
+            guildId: data.guild_id || null,
+            userId: data.user_id,
+            emoji: data.emoji.id ? `<:${data.emoji.name}:${data.emoji.id}>` : data.emoji.name
+          });
+          break;
+          
+        case 'GUILD_MEMBER_ADD':
+          this.emit('memberJoin', {
+            guildId: data.guild_id,
+            user: createAuthor({ ...data.user, name: data.user.global_name || data.user.username }),
+            roles: data.roles || [],
+            joinedAt: data.joined_at
+          });
+          break;
+          
+        case 'INTERACTION_CREATE': {
+          const interaction = this._mapInteraction(data);
+          this.emit('interaction', interaction);
+          
+          if (interaction.type === INTERACTION_APPLICATION_COMMAND && this.commands.has(interaction.commandName)) {
+            await this._runCommand(interaction);
+          }
+          break;
+        }
+      }
+    } catch (error) {
+      this.logActivity('gateway_event_error', { type, error: error.message });
+    }
+  }
+  
+  /**
+   * Run a slash command handler and send its reply.
+   * Slow handlers are deferred first so Discord does not drop the interaction.
+   * @param {Object} interaction - Normalized interaction
+   * @private
+   */
+  async _runCommand(interaction) {
+    const { definition, handler } = this.commands.get(interaction.commandName);
+    const deferAfter = this.config.commandDeferAfter !== undefined ? this.config.commandDeferAfter : DEFAULT_DEFER_AFTER;
+    
+    // The defer call settles while the handler is still running, so its failure is
+    // captured here and rethrown once the reply is due rather than left unhandled
+    let deferred = null;
+    let deferError = null;
+    const timer = setTimeout(() => {
+      deferred = this._request('POST', `/interactions/${interaction.id}/${interaction.token}/callback`, {
+        type: RESPONSE_DEFERRED_CHANNEL_MESSAGE,
+        data: definition.ephemeral ? { flags: EPHEMERAL_FLAG } : {}
+      }, 'Failed to defer interaction', { retry: false }).catch(error => {
+        deferError = error;
+      });
+    }, deferAfter);
+    
+    let response;
+    try {
+      response = await handler(interaction);
+      this.logActivity('command', { name: interaction.commandName, user: interaction.user.id });
+    } catch (error) {
+      this.logActivity('command_error', { name: interaction.commandName, error: error.message });
+      this.emit('commandError', { interaction, error });
+      response = { content: `Sorry, /${interaction.commandName} failed.`, ephemeral: true };
+    } finally {
+      clearTimeout(timer);
+    }
+    
+    if (response === undefined || response === null) {
+      response = { content: 'Done.', ephemeral: true };
+    }
+    
+    const message = toInteractionMessage(response, definition.ephemeral);
+    
+    if (deferred) {
+      // A deferred response is completed by editing the placeholder message
+      await deferred;
+      if (deferError) throw deferError;
+      
+      await this._request('PATCH', `/webhooks/${this.applicationId}/${interaction.token}/messages/@original`, message,
+        'Failed to complete deferred interaction', { retry: false });
+    } else {
+      await this._request('POST', `/interactions/${interaction.id}/${interaction.token}/callback`, {
+        type: RESPONSE_CHANNEL_MESSAGE,
+        data: message
+      }, 'Failed to respond to interaction', { retry: false });
+    }
+  }
+  
+  /**
+   * Map a Discord interaction to a normalized interaction
+   * @param {Object} data - INTERACTION_CREATE data
+   * @returns {Object} Interaction
+   * @private
+   */
+  _mapInteraction(data) {
+    const user = (data.member && data.member.user) || data.user || {};
+    const command = data.data || {};
+    
+    // Subcommands nest their options one level down
+    let options = command.options || [];
+    let subcommand = null;
+    if (options.length === 1 && (options[0].type === 1 || options[0].type === 2)) {
+      subcommand = options[0].name;
+      options = options[0].options || [];
+    }
+    
+    return {
+      id: data.id,
+      token: data.token,
+      type: data.type,
+      commandName: command.name || null,
+      subcommand,
+      options: Object.fromEntries(options.map(option => [option.name, option.value])),
+      user: createAuthor({ ...user, name: user.global_name || user.username }),
+      roles: data.member ? data.member.roles || [] : [],
+      channelId: data.channel_id || null,
+      guildId: data.guild_id || null,
+      raw: data
+    };
+  }
+  
+  /**
+   * Resolve the channel an action targets
+   * @private
+   */
+  _getChannelId(options, action) {
+    const channelId = options.channelId || this.config.defaultChannelId;
+    
+    if (!channelId) {
+      throw new Error(`Discord ${action} requires options.channelId or config.defaultChannelId`);
+    }
+    
+    return channelId;
+  }
+  
+  /**
+   * Call the Discord REST API
+   * @param {String} method - HTTP method
+   * @param {String} path - API path
+   * @param {Object} body - Request body (optional)
+   * @param {String} errorMessage - Error message if the call fails
+   * @param {Object} options - Call options ({ retry, headers })
+   * @returns {Object} Response data
+   * @private
+   */
+  async _request(method, path, body, errorMessage, options = {}) {
+    return this._handleApiCall(
+      async () => (await this.client.request({ method, path, body: body === null ? undefined : body, headers: options.headers })).data,
+      errorMessage,
+      { retry: options.retry }
+    );
+  }
+  
+  /**
+   * Map a Discord message to the normalized message shape
+   * @param {String} channelId - Channel ID
+   * @param {Object} message - Discord message
+   * @returns {Object} Message
+   * @private
+   */
+  _mapMessage(channelId, message) {
+    return createMessage({
+      id: message.id,
+      platform: this.platform,
+      channelId,
+      text: message.content,
+      author: message.author,
+      // Discord nests the emoji ({ id, name }); custom emoji are referred to as name:id
+      reactions: (message.reactions || []).map(reaction => ({
+        emoji: reaction.emoji && typeof reaction.emoji === 'object' ?
+          (reaction.emoji.id ? `${reaction.emoji.name}:${reaction.emoji.id}` : reaction.emoji.name) : reaction.emoji,
+        count: reaction.count
+      })),
+      created_at: message.timestamp,
+      in_reply_to_id: message.message_reference ? message.message_reference.message_id : null
+    });
+  }
+}
+
+// Actions supported by this connector
+DiscordConnector.capabilities = [
+  'post',
+  'sendMessage',
+  'reply',
+  'createThread',
+  'addReaction',
+  'like',
+  'getPost',
+  'getMessages',
+  'getUserProfile',
+  'sendDirectMessage',
+  'streamMessages',
+  'streamMentions',
+  'streamTimeline',
+  'getServerInfo',
+  'getMember',
+  'deleteMessage',
+  'pinMessage',
+  'unpinMessage',
+  'timeoutMember',
+  'kickMember',
+  'banMember',
+  'startGateway',
+  'registerCommand',
+  'syncCommands',
+  'respondToInteraction'
+];
+
+/**
+ * Build an interaction message from a handler reply
+ * @param {String|Object} response - Reply text or { content | text, embeds, ephemeral }
+ * @param {Boolean} ephemeral - Default visibility from the command definition
+ * @returns {Object} Discord message data
+ * @private
+ */
+function toInteractionMessage(response, ephemeral = false) {
+  const reply = typeof response === 'string' ? { content: response } : response;
+  const message = { content: reply.content !== undefined ? reply.content : reply.text };
+  
+  if (reply.embeds) message.embeds = reply.embeds;
+  if (reply.ephemeral !== undefined ? reply.ephemeral : ephemeral) message.flags = EPHEMERAL_FLAG;
+  
+  return message;
+}
+
+/**
+ * Build a channel message from connector content
+ * @param {Object} content - Message content ({ text, embeds })
+ * @returns {Object} Discord message data
+ * @private
+ */
+function toMessageBody(content) {
+  const message = { content: content.text };
+  
+  if (content.embeds) message.embeds = content.embeds;
+  
+  return message;
 }
 
 module.exports = { DiscordConnector };
@@ -0,0 +1,315 @@
+/**
+ * Tests for the Discord connector against a fake REST API
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DiscordConnector } = require('./discord-connector');
+
+const BOT = { id: 'b1', username: 'socialos', discriminator: '0', bot: true };
+
+/**
+ * Create a fake Discord REST API
+ * @param {Object} routes - Handlers keyed by "METHOD /path", called with (body, url)
+ * @returns {Function} fetch, with the handled requests on .requests
+ */
+function createApi(routes) {
+  const fetch = async (url, init) => {
+    const parsed = new URL(url);
+    const key = `${init.method} ${parsed.pathname.replace('/api/v10', '')}`;
+    const body = init.body ? JSON.parse(init.body) : null;
+    fetch.requests.push({ key, url: parsed, headers: init.headers, body });
+    
+    const defaults = {
+      'GET /users/@me': () => BOT,
+      'GET /users/@me/guilds': () => [{ id: 'g1', name: 'Guild', approximate_member_count: 3 }]
+    };
+    const handler = routes[key] || defaults[key];
+    if (!handler) {
+      return new Response('{"message":"Unknown","code":0}', { status: 404 });
+    }
+    
+    const result = await handler(body, parsed);
+    if (result instanceof Response) return result;
+    return new Response(JSON.stringify(result), { status: 200, headers: { 'content-type': 'application/json' } });
+  };
+  
+  fetch.requests = [];
+  return fetch;
+}
+
+/**
+ * Create a connected connector for a fake API
+ * @param {Object} routes - API routes
+ * @param {Object} config - Extra connector config
+ * @returns {Promise<Object>} { connector, fetch }
+ */
+async function connect(routes, config = {}) {
+  const fetch = createApi(routes);
+  const connector = new DiscordConnector({ token: 'bot-token', fetch, retry: { baseDelay: 1 }, ...config });
+  
+  await connector.connect();
+  return { connector, fetch };
+}
+
+/**
+ * Create a Discord message
+ * @param {String} id - Message ID
+ * @param {Object} fields - Extra message fields
+ * @returns {Object} Message
+ */
+function message(id, fields = {}) {
+  return {
+    id,
+    content: `message ${id}`,
+    author: { id: 'u1', username: 'alice', discriminator: '0' },
+    timestamp: '2024-01-01T00:00:00.000Z',
+    ...fields
+  };
+}
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+});
+
+test('connects as the bot and lists its servers', async () => {
+  const { connector, fetch } = await connect({});
+  
+  assert.equal(fetch.requests[0].headers.Authorization, 'Bot bot-token');
+  assert.deepEqual(connector.botUser, { id: 'b1', username: 'socialos', discriminator: '0' });
+  assert.deepEqual(connector.servers, [{ id: 'g1', name: 'Guild', memberCount: 3 }]);
+});
+
+test('reads a message from its channel', async () => {
+  const { connector } = await connect({
+    'GET /channels/c1/messages/m1': () => message('m1', {
+      reactions: [{ count: 2, emoji: { id: null, name: '👍' } }, { count: 1, emoji: { id: '9', name: 'party' } }],
+      message_reference: { message_id: 'm0' }
+    })
+  });
+  
+  const post = await connector.getPost('m1', { channelId: 'c1' });
+  
+  assert.equal(post.text, 'message m1');
+  assert.equal(post.channelId, 'c1');
+  assert.equal(post.in_reply_to_id, 'm0');
+  assert.equal(post.metrics.like_count, 3);
+  assert.deepEqual(post.reactions, [{ emoji: '👍', count: 2 }, { emoji: 'party:9', count: 1 }]);
+  await assert.rejects(connector.getPost('m1'), /requires options.channelId/);
+});
+
+test('pages through channel messages', async () => {
+  const { connector, fetch } = await connect({
+    'GET /channels/c1/messages': () => [message('m3'), message('m2')]
+  });
+  
+  const messages = await connector.getMessages('c1', { limit: 500, before: 'm4' });
+  
+  assert.deepEqual(messages.map(m => m.id), ['m3', 'm2']);
+  assert.equal(fetch.requests.at(-1).url.search, '?limit=100&before=m4');
+});
+
+test('sends direct messages through a DM channel', async () => {
+  const { connector, fetch } = await connect({
+    'POST /users/@me/channels': body => ({ id: `dm-${body.recipient_id}` }),
+    'POST /channels/dm-u1/messages': body => message('m9', { content: body.content })
+  });
+  
+  const result = await connector.sendDirectMessage('u1', { text: 'Welcome!' });
+  
+  assert.deepEqual(result, { success: true, id: 'm9', channelId: 'dm-u1', recipient: 'u1', content: 'Welcome!' });
+  assert.deepEqual(fetch.requests.at(-2).body, { recipient_id: 'u1' });
+});
+
+test('looks up user profiles', async () => {
+  const { connector } = await connect({
+    'GET /users/u1': () => ({ id: 'u1', username: 'alice', global_name: 'Alice', avatar: 'abc', discriminator: '0' })
+  });
+  
+  const profile = await connector.getUserProfile('u1');
+  
+  assert.equal(profile.name, 'Alice');
+  assert.equal(profile.username, 'alice');
+  assert.equal(profile.profile_image_url, 'https://cdn.discordapp.com/avatars/u1/abc.png');
+  assert.equal(profile.bot, false);
+});
+
+/**
+ * Create an INTERACTION_CREATE payload for a slash command
+ * @param {String} name - Command name
+ * @param {Array} options - Command options
+ * @returns {Object} Interaction data
+ */
+function slashCommand(name, options = []) {
+  return {
+    id: 'i1',
+    token: 'tok',
+    type: 2,
+    channel_id: 'c1',
+    guild_id: 'g1',
+    member: { user: { id: 'u1', username: 'alice' }, roles: ['r1'] },
+    data: { name, options }
+  };
+}
+
+test('validates and publishes slash commands', async () => {
+  const { connector, fetch } = await connect({
+    'PUT /applications/app1/guilds/g1/commands': body => body
+  }, { clientId: 'app1' });
+  
+  assert.throws(() => connector.registerCommand({ name: 'Bad Name', description: 'x' }, () => {}), /lowercase/);
+  assert.throws(() => connector.registerCommand({ name: 'ping' }, () => {}), /requires a description/);
+  assert.throws(() => connector.registerCommand({ name: 'ping', description: 'Ping' }), /requires a handler/);
+  
+  connector.registerCommand({ name: 'ping', description: 'Ping', ephemeral: true }, () => 'pong');
+  await connector.syncCommands({ guildId: 'g1' });
+  
+  assert.deepEqual(fetch.requests.at(-1).body, [{ type: 1, name: 'ping', description: 'Ping', options: [] }]);
+  assert.equal(connector.unregisterCommand('ping'), true);
+  assert.deepEqual(connector.getCommands(), []);
+});
+
+test('answers fast commands directly with the handler reply', async () => {
+  const { connector, fetch } = await connect({
+    'POST /interactions/i1/tok/callback': () => new Response(null, { status: 204 })
+  });
+  const seen = [];
+  connector.registerCommand({ name: 'echo', description: 'Echo', ephemeral: true }, interaction => {
+    seen.push(interaction);
+    return { content: interaction.options.text, ephemeral: false };
+  });
+  
+  await connector._handleGatewayEvent('INTERACTION_CREATE', slashCommand('echo', [
+    { type: 1, name: 'say', options: [{ name: 'text', value: 'hi' }] }
+  ]));
+  
+  assert.equal(seen[0].subcommand, 'say');
+  assert.deepEqual(seen[0].roles, ['r1']);
+  assert.deepEqual(fetch.requests.at(-1).body, { type: 4, data: { content: 'hi' } });
+});
+
+test('defers slow commands and edits the placeholder with the reply', async () => {
+  const { connector, fetch } = await connect({
+    'POST /interactions/i1/tok/callback': () => new Response(null, { status: 204 }),
+    'PATCH /webhooks/app1/tok/messages/@original': body => body
+  }, { clientId: 'app1', commandDeferAfter: 5 });
+  connector.registerCommand({ name: 'report', description: 'Report', ephemeral: true }, async () => {
+    await new Promise(resolve => setTimeout(resolve, 30));
+    return 'ready';
+  });
+  
+  await connector._handleGatewayEvent('INTERACTION_CREATE', slashCommand('report'));
+  
+  assert.deepEqual(fetch.requests.slice(-2).map(r => [r.key, r.body]), [
+    ['POST /interactions/i1/tok/callback', { type: 5, data: { flags: 64 } }],
+    ['PATCH /webhooks/app1/tok/messages/@original', { content: 'ready', flags: 64 }]
+  ]);
+});
+
+test('replies privately when a command handler throws', async () => {
+  const { connector, fetch } = await connect({
+    'POST /interactions/i1/tok/callback': () => new Response(null, { status: 204 })
+  });
+  const errors = [];
+  connector.on('commandError', ({ error }) => errors.push(error.message));
+  connector.registerCommand({ name: 'boom', description: 'Boom' }, () => {
+    throw new Error('kaput');
+  });
+  
+  await connector._handleGatewayEvent('INTERACTION_CREATE', slashCommand('boom'));
+  
+  assert.deepEqual(errors, ['kaput']);
+  assert.deepEqual(fetch.requests.at(-1).body, { type: 4, data: { content: 'Sorry, /boom failed.', flags: 64 } });
+});
+
+test('reports a failed defer once the slow handler finishes', async (t) => {
+  const { connector, fetch } = await connect({
+    'POST /interactions/i1/tok/callback': () => new Response('{"message":"Unknown interaction","code":10062}', { status: 404 })
+  }, { clientId: 'app1', commandDeferAfter: 5 });
+  const logActivity = t.mock.method(connector, 'logActivity');
+  connector.registerCommand({ name: 'report', description: 'Report' }, async () => {
+    await new Promise(resolve => setTimeout(resolve, 30));
+    return 'ready';
+  });
+  
+  await connector._handleGatewayEvent('INTERACTION_CREATE', slashCommand('report'));
+  
+  const failure = logActivity.mock.calls.find(call => call.arguments[0] === 'gateway_event_error');
+  assert.match(failure.arguments[1].error, /Failed to defer interaction/);
+  assert.equal(fetch.requests.some(r => r.key.startsWith('PATCH')), false);
+});
+
+/**
+ * Create routes for a server with ranked roles and members
+ * @param {Object} members - Role IDs keyed by member ID (the bot is b1)
+ * @param {Object} options - Server options ({ botPermissions, ownerId })
+ * @returns {Object} API routes
+ */
+function serverRoutes(members, { botPermissions = String(1n << 1n | 1n << 13n), ownerId = 'owner' } = {}) {
+  return {
+    'GET /guilds/g1': () => ({
+      id: 'g1',
+      name: 'Guild',
+      owner_id: ownerId,
+      roles: [
+        { id: 'g1', name: '@everyone', color: 0, position: 0, permissions: '0' },
+        { id: 'r-mod', name: 'Moderators', color: 0, position: 3, permissions: '0' },
+        { id: 'r-bot', name: 'Bot', color: 0, position: 2, permissions: botPermissions },
+        { id: 'r-vip', name: 'VIP', color: 0, position: 1, permissions: '0' }
+      ]
+    }),
+    'GET /guilds/g1/channels': () => [],
+    ...Object.fromEntries(Object.entries(members).map(([id, roles]) => [
+      `GET /guilds/g1/members/${id}`,
+      () => ({ user: { id, username: id }, roles, joined_at: '2024-01-01T00:00:00.000Z' })
+    ]))
+  };
+}
+
+test('kicks a lower-ranked member with an audit log reason', async () => {
+  const { connector, fetch } = await connect({
+    ...serverRoutes({ b1: ['r-bot'], u1: [] }),
+    'DELETE /guilds/g1/members/u1': () => new Response(null, { status: 204 })
+  });
+  const events = [];
+  connector.on('moderation', event => events.push(event));
+  
+  const result = await connector.kickMember('g1', 'u1', { reason: 'spam: 5 links' });
+  
+  assert.equal(fetch.requests.at(-1).headers['X-Audit-Log-Reason'], 'spam%3A%205%20links');
+  assert.equal(result.action, 'kickMember');
+  assert.equal(result.reason, 'spam: 5 links');
+  assert.deepEqual(events, [result]);
+});
+
+test('refuses moderation the bot is not allowed to take', async () => {
+  const { connector, fetch } = await connect({
+    ...serverRoutes({ b1: ['r-bot'], mod: ['r-mod'], vip: ['r-vip'], u1: [] }),
+    'DELETE /channels/c1/messages/m1': () => new Response(null, { status: 204 })
+  }, { protectedRoles: ['VIP'] });
+  
+  await assert.rejects(connector.banMember('g1', 'u1'), { code: 'MISSING_PERMISSIONS', action: 'banMember' });
+  await assert.rejects(connector.kickMember('g1', 'mod'), { code: 'ROLE_HIERARCHY' });
+  await assert.rejects(connector.kickMember('g1', 'owner'), { code: 'ROLE_HIERARCHY' });
+  await assert.rejects(connector.deleteMessage('c1', 'm1', { serverId: 'g1', authorId: 'vip' }), { code: 'PROTECTED_MEMBER' });
+  
+  assert.equal(fetch.requests.some(r => r.key.startsWith('DELETE') || r.key.startsWith('PUT')), false);
+  
+  // Server roles are fetched once and cached for later checks
+  assert.equal(fetch.requests.filter(r => r.key === 'GET /guilds/g1').length, 1);
+});
+
+test('times out members for a bounded duration', async () => {
+  const { connector, fetch } = await connect({
+    ...serverRoutes({ b1: ['r-bot'], u1: [] }, { botPermissions: String(1n << 40n) }),
+    'PATCH /guilds/g1/members/u1': () => ({})
+  });
+  
+  const before = Date.now();
+  const result = await connector.timeoutMember('g1', 'u1', 60000);
+  const until = Date.parse(fetch.requests.at(-1).body.communication_disabled_until);
+  
+  assert.equal(result.until, new Date(until).toISOString());
+  assert.ok(until >= before + 60000 && until <= Date.now() + 60000);
+  await assert.rejects(connector.timeoutMember('g1', 'u1', 29 * 24 * 60 * 60 * 1000), /between 0 and 28 days/);
+});
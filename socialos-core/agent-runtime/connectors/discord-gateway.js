@@ -0,0 +1,454 @@
+/**
+ * SocialOS Discord Gateway
+ * 
+ * Client for the Discord gateway WebSocket protocol: identifies the bot,
+ * keeps the connection alive with heartbeats, and resumes or re-identifies
+ * after disconnects. Dispatch events are re-emitted by name (MESSAGE_CREATE,
+ * INTERACTION_CREATE, ...) and as 'dispatch'.
+ */
+
+const { EventEmitter } = require('events');
+const { RetryPolicy } = require('./retry-policy');
+const { resolveWebSocket } = require('./websocket-utils');
+
+const DEFAULT_GATEWAY_URL = 'wss://gateway.discord.gg';
+
+// Gateway opcodes
+const OPCODES = {
+  DISPATCH: 0,
+  HEARTBEAT: 1,
+  IDENTIFY: 2,
+  RESUME: 6,
+  RECONNECT: 7,
+  INVALID_SESSION: 9,
+  HELLO: 10,
+  HEARTBEAT_ACK: 11
+};
+
+// Gateway intents (bit flags)
+const INTENTS = {
+  GUILDS: 1 << 0,
+  GUILD_MEMBERS: 1 << 1,
+  GUILD_MESSAGES: 1 << 9,
+  GUILD_MESSAGE_REACTIONS: 1 << 10,
+  DIRECT_MESSAGES: 1 << 12,
+  DIRECT_MESSAGE_REACTIONS: 1 << 13,
+  MESSAGE_CONTENT: 1 << 15
+};
+
+// Close codes after which reconnecting cannot succeed (bad token, intents or version)
+const FATAL_CLOSE_CODES = [4004, 4010, 4011, 4012, 4013, 4014];
+
+// Close codes after which the session cannot be resumed
+const SESSION_CLOSE_CODES = [4007, 4009];
+
+const DEFAULT_READY_TIMEOUT = 30000;
+const DEFAULT_MAX_RECONNECT_ATTEMPTS = 10;
+
+class DiscordGateway extends EventEmitter {
+  /**
+   * Create a new gateway client
+   * @param {Object} options - Gateway options
+   * @param {String} options.token - Bot token
+   * @param {Number|Array} options.intents - Intent bit field, or intent names (see INTENTS)
+   * @param {String} options.url - Gateway URL (default: wss://gateway.discord.gg)
+   * @param {Function} options.WebSocket - WebSocket implementation (defaults to global WebSocket or ws)
+   * @param {Object} options.reconnect - Reconnect backoff options (RetryPolicy options)
+   * @param {Number} options.readyTimeout - How long connect() waits for READY in ms, across reconnects (default: 30000)
+   * @param {Number} options.maxReconnectAttempts - Consecutive failed reconnects before giving up (default: 10)
+   */
+  constructor(options = {}) {
+    super();
+    
+    if (!options.token) {
+      throw new Error('Discord gateway requires a bot token');
+    }
+    
+    this.token = options.token;
+    this.intents = resolveIntents(options.intents);
+    this.url = options.url || DEFAULT_GATEWAY_URL;
+    this.WebSocket = options.WebSocket;
+    this.backoff = new RetryPolicy({ baseDelay: 1000, maxDelay: 60000, ...options.reconnect });
+    this.readyTimeout = options.readyTimeout !== undefined ? options.readyTimeout : DEFAULT_READY_TIMEOUT;
+    this.maxReconnectAttempts = options.maxReconnectAttempts !== undefined ?
+      options.maxReconnectAttempts :
+      DEFAULT_MAX_RECONNECT_ATTEMPTS;
+    
+    this.ws = null;
+    this.closed = true;
+    this.sessionId = null;
+    this.resumeUrl = null;
+    this.sequence = null;
+    this.user = null;
+    
+    this.heartbeatTimer = null;
+    this.heartbeatAcked = true;
+    this.lastHeartbeat = null;
+    this.latency = null;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.pendingReady = null;
+    this.readyTimer = null;
+  }
+  
+  /**
+   * Open the gateway connection.
+   * Rejects with GATEWAY_TIMEOUT if READY does not arrive within readyTimeout,
+   * and with GATEWAY_CLOSED on a fatal close code or after maxReconnectAttempts.
+   * @returns {Object} READY payload (or the stored session after a resume)
+   */
+  connect() {
+    if (this.pendingReady) {
+      return this.pendingReady.promise;
+    }
+    
+    this.closed = false;
+    
+    let resolve, reject;
+    const promise = new Promise((res, rej) => {
+      resolve = res;
+      reject = rej;
+    });
+    this.pendingReady = { promise, resolve, reject };
+    
+    this.readyTimer = setTimeout(() => {
+      const error = new Error(`Discord gateway was not ready within ${this.readyTimeout}ms`);
+      error.code = 'GATEWAY_TIMEOUT';
+      this._fail(error);
+    }, this.readyTimeout);
+    
+    this._open();
+    return promise;
+  }
+  
+  /**
+   * Close the connection and stop reconnecting
+   * @param {Number} code - Close code (1000 discards the session; default keeps it resumable)
+   */
+  close(code = 1000) {
+    this.closed = true;
+    clearTimeout(this.reconnectTimer);
+    clearTimeout(this.readyTimer);
+    this._stopHeartbeat();
+    
+    if (this.ws) {
+      const ws = this.ws;
+      this.ws = null;
+      ws.close(code);
+    }
+    
+    if (code === 1000) {
+      this.sessionId = null;
+      this.sequence = null;
+    }
+    
+    if (this.pendingReady) {
+      this.pendingReady.reject(new Error('Discord gateway closed before it was ready'));
+      this.pendingReady = null;
+    }
+  }
+  
+  /**
+   * Send a payload to the gateway
+   * @param {Number} op - Opcode
+   * @param {*} d - Payload data
+   */
+  send(op, d) {
+    if (!this.ws) {
+      throw new Error('Discord gateway is not connected');
+    }
+    
+    this.ws.send(JSON.stringify({ op, d }));
+  }
+  
+  /**
+   * Get connection state
+   * @returns {Object} State ({ connected, sessionId, sequence, latency })
+   */
+  getState() {
+    return {
+      connected: Boolean(this.ws) && !this.pendingReady,
+      sessionId: this.sessionId,
+      sequence: this.sequence,
+      latency: this.latency,
+      reconnectAttempts: this.reconnectAttempts
+    };
+  }
+  
+  /**
+   * Open a socket, resuming the session if one exists
+   * @private
+   */
+  _open() {
+    const WebSocket = resolveWebSocket(this.WebSocket);
+    const base = this.sessionId && this.resumeUrl ? this.resumeUrl : this.url;
+    const url = `${base}${base.includes('?') ? '&' : '?'}v=10&encoding=json`;
+    
+    const ws = new WebSocket(url);
+    this.ws = ws;
+    
+    ws.addEventListener('message', event => {
+      if (this.ws !== ws) return;
+      
+      let payload;
+      try {
+        payload = JSON.parse(typeof event.data === 'string' ? event.data : event.data.toString());
+      } catch (error) {
+        this.emit('debug', `Invalid gateway frame: ${error.message}`);
+        return;
+      }
+      
+      this._handlePayload(payload);
+    });
+    
+    ws.addEventListener('close', event => {
+      if (this.ws !== ws) return;
+      this._handleClose(event.code);
+    });
+    
+    ws.addEventListener('error', event => {
+      this.emit('debug', `Gateway socket error: ${event.message || (event.error && event.error.message) || 'unknown'}`);
+    });
+  }
+  
+  /**
+   * Handle a gateway payload
+   * @private
+   */
+  _handlePayload({ op, d, s, t }) {
+    switch (op) {
+      case OPCODES.HELLO:
+        this._startHeartbeat(d.heartbeat_interval);
+        
+        if (this.sessionId && this.sequence !== null) {
+          this.send(OPCODES.RESUME, { token: this.token, session_id: this.sessionId, seq: this.sequence });
+        } else {
+          this.send(OPCODES.IDENTIFY, {
+            token: this.token,
+            intents: this.intents,
+            properties: { os: process.platform, browser: 'socialos', device: 'socialos' }
+          });
+        }
+        break;
+        
+      case OPCODES.HEARTBEAT:
+        // The gateway can ask for a heartbeat at any time
+        this._sendHeartbeat();
+        break;
+        
+      case OPCODES.HEARTBEAT_ACK:
+        this.heartbeatAcked = true;
+        this.latency = Date.now() - this.lastHeartbeat;
+        break;
+        
+      case OPCODES.RECONNECT:
+        this.emit('debug', 'Gateway requested a reconnect');
+        this._reconnect(4000);
+        break;
+        
+      case OPCODES.INVALID_SESSION:
+        // d is true when the session can still be resumed
+        if (!d) {
+          this.sessionId = null;
+          this.sequence = null;
+        }
+        this.emit('debug', `Invalid session (resumable: ${Boolean(d)})`);
+        this._reconnect(4000, 1000 + Math.random() * 4000);
+        break;
+        
+      case OPCODES.DISPATCH:
+        this._handleDispatch(t, d, s);
+        break;
+    }
+  }
+  
+  /**
+   * Handle a dispatch event
+   * @private
+   */
+  _handleDispatch(type, data, sequence) {
+    if (sequence !== null && sequence !== undefined) {
+      this.sequence = sequence;
+    }
+    
+    if (type === 'READY') {
+      this.sessionId = data.session_id;
+      this.resumeUrl = data.resume_gateway_url || null;
+      this.user = data.user;
+      this._markReady(data);
+    } else if (type === 'RESUMED') {
+      this._markReady({ session_id: this.sessionId, user: this.user, resumed: true });
+    }
+    
+    this.emit('dispatch', { type, data });
+    this.emit(type, data);
+  }
+  
+  /**
+   * Record a successful identify or resume
+   * @private
+   */
+  _markReady(data) {
+    this.reconnectAttempts = 0;
+    clearTimeout(this.readyTimer);
+    this.emit(data.resumed ? 'resumed' : 'ready', data);
+    
+    if (this.pendingReady) {
+      this.pendingReady.resolve(data);
+      this.pendingReady = null;
+    }
+  }
+  
+  /**
+   * Start sending heartbeats at the interval from HELLO
+   * @private
+   */
+  _startHeartbeat(interval) {
+    this._stopHeartbeat();
+    this.heartbeatAcked = true;
+    
+    const beat = () => {
+      // No ACK since the last beat means the connection is dead but not closed
+      if (!this.heartbeatAcked) {
+        this.emit('debug', 'Heartbeat not acknowledged; reconnecting');
+        this._reconnect(4000);
+        return;
+      }
+      
+      this._sendHeartbeat();
+      this.heartbeatTimer = setTimeout(beat, interval);
+    };
+    
+    // Discord asks for the first beat after a random fraction of the interval
+    this.heartbeatTimer = setTimeout(beat, Math.floor(interval * Math.random()));
+  }
+  
+  /**
+   * Send one heartbeat
+   * @private
+   */
+  _sendHeartbeat() {
+    if (!this.ws) return;
+    
+    this.heartbeatAcked = false;
+    this.lastHeartbeat = Date.now();
+    this.send(OPCODES.HEARTBEAT, this.sequence);
+  }
+  
+  /**
+   * Stop the heartbeat timer
+   * @private
+   */
+  _stopHeartbeat() {
+    clearTimeout(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+  
+  /**
+   * Drop the current socket and open a new one, keeping the session for a resume
+   * @param {Number} code - Close code sent to the gateway
+   * @param {Number} delay - Delay before reconnecting in ms
+   * @private
+   */
+  _reconnect(code, delay = 0) {
+    this._stopHeartbeat();
+    
+    const ws = this.ws;
+    this.ws = null;
+    if (ws) ws.close(code);
+    
+    this._scheduleOpen(delay);
+  }
+  
+  /**
+   * Handle the socket closing without being asked to
+   * @private
+   */
+  _handleClose(code) {
+    this._stopHeartbeat();
+    this.ws = null;
+    
+    if (this.closed) return;
+    
+    if (FATAL_CLOSE_CODES.includes(code)) {
+      const error = new Error(`Discord gateway closed with fatal code ${code}`);
+      error.code = 'GATEWAY_CLOSED';
+      error.closeCode = code;
+      this._fail(error);
+      return;
+    }
+    
+    if (SESSION_CLOSE_CODES.includes(code)) {
+      this.sessionId = null;
+      this.sequence = null;
+    }
+    
+    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+      const error = new Error(`Discord gateway gave up after ${this.reconnectAttempts} reconnect attempts`);
+      error.code = 'GATEWAY_CLOSED';
+      error.closeCode = code;
+      this._fail(error);
+      return;
+    }
+    
+    this.reconnectAttempts++;
+    const delay = this.backoff.getDelay(this.reconnectAttempts);
+    
+    this.emit('reconnecting', { code, attempt: this.reconnectAttempts, delay, resume: Boolean(this.sessionId) });
+    this._scheduleOpen(delay);
+  }
+  
+  /**
+   * Stop reconnecting and report an error to connect() and error listeners
+   * @param {Error} error - Failure
+   * @private
+   */
+  _fail(error) {
+    const pending = this.pendingReady;
+    this.pendingReady = null;
+    this.close(4000);
+    
+    if (pending) {
+      pending.reject(error);
+    }
+    
+    // A failed connect() already rejects; only running connections need an error listener
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    }
+  }
+  
+  /**
+   * Open a new socket after a delay unless the gateway was closed meanwhile
+   * @private
+   */
+  _scheduleOpen(delay) {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = setTimeout(() => {
+      if (!this.closed) this._open();
+    }, delay);
+  }
+}
+
+/**
+ * Resolve intents given as a bit field or a list of names
+ * @param {Number|Array} intents - Intents
+ * @returns {Number} Intent bit field
+ */
+function resolveIntents(intents) {
+  if (typeof intents === 'number') return intents;
+  
+  const names = intents && intents.length ? intents : [
+    'GUILDS', 'GUILD_MEMBERS', 'GUILD_MESSAGES', 'GUILD_MESSAGE_REACTIONS', 'DIRECT_MESSAGES', 'MESSAGE_CONTENT'
+  ];
+  
+  return names.reduce((bits, name) => {
+    const flag = INTENTS[String(name).toUpperCase()];
+    if (flag === undefined) {
+      throw new Error(`Unknown Discord intent: ${name}`);
+    }
+    return bits | flag;
+  }, 0);
+}
+
+module.exports = { DiscordGateway, OPCODES, INTENTS, resolveIntents };
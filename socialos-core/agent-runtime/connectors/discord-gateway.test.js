@@ -0,0 +1,196 @@
+/**
+ * Tests for the Discord gateway heartbeat and resume flow against a local WebSocket server
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter, once } = require('events');
+const WebSocket = require('ws');
+const { DiscordGateway, OPCODES } = require('./discord-gateway');
+
+const HEARTBEAT_INTERVAL = 50;
+
+/**
+ * Start a fake gateway that speaks just enough of the protocol to identify, heartbeat and resume
+ * @param {Object} options - Server options
+ * @param {Boolean} options.ack - Acknowledge heartbeats (default: true)
+ * @param {Number} options.closeOnIdentify - Close the socket with this code instead of answering IDENTIFY
+ * @param {Boolean} options.ready - Answer IDENTIFY with READY (default: true)
+ * @returns {Promise<Object>} Server ({ url, events, sockets, close }); events emits 'payload' with { path, op, d }
+ */
+async function startGatewayServer({ ack = true, closeOnIdentify = null, ready = true } = {}) {
+  const wss = new WebSocket.WebSocketServer({ host: '127.0.0.1', port: 0 });
+  await once(wss, 'listening');
+  
+  const url = `ws://127.0.0.1:${wss.address().port}`;
+  const events = new EventEmitter();
+  const sockets = [];
+  let sequence = 0;
+  
+  wss.on('connection', (socket, request) => {
+    const path = new URL(request.url, url).pathname;
+    const send = payload => socket.send(JSON.stringify(payload));
+    sockets.push(socket);
+    
+    socket.on('message', raw => {
+      const { op, d } = JSON.parse(raw.toString());
+      
+      if (op === OPCODES.HEARTBEAT && ack) {
+        send({ op: OPCODES.HEARTBEAT_ACK });
+      } else if (op === OPCODES.IDENTIFY && closeOnIdentify) {
+        socket.close(closeOnIdentify);
+      } else if (op === OPCODES.IDENTIFY && ready) {
+        send({
+          op: OPCODES.DISPATCH,
+          t: 'READY',
+          s: ++sequence,
+          d: { session_id: 'session-1', resume_gateway_url: `${url}/resume`, user: { id: 'bot', username: 'socialos' } }
+        });
+      } else if (op === OPCODES.RESUME) {
+        send({ op: OPCODES.DISPATCH, t: 'RESUMED', s: ++sequence, d: null });
+      }
+      
+      events.emit('payload', { path, op, d });
+    });
+    
+    send({ op: OPCODES.HELLO, d: { heartbeat_interval: HEARTBEAT_INTERVAL } });
+  });
+  
+  return {
+    url,
+    events,
+    sockets,
+    close() {
+      for (const socket of wss.clients) socket.terminate();
+      return new Promise(resolve => wss.close(resolve));
+    }
+  };
+}
+
+/**
+ * Wait for the next payload with an opcode
+ * @param {EventEmitter} events - Server events
+ * @param {Number} op - Opcode
+ * @returns {Promise<Object>} Payload ({ path, op, d })
+ */
+function nextPayload(events, op) {
+  return new Promise(resolve => {
+    const listener = payload => {
+      if (payload.op !== op) return;
+      events.off('payload', listener);
+      resolve(payload);
+    };
+    events.on('payload', listener);
+  });
+}
+
+/**
+ * Create a gateway client for a fake server
+ * @param {String} url - Server URL
+ * @param {Object} options - Extra gateway options
+ * @returns {DiscordGateway} Gateway
+ */
+function createGateway(url, options = {}) {
+  return new DiscordGateway({ token: 'T', url, WebSocket, intents: 0, reconnect: { baseDelay: 10, maxDelay: 20 }, ...options });
+}
+
+test('identifies and heartbeats with the latest sequence', async (t) => {
+  const server = await startGatewayServer();
+  const gateway = createGateway(server.url);
+  t.after(() => {
+    gateway.close();
+    return server.close();
+  });
+  
+  const identified = nextPayload(server.events, OPCODES.IDENTIFY);
+  const ready = await gateway.connect();
+  const identify = await identified;
+  
+  assert.equal(identify.d.token, 'T');
+  assert.equal(ready.session_id, 'session-1');
+  assert.equal(gateway.user.username, 'socialos');
+  
+  const heartbeat = await nextPayload(server.events, OPCODES.HEARTBEAT);
+  assert.equal(heartbeat.d, 1);
+  
+  // A second heartbeat is only sent once the first was acknowledged
+  await nextPayload(server.events, OPCODES.HEARTBEAT);
+  assert.equal(typeof gateway.latency, 'number');
+  assert.deepEqual(gateway.getState(), { connected: true, sessionId: 'session-1', sequence: 1, latency: gateway.latency, reconnectAttempts: 0 });
+});
+
+test('resumes the session on the resume URL after the socket drops', async (t) => {
+  const server = await startGatewayServer();
+  const gateway = createGateway(server.url);
+  t.after(() => {
+    gateway.close();
+    return server.close();
+  });
+  
+  await gateway.connect();
+  
+  const reconnecting = once(gateway, 'reconnecting');
+  const resumed = once(gateway, 'resumed');
+  const resume = nextPayload(server.events, OPCODES.RESUME);
+  server.sockets[0].terminate();
+  
+  const [attempt] = await reconnecting;
+  assert.equal(attempt.resume, true);
+  
+  const payload = await resume;
+  assert.equal(payload.path, '/resume');
+  assert.deepEqual(payload.d, { token: 'T', session_id: 'session-1', seq: 1 });
+  
+  const [session] = await resumed;
+  assert.equal(session.resumed, true);
+  assert.equal(gateway.getState().sequence, 2);
+  assert.equal(gateway.reconnectAttempts, 0);
+});
+
+test('reconnects when a heartbeat is not acknowledged', async (t) => {
+  const server = await startGatewayServer({ ack: false });
+  const gateway = createGateway(server.url);
+  t.after(() => {
+    gateway.close();
+    return server.close();
+  });
+  
+  await gateway.connect();
+  
+  const resume = nextPayload(server.events, OPCODES.RESUME);
+  await once(gateway, 'resumed');
+  
+  assert.equal((await resume).path, '/resume');
+  assert.equal(server.sockets.length, 2);
+});
+
+test('gives up on connect() after the maximum reconnect attempts', async (t) => {
+  const server = await startGatewayServer({ closeOnIdentify: 4000 });
+  const gateway = createGateway(server.url, { maxReconnectAttempts: 2 });
+  t.after(() => {
+    gateway.close();
+    return server.close();
+  });
+  const attempts = [];
+  gateway.on('reconnecting', ({ attempt }) => attempts.push(attempt));
+  
+  await assert.rejects(gateway.connect(), { code: 'GATEWAY_CLOSED', closeCode: 4000 });
+  
+  assert.deepEqual(attempts, [1, 2]);
+  assert.equal(server.sockets.length, 3);
+  assert.equal(gateway.closed, true);
+});
+
+test('rejects connect() when READY does not arrive in time', async (t) => {
+  const server = await startGatewayServer({ ready: false });
+  const gateway = createGateway(server.url, { readyTimeout: 50 });
+  t.after(() => {
+    gateway.close();
+    return server.close();
+  });
+  
+  await assert.rejects(gateway.connect(), { code: 'GATEWAY_TIMEOUT' });
+  
+  assert.equal(gateway.ws, null);
+  assert.equal(gateway.getState().connected, false);
+});
@@ -0,0 +1,483 @@
+/**
+ * SocialOS Generic Connector
+ * 
+ * Declaratively configured connector for platforms that expose a simple
+ * REST or webhook contract. Endpoints are described as request templates
+ * and responses are mapped back with JSON paths, so small in-house or niche
+ * platforms can be targeted without writing a connector class.
+ */
+
+const { BaseConnector } = require('./base-connector');
+const { HttpClient } = require('./http-client');
+const { createPost, createAuthor, createSearchResults } = require('./content-model');
+
+/**
+ * Default response mappings applied when an endpoint does not define one
+ */
+const DEFAULT_RESPONSE_MAPPINGS = {
+  connect: { user: '$' },
+  post: { id: '$.id', url: '$.url' },
+  reply: { id: '$.id', url: '$.url' },
+  repost: { id: '$.id', url: '$.url' },
+  like: {},
+  getPost: { post: '$' },
+  getUserProfile: { user: '$' },
+  search: { posts: '$.results', next: '$.next' },
+  getTrends: { trends: '$.trends' },
+  followUser: {},
+  sendDirectMessage: { id: '$.id' }
+};
+
+const DEFAULT_ITEM_MAPPING = {
+  id: '$.id',
+  text: '$.text',
+  author: '$.author',
+  metrics: '$.metrics',
+  created_at: '$.created_at',
+  url: '$.url'
+};
+
+class GenericConnector extends BaseConnector {
+  /**
+   * Create a new generic connector
+   * @param {Object} config - Connector configuration
+   * @param {String} config.platform - Platform identifier (default: generic)
+   * @param {String} config.baseUrl - Base URL of the platform API
+   * @param {Object} config.auth - Auth header ({ header, scheme, token } or { header, value })
+   * @param {Object} config.headers - Extra headers sent with every request
+   * @param {Object} config.endpoints - Endpoint templates keyed by action (connect, post, reply, repost, like,
+   * getPost, getUserProfile, search, getTrends, followUser, sendDirectMessage, or any custom name)
+   * @param {Number} config.timeout - Request timeout in ms
+   * Each endpoint is { method, path | url, query, body, headers, response, item }:
+   * - path/url/query/body may contain {{variable}} placeholders
+   * - response maps result fields to JSON paths ('$.data.id', '$.items[0].id', '$.items[*]')
+   * - item maps each element of an array result (e.g. search results)
+   */
+  constructor(config = {}) {
+    super((config.platform || 'generic').toLowerCase(), config);
+    
+    this.config = config;
+    this.endpoints = config.endpoints || {};
+    this.client = null;
+    this.connectedUser = null;
+  }
+  
+  /**
+   * Connect to the platform
+   * Calls the connect endpoint if one is configured to verify credentials.
+   * @returns {Object} Connection result
+   */
+  async connect() {
+    if (!this.config.baseUrl && !Object.values(this.endpoints).some(e => e && e.url)) {
+      throw new Error(`${this.platform} connector requires a baseUrl or absolute endpoint urls`);
+    }
+    
+    this.client = new HttpClient({
+      baseUrl: this.config.baseUrl,
+      headers: { ...this.config.headers, ...this._getAuthHeaders() },
+      timeout: this.config.timeout,
+      fetch: this.config.fetch
+    });
+    
+    if (this.endpoints.connect) {
+      const result = await this.call('connect', {}, 'Failed to connect');
+      this.connectedUser = result.user || null;
+    }
+    
+    this.connected = true;
+    this.lastConnection = new Date();
+    
+    return {
+      connected: true,
+      platform: this.platform,
+      user: this.connectedUser
+    };
+  }
+  
+  /**
+   * Post content to the platform
+   * @param {Object} content - Content to post
+   * @param {String} content.text - Post text
+   * @param {Object} options - Post options (available to templates as {{options.*}})
+   * @returns {Object} Post result
+   */
+  async post(content, options = {}) {
+    if (this._isDryRun('post')) return this._recordDryRun('post', [content, options]);
+    
+    const result = await this.call('post', { ...content, content, options }, 'Failed to post');
+    
+    return {
+      success: true,
+      ...result,
+      text: content.text
+    };
+  }
+  
+  /**
+   * Reply to a post
+   * @param {String} targetId - ID of the post to reply to
+   * @param {Object} content - Reply content
+   * @returns {Object} Reply result
+   */
+  async reply(targetId, content) {
+    if (this._isDryRun('reply')) return this._recordDryRun('reply', [targetId, content]);
+    
+    const result = await this.call('reply', { ...content, content, targetId }, 'Failed to reply');
+    
+    return {
+      success: true,
+      ...result,
+      text: content.text,
+      replyTo: targetId
+    };
+  }
+  
+  /**
+   * Repost a post
+   * @param {String} targetId - ID of the post to repost
+   * @param {Object} comment - Optional comment (available to templates as {{comment.text}})
+   * @returns {Object} Repost result
+   */
+  async repost(targetId, comment) {
+    if (this._isDryRun('repost')) return this._recordDryRun('repost', [targetId, comment]);
+    
+    const result = await this.call('repost', { targetId, comment }, 'Failed to repost');
+    
+    return {
+      success: true,
+      ...result,
+      repostOf: targetId
+    };
+  }
+  
+  /**
+   * Like a post
+   * @param {String} targetId - ID of the post to like
+   * @returns {Object} Like result
+   */
+  async like(targetId) {
+    if (this._isDryRun('like')) return this._recordDryRun('like', [targetId]);
+    
+    const result = await this.call('like', { targetId }, 'Failed to like');
+    
+    return {
+      success: true,
+      id: targetId,
+      ...result
+    };
+  }
+  
+  /**
+   * Get a post by ID
+   * @param {String} id - Post ID
+   * @returns {Object} Post
+   */
+  async getPost(id) {
+    const result = await this.call('getPost', { id }, 'Failed to get post');
+    return this._mapPost(mapItem(result.post, this.endpoints.getPost.item || DEFAULT_ITEM_MAPPING));
+  }
+  
+  /**
+   * Get a user profile
+   * @param {String} handle - User handle or ID
+   * @returns {Object} Author
+   */
+  async getUserProfile(handle) {
+    const result = await this.call('getUserProfile', { handle }, 'Failed to get user');
+    return createAuthor(result.user || {});
+  }
+  
+  /**
+   * Search the platform
+   * @param {String} query - Search query
+   * @param {Object} options - Search options (available to templates, e.g. {{limit}})
+   * @returns {Object} Search results ({ posts, meta })
+   */
+  async search(query, options = {}) {
+    const result = await this.call('search', { ...options, query, options }, 'Search failed');
+    const posts = (Array.isArray(result.posts) ? result.posts : []).map(item => this._mapPost(item));
+    
+    return createSearchResults(posts, { next_token: result.next || null });
+  }
+  
+  /**
+   * Get trending topics
+   * @param {Object} options - Trend options (available to templates)
+   * @returns {Array} Trends
+   */
+  async getTrends(options = {}) {
+    const result = await this.call('getTrends', { ...options, options }, 'Failed to get trends');
+    return Array.isArray(result.trends) ? result.trends : [];
+  }
+  
+  /**
+   * Follow a user
+   * @param {String} handle - User handle or ID
+   * @returns {Object} Follow result
+   */
+  async followUser(handle) {
+    if (this._isDryRun('followUser')) return this._recordDryRun('followUser', [handle]);
+    
+    const result = await this.call('followUser', { handle }, 'Failed to follow user');
+    
+    return {
+      success: true,
+      username: handle,
+      following: true,
+      ...result
+    };
+  }
+  
+  /**
+   * Send a direct message
+   * @param {String} recipient - Recipient handle or ID
+   * @param {Object} content - Message content
+   * @returns {Object} Message result
+   */
+  async sendDirectMessage(recipient, content) {
+    if (this._isDryRun('sendDirectMessage')) return this._recordDryRun('sendDirectMessage', [recipient, content]);
+    
+    const result = await this.call('sendDirectMessage', { ...content, content, recipient }, 'Failed to send direct message');
+    
+    return {
+      success: true,
+      ...result,
+      recipient,
+      text: content.text
+    };
+  }
+  
+  /**
+   * Get the actions this connector supports (those with a configured endpoint)
+   * @returns {Array} Supported action names
+   */
+  getCapabilities() {
+    return super.getCapabilities().filter(action => Boolean(this.endpoints[action]));
+  }
+  
+  /**
+   * Call any configured endpoint
+   * @param {String} name - Endpoint name
+   * @param {Object} variables - Template variables
+   * @param {String} errorMessage - Error message if the call fails
+   * @returns {Object} Mapped response
+   */
+  async call(name, variables = {}, errorMessage = `Failed to call ${name}`) {
+    const endpoint = this.endpoints[name];
+    if (!endpoint) {
+      const error = this._createUnsupportedError(name);
+      error.message = `${this.platform} connector has no '${name}' endpoint configured`;
+      throw error;
+    }
+    
+    if (!this.client) {
+      throw new Error(`Not connected to ${this.platform}`);
+    }
+    
+    const request = {
+      method: endpoint.method || (endpoint.body ? 'POST' : 'GET'),
+      path: renderTemplate(endpoint.url || endpoint.path || '', variables, encodeURIComponent),
+      query: renderTemplate(endpoint.query, variables),
+      headers: renderTemplate(endpoint.headers, variables),
+      body: renderTemplate(endpoint.body, variables)
+    };
+    
+    return this._handleApiCall(async () => {
+      const response = await this.client.request(request);
+      
+      this.logActivity(name, { method: request.method, path: request.path, status: response.status });
+      
+      return mapResponse(
+        response.data,
+        endpoint.response || DEFAULT_RESPONSE_MAPPINGS[name] || {},
+        endpoint.item || DEFAULT_ITEM_MAPPING
+      );
+    }, errorMessage, { retry: endpoint.retry });
+  }
+  
+  /**
+   * Map a search result item to the normalized post shape
+   * @param {Object} item - Item produced by the endpoint's item mapping
+   * @returns {Object} Post
+   * @private
+   */
+  _mapPost(item = {}) {
+    return createPost({
+      ...item,
+      platform: this.platform,
+      // Simple APIs often return the author as a plain handle
+      author: typeof item.author === 'string' ? { username: item.author } : item.author
+    });
+  }
+  
+  /**
+   * Build auth headers from config
+   * @returns {Object} Headers
+   * @private
+   */
+  _getAuthHeaders() {
+    const auth = this.config.auth;
+    if (!auth) return {};
+    
+    const header = auth.header || 'Authorization';
+    
+    if (auth.value !== undefined) {
+      return { [header]: auth.value };
+    }
+    
+    const scheme = auth.scheme === undefined ? 'Bearer' : auth.scheme;
+    return { [header]: scheme ? `${scheme} ${auth.token}` : auth.token };
+  }
+}
+
+/**
+ * Render {{variable}} placeholders in a template value.
+ * A string that is a single placeholder keeps the variable's original type.
+ * @param {*} template - String, array or object template
+ * @param {Object} variables - Template variables (dot paths allowed)
+ * @param {Function} encode - Encoder for values interpolated into strings (e.g. encodeURIComponent)
+ * @returns {*} Rendered value
+ */
+function renderTemplate(template, variables, encode = value => value) {
+  if (template === undefined || template === null) {
+    return template;
+  }
+  
+  if (typeof template === 'string') {
+    const whole = template.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+    if (whole) {
+      return getPath(variables, whole[1]);
+    }
+    
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, key) => {
+      const value = getPath(variables, key);
+      return value === undefined || value === null ? '' : encode(stringifyValue(value));
+    });
+  }
+  
+  if (Array.isArray(template)) {
+    return template.map(item => renderTemplate(item, variables, encode));
+  }
+  
+  if (typeof template === 'object') {
+    const rendered = {};
+    for (const [key, value] of Object.entries(template)) {
+      const result = renderTemplate(value, variables, encode);
+      if (result !== undefined) {
+        rendered[key] = result;
+      }
+    }
+    return rendered;
+  }
+  
+  return template;
+}
+
+/**
+ * Stringify a value interpolated into a larger string
+ * @private
+ */
+function stringifyValue(value) {
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Read a dot path from an object
+ * @private
+ */
+function getPath(object, path) {
+  return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+}
+
+/**
+ * Evaluate a simple JSON path ($, $.a.b, $.a[0], $.a[*].b) against data
+ * @param {*} data - Response data
+ * @param {String} path - JSON path
+ * @returns {*} Matched value (array when the path contains [*])
+ */
+function queryJsonPath(data, path) {
+  if (!path || path === '$') return data;
+  
+  if (!path.startsWith('$')) {
+    throw new Error(`Invalid JSON path: ${path}`);
+  }
+  
+  const tokens = path.slice(1).match(/\.[^.[\]]+|\[\d+\]|\[\*\]|\['[^']+'\]/g) || [];
+  let current = [data];
+  let multiple = false;
+  
+  for (const token of tokens) {
+    const next = [];
+    
+    for (const value of current) {
+      if (value === undefined || value === null) continue;
+      
+      if (token === '[*]') {
+        multiple = true;
+        if (Array.isArray(value)) next.push(...value);
+        else if (typeof value === 'object') next.push(...Object.values(value));
+      } else if (token.startsWith('[\'')) {
+        next.push(value[token.slice(2, -2)]);
+      } else if (token.startsWith('[')) {
+        next.push(value[Number(token.slice(1, -1))]);
+      } else {
+        next.push(value[token.slice(1)]);
+      }
+    }
+    
+    current = next;
+  }
+  
+  return multiple ? current.filter(v => v !== undefined) : current[0];
+}
+
+/**
+ * Map response data to result fields
+ * @param {*} data - Response data
+ * @param {Object} mapping - Field to JSON path mapping
+ * @param {Object} itemMapping - Mapping applied to each element of array fields
+ * @returns {Object} Mapped result
+ */
+function mapResponse(data, mapping, itemMapping) {
+  const result = {};
+  
+  for (const [field, path] of Object.entries(mapping)) {
+    const value = queryJsonPath(data, path);
+    
+    result[field] = Array.isArray(value) && itemMapping ?
+      value.map(item => mapItem(item, itemMapping)) :
+      value;
+  }
+  
+  return result;
+}
+
+/**
+ * Map a single item, keeping it untouched if it is not an object
+ * @private
+ */
+function mapItem(item, mapping) {
+  if (!item || typeof item !== 'object') return item;
+  
+  const mapped = {};
+  for (const [field, path] of Object.entries(mapping)) {
+    mapped[field] = queryJsonPath(item, path);
+  }
+  return mapped;
+}
+
+// Actions supported by this connector (when the matching endpoint is configured)
+GenericConnector.capabilities = [
+  'post',
+  'reply',
+  'repost',
+  'like',
+  'getPost',
+  'getUserProfile',
+  'search',
+  'getTrends',
+  'followUser',
+  'sendDirectMessage'
+];
+
+module.exports = { GenericConnector, renderTemplate, queryJsonPath };
@@ -0,0 +1,147 @@
+/**
+ * Tests for GenericConnector request templates and response mapping
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GenericConnector, renderTemplate, queryJsonPath } = require('./generic-connector');
+
+/**
+ * Create a fetch that answers from a route table and records each request
+ * @param {Object} routes - Response bodies keyed by "METHOD /path"
+ * @returns {Function} fetch, with the recorded requests on .requests
+ */
+function createFetch(routes) {
+  const requests = [];
+  
+  const fetch = async (url, init) => {
+    const { pathname, searchParams } = new URL(url);
+    requests.push({
+      method: init.method,
+      path: pathname,
+      query: Object.fromEntries(searchParams),
+      headers: init.headers,
+      body: init.body ? JSON.parse(init.body) : null
+    });
+    
+    const body = routes[`${init.method} ${pathname}`];
+    if (body === undefined) {
+      return new Response('{"error":"not found"}', { status: 404, headers: { 'content-type': 'application/json' } });
+    }
+    
+    return new Response(JSON.stringify(body), { status: 200, headers: { 'content-type': 'application/json' } });
+  };
+  
+  fetch.requests = requests;
+  return fetch;
+}
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+});
+
+test('renders endpoint templates into the request and maps the response', async () => {
+  const fetch = createFetch({
+    'POST /channels/general/posts': { data: { id: 'p1', links: { self: 'https://example.com/p1' } } }
+  });
+  
+  const connector = new GenericConnector({
+    platform: 'Forum',
+    baseUrl: 'https://example.com',
+    auth: { token: 'secret' },
+    fetch,
+    endpoints: {
+      post: {
+        method: 'POST',
+        path: '/channels/{{options.channel}}/posts',
+        body: { message: '{{text}}', tags: '{{options.tags}}', signature: 'sent by {{options.agent}}' },
+        response: { id: '$.data.id', url: '$.data.links.self' }
+      }
+    }
+  });
+  
+  await connector.connect();
+  const result = await connector.post({ text: 'Hello' }, { channel: 'general', tags: ['news', 'ai'], agent: 'bot' });
+  
+  assert.equal(connector.platform, 'forum');
+  assert.deepEqual(result, { success: true, id: 'p1', url: 'https://example.com/p1', text: 'Hello' });
+  
+  const [request] = fetch.requests;
+  assert.equal(request.headers.Authorization, 'Bearer secret');
+  // A template that is a single placeholder keeps the value's type
+  assert.deepEqual(request.body, { message: 'Hello', tags: ['news', 'ai'], signature: 'sent by bot' });
+});
+
+test('maps search results through the item mapping', async () => {
+  const fetch = createFetch({
+    'GET /search': {
+      hits: [
+        { uid: 7, body: 'First', user: 'ann', stats: { like_count: 3 } },
+        { uid: 8, body: 'Second', user: { username: 'bob', name: 'Bob' } }
+      ],
+      cursor: 'page2'
+    }
+  });
+  
+  const connector = new GenericConnector({
+    baseUrl: 'https://example.com',
+    fetch,
+    endpoints: {
+      search: {
+        path: '/search',
+        query: { q: '{{query}}', limit: '{{limit}}' },
+        response: { posts: '$.hits[*]', next: '$.cursor' },
+        item: { id: '$.uid', text: '$.body', author: '$.user', metrics: '$.stats' }
+      }
+    }
+  });
+  
+  await connector.connect();
+  const results = await connector.search('agents & bots', { limit: 2 });
+  
+  assert.deepEqual(fetch.requests[0].query, { q: 'agents & bots', limit: '2' });
+  assert.equal(results.meta.result_count, 2);
+  assert.equal(results.meta.next_token, 'page2');
+  
+  const [first, second] = results.posts;
+  assert.equal(first.id, '7');
+  assert.equal(first.text, 'First');
+  assert.equal(first.platform, 'generic');
+  assert.equal(first.author.username, 'ann');
+  assert.equal(first.metrics.like_count, 3);
+  assert.equal(second.author.name, 'Bob');
+});
+
+test('only supports actions with a configured endpoint', async () => {
+  const connector = new GenericConnector({
+    baseUrl: 'https://example.com',
+    fetch: createFetch({}),
+    endpoints: { post: { path: '/posts', body: { text: '{{text}}' } } }
+  });
+  
+  await connector.connect();
+  
+  assert.deepEqual(connector.getCapabilities(), ['post']);
+  assert.equal(connector.supports('like'), false);
+  await assert.rejects(connector.like('p1'), { code: 'UNSUPPORTED_CAPABILITY' });
+});
+
+test('renderTemplate encodes interpolated values but not whole placeholders', () => {
+  const variables = { id: 'a/b', options: { count: 5 } };
+  
+  assert.equal(renderTemplate('/posts/{{id}}', variables, encodeURIComponent), '/posts/a%2Fb');
+  assert.equal(renderTemplate('{{options.count}}', variables), 5);
+  assert.deepEqual(renderTemplate({ a: '{{missing}}', b: 'x{{missing}}' }, variables), { b: 'x' });
+});
+
+test('queryJsonPath resolves fields, indexes and wildcards', () => {
+  const data = { items: [{ id: 1, tags: ['a'] }, { id: 2, tags: ['b', 'c'] }], 'odd key': true };
+  
+  assert.equal(queryJsonPath(data, '$'), data);
+  assert.equal(queryJsonPath(data, '$.items[1].id'), 2);
+  assert.deepEqual(queryJsonPath(data, '$.items[*].id'), [1, 2]);
+  assert.deepEqual(queryJsonPath(data, '$.items[*].tags[*]'), ['a', 'b', 'c']);
+  assert.equal(queryJsonPath(data, '$[\'odd key\']'), true);
+  assert.equal(queryJsonPath(data, '$.missing.deeper'), undefined);
+  assert.throws(() => queryJsonPath(data, 'items'), /Invalid JSON path/);
+});
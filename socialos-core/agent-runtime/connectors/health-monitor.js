@@ -0,0 +1,247 @@
+/**
+ * SocialOS Health Monitor
+ * 
+ * Tracks the health of a platform connection from the outcome and latency of
+ * recent API calls, health probes, and the connection and circuit state.
+ * Reports healthy, degraded or unhealthy and emits 'change' on transitions.
+ */
+
+const { EventEmitter } = require('events');
+
+const STATUSES = {
+  HEALTHY: 'healthy',
+  DEGRADED: 'degraded',
+  UNHEALTHY: 'unhealthy'
+};
+
+class HealthMonitor extends EventEmitter {
+  /**
+   * Create a new HealthMonitor
+   * @param {Object} options - Monitor options
+   * @param {String} options.name - Name used in events
+   * @param {Number} options.window - Age in ms after which call samples are forgotten (default: 300000)
+   * @param {Number} options.maxSamples - Most recent calls kept (default: 100)
+   * @param {Number} options.minSamples - Calls needed before the error rate counts (default: 5)
+   * @param {Number} options.degradedErrorRate - Error rate at which the platform is degraded (default: 0.2)
+   * @param {Number} options.unhealthyErrorRate - Error rate at which the platform is unhealthy (default: 0.5)
+   * @param {Number} options.latencyThreshold - Average latency in ms above which the platform is degraded (default: 5000)
+   * @param {Number} options.maxProbeFailures - Consecutive failed probes before the platform is unhealthy (default: 2)
+   */
+  constructor(options = {}) {
+    super();
+    this.name = options.name || 'platform';
+    this.window = options.window || 300000;
+    this.maxSamples = options.maxSamples || 100;
+    this.minSamples = options.minSamples || 5;
+    this.degradedErrorRate = options.degradedErrorRate || 0.2;
+    this.unhealthyErrorRate = options.unhealthyErrorRate || 0.5;
+    this.latencyThreshold = options.latencyThreshold || 5000;
+    this.maxProbeFailures = options.maxProbeFailures || 2;
+    
+    this.samples = [];
+    this.connected = false;
+    this.circuitOpen = false;
+    this.probeFailures = 0;
+    this.lastProbe = null;
+    this.lastError = null;
+    
+    this.status = STATUSES.UNHEALTHY;
+    this.reason = 'not connected';
+    this.since = Date.now();
+  }
+  
+  /**
+   * Record a successful call
+   * @param {Number} latency - Call duration in ms
+   */
+  recordSuccess(latency) {
+    this._addSample(true, latency);
+  }
+  
+  /**
+   * Record a failed call
+   * @param {Number} latency - Call duration in ms
+   * @param {Error} error - Failure
+   */
+  recordFailure(latency, error) {
+    this.lastError = { message: error.message, code: error.code, at: new Date().toISOString() };
+    this._addSample(false, latency);
+  }
+  
+  /**
+   * Record the outcome of a health probe
+   * @param {Boolean} ok - Whether the probe succeeded
+   * @param {Error} error - Failure (when ok is false)
+   */
+  recordProbe(ok, error) {
+    this.lastProbe = { ok, at: new Date().toISOString(), error: error ? error.message : null };
+    this.probeFailures = ok ? 0 : this.probeFailures + 1;
+    this._evaluate();
+  }
+  
+  /**
+   * Update the connection state
+   * @param {Boolean} connected - Whether the connector is connected
+   */
+  setConnected(connected) {
+    this.connected = connected;
+    
+    // A fresh connection starts with a clean probe record
+    if (connected) {
+      this.probeFailures = 0;
+    }
+    
+    this._evaluate();
+  }
+  
+  /**
+   * Update the circuit breaker state
+   * @param {Boolean} open - Whether the circuit is open
+   */
+  setCircuitOpen(open) {
+    this.circuitOpen = open;
+    this._evaluate();
+  }
+  
+  /**
+   * Check whether failed probes have reached the limit
+   * @returns {Boolean} True if the platform should be treated as dropped
+   */
+  isProbeFailing() {
+    return this.probeFailures >= this.maxProbeFailures;
+  }
+  
+  /**
+   * Get the current health
+   * @returns {Object} Health ({ status, reason, since, connected, errorRate, latency, samples, probeFailures, lastProbe, lastError })
+   */
+  getStatus() {
+    // Old failures age out of the window even when no calls are being made
+    this._evaluate();
+    
+    return {
+      status: this.status,
+      reason: this.reason,
+      since: new Date(this.since).toISOString(),
+      connected: this.connected,
+      errorRate: this.getErrorRate(),
+      latency: this.getLatency(),
+      samples: this.samples.length,
+      probeFailures: this.probeFailures,
+      lastProbe: this.lastProbe,
+      lastError: this.lastError
+    };
+  }
+  
+  /**
+   * Get the share of recent calls that failed
+   * @returns {Number} Error rate between 0 and 1
+   */
+  getErrorRate() {
+    if (this.samples.length === 0) return 0;
+    
+    const failures = this.samples.filter(sample => !sample.ok).length;
+    return failures / this.samples.length;
+  }
+  
+  /**
+   * Get latency statistics for recent calls
+   * @returns {Object} Latency ({ average, p95, last }) in ms, null without samples
+   */
+  getLatency() {
+    if (this.samples.length === 0) {
+      return { average: null, p95: null, last: null };
+    }
+    
+    const latencies = this.samples.map(sample => sample.latency).sort((a, b) => a - b);
+    const total = latencies.reduce((sum, latency) => sum + latency, 0);
+    
+    return {
+      average: Math.round(total / latencies.length),
+      p95: latencies[Math.min(latencies.length - 1, Math.floor(latencies.length * 0.95))],
+      last: this.samples[this.samples.length - 1].latency
+    };
+  }
+  
+  /**
+   * Add a call sample and re-evaluate
+   * @private
+   */
+  _addSample(ok, latency) {
+    this.samples.push({ ok, latency, at: Date.now() });
+    
+    if (this.samples.length > this.maxSamples) {
+      this.samples.shift();
+    }
+    
+    this._evaluate();
+  }
+  
+  /**
+   * Forget samples older than the window
+   * @private
+   */
+  _pruneSamples() {
+    const cutoff = Date.now() - this.window;
+    
+    while (this.samples.length > 0 && this.samples[0].at < cutoff) {
+      this.samples.shift();
+    }
+  }
+  
+  /**
+   * Work out the status and emit 'change' when it moves
+   * @private
+   */
+  _evaluate() {
+    this._pruneSamples();
+    
+    const errorRate = this.getErrorRate();
+    const latency = this.getLatency();
+    const enoughSamples = this.samples.length >= this.minSamples;
+    let status = STATUSES.HEALTHY;
+    let reason = null;
+    
+    if (!this.connected) {
+      status = STATUSES.UNHEALTHY;
+      reason = 'not connected';
+    } else if (this.circuitOpen) {
+      status = STATUSES.UNHEALTHY;
+      reason = 'circuit open';
+    } else if (this.isProbeFailing()) {
+      status = STATUSES.UNHEALTHY;
+      reason = `${this.probeFailures} health probes failed`;
+    } else if (enoughSamples && errorRate >= this.unhealthyErrorRate) {
+      status = STATUSES.UNHEALTHY;
+      reason = `error rate ${Math.round(errorRate * 100)}%`;
+    } else if (enoughSamples && errorRate >= this.degradedErrorRate) {
+      status = STATUSES.DEGRADED;
+      reason = `error rate ${Math.round(errorRate * 100)}%`;
+    } else if (latency.average !== null && latency.average > this.latencyThreshold) {
+      status = STATUSES.DEGRADED;
+      reason = `average latency ${latency.average}ms`;
+    }
+    
+    this.reason = reason;
+    
+    if (status === this.status) return;
+    
+    const previous = this.status;
+    this.status = status;
+    this.since = Date.now();
+    
+    this.emit('change', {
+      name: this.name,
+      status,
+      previous,
+      reason,
+      errorRate,
+      latency,
+      timestamp: new Date(this.since).toISOString()
+    });
+  }
+}
+
+HealthMonitor.STATUSES = STATUSES;
+
+module.exports = { HealthMonitor };
@@ -0,0 +1,101 @@
+/**
+ * Tests for health status from call outcomes, probes and connection state
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { HealthMonitor } = require('./health-monitor');
+
+const { HEALTHY, DEGRADED, UNHEALTHY } = HealthMonitor.STATUSES;
+
+/**
+ * Create a connected monitor that records its status changes
+ * @param {Object} options - Monitor options
+ * @returns {Object} { monitor, changes }
+ */
+function createMonitor(options = {}) {
+  const monitor = new HealthMonitor({ name: 'x', minSamples: 4, ...options });
+  const changes = [];
+  monitor.on('change', change => changes.push(`${change.previous}->${change.status}`));
+  monitor.setConnected(true);
+  return { monitor, changes };
+}
+
+test('starts unhealthy until connected', () => {
+  const monitor = new HealthMonitor();
+  
+  assert.equal(monitor.getStatus().status, UNHEALTHY);
+  assert.equal(monitor.getStatus().reason, 'not connected');
+  
+  monitor.setConnected(true);
+  assert.equal(monitor.getStatus().status, HEALTHY);
+});
+
+test('degrades and fails on the recent error rate', () => {
+  const { monitor, changes } = createMonitor();
+  
+  monitor.recordSuccess(10);
+  monitor.recordSuccess(10);
+  monitor.recordFailure(10, Object.assign(new Error('boom'), { code: 'E' }));
+  assert.equal(monitor.getStatus().status, HEALTHY, 'too few samples to judge');
+  
+  monitor.recordSuccess(10);
+  assert.equal(monitor.getStatus().status, DEGRADED);
+  assert.equal(monitor.getStatus().reason, 'error rate 25%');
+  
+  monitor.recordFailure(10, new Error('boom'));
+  assert.equal(monitor.getStatus().status, DEGRADED);
+  monitor.recordFailure(10, new Error('boom'));
+  
+  const status = monitor.getStatus();
+  assert.equal(status.status, UNHEALTHY);
+  assert.equal(status.errorRate, 0.5);
+  assert.equal(status.lastError.message, 'boom');
+  assert.deepEqual(changes, ['unhealthy->healthy', 'healthy->degraded', 'degraded->unhealthy']);
+});
+
+test('degrades on slow calls and reports latency percentiles', () => {
+  const { monitor } = createMonitor({ latencyThreshold: 100 });
+  
+  for (const latency of [50, 60, 70, 400]) {
+    monitor.recordSuccess(latency);
+  }
+  
+  const status = monitor.getStatus();
+  assert.equal(status.status, DEGRADED);
+  assert.equal(status.reason, 'average latency 145ms');
+  assert.deepEqual(status.latency, { average: 145, p95: 400, last: 400 });
+});
+
+test('forgets samples outside the window', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const { monitor } = createMonitor({ window: 1000 });
+  
+  for (let i = 0; i < 4; i++) {
+    monitor.recordFailure(10, new Error('boom'));
+  }
+  assert.equal(monitor.getStatus().status, UNHEALTHY);
+  
+  t.mock.timers.tick(1001);
+  
+  assert.equal(monitor.getStatus().status, HEALTHY);
+  assert.equal(monitor.getStatus().samples, 0);
+});
+
+test('fails after consecutive failed probes or an open circuit', () => {
+  const { monitor } = createMonitor({ maxProbeFailures: 2 });
+  
+  monitor.recordProbe(false, new Error('timeout'));
+  assert.equal(monitor.isProbeFailing(), false);
+  monitor.recordProbe(false, new Error('timeout'));
+  
+  assert.equal(monitor.isProbeFailing(), true);
+  assert.equal(monitor.getStatus().reason, '2 health probes failed');
+  
+  monitor.recordProbe(true);
+  monitor.setCircuitOpen(true);
+  assert.equal(monitor.getStatus().reason, 'circuit open');
+  
+  monitor.setCircuitOpen(false);
+  assert.equal(monitor.getStatus().status, HEALTHY);
+});
@@ -0,0 +1,218 @@
+/**
+ * SocialOS HTTP Client
+ * 
+ * Minimal JSON-over-HTTP client shared by REST-based platform connectors.
+ * Errors carry status, headers and body so that retry policies can classify them.
+ */
+
+const { getCurrentSignal } = require('../execution-signal');
+
+class HttpClient {
+  /**
+   * Create a new HTTP client
+   * @param {Object} options - Client options
+   * @param {String} options.baseUrl - Base URL prepended to relative paths
+   * @param {Object} options.headers - Default request headers
+   * @param {Number} options.timeout - Request timeout in ms (default: 30000)
+   * @param {Function} options.fetch - fetch implementation (defaults to global fetch)
+   * @param {Function} options.authorize - Async hook returning auth headers per request ({ method, url, body })
+   */
+  constructor(options = {}) {
+    this.baseUrl = (options.baseUrl || '').replace(/\/+$/, '');
+    this.headers = options.headers || {};
+    this.timeout = options.timeout || 30000;
+    this.fetch = options.fetch || globalThis.fetch;
+    this.authorize = options.authorize || null;
+    
+    if (typeof this.fetch !== 'function') {
+      throw new Error('No fetch implementation available; pass options.fetch');
+    }
+  }
+  
+  /**
+   * Build the full URL for a request
+   * @param {String} path - Absolute URL or path relative to the base URL
+   * @param {Object} query - Query string parameters
+   * @returns {String} Full URL
+   */
+  buildUrl(path = '', query = {}) {
+    const url = new URL(/^https?:\/\//.test(path) ? path : `${this.baseUrl}/${path.replace(/^\/+/, '')}`);
+    
+    for (const [key, value] of Object.entries(query || {})) {
+      if (value === undefined || value === null) continue;
+      
+      if (Array.isArray(value)) {
+        value.forEach(item => url.searchParams.append(key, String(item)));
+      } else {
+        url.searchParams.set(key, String(value));
+      }
+    }
+    
+    return url.toString();
+  }
+  
+  /**
+   * Send a request
+   * @param {Object} request - Request description
+   * @param {String} request.method - HTTP method (default: GET)
+   * @param {String} request.path - Absolute URL or path relative to the base URL
+   * @param {Object} request.query - Query string parameters
+   * @param {Object} request.headers - Extra headers
+   * @param {*} request.body - JSON body, Buffer, or URLSearchParams/FormData
+   * @param {AbortSignal} request.signal - Signal to cancel the request (default: the running execution's signal)
+   * @returns {Object} Response ({ status, headers, data })
+   */
+  async request({ method = 'GET', path = '', query, headers = {}, body, signal = getCurrentSignal() } = {}) {
+    const url = this.buildUrl(path, query);
+    const requestHeaders = { ...this.headers, ...headers };
+    let payload = body;
+    
+    if (body !== undefined && body !== null && !this._isRawBody(body)) {
+      payload = JSON.stringify(body);
+      requestHeaders['Content-Type'] = requestHeaders['Content-Type'] || 'application/json';
+    }
+    
+    // Signatures may cover the URL and body, so auth is computed last
+    if (this.authorize) {
+      Object.assign(requestHeaders, await this.authorize({ method: method.toUpperCase(), url, body }));
+    }
+    
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+    const onAbort = () => controller.abort();
+    
+    if (signal) {
+      if (signal.aborted) controller.abort();
+      signal.addEventListener('abort', onAbort);
+    }
+    
+    let response;
+    try {
+      response = await this.fetch(url, {
+        method: method.toUpperCase(),
+        headers: requestHeaders,
+        body: payload,
+        signal: controller.signal
+      });
+    } catch (error) {
+      if (error.name === 'AbortError' && !(signal && signal.aborted)) {
+        const timeoutError = new Error(`Request to ${url} timed out after ${this.timeout}ms`);
+        timeoutError.code = 'ETIMEDOUT';
+        throw timeoutError;
+      }
+      
+      // A cancelled caller gets its own reason, not a generic AbortError
+      throw signal && signal.aborted ? signal.reason : error;
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+    
+    const responseHeaders = {};
+    response.headers.forEach((value, key) => {
+      responseHeaders[key] = value;
+    });
+    
+    const data = await this._parseBody(response);
+    
+    if (!response.ok) {
+      const error = new Error(`HTTP ${response.status} ${method.toUpperCase()} ${url}: ${this._describeError(data)}`);
+      error.status = response.status;
+      error.headers = responseHeaders;
+      error.body = data;
+      throw error;
+    }
+    
+    return {
+      status: response.status,
+      headers: responseHeaders,
+      data
+    };
+  }
+  
+  /**
+   * Send a GET request and return the response data
+   * @param {String} path - Absolute URL or path relative to the base URL
+   * @param {Object} query - Query string parameters
+   * @param {Object} options - Extra request options (headers, signal)
+   * @returns {*} Response data
+   */
+  async get(path, query, options = {}) {
+    return (await this.request({ ...options, method: 'GET', path, query })).data;
+  }
+  
+  /**
+   * Send a POST request and return the response data
+   * @param {String} path - Absolute URL or path relative to the base URL
+   * @param {Object} body - Request body
+   * @param {Object} options - Extra request options (headers, signal)
+   * @returns {*} Response data
+   */
+  async post(path, body, options = {}) {
+    return (await this.request({ ...options, method: 'POST', path, body })).data;
+  }
+  
+  /**
+   * Send a PUT request and return the response data
+   * @param {String} path - Absolute URL or path relative to the base URL
+   * @param {Object} body - Request body
+   * @param {Object} options - Extra request options (headers, signal)
+   * @returns {*} Response data
+   */
+  async put(path, body, options = {}) {
+    return (await this.request({ ...options, method: 'PUT', path, body })).data;
+  }
+  
+  /**
+   * Send a DELETE request and return the response data
+   * @param {String} path - Absolute URL or path relative to the base URL
+   * @param {Object} query - Query string parameters
+   * @param {Object} options - Extra request options (headers, signal)
+   * @returns {*} Response data
+   */
+  async delete(path, query, options = {}) {
+    return (await this.request({ ...options, method: 'DELETE', path, query })).data;
+  }
+  
+  /**
+   * Check whether a body should be sent as-is
+   * @private
+   */
+  _isRawBody(body) {
+    return typeof body === 'string' ||
+      Buffer.isBuffer(body) ||
+      body instanceof Uint8Array ||
+      body instanceof URLSearchParams ||
+      (typeof FormData !== 'undefined' && body instanceof FormData) ||
+      (typeof Blob !== 'undefined' && body instanceof Blob);
+  }
+  
+  /**
+   * Parse a response body as JSON when possible
+   * @private
+   */
+  async _parseBody(response) {
+    const text = await response.text();
+    if (!text) return null;
+    
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text;
+    }
+  }
+  
+  /**
+   * Extract a readable message from an error body
+   * @private
+   */
+  _describeError(data) {
+    if (!data) return 'empty response';
+    if (typeof data === 'string') return data.slice(0, 200);
+    
+    return data.error_description || data.message || data.detail ||
+      (typeof data.error === 'string' ? data.error : JSON.stringify(data).slice(0, 200));
+  }
+}
+
+module.exports = { HttpClient };
@@ -0,0 +1,154 @@
+/**
+ * SocialOS HTTP Recorder
+ * 
+ * Records HTTP interactions to a JSON fixture file and replays them later,
+ * so connectors can be exercised in CI without network access or credentials.
+ * Plug it into an HttpClient through the fetch option.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Response headers that are never written to fixtures
+const REDACTED_HEADERS = ['set-cookie', 'authorization'];
+
+class HttpRecorder {
+  /**
+   * Create a new HTTP recorder
+   * @param {Object} options - Recorder options
+   * @param {String} options.mode - record or replay (default: replay)
+   * @param {String} options.fixturePath - Path of the JSON fixture file
+   * @param {Function} options.fetch - fetch used to reach the network in record mode (defaults to global fetch)
+   */
+  constructor(options = {}) {
+    if (!['record', 'replay'].includes(options.mode || 'replay')) {
+      throw new Error(`Unknown recorder mode: ${options.mode}`);
+    }
+    
+    if (!options.fixturePath) {
+      throw new Error('HttpRecorder requires a fixturePath');
+    }
+    
+    this.mode = options.mode || 'replay';
+    this.fixturePath = options.fixturePath;
+    this.realFetch = options.fetch || globalThis.fetch;
+    this.interactions = [];
+    this.used = new Set();
+    
+    if (this.mode === 'replay') {
+      this.load();
+    }
+    
+    // Bound so it can be handed to HttpClient as a plain fetch function
+    this.fetch = this.fetch.bind(this);
+  }
+  
+  /**
+   * Load interactions from the fixture file
+   * @returns {Array} Loaded interactions
+   */
+  load() {
+    if (!fs.existsSync(this.fixturePath)) {
+      const error = new Error(`Fixture file not found: ${this.fixturePath}`);
+      error.code = 'FIXTURE_NOT_FOUND';
+      throw error;
+    }
+    
+    const fixture = JSON.parse(fs.readFileSync(this.fixturePath, 'utf8'));
+    this.interactions = fixture.interactions || [];
+    this.used.clear();
+    return this.interactions;
+  }
+  
+  /**
+   * Write recorded interactions to the fixture file
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.fixturePath), { recursive: true });
+    fs.writeFileSync(this.fixturePath, JSON.stringify({
+      recordedAt: new Date().toISOString(),
+      interactions: this.interactions
+    }, null, 2) + '\n');
+  }
+  
+  /**
+   * fetch-compatible entry point
+   * @param {String} url - Request URL
+   * @param {Object} init - fetch options (method, headers, body, signal)
+   * @returns {Response} Recorded or live response
+   */
+  async fetch(url, init = {}) {
+    const request = {
+      method: (init.method || 'GET').toUpperCase(),
+      url: String(url),
+      body: this._describeBody(init.body)
+    };
+    
+    return this.mode === 'record' ? this._record(request, url, init) : this._replay(request);
+  }
+  
+  /**
+   * Perform a live request and store the interaction
+   * @private
+   */
+  async _record(request, url, init) {
+    const response = await this.realFetch(url, init);
+    const body = await response.text();
+    const headers = {};
+    
+    response.headers.forEach((value, key) => {
+      if (!REDACTED_HEADERS.includes(key)) headers[key] = value;
+    });
+    
+    this.interactions.push({
+      request,
+      response: { status: response.status, headers, body }
+    });
+    this.save();
+    
+    return new Response(body || null, { status: response.status, headers });
+  }
+  
+  /**
+   * Answer a request from the fixture, matching interactions in recorded order
+   * @private
+   */
+  async _replay(request) {
+    const index = this.interactions.findIndex((interaction, i) => !this.used.has(i) &&
+      interaction.request.method === request.method &&
+      interaction.request.url === request.url &&
+      interaction.request.body === request.body);
+    
+    if (index === -1) {
+      const error = new Error(`No recorded interaction for ${request.method} ${request.url} in ${this.fixturePath}`);
+      error.code = 'FIXTURE_NOT_FOUND';
+      error.request = request;
+      throw error;
+    }
+    
+    this.used.add(index);
+    
+    const { status, headers, body } = this.interactions[index].response;
+    return new Response(body || null, { status, headers });
+  }
+  
+  /**
+   * Reduce a request body to a stable string for matching
+   * @private
+   */
+  _describeBody(body) {
+    if (body === undefined || body === null) return null;
+    if (typeof body === 'string') return body;
+    if (body instanceof URLSearchParams) return body.toString();
+    
+    if (Buffer.isBuffer(body) || body instanceof Uint8Array) {
+      return `sha256:${crypto.createHash('sha256').update(body).digest('hex')}`;
+    }
+    
+    // Multipart boundaries differ on every request, so form bodies match by URL only
+    return '[form-data]';
+  }
+}
+
+module.exports = { HttpRecorder };
@@ -0,0 +1,110 @@
+/**
+ * Tests for recording X API traffic to a fixture and replaying it offline
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HttpRecorder } = require('./http-recorder');
+const { XConnector } = require('./x-connector');
+
+const CREDENTIALS = { apiKey: 'key', apiSecret: 'secret', accessToken: 'token', accessSecret: 'token-secret' };
+
+/**
+ * Create a fake X API that counts the requests it serves
+ * @returns {Function} fetch, with the request count on .calls
+ */
+function createXApi() {
+  const fetch = async (url, init) => {
+    fetch.calls++;
+    const { pathname } = new URL(url);
+    const headers = { 'content-type': 'application/json', 'set-cookie': 'session=private' };
+    
+    if (init.method === 'GET' && pathname === '/2/users/me') {
+      return new Response(JSON.stringify({ data: { id: '42', username: 'socialos', name: 'SocialOS' } }), { status: 200, headers });
+    }
+    
+    if (init.method === 'POST' && pathname === '/2/tweets') {
+      const { text } = JSON.parse(init.body);
+      return new Response(JSON.stringify({ data: { id: '1001', text } }), { status: 201, headers });
+    }
+    
+    return new Response('{"title":"Not Found"}', { status: 404, headers });
+  };
+  
+  fetch.calls = 0;
+  return fetch;
+}
+
+let fixturePath;
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  fixturePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'socialos-fixtures-')), 'x.json');
+});
+
+test.afterEach(() => {
+  fs.rmSync(path.dirname(fixturePath), { recursive: true, force: true });
+});
+
+test('replays a recorded X session without reaching the network', async () => {
+  const api = createXApi();
+  const recording = new XConnector({ ...CREDENTIALS, fetch: api, fixtures: { mode: 'record', path: fixturePath } });
+  
+  const recordedConnect = await recording.connect();
+  const recordedPost = await recording.post({ text: 'Hello from CI' });
+  
+  assert.equal(api.calls, 2);
+  assert.equal(recordedPost.id, '1001');
+  
+  const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  assert.deepEqual(fixture.interactions.map(({ request }) => `${request.method} ${new URL(request.url).pathname}`),
+    ['GET /2/users/me', 'POST /2/tweets']);
+  assert.equal(fixture.interactions[1].request.body, JSON.stringify({ text: 'Hello from CI' }));
+  // Cookies never end up in fixtures
+  assert.equal(fixture.interactions[0].response.headers['set-cookie'], undefined);
+  
+  // No fetch is configured, so anything not in the fixture would fail
+  const replaying = new XConnector({ ...CREDENTIALS, retry: false, fixtures: { mode: 'replay', path: fixturePath } });
+  
+  assert.deepEqual(await replaying.connect(), recordedConnect);
+  assert.deepEqual(await replaying.post({ text: 'Hello from CI' }), recordedPost);
+  assert.equal(api.calls, 2);
+});
+
+test('fails requests that were not recorded', async () => {
+  const recording = new XConnector({ ...CREDENTIALS, fetch: createXApi(), fixtures: { mode: 'record', path: fixturePath } });
+  await recording.connect();
+  await recording.post({ text: 'Recorded' });
+  
+  const replaying = new XConnector({ ...CREDENTIALS, retry: false, fixtures: { mode: 'replay', path: fixturePath } });
+  await replaying.connect();
+  
+  await assert.rejects(replaying.post({ text: 'Different text' }), { code: 'FIXTURE_NOT_FOUND' });
+});
+
+test('replays repeated requests in recorded order', async () => {
+  let count = 0;
+  const recorder = new HttpRecorder({
+    mode: 'record',
+    fixturePath: fixturePath,
+    fetch: async () => new Response(JSON.stringify({ count: ++count }), { status: 200 })
+  });
+  
+  await recorder.fetch('https://api.example.com/counter');
+  await recorder.fetch('https://api.example.com/counter');
+  
+  const replay = new HttpRecorder({ fixturePath: fixturePath });
+  const first = await (await replay.fetch('https://api.example.com/counter')).json();
+  const second = await (await replay.fetch('https://api.example.com/counter')).json();
+  
+  assert.deepEqual([first.count, second.count], [1, 2]);
+  await assert.rejects(replay.fetch('https://api.example.com/counter'), { code: 'FIXTURE_NOT_FOUND' });
+});
+
+test('rejects a missing fixture file or an unknown mode', () => {
+  assert.throws(() => new HttpRecorder({ fixturePath: path.join(os.tmpdir(), 'socialos-missing.json') }), { code: 'FIXTURE_NOT_FOUND' });
+  assert.throws(() => new HttpRecorder({ mode: 'live', fixturePath: 'x.json' }), /Unknown recorder mode/);
+});
@@ -2,10 +2,28 @@
  * SocialOS LinkedIn Connector
  * 
  * Platform connector for interacting with the LinkedIn API.
- * Handles authentication, posting, reading, and engagement.
+ * Handles authentication, posting, reading, and engagement, either as the
+ * connected member or as an organization (company page) they administer.
  */
 
 const { BaseConnector } = require('./base-connector');
+const { HttpClient } = require('./http-client');
+const { OAUTH2_ENDPOINTS } = require('./oauth2');
+const { createPost, createAuthor } = require('./content-model');
+const { prepareMedia } = require('./media');
+const { sleep } = require('./retry-policy');
+
+// Give up on server-side video processing after this long
+const MEDIA_PROCESSING_TIMEOUT = 5 * 60 * 1000;
+
+// Follower demographic facets reported by organizationalEntityFollowerStatistics
+const FOLLOWER_FACETS = {
+  followerCountsByFunction: ['function', 'function'],
+  followerCountsBySeniority: ['seniority', 'seniority'],
+  followerCountsByIndustry: ['industry', 'industry'],
+  followerCountsByGeoCountry: ['country', 'geo'],
+  followerCountsByStaffCountRange: ['companySize', 'staffCountRange']
+};
 
 class LinkedInConnector extends BaseConnector {
   /**
@@ -14,14 +32,24 @@ class LinkedInConnector extends BaseConnector {
    * @param {String} config.clientId - LinkedIn client ID
    * @param {String} config.clientSecret - LinkedIn client secret
    * @param {String} config.accessToken - LinkedIn access token
-   * @param {String} config.redirectUri - OAuth redirect URI
+   * @param {String} config.refreshToken - LinkedIn refresh token, to renew the access token before it expires (optional)
+   * @param {Number} config.expiresAt - Access token expiry in epoch ms (optional)
+   * @param {String} config.redirectUri - OAuth redirect URI (used by getAuthorizationUrl)
+   * @param {String} config.apiUrl - API base URL (default: https://api.linkedin.com)
+   * @param {String} config.apiVersion - LinkedIn-Version header for the versioned REST API (default: 202405)
+   * @param {String} config.organizationId - Post and read statistics as this organization (company page) instead of the member
+   * @param {Number} config.mediaPollInterval - Video processing poll interval in ms (default: 5000)
+   * @param {Number} config.pollInterval - Mention polling interval in ms (default: 60000)
    */
   constructor(config = {}) {
-    super('linkedin');
+    super('linkedin', config);
     
     this.config = config;
     this.client = null;
     this.connectedUser = null;
+    this.organization = null;
+    this.mediaPollInterval = config.mediaPollInterval || 5000;
+    this.pollInterval = config.pollInterval || 60000;
   }
   
   /**
@@ -29,42 +57,93 @@ class LinkedInConnector extends BaseConnector {
    * @returns {Object} Connection result
    */
   async connect() {
-    try {
+    await this._loadCredentials();
+    
+    // Renew an expired (or missing) access token before the first call
+    if (this._getOAuthClient()) {
+      await this.oauth.getAccessToken();
+    }
+    
+    this.client = new HttpClient({
+      baseUrl: this.config.apiUrl || 'https://api.linkedin.com',
+      headers: {
+        'LinkedIn-Version': this.config.apiVersion || '202405',
+        'X-Restli-Protocol-Version': '2.0.0'
+      },
+      timeout: this.config.timeout,
+      fetch: this.config.fetch,
+      authorize: async () => {
+        const token = this.oauth ? await this.oauth.getAccessToken() : this.config.accessToken;
+        return token ? { Authorization: `Bearer ${token}` } : {};
+      }
+    });
+    
+    return this._handleApiCall(async () => {
       console.log('Connecting to LinkedIn API with credentials:', {
         clientId: this.config.clientId ? '***' : undefined,
         clientSecret: this.config.clientSecret ? '***' : undefined,
         accessToken: this.config.accessToken ? '***' : undefined
       });
       
-      // Simulate successful connection
+      // The OpenID userinfo endpoint identifies the member posts are authored as
+      if (this.config.accessToken) {
+        const member = await this.client.get('/v2/userinfo');
+        this.connectedUser = {
+          id: member.sub,
+          name: member.name,
+          profileUrl: null,
+          picture: member.picture || null
+        };
+      }
+      
+      // Fails unless the token has organization access, so a bad ID surfaces here
+      if (this.config.organizationId) {
+        const organization = await this.client.get(`/rest/organizations/${this.config.organizationId}`);
+        this.organization = {
+          id: String(organization.id),
+          name: organization.localizedName,
+          vanityName: organization.vanityName || null,
+          profileUrl: `https://www.linkedin.com/company/${organization.vanityName || organization.id}/`
+        };
+      }
+      
       this.connected = true;
       this.lastConnection = new Date();
-      this.connectedUser = {
-        id: 'linkedin12345',
-        name: 'SocialOS Agent',
-        profileUrl: 'https://www.linkedin.com/in/socialos-agent/'
-      };
       
       return {
         connected: true,
         readOnly: !this.config.accessToken,
-        user: this.connectedUser
+        user: this.connectedUser,
+        organization: this.organization
       };
-    } catch (error) {
-      throw new Error(`Failed to connect to LinkedIn API: ${error.message}`);
+    }, 'Failed to connect to LinkedIn API');
+  }
+  
+  /**
+   * Check the platform is reachable by looking up the connected member
+   * @protected
+   */
+  async _probe() {
+    if (!this.config.accessToken) {
+      return super._probe();
     }
+    
+    await this._handleApiCall(async () => this.client.get('/v2/userinfo'), 'Health probe failed', { retry: false });
   }
   
   /**
-   * Post content to LinkedIn
+   * Post content to LinkedIn, as the organization when config.organizationId is set
    * @param {Object} content - LinkedIn post content
    * @param {String} content.text - Post text
-   * @param {Object} content.article - Article link (optional)
-   * @param {Array} content.media - Media attachments (optional)
+   * @param {Object} content.article - Article link ({ url, title, description }, optional)
+   * @param {Array} content.media - Media to upload and attach: file paths, Buffers or { path | data, altText } (optional)
    * @param {Object} options - Post options
+   * @param {String} options.visibility - PUBLIC or CONNECTIONS (default: PUBLIC)
    * @returns {Object} Post result
    */
   async post(content, options = {}) {
+    if (this._isDryRun('post')) return this._recordDryRun('post', [content, options]);
+    
     if (!this.connected) {
       throw new Error('Not connected to LinkedIn API');
     }
@@ -73,21 +152,57 @@ class LinkedInConnector extends BaseConnector {
       throw new Error('Access token required for posting');
     }
     
-    try {
+    // Validate every attachment before uploading any of them
+    const media = await prepareMedia(this.platform, content.media || []);
+    const uploaded = [];
+    
+    for (const item of media) {
+      uploaded.push(item.mediaId ? item : await this._uploadLoadedMedia(item));
+    }
+    
+    const body = {
+      author: this._getAuthorUrn(),
+      commentary: toLittleText(content.text || ''),
+      visibility: options.visibility || 'PUBLIC',
+      distribution: {
+        feedDistribution: 'MAIN_FEED',
+        targetEntities: [],
+        thirdPartyDistributionChannels: []
+      },
+      lifecycleState: 'PUBLISHED',
+      isReshareDisabledByAuthor: false
+    };
+    
+    if (uploaded.length === 1) {
+      body.content = { media: this._toMediaContent(uploaded[0]) };
+    } else if (uploaded.length > 1) {
+      body.content = { multiImage: { images: uploaded.map(item => this._toMediaContent(item)) } };
+    } else if (content.article) {
+      body.content = {
+        article: {
+          source: content.article.url,
+          title: content.article.title,
+          description: content.article.description
+        }
+      };
+    }
+    
+    // Posting is not idempotent, so a retried timeout could publish twice
+    return this._handleApiCall(async () => {
       console.log(`Posting to LinkedIn: "${content.text}"`);
       
-      // Simulate successful post
-      const postId = `post_${Date.now()}`;
+      // The new post's URN is returned in a header, not the body
+      const response = await this.client.request({ method: 'POST', path: '/rest/posts', body });
+      const postId = response.headers['x-restli-id'];
       
       return {
         success: true,
         id: postId,
         text: content.text,
+        mediaIds: uploaded.map(item => item.mediaId),
         url: `https://www.linkedin.com/feed/update/${postId}/`
       };
-    } catch (error) {
-      throw new Error(`Failed to post to LinkedIn: ${error.message}`);
-    }
+    }, 'Failed to post to LinkedIn', { retry: false });
   }
   
   /**
@@ -99,81 +214,208 @@ class LinkedInConnector extends BaseConnector {
    * @returns {Object} Share result
    */
   async shareArticle(article) {
+    if (this._isDryRun('shareArticle')) return this._recordDryRun('shareArticle', [article]);
+    
+    console.log(`Sharing article on LinkedIn: "${article.title}"`);
+    
+    const result = await this.post({
+      text: article.text,
+      article: {
+        url: article.url,
+        title: article.title,
+        description: article.description
+      }
+    });
+    
+    return {
+      success: result.success,
+      id: result.id,
+      title: article.title,
+      url: result.url
+    };
+  }
+  
+  /**
+   * Upload an image or video for use in a post.
+   * Videos are uploaded in the parts LinkedIn asks for, and the call resolves
+   * once LinkedIn has finished processing them.
+   * @param {String|Buffer|Object} input - File path, Buffer, or { path | data, mimeType, altText }
+   * @param {Object} options - Upload options
+   * @param {String} options.mimeType - MIME type, if it cannot be detected from the contents
+   * @param {String} options.altText - Alt text for accessibility (optional)
+   * @returns {Object} Upload result ({ mediaId, mimeType, category, size, altText })
+   */
+  async uploadMedia(input, options = {}) {
+    if (this._isDryRun('uploadMedia')) return this._recordDryRun('uploadMedia', [input, options]);
+    
     if (!this.connected) {
       throw new Error('Not connected to LinkedIn API');
     }
     
-    try {
-      console.log(`Sharing article on LinkedIn: "${article.title}"`);
-      
-      // Simulate successful article share
-      const postId = `article_${Date.now()}`;
-      
-      return {
-        success: true,
-        id: postId,
-        title: article.title,
-        url: `https://www.linkedin.com/feed/update/${postId}/`
-      };
-    } catch (error) {
-      throw new Error(`Failed to share article: ${error.message}`);
+    if (!this.config.accessToken) {
+      throw new Error('Access token required for media upload');
     }
+    
+    const source = typeof input === 'string' ? { path: input } : Buffer.isBuffer(input) ? { data: input } : input;
+    const [media] = await prepareMedia(this.platform, [{ ...options, ...source }]);
+    
+    return media.mediaId ? media : this._uploadLoadedMedia(media);
   }
   
   /**
-   * Comment on a LinkedIn post
-   * @param {String} postId - ID of post to comment on
+   * Comment on a LinkedIn post, or reply to a comment in its thread
+   * @param {String} postId - URN of the post, or of the comment (urn:li:comment:(...)) to reply to
    * @param {String} text - Comment text
    * @returns {Object} Comment result
    */
   async comment(postId, text) {
+    if (this._isDryRun('comment')) return this._recordDryRun('comment', [postId, text]);
+    
     if (!this.connected) {
       throw new Error('Not connected to LinkedIn API');
     }
     
-    try {
-      console.log(`Commenting on post ${postId}: "${text}"`);
+    if (!this.config.accessToken) {
+      throw new Error('Access token required for commenting');
+    }
+    
+    const { object, parentComment } = parseCommentTarget(postId);
+    const body = {
+      actor: this._getAuthorUrn(),
+      object,
+      message: { text }
+    };
+    
+    if (parentComment) {
+      body.parentComment = parentComment;
+    }
+    
+    // Commenting is not idempotent, so a retried timeout could comment twice
+    return this._handleApiCall(async () => {
+      console.log(`Commenting on ${postId}: "${text}"`);
       
-      // Simulate successful comment
-      const commentId = `comment_${Date.now()}`;
+      const response = await this.client.request({
+        method: 'POST',
+        path: `/rest/socialActions/${encodeURIComponent(postId)}/comments`,
+        body
+      });
+      const created = response.data || {};
       
       return {
         success: true,
-        id: commentId,
+        id: created.commentUrn || `urn:li:comment:(${object},${created.id || response.headers['x-restli-id']})`,
         text: text,
-        postId: postId
+        postId: object
       };
-    } catch (error) {
-      throw new Error(`Failed to comment: ${error.message}`);
+    }, 'Failed to comment', { retry: false });
+  }
+  
+  /**
+   * Reply to a LinkedIn post or comment (posted as a comment)
+   * @param {String} postId - URN of the post or comment to reply to
+   * @param {Object} content - Reply content
+   * @param {String} content.text - Reply text
+   * @returns {Object} Reply result
+   */
+  async reply(postId, content) {
+    if (this._isDryRun('reply')) return this._recordDryRun('reply', [postId, content]);
+    
+    const result = await this.comment(postId, content.text);
+    
+    return {
+      ...result,
+      replyTo: postId
+    };
+  }
+  
+  /**
+   * Reshare a LinkedIn post
+   * @param {String} postId - URN of the post to reshare
+   * @param {Object} comment - Commentary added to the reshare (optional)
+   * @param {String} comment.text - Commentary text
+   * @returns {Object} Repost result
+   */
+  async repost(postId, comment) {
+    if (this._isDryRun('repost')) return this._recordDryRun('repost', [postId, comment]);
+    
+    if (!this.connected) {
+      throw new Error('Not connected to LinkedIn API');
     }
+    
+    if (!this.config.accessToken) {
+      throw new Error('Access token required for resharing');
+    }
+    
+    const text = comment ? comment.text || '' : '';
+    const body = {
+      author: this._getAuthorUrn(),
+      commentary: toLittleText(text),
+      visibility: 'PUBLIC',
+      distribution: {
+        feedDistribution: 'MAIN_FEED',
+        targetEntities: [],
+        thirdPartyDistributionChannels: []
+      },
+      lifecycleState: 'PUBLISHED',
+      isReshareDisabledByAuthor: false,
+      reshareContext: { parent: postId }
+    };
+    
+    // A reshare is a new post, so it is not retried either
+    return this._handleApiCall(async () => {
+      console.log(`Resharing LinkedIn post ${postId}`);
+      
+      const response = await this.client.request({ method: 'POST', path: '/rest/posts', body });
+      const reshareId = response.headers['x-restli-id'];
+      
+      return {
+        success: true,
+        id: reshareId,
+        resharedFrom: postId,
+        text,
+        url: `https://www.linkedin.com/feed/update/${reshareId}/`
+      };
+    }, 'Failed to reshare post', { retry: false });
   }
   
   /**
-   * Like a LinkedIn post
-   * @param {String} postId - ID of post to like
+   * Like a LinkedIn post or comment
+   * @param {String} postId - URN of the post or comment to like
    * @returns {Object} Like result
    */
   async like(postId) {
+    if (this._isDryRun('like')) return this._recordDryRun('like', [postId]);
+    
     if (!this.connected) {
       throw new Error('Not connected to LinkedIn API');
     }
     
-    try {
+    if (!this.config.accessToken) {
+      throw new Error('Access token required for liking');
+    }
+    
+    // An actor has at most one reaction per post, so retrying cannot like twice
+    return this._handleApiCall(async () => {
       console.log(`Liking post ${postId}`);
       
-      // Simulate successful like
+      await this.client.request({
+        method: 'POST',
+        path: '/rest/reactions',
+        query: { actor: this._getAuthorUrn() },
+        body: { root: postId, reactionType: 'LIKE' }
+      });
+      
       return {
         success: true,
         id: postId
       };
-    } catch (error) {
-      throw new Error(`Failed to like post: ${error.message}`);
-    }
+    }, 'Failed to like post');
   }
   
   /**
-   * Get a LinkedIn post by ID
-   * @param {String} postId - Post ID
+   * Get a LinkedIn post by ID.
+   * Posts by the configured organization also carry share and impression counts.
+   * @param {String} postId - Post URN (urn:li:share:... or urn:li:ugcPost:...)
    * @returns {Object} Post data
    */
   async getPost(postId) {
@@ -181,101 +423,582 @@ class LinkedInConnector extends BaseConnector {
       throw new Error('Not connected to LinkedIn API');
     }
     
-    try {
+    return this._handleApiCall(async () => {
       console.log(`Getting LinkedIn post ${postId}`);
       
-      // Simulate post data
-      return {
-        id: postId,
-        text: "This is a sample LinkedIn post for the SocialOS framework demo",
-        author: {
-          id: "linkedin987654",
-          name: "Example User",
-          profileUrl: "https://www.linkedin.com/in/example-user/"
-        },
+      const urn = encodeURIComponent(postId);
+      const post = await this.client.get(`/rest/posts/${urn}`);
+      const actions = await this.client.get(`/rest/socialActions/${urn}`);
+      
+      let shareStats = {};
+      if (this.organization && post.author === this._getOrganizationUrn()) {
+        shareStats = (await this._fetchShareStatistics([postId])).posts[postId] || {};
+      }
+      
+      return this._mapPost({
+        id: post.id,
+        text: post.commentary,
+        author: this._authorFromUrn(post.author),
         stats: {
-          likes: 42,
-          comments: 7,
-          shares: 12
+          likes: actions.likesSummary ? actions.likesSummary.totalLikes : shareStats.likes,
+          comments: actions.commentsSummary ? actions.commentsSummary.aggregatedTotalComments : shareStats.comments,
+          shares: shareStats.shares,
+          impressions: shareStats.impressions
         },
-        created: new Date().toISOString()
-      };
-    } catch (error) {
-      throw new Error(`Failed to get post: ${error.message}`);
-    }
+        created: post.publishedAt || post.createdAt
+      });
+    }, 'Failed to get post');
   }
   
   /**
-   * Send a connection request
-   * @param {String} userId - User ID to connect with
-   * @param {String} message - Optional connection message
-   * @returns {Object} Connection result
+   * List the comments on a LinkedIn post
+   * @param {String} postId - Post URN
+   * @param {Object} options - Paging options
+   * @param {Number} options.limit - Comments per page (default: 20)
+   * @param {Number} options.start - Offset of the first comment (default: 0)
+   * @returns {Object} Comments ({ comments, meta: { result_count, total, next_start } })
    */
-  async sendConnectionRequest(userId, message = '') {
+  async getComments(postId, options = {}) {
     if (!this.connected) {
       throw new Error('Not connected to LinkedIn API');
     }
     
-    try {
-      console.log(`Sending connection request to ${userId}`);
+    const count = options.limit || 20;
+    const start = options.start || 0;
+    
+    return this._handleApiCall(async () => {
+      const page = await this.client.get(`/rest/socialActions/${encodeURIComponent(postId)}/comments`, { count, start });
+      const elements = page.elements || [];
+      const total = page.paging && page.paging.total !== undefined ? page.paging.total : null;
+      
+      const comments = elements.map(comment => this._mapComment(comment, postId));
+      
+      const more = total !== null ? start + elements.length < total : elements.length === count;
       
-      // Simulate successful connection request
       return {
-        success: true,
-        userId: userId,
-        sent: true,
-        message: message
+        comments,
+        meta: {
+          result_count: comments.length,
+          total,
+          next_start: more ? start + elements.length : null
+        }
       };
-    } catch (error) {
-      throw new Error(`Failed to send connection request: ${error.message}`);
-    }
+    }, 'Failed to get comments');
+  }
+  
+  /**
+   * Get follower statistics for the configured organization page
+   * @param {Object} options - Statistics options
+   * @param {Number|Date} options.start - Start of a follower-gain timeline (optional)
+   * @param {Number|Date} options.end - End of the timeline (default: now)
+   * @param {String} options.granularity - DAY, WEEK or MONTH (default: DAY)
+   * @returns {Object} Statistics ({ organizationId, followers, demographics, timeline })
+   */
+  async getFollowerStatistics(options = {}) {
+    this._requireOrganization('getFollowerStatistics');
+    
+    return this._handleApiCall(async () => {
+      const organizationUrn = encodeURIComponent(this._getOrganizationUrn());
+      
+      const network = await this.client.get(`/rest/networkSizes/${organizationUrn}`, { edgeType: 'COMPANY_FOLLOWED_BY_MEMBER' });
+      const lifetime = await this.client.get(
+        `/rest/organizationalEntityFollowerStatistics?q=organizationalEntity&organizationalEntity=${organizationUrn}`
+      );
+      
+      // Lifetime statistics are a single element with one array per demographic facet
+      const demographics = {};
+      const summary = (lifetime.elements || [])[0] || {};
+      
+      for (const [facet, [name, key]] of Object.entries(FOLLOWER_FACETS)) {
+        demographics[name] = (summary[facet] || []).map(entry => ({
+          segment: entry[key],
+          organic: entry.followerCounts.organicFollowerCount,
+          paid: entry.followerCounts.paidFollowerCount
+        }));
+      }
+      
+      let timeline = null;
+      if (options.start !== undefined) {
+        const gains = await this.client.get(
+          `/rest/organizationalEntityFollowerStatistics?q=organizationalEntity&organizationalEntity=${organizationUrn}` +
+          `&timeIntervals=${toTimeIntervals(options)}`
+        );
+        
+        timeline = (gains.elements || []).map(entry => ({
+          start: new Date(entry.timeRange.start).toISOString(),
+          end: new Date(entry.timeRange.end).toISOString(),
+          organic: entry.followerGains.organicFollowerGain,
+          paid: entry.followerGains.paidFollowerGain
+        }));
+      }
+      
+      return {
+        organizationId: this.organization.id,
+        followers: network.firstDegreeSize,
+        demographics,
+        timeline
+      };
+    }, 'Failed to get follower statistics');
+  }
+  
+  /**
+   * Get share statistics for the configured organization page
+   * @param {Array} postIds - Post URNs to report on individually (optional)
+   * @param {Object} options - Statistics options
+   * @param {Number|Date} options.start - Start of a page-wide timeline (optional; ignored for individual posts)
+   * @param {Number|Date} options.end - End of the timeline (default: now)
+   * @param {String} options.granularity - DAY, WEEK or MONTH (default: DAY)
+   * @returns {Object} Statistics ({ organizationId, total, posts, timeline }); each entry has impressions, uniqueImpressions, clicks, likes, comments, shares and engagement
+   */
+  async getShareStatistics(postIds = [], options = {}) {
+    this._requireOrganization('getShareStatistics');
+    
+    return this._handleApiCall(async () => this._fetchShareStatistics(postIds, options), 'Failed to get share statistics');
   }
   
   /**
-   * Search for LinkedIn content
-   * @param {String} query - Search query
-   * @param {String} type - Type of search (people, jobs, content, etc)
-   * @returns {Array} Search results
+   * Stream comments other people leave on the author's recent posts.
+   * LinkedIn has no mentions API, so the posts are polled every config.pollInterval ms.
+   * @param {Object} options - Stream options
+   * @param {Number} options.posts - Most recent posts watched (default: 10)
+   * @param {AbortSignal} options.signal - Ends the stream when aborted
+   * @returns {AsyncGenerator} Comment stream, oldest first; each id can be passed to reply()
    */
-  async search(query, type = 'content') {
+  async *streamMentions(options = {}) {
     if (!this.connected) {
       throw new Error('Not connected to LinkedIn API');
     }
     
-    try {
-      console.log(`Searching LinkedIn for ${type}: "${query}"`);
-      
-      // Simulate search results based on type
-      if (type === 'people') {
-        return Array(5).fill().map((_, i) => ({
-          id: `user_${2000 + i}`,
-          name: `LinkedIn User ${i+1}`,
-          title: `Professional Title ${i+1}`,
-          company: `Company ${String.fromCharCode(65 + i)}`,
-          profileUrl: `https://www.linkedin.com/in/user-${i+1}/`
-        }));
-      } else if (type === 'content') {
-        return Array(5).fill().map((_, i) => ({
-          id: `post_${3000 + i}`,
-          text: `LinkedIn post about ${query} - result ${i+1}`,
-          author: {
-            id: `user_${2000 + i}`,
-            name: `LinkedIn User ${i+1}`,
-            profileUrl: `https://www.linkedin.com/in/user-${i+1}/`
-          },
-          stats: {
-            likes: Math.floor(Math.random() * 100),
-            comments: Math.floor(Math.random() * 20)
-          },
-          created: new Date(Date.now() - i * 3600000).toISOString()
-        }));
+    console.log('Starting LinkedIn mentions stream');
+    
+    const initial = await this._listRecentComments(options);
+    let lastSeen = initial.length > 0 ? commentTime(initial[initial.length - 1].comment) : Date.now();
+    
+    while (this.connected && !(options.signal && options.signal.aborted)) {
+      await sleep(this.pollInterval, options.signal);
+      
+      if (!this.connected || (options.signal && options.signal.aborted)) break;
+      
+      try {
+        const comments = (await this._listRecentComments(options))
+          .filter(({ comment }) => commentTime(comment) > lastSeen);
+        
+        for (const { postId, comment } of comments) {
+          lastSeen = commentTime(comment);
+          yield this._mapComment(comment, postId);
+        }
+      } catch (error) {
+        this.logActivity('stream_error', { error: error.message });
+      }
+    }
+  }
+  
+  /**
+   * Upload validated media through the Images or Videos API
+   * @private
+   */
+  async _uploadLoadedMedia(media) {
+    console.log(`Uploading ${media.size} bytes of ${media.mimeType} to LinkedIn`);
+    
+    const mediaId = media.category === 'video' ? await this._uploadVideo(media) : await this._uploadImage(media);
+    
+    return {
+      mediaId,
+      mimeType: media.mimeType,
+      category: media.category,
+      size: media.size,
+      altText: media.altText
+    };
+  }
+  
+  /**
+   * Upload an image (or GIF) in a single PUT
+   * @private
+   */
+  async _uploadImage(media) {
+    const init = await this._handleApiCall(async () => this.client.request({
+      method: 'POST',
+      path: '/rest/images',
+      query: { action: 'initializeUpload' },
+      body: { initializeUploadRequest: { owner: this._getAuthorUrn() } }
+    }), 'Failed to initialize image upload');
+    
+    const { uploadUrl, image } = init.data.value;
+    
+    await this._handleApiCall(async () => this.client.request({
+      method: 'PUT',
+      path: uploadUrl,
+      headers: { 'Content-Type': 'application/octet-stream' },
+      body: media.data
+    }), 'Failed to upload image');
+    
+    return image;
+  }
+  
+  /**
+   * Upload a video in the byte ranges LinkedIn assigns, then finalize it
+   * @private
+   */
+  async _uploadVideo(media) {
+    const init = await this._handleApiCall(async () => this.client.request({
+      method: 'POST',
+      path: '/rest/videos',
+      query: { action: 'initializeUpload' },
+      body: {
+        initializeUploadRequest: {
+          owner: this._getAuthorUrn(),
+          fileSizeBytes: media.size,
+          uploadCaptions: false,
+          uploadThumbnail: false
+        }
+      }
+    }), 'Failed to initialize video upload');
+    
+    const { video, uploadToken, uploadInstructions } = init.data.value;
+    const uploadedPartIds = [];
+    
+    for (const [index, instruction] of uploadInstructions.entries()) {
+      const response = await this._handleApiCall(async () => this.client.request({
+        method: 'PUT',
+        path: instruction.uploadUrl,
+        headers: { 'Content-Type': 'application/octet-stream' },
+        body: media.data.subarray(instruction.firstByte, instruction.lastByte + 1)
+      }), `Failed to upload video part ${index}`);
+      
+      // Each part's ETag proves it arrived and is required to finalize
+      uploadedPartIds.push(response.headers.etag);
+    }
+    
+    await this._handleApiCall(async () => this.client.request({
+      method: 'POST',
+      path: '/rest/videos',
+      query: { action: 'finalizeUpload' },
+      body: { finalizeUploadRequest: { video, uploadToken: uploadToken || '', uploadedPartIds } }
+    }), 'Failed to finalize video upload');
+    
+    await this._waitForVideo(video);
+    
+    return video;
+  }
+  
+  /**
+   * Poll a video until LinkedIn has finished processing it
+   * @private
+   */
+  async _waitForVideo(video) {
+    const deadline = Date.now() + MEDIA_PROCESSING_TIMEOUT;
+    
+    while (true) {
+      const status = await this._handleApiCall(
+        async () => this.client.get(`/rest/videos/${encodeURIComponent(video)}`),
+        'Failed to check video status'
+      );
+      
+      if (status.status === 'AVAILABLE') return;
+      
+      if (status.status === 'PROCESSING_FAILED') {
+        const error = new Error(`Video ${video} failed processing: ${status.processingFailureReason || 'unknown error'}`);
+        error.code = 'MEDIA_PROCESSING_FAILED';
+        error.platform = this.platform;
+        throw error;
+      }
+      
+      if (Date.now() > deadline) {
+        const error = new Error(`Video ${video} was still processing after ${MEDIA_PROCESSING_TIMEOUT / 1000}s`);
+        error.code = 'MEDIA_PROCESSING_TIMEOUT';
+        error.platform = this.platform;
+        throw error;
       }
       
-      return [];
-    } catch (error) {
-      throw new Error(`LinkedIn search failed: ${error.message}`);
+      await sleep(this.mediaPollInterval);
     }
   }
+  
+  /**
+   * Fetch organization share statistics, lifetime per post or page-wide
+   * @private
+   */
+  async _fetchShareStatistics(postIds = [], options = {}) {
+    const organizationUrn = encodeURIComponent(this._getOrganizationUrn());
+    const path = `/rest/organizationalEntityShareStatistics?q=organizationalEntity&organizationalEntity=${organizationUrn}`;
+    const result = { organizationId: this.organization.id, total: null, posts: {}, timeline: null };
+    
+    if (postIds.length > 0) {
+      // Shares and UGC posts are requested through separate Rest.li list parameters
+      const list = type => postIds.filter(id => id.startsWith(`urn:li:${type}:`)).map(encodeURIComponent);
+      const shares = list('share');
+      const ugcPosts = list('ugcPost');
+      
+      if (shares.length === 0 && ugcPosts.length === 0) {
+        return result;
+      }
+      
+      const response = await this.client.get(path +
+        (shares.length ? `&shares=List(${shares.join(',')})` : '') +
+        (ugcPosts.length ? `&ugcPosts=List(${ugcPosts.join(',')})` : ''));
+      
+      for (const entry of response.elements || []) {
+        result.posts[entry.share || entry.ugcPost] = toShareStats(entry.totalShareStatistics);
+      }
+      
+      return result;
+    }
+    
+    const lifetime = await this.client.get(path);
+    const summary = (lifetime.elements || [])[0];
+    result.total = summary ? toShareStats(summary.totalShareStatistics) : null;
+    
+    if (options.start !== undefined) {
+      const response = await this.client.get(`${path}&timeIntervals=${toTimeIntervals(options)}`);
+      result.timeline = (response.elements || []).map(entry => ({
+        start: new Date(entry.timeRange.start).toISOString(),
+        end: new Date(entry.timeRange.end).toISOString(),
+        ...toShareStats(entry.totalShareStatistics)
+      }));
+    }
+    
+    return result;
+  }
+  
+  /**
+   * List comments by others on the author's most recent posts, oldest first
+   * @private
+   */
+  async _listRecentComments(options = {}) {
+    const author = this._getAuthorUrn();
+    
+    const posts = await this._handleApiCall(async () => this.client.get('/rest/posts', {
+      q: 'author',
+      author,
+      count: options.posts || 10,
+      sortBy: 'LAST_MODIFIED'
+    }), 'Failed to list recent posts');
+    
+    const comments = [];
+    for (const post of posts.elements || []) {
+      const page = await this._handleApiCall(
+        async () => this.client.get(`/rest/socialActions/${encodeURIComponent(post.id)}/comments`, { count: 50 }),
+        'Failed to get comments'
+      );
+      
+      for (const comment of page.elements || []) {
+        if (comment.actor !== author) {
+          comments.push({ postId: post.id, comment });
+        }
+      }
+    }
+    
+    return comments.sort((a, b) => commentTime(a.comment) - commentTime(b.comment));
+  }
+  
+  /**
+   * Map a LinkedIn comment to the normalized post shape
+   * @param {Object} comment - socialActions comment element
+   * @param {String} postId - URN of the commented post
+   * @returns {Object} Post; the id is the comment URN, so it can be replied to
+   * @private
+   */
+  _mapComment(comment, postId) {
+    return createPost({
+      id: comment.commentUrn || comment.id,
+      platform: this.platform,
+      text: comment.message ? comment.message.text : '',
+      author: this._mapAuthor(this._authorFromUrn(comment.actor)),
+      metrics: {
+        like_count: comment.likesSummary ? comment.likesSummary.totalLikes : 0,
+        reply_count: comment.commentsSummary ? comment.commentsSummary.aggregatedTotalComments : 0
+      },
+      created_at: comment.created ? comment.created.time : null,
+      url: `https://www.linkedin.com/feed/update/${postId}/`,
+      in_reply_to_id: postId
+    });
+  }
+  
+  /**
+   * Throw unless connected with an organization
+   * @private
+   */
+  _requireOrganization(action) {
+    if (!this.connected) {
+      throw new Error('Not connected to LinkedIn API');
+    }
+    
+    if (!this.organization) {
+      throw new Error(`${action} requires config.organizationId`);
+    }
+  }
+  
+  /**
+   * Get the URN of the configured organization
+   * @private
+   */
+  _getOrganizationUrn() {
+    return `urn:li:organization:${this.organization.id}`;
+  }
+  
+  /**
+   * Resolve a member or organization URN to author fields, naming the connected identities
+   * @private
+   */
+  _authorFromUrn(urn = '') {
+    if (this.organization && urn === this._getOrganizationUrn()) {
+      return { id: this.organization.id, name: this.organization.name, profileUrl: this.organization.profileUrl };
+    }
+    
+    if (this.connectedUser && urn === `urn:li:person:${this.connectedUser.id}`) {
+      return { id: this.connectedUser.id, name: this.connectedUser.name };
+    }
+    
+    return { id: urn.split(':').pop() };
+  }
+  
+  /**
+   * Build the media entry of a post body
+   * @private
+   */
+  _toMediaContent(media) {
+    const entry = { id: media.mediaId };
+    
+    // Alt text applies to images; videos are described by their title
+    if (media.altText && media.category !== 'video') {
+      entry.altText = media.altText;
+    }
+    
+    return entry;
+  }
+  
+  /**
+   * Get the URN that authors posts and owns uploads
+   * @private
+   */
+  _getAuthorUrn() {
+    if (this.organization) {
+      return this._getOrganizationUrn();
+    }
+    
+    if (!this.connectedUser) {
+      throw new Error('LinkedIn member unknown; connect with an access token first');
+    }
+    
+    return `urn:li:person:${this.connectedUser.id}`;
+  }
+  
+  /**
+   * Map a LinkedIn post to the normalized post shape
+   * @param {Object} post - LinkedIn post ({ id, text, author, stats, created })
+   * @returns {Object} Post
+   * @private
+   */
+  _mapPost(post) {
+    const stats = post.stats || {};
+    
+    return createPost({
+      id: post.id,
+      platform: this.platform,
+      text: post.text,
+      author: this._mapAuthor(post.author),
+      metrics: {
+        like_count: stats.likes,
+        retweet_count: stats.shares,
+        reply_count: stats.comments,
+        impression_count: stats.impressions
+      },
+      created_at: post.created,
+      url: `https://www.linkedin.com/feed/update/${post.id}/`
+    });
+  }
+  
+  /**
+   * Map a LinkedIn member to the normalized author shape
+   * @param {Object} author - LinkedIn member ({ id, name, profileUrl })
+   * @returns {Object} Author
+   * @private
+   */
+  _mapAuthor(author = {}) {
+    return createAuthor({
+      id: author.id,
+      name: author.name,
+      url: author.profileUrl,
+      followers_count: author.followers
+    });
+  }
+}
+
+// Actions supported by this connector
+LinkedInConnector.capabilities = [
+  'post',
+  'reply',
+  'repost',
+  'shareArticle',
+  'uploadMedia',
+  'comment',
+  'like',
+  'getPost',
+  'getComments',
+  'getFollowerStatistics',
+  'getShareStatistics',
+  'streamMentions'
+];
+
+/**
+ * Escape text for the "little text" format used by post commentary.
+ * Reserved characters are backslash-escaped and hashtags become hashtag templates.
+ * @param {String} text - Plain text
+ * @returns {String} Little text
+ */
+function toLittleText(text) {
+  return text.replace(/#(\w+)|[\\|{}@[\]()<>#*_~]/g, (match, tag) => (tag ? `{hashtag|\\#|${tag}}` : `\\${match}`));
+}
+
+/**
+ * Split a comment target into the post it belongs to and the comment replied to
+ * @param {String} id - Post URN, or comment URN (urn:li:comment:(urn:li:activity:1,2))
+ * @returns {Object} { object, parentComment } - parentComment is null for a post
+ */
+function parseCommentTarget(id) {
+  const match = /^urn:li:comment:\((.+),[^,]+\)$/.exec(id);
+  return match ? { object: match[1], parentComment: id } : { object: id, parentComment: null };
+}
+
+/**
+ * Get when a comment was created, in epoch ms
+ * @param {Object} comment - socialActions comment element
+ * @returns {Number} Creation time, or 0 if unknown
+ */
+function commentTime(comment) {
+  return comment.created ? comment.created.time : 0;
+}
+
+/**
+ * Map LinkedIn share statistics to plain counts
+ * @param {Object} stats - totalShareStatistics
+ * @returns {Object} Counts ({ impressions, uniqueImpressions, clicks, likes, comments, shares, engagement })
+ */
+function toShareStats(stats = {}) {
+  return {
+    impressions: stats.impressionCount || 0,
+    uniqueImpressions: stats.uniqueImpressionsCount || 0,
+    clicks: stats.clickCount || 0,
+    likes: stats.likeCount || 0,
+    comments: stats.commentCount || 0,
+    shares: stats.shareCount || 0,
+    engagement: stats.engagement || 0
+  };
+}
+
+/**
+ * Build a Rest.li timeIntervals parameter
+ * @param {Object} options - Range options ({ start, end, granularity })
+ * @returns {String} timeIntervals value
+ */
+function toTimeIntervals(options) {
+  const start = new Date(options.start).getTime();
+  const end = options.end ? new Date(options.end).getTime() : Date.now();
+  
+  return `(timeRange:(start:${start},end:${end}),timeGranularityType:${options.granularity || 'DAY'})`;
 }
 
-module.exports = { LinkedInConnector };
+// OAuth 2 endpoints (see BaseConnector#getAuthorizationUrl)
+LinkedInConnector.oauthEndpoints = OAUTH2_ENDPOINTS.linkedin;
+
+module.exports = { LinkedInConnector, toLittleText };
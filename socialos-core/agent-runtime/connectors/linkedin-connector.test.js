@@ -0,0 +1,250 @@
+/**
+ * Tests for the LinkedIn connector against a fake REST API
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getEventListeners } = require('events');
+const { LinkedInConnector } = require('./linkedin-connector');
+
+const MEMBER = { sub: 'abc', name: 'Ada Member' };
+
+/**
+ * Create a fake LinkedIn API
+ * @param {Object} routes - Handlers keyed by "METHOD /path" (URNs decoded), called with (body, url)
+ * @returns {Function} fetch, with the handled requests on .requests
+ */
+function createApi(routes) {
+  const fetch = async (url, init) => {
+    const parsed = new URL(url);
+    const key = `${init.method} ${decodeURIComponent(parsed.pathname)}`;
+    const body = init.body ? JSON.parse(init.body) : null;
+    fetch.requests.push({ key, url: parsed, headers: init.headers, body });
+    
+    const handler = routes[key] || (key === 'GET /v2/userinfo' && (() => MEMBER));
+    if (!handler) {
+      return new Response('{"message":"Not found"}', { status: 404 });
+    }
+    
+    const result = await handler(body, parsed);
+    if (result instanceof Response) return result;
+    return new Response(JSON.stringify(result), { status: 200, headers: { 'content-type': 'application/json' } });
+  };
+  
+  fetch.requests = [];
+  return fetch;
+}
+
+/**
+ * Create a connected connector for a fake API
+ * @param {Object} routes - API routes
+ * @param {Object} config - Extra connector config
+ * @returns {Promise<Object>} { connector, fetch }
+ */
+async function connect(routes, config = {}) {
+  const fetch = createApi(routes);
+  const connector = new LinkedInConnector({ accessToken: 'token', fetch, retry: { baseDelay: 1 }, ...config });
+  
+  await connector.connect();
+  return { connector, fetch };
+}
+
+/**
+ * Create a socialActions comment element
+ * @param {Number} n - Comment number, also its creation time
+ * @param {String} actor - Commenter URN
+ * @returns {Object} Comment
+ */
+function comment(n, actor = 'urn:li:person:bob') {
+  return {
+    id: String(n),
+    commentUrn: `urn:li:comment:(urn:li:activity:1,${n})`,
+    actor,
+    message: { text: `comment ${n}` },
+    created: { time: n }
+  };
+}
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+});
+
+test('reshares a post with commentary', async () => {
+  const { connector, fetch } = await connect({
+    'POST /rest/posts': () => new Response(null, { status: 201, headers: { 'x-restli-id': 'urn:li:share:2' } })
+  });
+  
+  const result = await connector.repost('urn:li:share:1', { text: 'Worth a read' });
+  const { body } = fetch.requests.at(-1);
+  
+  assert.equal(result.id, 'urn:li:share:2');
+  assert.equal(result.resharedFrom, 'urn:li:share:1');
+  assert.equal(body.author, 'urn:li:person:abc');
+  assert.equal(body.commentary, 'Worth a read');
+  assert.deepEqual(body.reshareContext, { parent: 'urn:li:share:1' });
+});
+
+test('likes through the Reactions API as the author', async () => {
+  const { connector, fetch } = await connect({
+    'POST /rest/reactions': () => new Response(null, { status: 201 })
+  });
+  
+  assert.deepEqual(await connector.like('urn:li:share:1'), { success: true, id: 'urn:li:share:1' });
+  
+  const request = fetch.requests.at(-1);
+  assert.equal(request.url.searchParams.get('actor'), 'urn:li:person:abc');
+  assert.deepEqual(request.body, { root: 'urn:li:share:1', reactionType: 'LIKE' });
+});
+
+test('replies to a comment in its thread', async () => {
+  const target = 'urn:li:comment:(urn:li:activity:1,7)';
+  const { connector, fetch } = await connect({
+    [`POST /rest/socialActions/${target}/comments`]: () => ({ commentUrn: 'urn:li:comment:(urn:li:activity:1,8)' })
+  });
+  
+  const result = await connector.reply(target, { text: 'Thanks!' });
+  
+  assert.equal(result.id, 'urn:li:comment:(urn:li:activity:1,8)');
+  assert.equal(result.replyTo, target);
+  assert.deepEqual(fetch.requests.at(-1).body, {
+    actor: 'urn:li:person:abc',
+    object: 'urn:li:activity:1',
+    message: { text: 'Thanks!' },
+    parentComment: target
+  });
+});
+
+test('streams new comments left by other people', async () => {
+  const pages = [
+    [comment(1)],
+    [comment(1)],
+    [comment(1)],
+    [comment(1), comment(2, 'urn:li:person:abc'), comment(3)]
+  ];
+  const { connector } = await connect({
+    'GET /rest/posts': () => ({ elements: [{ id: 'urn:li:share:1' }] }),
+    'GET /rest/socialActions/urn:li:share:1/comments': () => ({ elements: pages.length > 1 ? pages.shift() : pages[0] })
+  }, { pollInterval: 5 });
+  
+  const controller = new AbortController();
+  let mention;
+  let listeners;
+  
+  for await (const item of connector.streamMentions({ signal: controller.signal })) {
+    mention = item;
+    listeners = getEventListeners(controller.signal, 'abort').length;
+    controller.abort();
+  }
+  
+  assert.equal(mention.id, 'urn:li:comment:(urn:li:activity:1,3)');
+  assert.equal(mention.text, 'comment 3');
+  assert.equal(mention.in_reply_to_id, 'urn:li:share:1');
+  assert.equal(listeners, 0, 'finished polls leave no abort listeners behind');
+});
+
+test('declares only the actions LinkedIn offers', async () => {
+  const { connector } = await connect({});
+  
+  assert.equal(connector.supports('repost'), true);
+  assert.equal(connector.supports('search'), false);
+  assert.equal(connector.supports('sendDirectMessage'), false);
+  await assert.rejects(connector.getUserProfile('abc'), { code: 'UNSUPPORTED_CAPABILITY' });
+});
+
+/**
+ * Routes for a connected organization page
+ * @param {Object} routes - Extra routes
+ * @returns {Object} API routes
+ */
+function organizationRoutes(routes = {}) {
+  return {
+    'GET /rest/organizations/42': () => ({ id: 42, localizedName: 'Acme', vanityName: 'acme' }),
+    ...routes
+  };
+}
+
+/**
+ * Create LinkedIn totalShareStatistics
+ * @param {Number} n - Base count
+ * @returns {Object} Statistics
+ */
+function shareStatistics(n) {
+  return { impressionCount: n * 100, uniqueImpressionsCount: n * 80, clickCount: n * 5, likeCount: n * 3, commentCount: n, shareCount: n * 2, engagement: 0.05 };
+}
+
+test('posts as the configured organization', async () => {
+  const { connector, fetch } = await connect(organizationRoutes({
+    'POST /rest/posts': () => new Response(null, { status: 201, headers: { 'x-restli-id': 'urn:li:share:7' } })
+  }), { organizationId: '42' });
+  
+  const result = await connector.post({ text: 'Launch day' });
+  
+  assert.equal(result.id, 'urn:li:share:7');
+  assert.equal(fetch.requests.at(-1).body.author, 'urn:li:organization:42');
+  assert.deepEqual(connector.organization, { id: '42', name: 'Acme', vanityName: 'acme', profileUrl: 'https://www.linkedin.com/company/acme/' });
+});
+
+test('adds share statistics to organization posts', async () => {
+  const { connector, fetch } = await connect(organizationRoutes({
+    'GET /rest/posts/urn:li:share:7': () => ({ id: 'urn:li:share:7', commentary: 'Launch day', author: 'urn:li:organization:42', publishedAt: 0 }),
+    'GET /rest/socialActions/urn:li:share:7': () => ({ likesSummary: { totalLikes: 4 } }),
+    'GET /rest/organizationalEntityShareStatistics': () => ({ elements: [{ share: 'urn:li:share:7', totalShareStatistics: shareStatistics(2) }] })
+  }), { organizationId: '42' });
+  
+  const post = await connector.getPost('urn:li:share:7');
+  
+  assert.equal(post.author.name, 'Acme');
+  assert.equal(post.metrics.like_count, 4);
+  assert.equal(post.metrics.reply_count, 2);
+  assert.equal(post.metrics.retweet_count, 4);
+  assert.equal(post.metrics.impression_count, 200);
+  assert.equal(fetch.requests.at(-1).url.searchParams.get('shares'), 'List(urn:li:share:7)');
+});
+
+test('reports page follower and share statistics', async () => {
+  const { connector, fetch } = await connect(organizationRoutes({
+    'GET /rest/networkSizes/urn:li:organization:42': () => ({ firstDegreeSize: 1200 }),
+    'GET /rest/organizationalEntityFollowerStatistics': (body, url) => (url.searchParams.has('timeIntervals') ?
+      { elements: [{ timeRange: { start: 0, end: 86400000 }, followerGains: { organicFollowerGain: 5, paidFollowerGain: 1 } }] } :
+      { elements: [{ followerCountsByFunction: [{ function: 'urn:li:function:8', followerCounts: { organicFollowerCount: 30, paidFollowerCount: 2 } }] }] }),
+    'GET /rest/organizationalEntityShareStatistics': (body, url) => ({
+      elements: [
+        { share: 'urn:li:share:7', totalShareStatistics: shareStatistics(1) },
+        { ugcPost: 'urn:li:ugcPost:8', totalShareStatistics: shareStatistics(3) }
+      ].filter(() => url.searchParams.has('shares'))
+    })
+  }), { organizationId: '42' });
+  
+  const followers = await connector.getFollowerStatistics({ start: 0, end: 86400000 });
+  
+  assert.equal(followers.followers, 1200);
+  assert.deepEqual(followers.demographics.function, [{ segment: 'urn:li:function:8', organic: 30, paid: 2 }]);
+  assert.deepEqual(followers.timeline, [{ start: '1970-01-01T00:00:00.000Z', end: '1970-01-02T00:00:00.000Z', organic: 5, paid: 1 }]);
+  assert.equal(fetch.requests.at(-1).url.searchParams.get('timeIntervals'), '(timeRange:(start:0,end:86400000),timeGranularityType:DAY)');
+  
+  const shares = await connector.getShareStatistics(['urn:li:share:7', 'urn:li:ugcPost:8', 'urn:li:activity:9']);
+  
+  assert.equal(shares.organizationId, '42');
+  assert.equal(shares.posts['urn:li:share:7'].impressions, 100);
+  assert.equal(shares.posts['urn:li:ugcPost:8'].shares, 6);
+  assert.equal(fetch.requests.at(-1).url.searchParams.get('ugcPosts'), 'List(urn:li:ugcPost:8)');
+});
+
+test('requires an organization for page statistics', async () => {
+  const { connector } = await connect({});
+  
+  await assert.rejects(connector.getFollowerStatistics(), /requires config.organizationId/);
+  await assert.rejects(connector.getShareStatistics(), /requires config.organizationId/);
+});
+
+test('pages through the comments on a post', async () => {
+  const { connector, fetch } = await connect({
+    'GET /rest/socialActions/urn:li:share:1/comments': () => ({ elements: [comment(1), comment(2)], paging: { total: 5 } })
+  });
+  
+  const page = await connector.getComments('urn:li:share:1', { limit: 2, start: 2 });
+  
+  assert.deepEqual(page.comments.map(c => c.text), ['comment 1', 'comment 2']);
+  assert.deepEqual(page.meta, { result_count: 2, total: 5, next_start: 4 });
+  assert.equal(fetch.requests.at(-1).url.search, '?count=2&start=2');
+});
@@ -0,0 +1,593 @@
+/**
+ * SocialOS Mastodon Connector
+ * 
+ * Platform connector for Mastodon and compatible ActivityPub servers.
+ * Handles authentication, posting, boosting, favouriting and mention streams.
+ */
+
+const { BaseConnector } = require('./base-connector');
+const { HttpClient } = require('./http-client');
+const { createPost, createAuthor, createSearchResults } = require('./content-model');
+const { sleep } = require('./retry-policy');
+
+const VISIBILITIES = ['public', 'unlisted', 'private', 'direct'];
+
+class MastodonConnector extends BaseConnector {
+  /**
+   * Create a new Mastodon connector
+   * @param {Object} config - Connector configuration
+   * @param {String} config.instanceUrl - Mastodon instance URL (e.g. https://mastodon.social)
+   * @param {String} config.accessToken - Application access token
+   * @param {String} config.defaultVisibility - Default post visibility (public, unlisted, private, direct)
+   * @param {Number} config.pollInterval - Mention polling interval in ms (default: 30000)
+   */
+  constructor(config = {}) {
+    super('mastodon', config);
+    
+    this.config = config;
+    this.client = null;
+    this.connectedUser = null;
+    this.pollInterval = config.pollInterval || 30000;
+  }
+  
+  /**
+   * Connect to the Mastodon instance
+   * @returns {Object} Connection result
+   */
+  async connect() {
+    await this._loadCredentials();
+    
+    if (!this.config.instanceUrl) {
+      throw new Error('Mastodon instanceUrl is required');
+    }
+    
+    this.client = new HttpClient({
+      baseUrl: this.config.instanceUrl,
+      headers: this.config.accessToken ? { Authorization: `Bearer ${this.config.accessToken}` } : {},
+      timeout: this.config.timeout,
+      fetch: this.config.fetch
+    });
+    
+    return this._handleApiCall(async () => {
+      console.log(`Connecting to Mastodon instance ${this.config.instanceUrl}`);
+      
+      if (this.config.accessToken) {
+        const account = await this.client.get('/api/v1/accounts/verify_credentials');
+        this.connectedUser = this._mapAccount(account);
+      }
+      
+      this.connected = true;
+      this.lastConnection = new Date();
+      
+      return {
+        connected: true,
+        readOnly: !this.config.accessToken,
+        user: this.connectedUser
+      };
+    }, 'Failed to connect to Mastodon');
+  }
+  
+  /**
+   * Check the platform is reachable by looking up the instance
+   * @protected
+   */
+  async _probe() {
+    const path = this.config.accessToken ? '/api/v1/accounts/verify_credentials' : '/api/v2/instance';
+    await this._handleApiCall(async () => this.client.get(path), 'Health probe failed', { retry: false });
+  }
+  
+  /**
+   * Post a status
+   * @param {Object} content - Status content
+   * @param {String} content.text - Status text
+   * @param {String} content.contentWarning - Content warning / spoiler text (optional)
+   * @param {Boolean} content.sensitive - Mark attached media as sensitive (optional)
+   * @param {Object} options - Post options
+   * @param {String} options.visibility - public, unlisted, private or direct
+   * @param {String} options.language - ISO 639 language code
+   * @param {String} options.inReplyToId - Status to reply to
+   * @returns {Object} Post result
+   */
+  async post(content, options = {}) {
+    if (this._isDryRun('post')) return this._recordDryRun('post', [content, options]);
+    
+    this._requireUser('posting');
+    
+    const visibility = options.visibility || this.config.defaultVisibility || 'public';
+    if (!VISIBILITIES.includes(visibility)) {
+      throw new Error(`Invalid Mastodon visibility: ${visibility}`);
+    }
+    
+    const body = {
+      status: content.text,
+      visibility,
+      spoiler_text: content.contentWarning || options.contentWarning || undefined,
+      sensitive: content.sensitive || Boolean(content.contentWarning || options.contentWarning),
+      language: options.language,
+      in_reply_to_id: options.inReplyToId,
+      media_ids: options.mediaIds
+    };
+    
+    // Same key across retries so the instance does not publish twice
+    const idempotencyKey = `socialos_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    
+    return this._handleApiCall(async () => {
+      console.log(`Posting to Mastodon: "${content.text}"`);
+      
+      const status = await this.client.post('/api/v1/statuses', body, {
+        headers: { 'Idempotency-Key': idempotencyKey }
+      });
+      
+      return {
+        success: true,
+        id: status.id,
+        text: content.text,
+        visibility: status.visibility,
+        url: status.url
+      };
+    }, 'Failed to post status');
+  }
+  
+  /**
+   * Reply to a status
+   * @param {String} statusId - ID of status to reply to
+   * @param {Object} content - Reply content
+   * @param {Object} options - Post options (visibility defaults to the parent's)
+   * @returns {Object} Reply result
+   */
+  async reply(statusId, content, options = {}) {
+    if (this._isDryRun('reply')) return this._recordDryRun('reply', [statusId, content, options]);
+    
+    this._requireUser('replying');
+    
+    let visibility = options.visibility;
+    if (!visibility) {
+      // Replies should not widen the audience of the original status
+      const parent = await this._handleApiCall(
+        () => this.client.get(`/api/v1/statuses/${encodeURIComponent(statusId)}`),
+        'Failed to get status'
+      );
+      visibility = parent.visibility === 'public' ? (this.config.defaultVisibility || 'public') : parent.visibility;
+    }
+    
+    const result = await this.post(content, { ...options, visibility, inReplyToId: statusId });
+    
+    return {
+      ...result,
+      replyTo: statusId
+    };
+  }
+  
+  /**
+   * Boost (reblog) a status
+   * @param {String} statusId - ID of status to boost
+   * @returns {Object} Boost result
+   */
+  async boost(statusId) {
+    if (this._isDryRun('boost')) return this._recordDryRun('boost', [statusId]);
+    
+    this._requireUser('boosting');
+    
+    return this._handleApiCall(async () => {
+      console.log(`Boosting status ${statusId}`);
+      
+      const status = await this.client.post(`/api/v1/statuses/${encodeURIComponent(statusId)}/reblog`, {});
+      
+      return {
+        success: true,
+        id: statusId,
+        boostId: status ? status.id : null
+      };
+    }, 'Failed to boost status');
+  }
+  
+  /**
+   * Repost a status (boost)
+   * Mastodon boosts cannot carry a comment; quote with a new status instead.
+   * @param {String} statusId - ID of status to repost
+   * @returns {Object} Repost result
+   */
+  async repost(statusId) {
+    if (this._isDryRun('repost')) return this._recordDryRun('repost', [statusId]);
+    
+    return this.boost(statusId);
+  }
+  
+  /**
+   * Favourite a status
+   * @param {String} statusId - ID of status to favourite
+   * @returns {Object} Favourite result
+   */
+  async favourite(statusId) {
+    if (this._isDryRun('favourite')) return this._recordDryRun('favourite', [statusId]);
+    
+    this._requireUser('favouriting');
+    
+    return this._handleApiCall(async () => {
+      console.log(`Favouriting status ${statusId}`);
+      
+      await this.client.post(`/api/v1/statuses/${encodeURIComponent(statusId)}/favourite`, {});
+      
+      return {
+        success: true,
+        id: statusId
+      };
+    }, 'Failed to favourite status');
+  }
+  
+  /**
+   * Like a status (alias for favourite)
+   * @param {String} statusId - ID of status to like
+   * @returns {Object} Like result
+   */
+  async like(statusId) {
+    if (this._isDryRun('like')) return this._recordDryRun('like', [statusId]);
+    
+    return this.favourite(statusId);
+  }
+  
+  /**
+   * Get a status by ID
+   * @param {String} statusId - Status ID
+   * @returns {Object} Status data
+   */
+  async getStatus(statusId) {
+    this._requireConnection();
+    
+    return this._handleApiCall(async () => {
+      const status = await this.client.get(`/api/v1/statuses/${encodeURIComponent(statusId)}`);
+      return this._mapStatus(status);
+    }, 'Failed to get status');
+  }
+  
+  /**
+   * Get a post by ID
+   * @param {String} statusId - Status ID
+   * @returns {Object} Post data
+   */
+  async getPost(statusId) {
+    return this.getStatus(statusId);
+  }
+  
+  /**
+   * Get an account profile
+   * @param {String} handle - Account handle (user or user@instance, with or without @)
+   * @returns {Object} Account profile
+   */
+  async getUserProfile(handle) {
+    this._requireConnection();
+    
+    const account = await this._lookupAccount(handle);
+    
+    return {
+      ...this._mapAccount(account),
+      description: stripHtml(account.note),
+      following_count: account.following_count || 0,
+      statuses_count: account.statuses_count || 0
+    };
+  }
+  
+  /**
+   * Follow an account
+   * @param {String} handle - Account handle (user or user@instance, with or without @)
+   * @returns {Object} Follow result
+   */
+  async followUser(handle) {
+    if (this._isDryRun('followUser')) return this._recordDryRun('followUser', [handle]);
+    
+    this._requireUser('following');
+    
+    const account = await this._lookupAccount(handle);
+    
+    return this._handleApiCall(async () => {
+      console.log(`Following Mastodon account ${account.acct}`);
+      
+      const relationship = await this.client.post(`/api/v1/accounts/${encodeURIComponent(account.id)}/follow`, {});
+      
+      return {
+        success: true,
+        userId: account.id,
+        username: account.acct,
+        following: Boolean(relationship.following),
+        requested: Boolean(relationship.requested)
+      };
+    }, 'Failed to follow account');
+  }
+  
+  /**
+   * Send a direct message (a status with direct visibility that mentions the recipient)
+   * @param {String} recipient - Recipient handle (user or user@instance, with or without @)
+   * @param {Object} content - Message content
+   * @returns {Object} Message result
+   */
+  async sendDirectMessage(recipient, content) {
+    if (this._isDryRun('sendDirectMessage')) return this._recordDryRun('sendDirectMessage', [recipient, content]);
+    
+    const acct = recipient.replace(/^@/, '');
+    
+    const result = await this.post({ ...content, text: `@${acct} ${content.text}` }, { visibility: 'direct' });
+    
+    return {
+      ...result,
+      recipient: acct
+    };
+  }
+  
+  /**
+   * Search for statuses
+   * @param {String} query - Search query
+   * @param {Object} options - Search options
+   * @param {Number} options.limit - Maximum results (default: 20)
+   * @returns {Object} Search results
+   */
+  async search(query, options = {}) {
+    this._requireConnection();
+    
+    return this._handleApiCall(async () => {
+      console.log(`Searching Mastodon for: "${query}"`);
+      
+      const results = await this.client.get('/api/v2/search', {
+        q: query,
+        type: 'statuses',
+        resolve: options.resolve ? 'true' : undefined,
+        limit: options.limit || options.max_results || 20
+      });
+      
+      const posts = (results.statuses || []).map(status => this._mapStatus(status));
+      
+      return createSearchResults(posts);
+    }, 'Search failed');
+  }
+  
+  /**
+   * Get trending hashtags on the instance
+   * @param {Object} options - Query options
+   * @param {Number} options.limit - Maximum trends (default: 10)
+   * @returns {Array} Trending hashtags
+   */
+  async getTrends(options = {}) {
+    this._requireConnection();
+    
+    return this._handleApiCall(async () => {
+      console.log('Getting Mastodon hashtag trends');
+      
+      const tags = await this.client.get('/api/v1/trends/tags', { limit: options.limit || 10 });
+      
+      return (tags || []).map(tag => ({
+        name: `#${tag.name}`,
+        query: tag.name,
+        url: tag.url,
+        // History is per day, most recent first
+        tweet_volume: (tag.history || []).reduce((sum, day) => sum + Number(day.uses || 0), 0),
+        accounts: (tag.history || []).reduce((sum, day) => sum + Number(day.accounts || 0), 0)
+      }));
+    }, 'Failed to get trends');
+  }
+  
+  /**
+   * Stream mentions of the authenticated account.
+   * Polls mention notifications and yields only mentions received after the stream starts.
+   * @param {Object} options - Stream options
+   * @param {String} options.sinceId - Yield mentions newer than this notification ID
+   * @param {AbortSignal} options.signal - Signal to stop the stream
+   * @returns {AsyncGenerator} Mention stream
+   */
+  async *streamMentions(options = {}) {
+    this._requireUser('streaming mentions');
+    
+    console.log('Starting Mastodon mentions stream');
+    
+    let sinceId = options.sinceId || null;
+    
+    // Skip the backlog unless a starting point was given
+    if (!sinceId) {
+      const latest = await this._fetchMentionNotifications({ limit: 1 });
+      sinceId = latest.length > 0 ? latest[0].id : null;
+    }
+    
+    while (this.connected && !(options.signal && options.signal.aborted)) {
+      try {
+        const notifications = await this._fetchMentionNotifications({ since_id: sinceId || undefined });
+        
+        // Notifications arrive newest first
+        for (const notification of notifications.reverse()) {
+          sinceId = notification.id;
+          
+          if (notification.status) {
+            yield {
+              ...this._mapStatus(notification.status),
+              notificationId: notification.id
+            };
+          }
+        }
+      } catch (error) {
+        this.logActivity('stream_error', { error: error.message });
+      }
+      
+      await sleep(this.pollInterval, options.signal);
+    }
+  }
+  
+  /**
+   * Stream the home timeline by polling for new statuses
+   * @param {Object} options - Stream options
+   * @param {String} options.sinceId - Yield statuses newer than this ID
+   * @param {AbortSignal} options.signal - Signal to stop the stream
+   * @returns {AsyncGenerator} Post stream
+   */
+  async *streamTimeline(options = {}) {
+    this._requireUser('streaming the timeline');
+    
+    console.log('Starting Mastodon home timeline stream');
+    
+    let sinceId = options.sinceId || null;
+    
+    // Skip the backlog unless a starting point was given
+    if (!sinceId) {
+      const latest = await this._fetchHomeTimeline({ limit: 1 });
+      sinceId = latest.length > 0 ? latest[0].id : null;
+    }
+    
+    while (this.connected && !(options.signal && options.signal.aborted)) {
+      try {
+        const statuses = await this._fetchHomeTimeline({ since_id: sinceId || undefined });
+        
+        // Statuses arrive newest first
+        for (const status of statuses.reverse()) {
+          sinceId = status.id;
+          yield this._mapStatus(status);
+        }
+      } catch (error) {
+        this.logActivity('stream_error', { error: error.message });
+      }
+      
+      await sleep(this.pollInterval, options.signal);
+    }
+  }
+  
+  /**
+   * Fetch home timeline statuses
+   * @param {Object} query - Timeline query
+   * @returns {Array} Statuses (newest first)
+   * @private
+   */
+  async _fetchHomeTimeline(query) {
+    return this._handleApiCall(
+      () => this.client.get('/api/v1/timelines/home', query),
+      'Failed to get home timeline'
+    );
+  }
+  
+  /**
+   * Look up an account by handle
+   * @param {String} handle - Account handle (with or without @)
+   * @returns {Object} Mastodon account
+   * @private
+   */
+  async _lookupAccount(handle) {
+    return this._handleApiCall(
+      () => this.client.get('/api/v1/accounts/lookup', { acct: handle.replace(/^@/, '') }),
+      'Failed to look up account'
+    );
+  }
+  
+  /**
+   * Fetch mention notifications
+   * @param {Object} query - Notification query
+   * @returns {Array} Notifications (newest first)
+   * @private
+   */
+  async _fetchMentionNotifications(query) {
+    return this._handleApiCall(
+      () => this.client.get('/api/v1/notifications', { 'types[]': ['mention'], ...query }),
+      'Failed to get notifications'
+    );
+  }
+  
+  /**
+   * Map a Mastodon status to the normalized post shape
+   * @param {Object} status - Mastodon status
+   * @returns {Object} Post
+   * @private
+   */
+  _mapStatus(status) {
+    return {
+      ...createPost({
+        id: status.id,
+        platform: this.platform,
+        text: stripHtml(status.content),
+        author: this._mapAccount(status.account),
+        metrics: {
+          like_count: status.favourites_count,
+          retweet_count: status.reblogs_count,
+          reply_count: status.replies_count
+        },
+        created_at: status.created_at,
+        url: status.url,
+        in_reply_to_id: status.in_reply_to_id
+      }),
+      contentWarning: status.spoiler_text || null,
+      visibility: status.visibility
+    };
+  }
+  
+  /**
+   * Map a Mastodon account to the normalized author shape
+   * @param {Object} account - Mastodon account
+   * @returns {Object} Author
+   * @private
+   */
+  _mapAccount(account = {}) {
+    return createAuthor({
+      id: account.id,
+      username: account.acct || account.username,
+      name: account.display_name,
+      profile_image_url: account.avatar,
+      url: account.url,
+      bot: account.bot,
+      followers_count: account.followers_count
+    });
+  }
+  
+  /**
+   * Ensure the connector is connected
+   * @private
+   */
+  _requireConnection() {
+    if (!this.connected) {
+      throw new Error('Not connected to Mastodon');
+    }
+  }
+  
+  /**
+   * Ensure the connector is connected with a user token
+   * @param {String} action - Action description for the error
+   * @private
+   */
+  _requireUser(action) {
+    this._requireConnection();
+    
+    if (!this.config.accessToken) {
+      throw new Error(`Access token required for ${action}`);
+    }
+  }
+}
+
+/**
+ * Convert Mastodon status HTML to plain text
+ * @param {String} html - Status HTML
+ * @returns {String} Plain text
+ */
+function stripHtml(html = '') {
+  return html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/p>\s*<p>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'')
+    .trim();
+}
+
+// Actions supported by this connector
+MastodonConnector.capabilities = [
+  'post',
+  'reply',
+  'repost',
+  'boost',
+  'favourite',
+  'like',
+  'getPost',
+  'getStatus',
+  'getUserProfile',
+  'search',
+  'getTrends',
+  'followUser',
+  'sendDirectMessage',
+  'streamMentions',
+  'streamTimeline'
+];
+
+module.exports = { MastodonConnector };
@@ -0,0 +1,168 @@
+/**
+ * Tests for the Mastodon connector against a fake instance
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getEventListeners } = require('events');
+const { MastodonConnector } = require('./mastodon-connector');
+
+const ACCOUNT = { id: '1', acct: 'socialos', display_name: 'SocialOS', followers_count: 10 };
+
+/**
+ * Create a fake Mastodon instance
+ * @param {Object} routes - Handlers keyed by "METHOD /path", called with (body, url, init)
+ * @returns {Function} fetch, with the handled requests on .requests
+ */
+function createInstance(routes) {
+  const fetch = async (url, init) => {
+    const { pathname } = new URL(url);
+    const key = `${init.method} ${pathname}`;
+    const body = init.body ? JSON.parse(init.body) : null;
+    fetch.requests.push({ key, url: new URL(url), headers: init.headers, body });
+    
+    const handler = routes[key] || (key === 'GET /api/v1/accounts/verify_credentials' && (() => ACCOUNT));
+    if (!handler) {
+      return new Response('{"error":"Record not found"}', { status: 404 });
+    }
+    
+    const result = await handler(body, new URL(url), init);
+    if (result instanceof Response) return result;
+    return new Response(JSON.stringify(result), { status: 200, headers: { 'content-type': 'application/json' } });
+  };
+  
+  fetch.requests = [];
+  return fetch;
+}
+
+/**
+ * Create a connected connector for a fake instance
+ * @param {Object} routes - Instance routes
+ * @param {Object} config - Extra connector config
+ * @returns {Promise<Object>} { connector, fetch }
+ */
+async function connect(routes, config = {}) {
+  const fetch = createInstance(routes);
+  const connector = new MastodonConnector({
+    instanceUrl: 'https://mastodon.example',
+    accessToken: 'token',
+    fetch,
+    retry: { baseDelay: 1 },
+    ...config
+  });
+  
+  await connector.connect();
+  return { connector, fetch };
+}
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+});
+
+test('connects with the access token and maps the account', async () => {
+  const { connector, fetch } = await connect({});
+  
+  assert.equal(fetch.requests[0].headers.Authorization, 'Bearer token');
+  assert.equal(connector.connectedUser.username, 'socialos');
+  assert.equal(connector.connectedUser.metrics.followers_count, 10);
+});
+
+test('posts statuses with visibility and a content warning', async () => {
+  const { connector, fetch } = await connect({
+    'POST /api/v1/statuses': body => ({ id: '100', visibility: body.visibility, url: 'https://mastodon.example/@socialos/100' })
+  }, { defaultVisibility: 'unlisted' });
+  
+  const result = await connector.post({ text: 'Hello fediverse', contentWarning: 'spoilers' }, { language: 'en' });
+  const { body } = fetch.requests.at(-1);
+  
+  assert.deepEqual(result, { success: true, id: '100', text: 'Hello fediverse', visibility: 'unlisted', url: 'https://mastodon.example/@socialos/100' });
+  assert.deepEqual(body, { status: 'Hello fediverse', visibility: 'unlisted', spoiler_text: 'spoilers', sensitive: true, language: 'en' });
+  await assert.rejects(connector.post({ text: 'x' }, { visibility: 'everyone' }), /Invalid Mastodon visibility/);
+});
+
+test('retries a failed post with the same idempotency key', async () => {
+  let attempts = 0;
+  const { connector, fetch } = await connect({
+    'POST /api/v1/statuses': () => (++attempts === 1 ? new Response('{}', { status: 503 }) : { id: '101', visibility: 'public' })
+  });
+  
+  await connector.post({ text: 'Once only' });
+  
+  const keys = fetch.requests.filter(r => r.key === 'POST /api/v1/statuses').map(r => r.headers['Idempotency-Key']);
+  assert.equal(keys.length, 2);
+  assert.equal(keys[0], keys[1]);
+});
+
+test('replies keep the visibility of a non-public parent', async () => {
+  const { connector, fetch } = await connect({
+    'GET /api/v1/statuses/55': () => ({ id: '55', visibility: 'private' }),
+    'POST /api/v1/statuses': body => ({ id: '102', visibility: body.visibility })
+  });
+  
+  const result = await connector.reply('55', { text: 'Thanks!' });
+  
+  assert.equal(result.replyTo, '55');
+  assert.equal(result.visibility, 'private');
+  assert.equal(fetch.requests.at(-1).body.in_reply_to_id, '55');
+});
+
+test('maps statuses to plain-text posts', async () => {
+  const { connector } = await connect({
+    'GET /api/v1/statuses/7': () => ({
+      id: '7',
+      content: '<p>Hello &amp; welcome</p><p>Second<br>line</p>',
+      account: ACCOUNT,
+      favourites_count: 3,
+      reblogs_count: 2,
+      replies_count: 1,
+      spoiler_text: '',
+      visibility: 'public'
+    })
+  });
+  
+  const post = await connector.getPost('7');
+  
+  assert.equal(post.text, 'Hello & welcome\n\nSecond\nline');
+  assert.equal(post.platform, 'mastodon');
+  assert.equal(post.author.username, 'socialos');
+  assert.equal(post.metrics.like_count, 3);
+  assert.equal(post.contentWarning, null);
+});
+
+test('streams only mentions received after the stream starts', async () => {
+  const batches = [
+    [{ id: 'n1', status: { id: 's1', content: 'old', account: ACCOUNT } }],
+    [],
+    [],
+    [{ id: 'n3', status: { id: 's3', content: 'second', account: ACCOUNT } }, { id: 'n2', status: { id: 's2', content: 'first', account: ACCOUNT } }]
+  ];
+  const queries = [];
+  const { connector } = await connect({
+    'GET /api/v1/notifications': (body, url) => {
+      queries.push(Object.fromEntries(url.searchParams));
+      return batches.shift() || [];
+    }
+  }, { pollInterval: 5 });
+  
+  const controller = new AbortController();
+  const mentions = [];
+  let listeners;
+  
+  for await (const mention of connector.streamMentions({ signal: controller.signal })) {
+    mentions.push(mention);
+    listeners = getEventListeners(controller.signal, 'abort').length;
+    if (mentions.length === 2) controller.abort();
+  }
+  
+  assert.deepEqual(mentions.map(m => [m.id, m.text, m.notificationId]), [['s2', 'first', 'n2'], ['s3', 'second', 'n3']]);
+  assert.equal(listeners, 0, 'finished polls leave no abort listeners behind');
+  assert.equal(queries[0].limit, '1');
+  assert.equal(queries[1].since_id, 'n1');
+  assert.equal(queries[3]['types[]'], 'mention');
+});
+
+test('requires an access token for writes', async () => {
+  const { connector } = await connect({}, { accessToken: undefined });
+  
+  await assert.rejects(connector.post({ text: 'Hi' }), /Access token required for posting/);
+});
@@ -0,0 +1,186 @@
+/**
+ * SocialOS Media Utilities
+ * 
+ * Loads media attachments from files or Buffers, detects their type from
+ * the file contents, and validates them against per-platform limits before
+ * any bytes are uploaded.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MB = 1024 * 1024;
+
+// Upload limits per platform. Media in an "exclusive" category must be the only attachment.
+const MEDIA_LIMITS = {
+  x: {
+    maxItems: 4,
+    maxAltText: 1000,
+    exclusive: ['gif', 'video'],
+    image: { types: ['image/jpeg', 'image/png', 'image/webp'], maxSize: 5 * MB },
+    gif: { types: ['image/gif'], maxSize: 15 * MB },
+    video: { types: ['video/mp4', 'video/quicktime'], maxSize: 512 * MB }
+  },
+  linkedin: {
+    maxItems: 20,
+    maxAltText: 4086,
+    exclusive: ['video'],
+    image: { types: ['image/jpeg', 'image/png'], maxSize: 10 * MB },
+    gif: { types: ['image/gif'], maxSize: 10 * MB },
+    video: { types: ['video/mp4'], maxSize: 500 * MB }
+  }
+};
+
+const EXTENSION_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.webm': 'video/webm'
+};
+
+/**
+ * Detect a MIME type from the leading bytes of a file
+ * @param {Buffer} data - File contents
+ * @returns {String|null} MIME type, or null if unrecognized
+ */
+function sniffMimeType(data) {
+  if (!data || data.length < 4) return null;
+  
+  const ascii = (start, end) => data.toString('latin1', start, end);
+  
+  if (data[0] === 0x89 && ascii(1, 4) === 'PNG') return 'image/png';
+  if (data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) return 'image/jpeg';
+  if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return 'image/gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+  if (data[0] === 0x1a && data[1] === 0x45 && data[2] === 0xdf && data[3] === 0xa3) return 'video/webm';
+  
+  // ISO base media files (MP4, MOV) carry an "ftyp" box with the brand after it
+  if (ascii(4, 8) === 'ftyp') {
+    return ascii(8, 12) === 'qt  ' ? 'video/quicktime' : 'video/mp4';
+  }
+  
+  return null;
+}
+
+/**
+ * Get the media category used for validation and upload strategy
+ * @param {String} mimeType - MIME type
+ * @returns {String} image, gif or video
+ */
+function getMediaCategory(mimeType = '') {
+  if (mimeType === 'image/gif') return 'gif';
+  return mimeType.startsWith('video/') ? 'video' : 'image';
+}
+
+/**
+ * Load a media attachment into memory.
+ * Entries that already carry a mediaId (uploaded earlier) are passed through untouched.
+ * @param {String|Buffer|Object} input - File path, Buffer, or { path | data, mimeType, altText, filename }
+ * @returns {Object} Media ({ data, mimeType, category, size, altText, filename }) or { mediaId, altText }
+ */
+async function loadMedia(input) {
+  const media = typeof input === 'string' ? { path: input } : Buffer.isBuffer(input) ? { data: input } : { ...input };
+  
+  if (media.mediaId) {
+    return { mediaId: String(media.mediaId), altText: media.altText || null };
+  }
+  
+  const data = media.data ? Buffer.from(media.data) : media.path ? await fs.promises.readFile(media.path) : null;
+  if (!data) {
+    throw createMediaError('Media needs a path, data or mediaId');
+  }
+  
+  // Trust the file contents over the caller or the extension
+  const mimeType = sniffMimeType(data) || media.mimeType ||
+    (media.path && EXTENSION_TYPES[path.extname(media.path).toLowerCase()]) || null;
+  
+  if (!mimeType) {
+    throw createMediaError(`Could not detect the type of ${media.path || 'media buffer'}`);
+  }
+  
+  return {
+    data,
+    mimeType,
+    category: getMediaCategory(mimeType),
+    size: data.length,
+    altText: media.altText || null,
+    filename: media.filename || (media.path ? path.basename(media.path) : null)
+  };
+}
+
+/**
+ * Validate loaded media against a platform's limits
+ * @param {String} platform - Platform name (key of MEDIA_LIMITS)
+ * @param {Array} mediaList - Loaded media
+ * @returns {Array} The same media, if valid
+ */
+function validateMedia(platform, mediaList) {
+  const limits = MEDIA_LIMITS[platform];
+  if (!limits) {
+    throw createMediaError(`No media limits defined for ${platform}`, platform);
+  }
+  
+  if (mediaList.length > limits.maxItems) {
+    throw createMediaError(`${platform} allows at most ${limits.maxItems} attachments (got ${mediaList.length})`, platform);
+  }
+  
+  for (const media of mediaList) {
+    if (media.altText && media.altText.length > limits.maxAltText) {
+      throw createMediaError(`${platform} alt text is limited to ${limits.maxAltText} characters`, platform);
+    }
+    
+    // Already-uploaded media was validated when it was uploaded
+    if (media.mediaId) continue;
+    
+    const rule = limits[media.category];
+    if (!rule.types.includes(media.mimeType)) {
+      throw createMediaError(`${platform} does not accept ${media.mimeType} (allowed: ${rule.types.join(', ')})`, platform);
+    }
+    
+    if (media.size > rule.maxSize) {
+      throw createMediaError(`${platform} ${media.category} uploads are limited to ${rule.maxSize / MB}MB (got ${(media.size / MB).toFixed(1)}MB)`, platform);
+    }
+    
+    if (limits.exclusive.includes(media.category) && mediaList.length > 1) {
+      throw createMediaError(`${platform} ${media.category} attachments cannot be combined with other media`, platform);
+    }
+  }
+  
+  return mediaList;
+}
+
+/**
+ * Load and validate a post's attachments before anything is uploaded
+ * @param {String} platform - Platform name
+ * @param {Array} inputs - Media inputs (see loadMedia)
+ * @returns {Array} Loaded media
+ */
+async function prepareMedia(platform, inputs = []) {
+  const mediaList = await Promise.all(inputs.map(loadMedia));
+  return validateMedia(platform, mediaList);
+}
+
+/**
+ * Create a media validation error
+ * @private
+ */
+function createMediaError(message, platform) {
+  const error = new Error(message);
+  error.code = 'INVALID_MEDIA';
+  error.platform = platform;
+  return error;
+}
+
+module.exports = {
+  MEDIA_LIMITS,
+  sniffMimeType,
+  getMediaCategory,
+  loadMedia,
+  validateMedia,
+  prepareMedia
+};
@@ -0,0 +1,133 @@
+/**
+ * Tests for media type detection and per-platform validation
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sniffMimeType, loadMedia, validateMedia, prepareMedia } = require('./media');
+const { XConnector } = require('./x-connector');
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10]);
+const GIF = Buffer.from('GIF89a\x01\x00', 'latin1');
+const WEBP = Buffer.from('RIFF\x00\x00\x00\x00WEBPVP8 ', 'latin1');
+const MP4 = Buffer.from('\x00\x00\x00\x18ftypisom', 'latin1');
+const MOV = Buffer.from('\x00\x00\x00\x14ftypqt  ', 'latin1');
+
+/**
+ * Create a buffer of a given size that starts with a file signature
+ * @param {Buffer} signature - Leading bytes
+ * @param {Number} size - Total size in bytes
+ * @returns {Buffer} File contents
+ */
+function padded(signature, size) {
+  const data = Buffer.alloc(size);
+  signature.copy(data);
+  return data;
+}
+
+test('sniffMimeType detects types from file signatures', () => {
+  assert.equal(sniffMimeType(PNG), 'image/png');
+  assert.equal(sniffMimeType(JPEG), 'image/jpeg');
+  assert.equal(sniffMimeType(GIF), 'image/gif');
+  assert.equal(sniffMimeType(WEBP), 'image/webp');
+  assert.equal(sniffMimeType(MP4), 'video/mp4');
+  assert.equal(sniffMimeType(MOV), 'video/quicktime');
+  assert.equal(sniffMimeType(Buffer.from('plain text')), null);
+  assert.equal(sniffMimeType(Buffer.from([0x89])), null);
+});
+
+test('loadMedia trusts the file contents over the declared type', async () => {
+  const media = await loadMedia({ data: GIF, mimeType: 'image/png', altText: 'A cat' });
+  
+  assert.equal(media.mimeType, 'image/gif');
+  assert.equal(media.category, 'gif');
+  assert.equal(media.size, GIF.length);
+  assert.equal(media.altText, 'A cat');
+  
+  // Unrecognized bytes fall back to the declared type
+  const declared = await loadMedia({ data: Buffer.from('????'), mimeType: 'image/png' });
+  assert.equal(declared.mimeType, 'image/png');
+  
+  assert.deepEqual(await loadMedia({ mediaId: 123 }), { mediaId: '123', altText: null });
+  await assert.rejects(loadMedia({}), { code: 'INVALID_MEDIA' });
+  await assert.rejects(loadMedia(Buffer.from('????')), { code: 'INVALID_MEDIA', message: /Could not detect/ });
+});
+
+test('validateMedia enforces platform limits', async () => {
+  const image = await loadMedia(PNG);
+  const video = await loadMedia(MP4);
+  const webp = await loadMedia(WEBP);
+  const large = await loadMedia(padded(PNG, 6 * 1024 * 1024));
+  
+  assert.throws(() => validateMedia('x', [image, image, image, image, image]), { code: 'INVALID_MEDIA', message: /at most 4/ });
+  assert.throws(() => validateMedia('linkedin', [webp]), { code: 'INVALID_MEDIA', message: /does not accept image\/webp/ });
+  assert.throws(() => validateMedia('x', [large]), { code: 'INVALID_MEDIA', message: /limited to 5MB/ });
+  assert.throws(() => validateMedia('x', [video, image]), { code: 'INVALID_MEDIA', message: /cannot be combined/ });
+  assert.throws(() => validateMedia('x', [{ ...image, altText: 'a'.repeat(1001) }]), { code: 'INVALID_MEDIA', message: /alt text/ });
+  assert.throws(() => validateMedia('myspace', [image]), { code: 'INVALID_MEDIA', platform: 'myspace' });
+  
+  // Media uploaded earlier only counts towards the attachment limit
+  const mixed = [image, { mediaId: '99', altText: null }];
+  assert.equal(validateMedia('linkedin', mixed), mixed);
+  assert.equal((await prepareMedia('x', [PNG, JPEG])).length, 2);
+});
+
+test('X posts with invalid media are rejected before anything is uploaded', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const fetch = t.mock.fn(async () => new Response(JSON.stringify({ data: { id: '42', username: 'socialos' } }), {
+    status: 200,
+    headers: { 'content-type': 'application/json' }
+  }));
+  const connector = new XConnector({
+    apiKey: 'key',
+    apiSecret: 'secret',
+    accessToken: 'token',
+    accessSecret: 'token-secret',
+    fetch
+  });
+  
+  await connector.connect();
+  fetch.mock.resetCalls();
+  
+  await assert.rejects(connector.post({ text: 'Too much media', media: [PNG, JPEG, PNG, JPEG, PNG] }), { code: 'INVALID_MEDIA' });
+  await assert.rejects(connector.post({ text: 'Mixed media', media: [MP4, PNG] }), { code: 'INVALID_MEDIA' });
+  assert.equal(fetch.mock.callCount(), 0);
+});
+
+test('X uploads video in segments and attaches it to the post', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const uploads = [];
+  let tweet;
+  const json = data => new Response(JSON.stringify(data), { status: 200, headers: { 'content-type': 'application/json' } });
+  const fetch = async (url, init) => {
+    const { hostname, pathname } = new URL(url);
+    
+    if (hostname === 'upload.twitter.com') {
+      const command = init.body.get('command');
+      uploads.push(command === 'APPEND' ? `APPEND ${init.body.get('segment_index')} ${init.body.get('media').size}` : command);
+      return command === 'APPEND' ? new Response(null, { status: 204 }) : json({ media_id_string: 'm1', processing_info: { state: 'succeeded' } });
+    }
+    
+    if (pathname === '/2/tweets') {
+      tweet = JSON.parse(init.body);
+      return json({ data: { id: '7', text: tweet.text } });
+    }
+    
+    return json({ data: { id: '42', username: 'socialos' } });
+  };
+  const connector = new XConnector({
+    apiKey: 'key',
+    apiSecret: 'secret',
+    accessToken: 'token',
+    accessSecret: 'token-secret',
+    mediaChunkSize: 10,
+    fetch
+  });
+  
+  await connector.connect();
+  await connector.post({ text: 'Launch video', media: [padded(MP4, 25)] });
+  
+  assert.deepEqual(tweet.media, { media_ids: ['m1'] });
+  assert.deepEqual(uploads, ['INIT', 'APPEND 0 10', 'APPEND 1 10', 'APPEND 2 5', 'FINALIZE']);
+});
@@ -0,0 +1,76 @@
+/**
+ * SocialOS OAuth 1.0a Signer
+ * 
+ * HMAC-SHA1 request signing for APIs that use OAuth 1.0a user context (e.g. X).
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Percent-encode a value as required by RFC 3986 / OAuth 1.0a
+ * @param {String} value - Value to encode
+ * @returns {String} Encoded value
+ */
+function percentEncode(value) {
+  return encodeURIComponent(String(value))
+    .replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Build the OAuth 1.0a Authorization header for a request
+ * @param {Object} request - Request to sign
+ * @param {String} request.method - HTTP method
+ * @param {String} request.url - Full request URL (query parameters are included in the signature)
+ * @param {Object} request.params - Form body parameters (JSON and multipart bodies are not signed)
+ * @param {Object} credentials - OAuth credentials
+ * @param {String} credentials.consumerKey - API key
+ * @param {String} credentials.consumerSecret - API secret
+ * @param {String} credentials.token - Access token
+ * @param {String} credentials.tokenSecret - Access token secret
+ * @param {Object} overrides - Fixed nonce/timestamp (for reproducible signatures)
+ * @returns {String} Authorization header value
+ */
+function buildOAuth1Header({ method, url, params = {} }, credentials, overrides = {}) {
+  const oauthParams = {
+    oauth_consumer_key: credentials.consumerKey,
+    oauth_nonce: overrides.nonce || crypto.randomBytes(16).toString('hex'),
+    oauth_signature_method: 'HMAC-SHA1',
+    oauth_timestamp: String(overrides.timestamp || Math.floor(Date.now() / 1000)),
+    oauth_version: '1.0'
+  };
+  
+  if (credentials.token) {
+    oauthParams.oauth_token = credentials.token;
+  }
+  
+  const parsed = new URL(url);
+  const pairs = [];
+  
+  parsed.searchParams.forEach((value, key) => pairs.push([key, value]));
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null) pairs.push([key, value]);
+  }
+  for (const [key, value] of Object.entries(oauthParams)) {
+    pairs.push([key, value]);
+  }
+  
+  // Parameters are sorted by encoded key, then encoded value
+  const normalized = pairs
+    .map(([key, value]) => [percentEncode(key), percentEncode(value)])
+    .sort(([aKey, aValue], [bKey, bValue]) => (aKey === bKey ? (aValue < bValue ? -1 : 1) : (aKey < bKey ? -1 : 1)))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+  
+  const baseUrl = `${parsed.protocol}//${parsed.host}${parsed.pathname}`;
+  const baseString = [method.toUpperCase(), percentEncode(baseUrl), percentEncode(normalized)].join('&');
+  const signingKey = `${percentEncode(credentials.consumerSecret)}&${percentEncode(credentials.tokenSecret || '')}`;
+  
+  oauthParams.oauth_signature = crypto.createHmac('sha1', signingKey).update(baseString).digest('base64');
+  
+  return 'OAuth ' + Object.keys(oauthParams)
+    .sort()
+    .map(key => `${percentEncode(key)}="${percentEncode(oauthParams[key])}"`)
+    .join(', ');
+}
+
+module.exports = { buildOAuth1Header, percentEncode };
@@ -0,0 +1,43 @@
+/**
+ * Tests for OAuth 1.0a request signing
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildOAuth1Header, percentEncode } = require('./oauth1');
+
+test('percent-encodes the RFC 3986 reserved characters', () => {
+  assert.equal(percentEncode("Ladies + Gentlemen! (it's *)"), 'Ladies%20%2B%20Gentlemen%21%20%28it%27s%20%2A%29');
+  assert.equal(percentEncode('a-b_c.d~e'), 'a-b_c.d~e');
+});
+
+test('signs the X documentation example request', () => {
+  const header = buildOAuth1Header({
+    method: 'post',
+    url: 'https://api.twitter.com/1.1/statuses/update.json?include_entities=true',
+    params: { status: 'Hello Ladies + Gentlemen, a signed OAuth request!' }
+  }, {
+    consumerKey: 'xvz1evFS4wEEPTGEFPHBog',
+    consumerSecret: 'kAcSOqF21Fu85e7zjz7ZN2U4ZRhfV3WpwPAoE3Z7kBw',
+    token: '370773112-GmHxMAgYyLbNEtIKZeRNFsMKPR9EyMZeS9weJAEb',
+    tokenSecret: 'LswwdoUaIvS8ltyTt5jkRh4J50vUPVVHtR2YPi5kE'
+  }, {
+    nonce: 'kYjzVBB8Y0ZFabxSWbWovY3uYSQ2pTgmZeNu2VS4cg',
+    timestamp: 1318622958
+  });
+  
+  assert.equal(header, 'OAuth oauth_consumer_key="xvz1evFS4wEEPTGEFPHBog", ' +
+    'oauth_nonce="kYjzVBB8Y0ZFabxSWbWovY3uYSQ2pTgmZeNu2VS4cg", ' +
+    'oauth_signature="hCtSmYh%2BiHYCEqBWrE7C7hYmtUk%3D", ' +
+    'oauth_signature_method="HMAC-SHA1", ' +
+    'oauth_timestamp="1318622958", ' +
+    'oauth_token="370773112-GmHxMAgYyLbNEtIKZeRNFsMKPR9EyMZeS9weJAEb", ' +
+    'oauth_version="1.0"');
+});
+
+test('uses a fresh nonce for every request', () => {
+  const sign = () => buildOAuth1Header({ method: 'GET', url: 'https://api.twitter.com/2/users/me' }, { consumerKey: 'k', consumerSecret: 's' });
+  
+  assert.notEqual(sign(), sign());
+  assert.doesNotMatch(sign(), /oauth_token=/);
+});
@@ -0,0 +1,246 @@
+/**
+ * SocialOS OAuth 2 Client
+ * 
+ * Authorization-code flow (with PKCE where the platform requires it) and
+ * refresh-token handling for connectors that use OAuth 2 user tokens.
+ * Tokens are refreshed shortly before they expire, persisted through the
+ * connector's credential provider, and announced with credentialsRefreshed.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { HttpClient } = require('./http-client');
+
+// Authorization and token endpoints for the built-in platforms
+const OAUTH2_ENDPOINTS = {
+  linkedin: {
+    authorizeUrl: 'https://www.linkedin.com/oauth/v2/authorization',
+    tokenUrl: 'https://www.linkedin.com/oauth/v2/accessToken',
+    scopes: ['openid', 'profile', 'w_member_social'],
+    clientAuth: 'body',
+    pkce: false
+  },
+  x: {
+    authorizeUrl: 'https://twitter.com/i/oauth2/authorize',
+    tokenUrl: 'https://api.twitter.com/2/oauth2/token',
+    scopes: ['tweet.read', 'tweet.write', 'users.read', 'like.write', 'follows.write', 'dm.write', 'offline.access'],
+    clientAuth: 'basic',
+    pkce: true
+  }
+};
+
+class OAuth2Client extends EventEmitter {
+  /**
+   * Create a new OAuth 2 client
+   * @param {Object} options - Client options
+   * @param {String} options.platform - Platform name (used in events and as the default credential key)
+   * @param {String} options.clientId - OAuth client ID
+   * @param {String} options.clientSecret - OAuth client secret (omit for public clients)
+   * @param {String} options.redirectUri - Registered redirect URI
+   * @param {String} options.authorizeUrl - Authorization endpoint
+   * @param {String} options.tokenUrl - Token endpoint
+   * @param {Array} options.scopes - Scopes requested during authorization
+   * @param {String} options.clientAuth - How the client authenticates to the token endpoint (basic or body)
+   * @param {Boolean} options.pkce - Whether the authorization flow uses PKCE
+   * @param {Object} options.credentials - Current tokens ({ accessToken, refreshToken, expiresAt })
+   * @param {Object} options.provider - Credential provider that stores refreshed tokens (optional)
+   * @param {String} options.credentialKey - Key the tokens are stored under (default: platform)
+   * @param {Number} options.refreshMargin - Refresh this many ms before expiry (default: 60000)
+   * @param {Function} options.fetch - fetch implementation
+   */
+  constructor(options = {}) {
+    super();
+    
+    this.platform = options.platform;
+    this.clientId = options.clientId;
+    this.clientSecret = options.clientSecret || null;
+    this.redirectUri = options.redirectUri || null;
+    this.authorizeUrl = options.authorizeUrl;
+    this.tokenUrl = options.tokenUrl;
+    this.scopes = options.scopes || [];
+    this.clientAuth = options.clientAuth || 'body';
+    this.pkce = Boolean(options.pkce);
+    this.provider = options.provider || null;
+    this.credentialKey = options.credentialKey || options.platform;
+    this.refreshMargin = options.refreshMargin !== undefined ? options.refreshMargin : 60000;
+    
+    const credentials = options.credentials || {};
+    this.accessToken = credentials.accessToken || null;
+    this.refreshToken = credentials.refreshToken || null;
+    this.expiresAt = credentials.expiresAt ? Number(credentials.expiresAt) : null;
+    
+    this.client = new HttpClient({ timeout: options.timeout, fetch: options.fetch });
+    this.pendingRefresh = null;
+  }
+  
+  /**
+   * Build the URL the user visits to authorize the app
+   * @param {Object} options - Authorization options
+   * @param {String} options.state - CSRF state (generated if omitted)
+   * @param {Array} options.scopes - Scopes to request (default: client scopes)
+   * @returns {Object} { url, state, codeVerifier } - keep state and codeVerifier for the callback
+   */
+  getAuthorizationUrl(options = {}) {
+    if (!this.redirectUri) {
+      throw new Error(`${this.platform} OAuth requires a redirectUri`);
+    }
+    
+    const state = options.state || crypto.randomBytes(16).toString('hex');
+    const url = new URL(this.authorizeUrl);
+    
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', this.clientId);
+    url.searchParams.set('redirect_uri', this.redirectUri);
+    url.searchParams.set('scope', (options.scopes || this.scopes).join(' '));
+    url.searchParams.set('state', state);
+    
+    let codeVerifier = null;
+    if (this.pkce) {
+      codeVerifier = crypto.randomBytes(32).toString('base64url');
+      url.searchParams.set('code_challenge', crypto.createHash('sha256').update(codeVerifier).digest('base64url'));
+      url.searchParams.set('code_challenge_method', 'S256');
+    }
+    
+    return { url: url.toString(), state, codeVerifier };
+  }
+  
+  /**
+   * Exchange an authorization code from the redirect for tokens
+   * @param {String} code - Authorization code
+   * @param {Object} options - Exchange options
+   * @param {String} options.codeVerifier - PKCE verifier returned by getAuthorizationUrl
+   * @returns {Object} Tokens ({ accessToken, refreshToken, expiresAt })
+   */
+  async exchangeCode(code, options = {}) {
+    const params = {
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.redirectUri
+    };
+    
+    if (this.pkce) {
+      if (!options.codeVerifier) {
+        throw new Error(`${this.platform} OAuth requires the codeVerifier from getAuthorizationUrl`);
+      }
+      params.code_verifier = options.codeVerifier;
+    }
+    
+    return this._requestTokens(params, 'authorization_code');
+  }
+  
+  /**
+   * Check whether the access token can be refreshed
+   * @returns {Boolean} True if a refresh token is available
+   */
+  canRefresh() {
+    return Boolean(this.refreshToken && this.clientId);
+  }
+  
+  /**
+   * Check whether the access token has expired or is about to
+   * @returns {Boolean} True if the token should be refreshed before use
+   */
+  isExpiring() {
+    return this.expiresAt !== null && Date.now() >= this.expiresAt - this.refreshMargin;
+  }
+  
+  /**
+   * Get a usable access token, refreshing it first if it is about to expire
+   * @returns {String|null} Access token
+   */
+  async getAccessToken() {
+    if ((!this.accessToken || this.isExpiring()) && this.canRefresh()) {
+      await this.refresh();
+    }
+    
+    return this.accessToken;
+  }
+  
+  /**
+   * Refresh the access token.
+   * Concurrent callers share one refresh request.
+   * @returns {Object} Tokens ({ accessToken, refreshToken, expiresAt })
+   */
+  async refresh() {
+    if (!this.canRefresh()) {
+      const error = new Error(`${this.platform} has no refresh token; re-authorize the account`);
+      error.code = 'REFRESH_UNAVAILABLE';
+      error.platform = this.platform;
+      throw error;
+    }
+    
+    if (!this.pendingRefresh) {
+      this.pendingRefresh = this._requestTokens({
+        grant_type: 'refresh_token',
+        refresh_token: this.refreshToken
+      }, 'refresh_token').finally(() => {
+        this.pendingRefresh = null;
+      });
+    }
+    
+    return this.pendingRefresh;
+  }
+  
+  /**
+   * Replace the stored tokens (e.g. after loading them from a credential provider)
+   * @param {Object} credentials - Tokens ({ accessToken, refreshToken, expiresAt }); missing fields are kept
+   */
+  setCredentials(credentials = {}) {
+    if (credentials.accessToken) this.accessToken = credentials.accessToken;
+    if (credentials.refreshToken) this.refreshToken = credentials.refreshToken;
+    if (credentials.expiresAt) this.expiresAt = Number(credentials.expiresAt);
+  }
+  
+  /**
+   * Get the current tokens
+   * @returns {Object} Tokens ({ accessToken, refreshToken, expiresAt })
+   */
+  getCredentials() {
+    return {
+      accessToken: this.accessToken,
+      refreshToken: this.refreshToken,
+      expiresAt: this.expiresAt
+    };
+  }
+  
+  /**
+   * Call the token endpoint and store the returned tokens
+   * @private
+   */
+  async _requestTokens(params, grant) {
+    const body = new URLSearchParams(params);
+    const headers = {};
+    
+    if (this.clientAuth === 'basic' && this.clientSecret) {
+      headers.Authorization = `Basic ${Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64')}`;
+    } else {
+      body.set('client_id', this.clientId);
+      if (this.clientSecret) body.set('client_secret', this.clientSecret);
+    }
+    
+    const tokens = await this.client.post(this.tokenUrl, body, { headers });
+    
+    this.accessToken = tokens.access_token;
+    // Providers that do not rotate refresh tokens omit them from the response
+    this.refreshToken = tokens.refresh_token || this.refreshToken;
+    this.expiresAt = tokens.expires_in ? Date.now() + tokens.expires_in * 1000 : null;
+    
+    const credentials = this.getCredentials();
+    
+    if (this.provider && typeof this.provider.set === 'function') {
+      await this.provider.set(this.credentialKey, credentials);
+    }
+    
+    this.emit('credentialsRefreshed', {
+      platform: this.platform,
+      credentialKey: this.credentialKey,
+      grant,
+      expiresAt: this.expiresAt,
+      credentials
+    });
+    
+    return credentials;
+  }
+}
+
+module.exports = { OAuth2Client, OAUTH2_ENDPOINTS };
@@ -0,0 +1,114 @@
+/**
+ * Tests for the OAuth 2 authorization-code and refresh flows
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { OAuth2Client, OAUTH2_ENDPOINTS } = require('./oauth2');
+const { LinkedInConnector } = require('./linkedin-connector');
+
+/**
+ * Create a fake token endpoint issuing numbered tokens
+ * @param {Object} options - Endpoint options ({ rotate: issue new refresh tokens })
+ * @returns {Function} fetch, with the token requests on .requests
+ */
+function createTokenEndpoint(options = {}) {
+  const fetch = async (url, init) => {
+    const params = Object.fromEntries(new URLSearchParams(init.body.toString()));
+    fetch.requests.push({ url, params, headers: init.headers });
+    
+    const n = fetch.requests.length;
+    const tokens = { access_token: `access-${n}`, expires_in: 3600 };
+    if (options.rotate) tokens.refresh_token = `refresh-${n}`;
+    
+    return new Response(JSON.stringify(tokens), { status: 200, headers: { 'content-type': 'application/json' } });
+  };
+  
+  fetch.requests = [];
+  return fetch;
+}
+
+test('builds a PKCE authorization URL and exchanges the code', async () => {
+  const fetch = createTokenEndpoint({ rotate: true });
+  const client = new OAuth2Client({
+    ...OAUTH2_ENDPOINTS.x,
+    platform: 'x',
+    clientId: 'client',
+    clientSecret: 'secret',
+    redirectUri: 'https://app.example/callback',
+    fetch
+  });
+  
+  const { url, state, codeVerifier } = client.getAuthorizationUrl();
+  const params = new URL(url).searchParams;
+  
+  assert.equal(params.get('state'), state);
+  assert.equal(params.get('redirect_uri'), 'https://app.example/callback');
+  assert.equal(params.get('code_challenge'), crypto.createHash('sha256').update(codeVerifier).digest('base64url'));
+  await assert.rejects(client.exchangeCode('code'), /requires the codeVerifier/);
+  
+  const tokens = await client.exchangeCode('code', { codeVerifier });
+  const request = fetch.requests[0];
+  
+  assert.equal(tokens.accessToken, 'access-1');
+  assert.equal(tokens.refreshToken, 'refresh-1');
+  assert.deepEqual(request.params, { grant_type: 'authorization_code', code: 'code', redirect_uri: 'https://app.example/callback', code_verifier: codeVerifier });
+  assert.equal(request.headers.Authorization, `Basic ${Buffer.from('client:secret').toString('base64')}`);
+});
+
+test('refreshes an expiring token once for concurrent callers and persists it', async () => {
+  const fetch = createTokenEndpoint();
+  const stored = {};
+  const client = new OAuth2Client({
+    ...OAUTH2_ENDPOINTS.linkedin,
+    platform: 'linkedin',
+    clientId: 'client',
+    clientSecret: 'secret',
+    credentials: { accessToken: 'old', refreshToken: 'refresh-0', expiresAt: Date.now() + 1000 },
+    provider: { set: async (key, credentials) => { stored[key] = credentials; } },
+    fetch
+  });
+  const events = [];
+  client.on('credentialsRefreshed', event => events.push(event));
+  
+  const tokens = await Promise.all([client.getAccessToken(), client.getAccessToken()]);
+  
+  assert.deepEqual(tokens, ['access-1', 'access-1']);
+  assert.equal(fetch.requests.length, 1);
+  assert.deepEqual(fetch.requests[0].params, { grant_type: 'refresh_token', refresh_token: 'refresh-0', client_id: 'client', client_secret: 'secret' });
+  
+  // LinkedIn does not rotate refresh tokens, so the old one is kept
+  assert.equal(stored.linkedin.refreshToken, 'refresh-0');
+  assert.equal(events.length, 1);
+  assert.equal(events[0].grant, 'refresh_token');
+  assert.equal(await client.getAccessToken(), 'access-1');
+});
+
+test('refuses to refresh without a refresh token', async () => {
+  const client = new OAuth2Client({ platform: 'linkedin', clientId: 'client', credentials: { accessToken: 'token' } });
+  
+  await assert.rejects(client.refresh(), { code: 'REFRESH_UNAVAILABLE' });
+});
+
+test('connectors refresh on 401 and retry the call once', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const tokenEndpoint = createTokenEndpoint();
+  const seen = [];
+  const fetch = async (url, init) => {
+    if (url.startsWith(OAUTH2_ENDPOINTS.linkedin.tokenUrl)) return tokenEndpoint(url, init);
+    
+    seen.push(init.headers.Authorization);
+    const status = init.headers.Authorization === 'Bearer revoked' ? 401 : 200;
+    return new Response(JSON.stringify({ sub: 'abc', name: 'Ada' }), { status, headers: { 'content-type': 'application/json' } });
+  };
+  const connector = new LinkedInConnector({ clientId: 'client', clientSecret: 'secret', accessToken: 'revoked', refreshToken: 'refresh-0', fetch });
+  const refreshed = t.mock.fn();
+  connector.on('credentialsRefreshed', refreshed);
+  
+  await connector.connect();
+  
+  assert.deepEqual(seen, ['Bearer revoked', 'Bearer access-1']);
+  assert.equal(refreshed.mock.callCount(), 1);
+  assert.equal(connector.config.accessToken, 'access-1');
+});
@@ -0,0 +1,218 @@
+/**
+ * SocialOS Retry Policy
+ * 
+ * Retries failed platform API calls with jittered exponential backoff.
+ * Classifies errors so that only rate limits, server errors and network
+ * failures are retried, and honors Retry-After hints from the platform.
+ */
+
+const NETWORK_ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENOTFOUND',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT'
+];
+
+class RetryPolicy {
+  /**
+   * Create a new RetryPolicy
+   * @param {Object} options - Policy options
+   * @param {Number} options.maxAttempts - Maximum attempts including the first call (default: 3)
+   * @param {Number} options.baseDelay - Initial backoff delay in ms (default: 500)
+   * @param {Number} options.maxDelay - Maximum backoff delay in ms (default: 30000)
+   * @param {Number} options.factor - Backoff multiplier (default: 2)
+   * @param {Number} options.jitter - Random jitter ratio 0-1 (default: 0.5)
+   * @param {Array} options.retryOn - Error classes to retry (rate_limit, server, network)
+   * @param {Boolean} options.respectRetryAfter - Honor Retry-After hints (default: true)
+   * @param {Number} options.maxRetryAfter - Give up if Retry-After exceeds this many ms (default: 60000)
+   */
+  constructor(options = {}) {
+    this.maxAttempts = options.maxAttempts || 3;
+    this.baseDelay = options.baseDelay !== undefined ? options.baseDelay : 500;
+    this.maxDelay = options.maxDelay || 30000;
+    this.factor = options.factor || 2;
+    this.jitter = options.jitter !== undefined ? options.jitter : 0.5;
+    this.retryOn = options.retryOn || ['rate_limit', 'server', 'network'];
+    this.respectRetryAfter = options.respectRetryAfter !== false;
+    this.maxRetryAfter = options.maxRetryAfter || 60000;
+  }
+  
+  /**
+   * Classify an error
+   * @param {Error} error - Error thrown by an API call
+   * @returns {String} rate_limit, server, network, client or unknown
+   */
+  static classify(error) {
+    if (!error) return 'unknown';
+    
+    const status = RetryPolicy.getStatus(error);
+    
+    if (status === 429 || error.code === 'RATE_LIMITED') return 'rate_limit';
+    if (status >= 500) return 'server';
+    if (status >= 400) return 'client';
+    
+    const code = error.code || (error.cause && error.cause.code);
+    if (NETWORK_ERROR_CODES.includes(code)) {
+      return 'network';
+    }
+    
+    // fetch() reports connection failures as a TypeError
+    if (error.name === 'TypeError' && /fetch failed|network/i.test(error.message)) {
+      return 'network';
+    }
+    
+    return 'unknown';
+  }
+  
+  /**
+   * Extract the HTTP status from an error
+   * @param {Error} error - Error thrown by an API call
+   * @returns {Number|null} HTTP status code
+   */
+  static getStatus(error) {
+    const status = error.status || error.statusCode || (error.response && error.response.status);
+    return status ? Number(status) : null;
+  }
+  
+  /**
+   * Extract a Retry-After hint in ms from an error
+   * @param {Error} error - Error thrown by an API call
+   * @returns {Number|null} Delay in ms
+   */
+  static getRetryAfter(error) {
+    if (typeof error.retryAfter === 'number') {
+      return error.retryAfter;
+    }
+    
+    const headers = error.headers || (error.response && error.response.headers) || {};
+    const read = name => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+    const value = read('retry-after');
+    
+    if (value === undefined || value === null) {
+      // X reports the end of the rate limit window as epoch seconds instead
+      const reset = Number(read('x-rate-limit-reset'));
+      return RetryPolicy.getStatus(error) === 429 && reset > 0 ? Math.max(reset * 1000 - Date.now(), 0) : null;
+    }
+    
+    // Retry-After is either delta-seconds or an HTTP date
+    const seconds = Number(value);
+    if (!isNaN(seconds)) {
+      return seconds * 1000;
+    }
+    
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(date - Date.now(), 0);
+  }
+  
+  /**
+   * Decide whether a failed attempt should be retried
+   * @param {Error} error - Error from the failed attempt
+   * @param {Number} attempt - Attempt number that failed (1-based)
+   * @returns {Boolean} True if the call should be retried
+   */
+  shouldRetry(error, attempt) {
+    if (attempt >= this.maxAttempts) return false;
+    
+    if (!this.retryOn.includes(RetryPolicy.classify(error))) return false;
+    
+    const retryAfter = RetryPolicy.getRetryAfter(error);
+    if (this.respectRetryAfter && retryAfter !== null && retryAfter > this.maxRetryAfter) {
+      return false;
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Get the delay before the next attempt
+   * @param {Number} attempt - Attempt number that failed (1-based)
+   * @param {Error} error - Error from the failed attempt
+   * @returns {Number} Delay in ms
+   */
+  getDelay(attempt, error) {
+    if (this.respectRetryAfter && error) {
+      const retryAfter = RetryPolicy.getRetryAfter(error);
+      if (retryAfter !== null) {
+        return retryAfter;
+      }
+    }
+    
+    const exponential = Math.min(this.baseDelay * Math.pow(this.factor, attempt - 1), this.maxDelay);
+    const spread = exponential * this.jitter;
+    
+    return Math.round(exponential - spread + Math.random() * spread * 2);
+  }
+  
+  /**
+   * Run a function, retrying according to the policy
+   * @param {Function} fn - Async function to run (receives the attempt number)
+   * @param {Object} options - Execution options
+   * @param {Function} options.onRetry - Called with (error, attempt, delay) before each retry
+   * @param {AbortSignal} options.signal - Stops retrying once aborted, rejecting with the abort reason
+   * @returns {*} Result of the function
+   */
+  async execute(fn, options = {}) {
+    const { signal } = options;
+    let attempt = 0;
+    
+    while (true) {
+      attempt++;
+      
+      if (signal && signal.aborted) {
+        throw signal.reason;
+      }
+      
+      try {
+        return await fn(attempt);
+      } catch (error) {
+        if (signal && signal.aborted) {
+          throw signal.reason;
+        }
+        
+        if (!this.shouldRetry(error, attempt)) {
+          error.attempts = attempt;
+          throw error;
+        }
+        
+        const delay = this.getDelay(attempt, error);
+        
+        if (typeof options.onRetry === 'function') {
+          options.onRetry(error, attempt, delay);
+        }
+        
+        await sleep(delay, signal);
+      }
+    }
+  }
+}
+
+/**
+ * Wait for a delay, waking early if the signal aborts.
+ * The abort listener is removed once the wait ends, so a long-lived signal
+ * can be reused across many waits.
+ * @param {Number} delay - Delay in ms
+ * @param {AbortSignal} signal - Signal that ends the wait early (optional)
+ * @returns {Promise} Resolves when the delay has passed or the signal aborts
+ */
+function sleep(delay, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(done, delay);
+    
+    function done() {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', done);
+      resolve();
+    }
+    
+    if (signal) signal.addEventListener('abort', done, { once: true });
+  });
+}
+
+module.exports = { RetryPolicy, sleep };
@@ -0,0 +1,109 @@
+/**
+ * Tests for error classification, backoff and retries
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getEventListeners } = require('events');
+const { RetryPolicy, sleep } = require('./retry-policy');
+
+/**
+ * Create an error carrying an HTTP status
+ * @param {Number} status - HTTP status
+ * @param {Object} headers - Response headers
+ * @returns {Error} Error
+ */
+function httpError(status, headers = {}) {
+  const error = new Error(`HTTP ${status}`);
+  error.status = status;
+  error.headers = headers;
+  return error;
+}
+
+test('classifies rate limits, server, client and network errors', () => {
+  assert.equal(RetryPolicy.classify(httpError(429)), 'rate_limit');
+  assert.equal(RetryPolicy.classify(Object.assign(new Error('slow down'), { code: 'RATE_LIMITED' })), 'rate_limit');
+  assert.equal(RetryPolicy.classify(httpError(503)), 'server');
+  assert.equal(RetryPolicy.classify(httpError(404)), 'client');
+  assert.equal(RetryPolicy.classify(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), 'network');
+  assert.equal(RetryPolicy.classify(new TypeError('fetch failed')), 'network');
+  assert.equal(RetryPolicy.classify(new Error('boom')), 'unknown');
+});
+
+test('reads Retry-After as seconds, an HTTP date or the X reset header', () => {
+  assert.equal(RetryPolicy.getRetryAfter(httpError(429, { 'retry-after': '2' })), 2000);
+  assert.equal(RetryPolicy.getRetryAfter(httpError(503, new Headers({ 'retry-after': '1' }))), 1000);
+  
+  const date = RetryPolicy.getRetryAfter(httpError(503, { 'retry-after': new Date(Date.now() + 5000).toUTCString() }));
+  assert.ok(date > 3000 && date <= 5000);
+  
+  const reset = RetryPolicy.getRetryAfter(httpError(429, { 'x-rate-limit-reset': String(Math.ceil(Date.now() / 1000) + 10) }));
+  assert.ok(reset > 8000 && reset <= 11000);
+  
+  assert.equal(RetryPolicy.getRetryAfter(httpError(500)), null);
+});
+
+test('backs off exponentially up to the maximum delay', () => {
+  const policy = new RetryPolicy({ baseDelay: 100, maxDelay: 1000, jitter: 0 });
+  
+  assert.deepEqual([1, 2, 3, 4, 5].map(attempt => policy.getDelay(attempt)), [100, 200, 400, 800, 1000]);
+  assert.equal(policy.getDelay(1, httpError(429, { 'retry-after': '3' })), 3000);
+  
+  const jittered = new RetryPolicy({ baseDelay: 100, jitter: 0.5 }).getDelay(1);
+  assert.ok(jittered >= 50 && jittered <= 150);
+});
+
+test('retries transient failures and stops at maxAttempts', async () => {
+  const policy = new RetryPolicy({ maxAttempts: 3, baseDelay: 1, jitter: 0 });
+  const retries = [];
+  let calls = 0;
+  
+  const result = await policy.execute(async (attempt) => {
+    calls++;
+    if (attempt < 3) throw httpError(503);
+    return 'ok';
+  }, { onRetry: (error, attempt, delay) => retries.push([attempt, delay]) });
+  
+  assert.equal(result, 'ok');
+  assert.equal(calls, 3);
+  assert.deepEqual(retries, [[1, 1], [2, 2]]);
+  
+  const error = await policy.execute(async () => { throw httpError(500); }).catch(e => e);
+  assert.equal(error.attempts, 3);
+});
+
+test('does not retry client errors or long Retry-After hints', async () => {
+  const policy = new RetryPolicy({ baseDelay: 1, maxRetryAfter: 1000 });
+  let calls = 0;
+  
+  await assert.rejects(policy.execute(async () => { calls++; throw httpError(400); }), { status: 400, attempts: 1 });
+  await assert.rejects(policy.execute(async () => { calls++; throw httpError(429, { 'retry-after': '60' }); }), { attempts: 1 });
+  assert.equal(calls, 2);
+});
+
+test('stops retrying once the signal aborts', async () => {
+  const policy = new RetryPolicy({ baseDelay: 10000, jitter: 0 });
+  const controller = new AbortController();
+  const reason = new Error('cancelled');
+  
+  const pending = policy.execute(async () => { throw httpError(503); }, { signal: controller.signal });
+  setTimeout(() => controller.abort(reason), 10);
+  
+  await assert.rejects(pending, reason);
+  await assert.rejects(policy.execute(async () => 'never', { signal: controller.signal }), reason);
+});
+
+test('sleep removes its abort listener when the wait ends', async () => {
+  const controller = new AbortController();
+  
+  for (let i = 0; i < 20; i++) {
+    await sleep(1, controller.signal);
+  }
+  assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+  
+  const started = Date.now();
+  const pending = sleep(10000, controller.signal);
+  controller.abort();
+  await pending;
+  assert.ok(Date.now() - started < 1000, 'an abort ends the wait early');
+});
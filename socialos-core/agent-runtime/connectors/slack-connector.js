@@ -0,0 +1,651 @@
+/**
+ * SocialOS Slack Connector
+ * 
+ * Platform connector for Slack workspaces.
+ * Handles bot authentication, messaging, threads, reactions and Socket Mode event streams.
+ */
+
+const { BaseConnector } = require('./base-connector');
+const { HttpClient } = require('./http-client');
+const { resolveWebSocket, EventQueue } = require('./websocket-utils');
+const { createMessage, createAuthor } = require('./content-model');
+
+// Slack API error codes that indicate a transient server-side problem
+const SERVER_ERRORS = ['internal_error', 'fatal_error', 'service_unavailable', 'request_timeout'];
+
+class SlackConnector extends BaseConnector {
+  /**
+   * Create a new Slack connector
+   * @param {Object} config - Connector configuration
+   * @param {String} config.botToken - Bot user OAuth token (xoxb-...)
+   * @param {String} config.appToken - App-level token for Socket Mode (xapp-...)
+   * @param {String} config.apiUrl - Web API base URL (default: https://slack.com/api)
+   * @param {Function} config.WebSocket - WebSocket implementation (defaults to global WebSocket or ws)
+   * @param {String} config.defaultChannelId - Channel used by post() when none is given
+   */
+  constructor(config = {}) {
+    super('slack', config);
+    
+    this.config = config;
+    this.client = null;
+    this.botUser = null;
+    this.team = null;
+    this.userCache = new Map();
+  }
+  
+  /**
+   * Connect to the Slack Web API
+   * @returns {Object} Connection result
+   */
+  async connect() {
+    await this._loadCredentials();
+    
+    if (!this.config.botToken) {
+      throw new Error('Slack botToken is required');
+    }
+    
+    this.client = new HttpClient({
+      baseUrl: this.config.apiUrl || 'https://slack.com/api',
+      headers: { Authorization: `Bearer ${this.config.botToken}` },
+      timeout: this.config.timeout,
+      fetch: this.config.fetch
+    });
+    
+    console.log('Connecting to Slack API with token: ***');
+    
+    const auth = await this._callApi('auth.test', {}, 'Failed to connect to Slack API');
+    
+    this.connected = true;
+    this.lastConnection = new Date();
+    this.botUser = {
+      id: auth.user_id,
+      botId: auth.bot_id,
+      username: auth.user
+    };
+    this.team = {
+      id: auth.team_id,
+      name: auth.team,
+      url: auth.url
+    };
+    
+    return {
+      connected: true,
+      bot: this.botUser,
+      team: this.team
+    };
+  }
+  
+  /**
+   * Check the platform is reachable by looking up the bot token
+   * @protected
+   */
+  async _probe() {
+    await this._callApi('auth.test', {}, 'Health probe failed', { retry: false });
+  }
+  
+  /**
+   * Send a message to a Slack channel
+   * @param {String} channelId - Channel ID
+   * @param {Object} content - Message content
+   * @param {String} content.text - Message text (mrkdwn)
+   * @param {Array} content.blocks - Block Kit blocks (optional)
+   * @param {Object} options - Message options
+   * @param {String} options.threadTs - Parent message timestamp to post in a thread
+   * @param {Boolean} options.broadcast - Also post a thread reply to the channel
+   * @returns {Object} Message result
+   */
+  async sendMessage(channelId, content, options = {}) {
+    if (this._isDryRun('sendMessage')) return this._recordDryRun('sendMessage', [channelId, content, options]);
+    
+    this._requireConnection();
+    
+    console.log(`Sending message to channel ${channelId}: "${content.text}"`);
+    
+    const message = await this._callApi('chat.postMessage', {
+      channel: channelId,
+      text: content.text,
+      blocks: content.blocks,
+      thread_ts: options.threadTs,
+      reply_broadcast: options.threadTs && options.broadcast ? true : undefined,
+      unfurl_links: options.unfurlLinks
+    }, 'Failed to send message', { method: 'POST', retry: false });
+    
+    return {
+      success: true,
+      id: formatMessageId(message.channel, message.ts),
+      ts: message.ts,
+      channelId: message.channel,
+      threadTs: options.threadTs || null,
+      content: content.text
+    };
+  }
+  
+  /**
+   * Post content to a channel (PlatformConnector interface)
+   * @param {Object} content - Message content
+   * @param {Object} options - Post options
+   * @param {String} options.channelId - Target channel (defaults to config.defaultChannelId)
+   * @returns {Object} Message result
+   */
+  async post(content, options = {}) {
+    if (this._isDryRun('post')) return this._recordDryRun('post', [content, options]);
+    
+    const channelId = options.channelId || this.config.defaultChannelId;
+    if (!channelId) {
+      throw new Error('Slack post requires options.channelId or config.defaultChannelId');
+    }
+    
+    return this.sendMessage(channelId, content, options);
+  }
+  
+  /**
+   * Reply to a Slack message in its thread
+   * @param {String} messageId - Message ID to reply to (channelId:ts, as returned by this connector)
+   * @param {Object} content - Reply content
+   * @param {Object} options - Message options
+   * @param {String} options.threadTs - Thread parent timestamp, when replying to a message inside a thread
+   * @param {Boolean} options.broadcast - Also post the reply to the channel
+   * @returns {Object} Reply result
+   */
+  async reply(messageId, content, options = {}) {
+    if (this._isDryRun('reply')) return this._recordDryRun('reply', [messageId, content, options]);
+    
+    const { channelId, ts } = parseMessageId(messageId);
+    
+    // Slack threads hang off the parent message, not off individual replies
+    const threadTs = options.threadTs || ts;
+    const result = await this.sendMessage(channelId, content, { ...options, threadTs });
+    
+    return {
+      ...result,
+      replyTo: messageId
+    };
+  }
+  
+  /**
+   * Add a reaction to a Slack message
+   * @param {String} messageId - Message ID (channelId:ts)
+   * @param {String} emoji - Emoji name (e.g. thumbsup or :thumbsup:)
+   * @returns {Object} Reaction result
+   */
+  async addReaction(messageId, emoji) {
+    if (this._isDryRun('addReaction')) return this._recordDryRun('addReaction', [messageId, emoji]);
+    
+    this._requireConnection();
+    
+    const { channelId, ts } = parseMessageId(messageId);
+    const name = emoji.replace(/^:|:$/g, '');
+    
+    console.log(`Adding reaction to message ${messageId}: ${name}`);
+    
+    try {
+      await this._callApi('reactions.add', {
+        channel: channelId,
+        timestamp: ts,
+        name
+      }, 'Failed to add reaction', { method: 'POST' });
+    } catch (error) {
+      // Reacting twice is not a failure from the caller's point of view
+      if (error.code !== 'already_reacted') throw error;
+    }
+    
+    return {
+      success: true,
+      messageId,
+      emoji: name
+    };
+  }
+  
+  /**
+   * Like a message (adds a thumbsup reaction)
+   * @param {String} messageId - Message ID (channelId:ts)
+   * @returns {Object} Reaction result
+   */
+  async like(messageId) {
+    if (this._isDryRun('like')) return this._recordDryRun('like', [messageId]);
+    
+    return this.addReaction(messageId, 'thumbsup');
+  }
+  
+  /**
+   * Get a single message
+   * @param {String} messageId - Message ID (channelId:ts)
+   * @returns {Object} Message
+   */
+  async getPost(messageId) {
+    this._requireConnection();
+    
+    const { channelId, ts } = parseMessageId(messageId);
+    
+    const history = await this._callApi('conversations.history', {
+      channel: channelId,
+      latest: ts,
+      inclusive: true,
+      limit: 1
+    }, 'Failed to get message');
+    
+    const message = (history.messages || []).find(m => m.ts === ts);
+    if (!message) {
+      throw new Error(`Slack message not found: ${messageId}`);
+    }
+    
+    return this._mapMessage(channelId, message);
+  }
+  
+  /**
+   * Get a Slack user
+   * @param {String} userId - User ID
+   * @returns {Object} User profile
+   */
+  async getUserProfile(userId) {
+    this._requireConnection();
+    
+    const { user } = await this._callApi('users.info', { user: userId }, 'Failed to get user');
+    const author = this._mapUser(user);
+    
+    this.userCache.set(user.id, author);
+    
+    return {
+      ...author,
+      title: (user.profile && user.profile.title) || null,
+      timezone: user.tz || null
+    };
+  }
+  
+  /**
+   * Send a direct message to a user
+   * @param {String} userId - Recipient user ID
+   * @param {Object} content - Message content
+   * @returns {Object} Message result
+   */
+  async sendDirectMessage(userId, content) {
+    if (this._isDryRun('sendDirectMessage')) return this._recordDryRun('sendDirectMessage', [userId, content]);
+    
+    this._requireConnection();
+    
+    const { channel } = await this._callApi('conversations.open', { users: userId }, 'Failed to open direct message', {
+      method: 'POST'
+    });
+    
+    const result = await this.sendMessage(channel.id, content);
+    
+    return {
+      ...result,
+      recipient: userId
+    };
+  }
+  
+  /**
+   * Get messages from a Slack channel, newest first
+   * @param {String} channelId - Channel ID
+   * @param {Object} options - Query options
+   * @param {Number} options.limit - Maximum messages (default: 10)
+   * @param {String} options.oldest - Only messages after this timestamp
+   * @param {String} options.latest - Only messages before this timestamp
+   * @param {String} options.cursor - Pagination cursor
+   * @returns {Array} Channel messages
+   */
+  async getMessages(channelId, options = {}) {
+    this._requireConnection();
+    
+    console.log(`Getting messages from channel ${channelId}`);
+    
+    const history = await this._callApi('conversations.history', {
+      channel: channelId,
+      limit: options.limit || 10,
+      oldest: options.oldest,
+      latest: options.latest,
+      cursor: options.cursor
+    }, 'Failed to get messages');
+    
+    const messages = [];
+    for (const message of history.messages || []) {
+      messages.push(await this._mapMessage(channelId, message));
+    }
+    
+    return messages;
+  }
+  
+  /**
+   * Get the replies in a message thread
+   * @param {String} messageId - Thread parent message ID (channelId:ts)
+   * @param {Object} options - Query options (limit, cursor)
+   * @returns {Array} Thread messages, parent first
+   */
+  async getThread(messageId, options = {}) {
+    this._requireConnection();
+    
+    const { channelId, ts } = parseMessageId(messageId);
+    
+    const thread = await this._callApi('conversations.replies', {
+      channel: channelId,
+      ts,
+      limit: options.limit || 50,
+      cursor: options.cursor
+    }, 'Failed to get thread');
+    
+    const messages = [];
+    for (const message of thread.messages || []) {
+      messages.push(await this._mapMessage(channelId, message));
+    }
+    
+    return messages;
+  }
+  
+  /**
+   * Stream messages from Slack channels over Socket Mode.
+   * Yields the same message shape as DiscordConnector.streamMessages.
+   * @param {Array} channelIds - Channel IDs to monitor (empty for every channel the bot is in)
+   * @param {Object} options - Stream options
+   * @param {AbortSignal} options.signal - Signal to stop the stream
+   * @param {Boolean} options.includeBots - Also yield messages posted by bots (default: false)
+   * @returns {AsyncGenerator} Message stream
+   */
+  async *streamMessages(channelIds = [], options = {}) {
+    this._requireConnection();
+    
+    if (!this.config.appToken) {
+      throw new Error('Slack appToken is required for Socket Mode');
+    }
+    
+    console.log(`Starting message stream for channels: ${channelIds.join(', ') || 'all'}`);
+    
+    const channels = new Set(channelIds);
+    const queue = new EventQueue();
+    const socket = { current: null, closed: false };
+    
+    const stop = () => {
+      socket.closed = true;
+      if (socket.current) socket.current.close();
+      queue.end();
+    };
+    
+    if (options.signal) {
+      if (options.signal.aborted) return;
+      options.signal.addEventListener('abort', stop, { once: true });
+    }
+    
+    try {
+      await this._openSocket(socket, queue);
+      
+      for await (const event of queue) {
+        if (channels.size > 0 && !channels.has(event.channel)) continue;
+        if ((event.bot_id || event.user === this.botUser.id) && !options.includeBots) continue;
+        
+        yield await this._mapMessage(event.channel, event);
+      }
+    } finally {
+      stop();
+      if (options.signal) options.signal.removeEventListener('abort', stop);
+    }
+  }
+  
+  /**
+   * Stream messages that mention the bot
+   * @param {Object} options - Stream options (channelIds, signal)
+   * @returns {AsyncGenerator} Mention stream
+   */
+  async *streamMentions(options = {}) {
+    for await (const message of this.streamMessages(options.channelIds || [], options)) {
+      if (message.content.includes(`<@${this.botUser.id}>`)) {
+        yield message;
+      }
+    }
+  }
+  
+  /**
+   * Stream channel messages as the bot's timeline
+   * @param {Object} options - Stream options (channelIds, signal)
+   * @returns {AsyncGenerator} Message stream
+   */
+  async *streamTimeline(options = {}) {
+    yield* this.streamMessages(options.channelIds || [], options);
+  }
+  
+  /**
+   * Open a Socket Mode connection and feed message events into a queue.
+   * Reconnects when Slack asks the client to refresh the connection.
+   * @param {Object} socket - Shared socket state ({ current, closed })
+   * @param {EventQueue} queue - Queue receiving message events
+   * @private
+   */
+  async _openSocket(socket, queue) {
+    const connection = await this._callApi('apps.connections.open', {}, 'Failed to open Socket Mode connection', {
+      method: 'POST',
+      token: this.config.appToken
+    });
+    
+    if (socket.closed) return;
+    
+    const WebSocket = resolveWebSocket(this.config.WebSocket);
+    const ws = new WebSocket(connection.url);
+    socket.current = ws;
+    
+    ws.addEventListener('message', event => {
+      let envelope;
+      try {
+        envelope = JSON.parse(typeof event.data === 'string' ? event.data : event.data.toString());
+      } catch (error) {
+        this.logActivity('stream_error', { error: `Invalid Socket Mode frame: ${error.message}` });
+        return;
+      }
+      
+      // Every envelope must be acknowledged or Slack will redeliver it
+      if (envelope.envelope_id) {
+        ws.send(JSON.stringify({ envelope_id: envelope.envelope_id }));
+      }
+      
+      if (envelope.type === 'disconnect') {
+        this.logActivity('stream_reconnect', { reason: envelope.reason });
+        socket.current = null;
+        ws.close();
+        this._openSocket(socket, queue).catch(error => queue.end(error));
+        return;
+      }
+      
+      if (envelope.type === 'events_api') {
+        const messageEvent = envelope.payload && envelope.payload.event;
+        
+        // Edits, deletions and joins arrive as message subtypes
+        if (messageEvent && messageEvent.type === 'message' && !messageEvent.subtype) {
+          queue.push(messageEvent);
+        }
+      }
+    });
+    
+    ws.addEventListener('close', () => {
+      if (socket.current === ws && !socket.closed) {
+        this.logActivity('stream_reconnect', { reason: 'socket_closed' });
+        socket.current = null;
+        this._openSocket(socket, queue).catch(error => queue.end(error));
+      }
+    });
+    
+    ws.addEventListener('error', event => {
+      this.logActivity('stream_error', { error: event.message || (event.error && event.error.message) || 'WebSocket error' });
+    });
+  }
+  
+  /**
+   * Call a Slack Web API method.
+   * Slack reports most failures as HTTP 200 with ok: false; those are raised
+   * as errors with a status so the retry policy can classify them.
+   * @param {String} method - API method (e.g. chat.postMessage)
+   * @param {Object} params - Method arguments
+   * @param {String} errorMessage - Error message if the call fails
+   * @param {Object} options - Call options
+   * @param {String} options.method - HTTP method (default: GET)
+   * @param {String} options.token - Token overriding the bot token
+   * @param {Boolean} options.retry - Whether to retry failures (default: true)
+   * @returns {Object} Response data
+   * @private
+   */
+  async _callApi(method, params, errorMessage, options = {}) {
+    const headers = options.token ? { Authorization: `Bearer ${options.token}` } : {};
+    
+    return this._handleApiCall(async () => {
+      const data = options.method === 'POST' ?
+        await this.client.post(method, stripUndefined(params), { headers }) :
+        await this.client.get(method, params, { headers });
+      
+      if (!data || !data.ok) {
+        const code = data ? data.error : 'empty_response';
+        const error = new Error(`Slack API ${method} failed: ${code}`);
+        error.code = code;
+        error.status = code === 'ratelimited' ? 429 : SERVER_ERRORS.includes(code) ? 503 : 400;
+        throw error;
+      }
+      
+      return data;
+    }, errorMessage, { retry: options.retry });
+  }
+  
+  /**
+   * Map a Slack message to the normalized message shape
+   * @param {String} channelId - Channel ID
+   * @param {Object} message - Slack message
+   * @returns {Object} Message
+   * @private
+   */
+  async _mapMessage(channelId, message) {
+    const threadTs = message.thread_ts && message.thread_ts !== message.ts ? message.thread_ts : null;
+    
+    return {
+      ...createMessage({
+        id: formatMessageId(channelId, message.ts),
+        platform: this.platform,
+        channelId,
+        text: message.text,
+        author: await this._getAuthor(message),
+        reactions: (message.reactions || []).map(reaction => ({
+          emoji: reaction.name,
+          count: reaction.count
+        })),
+        reply_count: message.reply_count,
+        created_at: new Date(Number(message.ts) * 1000),
+        in_reply_to_id: threadTs ? formatMessageId(channelId, threadTs) : null
+      }),
+      ts: message.ts,
+      threadTs
+    };
+  }
+  
+  /**
+   * Resolve the author of a message, caching user lookups
+   * @param {Object} message - Slack message
+   * @returns {Object} Author
+   * @private
+   */
+  async _getAuthor(message) {
+    if (!message.user) {
+      return {
+        id: message.bot_id || null,
+        username: message.username || (message.bot_profile && message.bot_profile.name) || null,
+        discriminator: null,
+        bot: true
+      };
+    }
+    
+    if (!this.userCache.has(message.user)) {
+      let author = { id: message.user, username: message.user, discriminator: null, bot: Boolean(message.bot_id) };
+      
+      try {
+        const { user } = await this._callApi('users.info', { user: message.user }, 'Failed to get user');
+        author = this._mapUser(user);
+      } catch (error) {
+        // Keep the raw ID rather than dropping the message
+        this.logActivity('user_lookup_failed', { user: message.user, error: error.message });
+      }
+      
+      this.userCache.set(message.user, author);
+    }
+    
+    return this.userCache.get(message.user);
+  }
+  
+  /**
+   * Map a Slack user to the normalized author shape
+   * @param {Object} user - Slack user
+   * @returns {Object} Author
+   * @private
+   */
+  _mapUser(user) {
+    const profile = user.profile || {};
+    
+    return {
+      ...createAuthor({
+        id: user.id,
+        username: user.name,
+        name: profile.display_name || user.real_name,
+        profile_image_url: profile.image_192 || profile.image_72,
+        bot: user.is_bot
+      }),
+      discriminator: null
+    };
+  }
+  
+  /**
+   * Ensure the connector is connected
+   * @private
+   */
+  _requireConnection() {
+    if (!this.connected) {
+      throw new Error('Not connected to Slack API');
+    }
+  }
+}
+
+/**
+ * Build a message ID from a channel and message timestamp.
+ * Slack identifies messages by (channel, ts), so both are needed to act on one.
+ * @param {String} channelId - Channel ID
+ * @param {String} ts - Message timestamp
+ * @returns {String} Message ID
+ */
+function formatMessageId(channelId, ts) {
+  return `${channelId}:${ts}`;
+}
+
+/**
+ * Split a message ID into channel and timestamp
+ * @param {String} messageId - Message ID (channelId:ts)
+ * @returns {Object} { channelId, ts }
+ */
+function parseMessageId(messageId) {
+  const separator = String(messageId).indexOf(':');
+  if (separator <= 0) {
+    throw new Error(`Invalid Slack message ID '${messageId}', expected channelId:ts`);
+  }
+  
+  return {
+    channelId: messageId.slice(0, separator),
+    ts: messageId.slice(separator + 1)
+  };
+}
+
+/**
+ * Remove undefined values from a request body
+ * @private
+ */
+function stripUndefined(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+// Actions supported by this connector
+SlackConnector.capabilities = [
+  'post',
+  'sendMessage',
+  'reply',
+  'addReaction',
+  'like',
+  'getPost',
+  'getMessages',
+  'getThread',
+  'getUserProfile',
+  'sendDirectMessage',
+  'streamMessages',
+  'streamMentions',
+  'streamTimeline'
+];
+
+module.exports = { SlackConnector, parseMessageId };
@@ -0,0 +1,164 @@
+/**
+ * Tests for the Slack connector Web API calls and Socket Mode stream
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const WebSocket = require('ws');
+const { SlackConnector, parseMessageId } = require('./slack-connector');
+
+/**
+ * Create a fake Slack Web API
+ * @param {Object} methods - Handlers keyed by API method, called with (params, headers)
+ * @returns {Function} fetch, with the handled calls on .calls
+ */
+function createSlackApi(methods) {
+  const fetch = async (url, init) => {
+    const { pathname, searchParams } = new URL(url);
+    const method = pathname.replace('/api/', '');
+    const params = init.body ? JSON.parse(init.body) : Object.fromEntries(searchParams);
+    fetch.calls.push({ method, params, headers: init.headers });
+    
+    const defaults = {
+      'auth.test': () => ({ user_id: 'UBOT', bot_id: 'BBOT', user: 'socialos', team_id: 'T1', team: 'Acme' }),
+      'users.info': ({ user }) => ({ user: { id: user, name: user.toLowerCase(), profile: { display_name: `User ${user}` } } })
+    };
+    const handler = methods[method] || defaults[method];
+    const data = handler ? { ok: true, ...(await handler(params, init.headers)) } : { ok: false, error: 'unknown_method' };
+    
+    return new Response(JSON.stringify(data), { status: 200, headers: { 'content-type': 'application/json' } });
+  };
+  
+  fetch.calls = [];
+  return fetch;
+}
+
+/**
+ * Create a connected connector for a fake Slack API
+ * @param {Object} methods - API handlers
+ * @param {Object} config - Extra connector config
+ * @returns {Promise<Object>} { connector, fetch }
+ */
+async function connect(methods, config = {}) {
+  const fetch = createSlackApi(methods);
+  const connector = new SlackConnector({ botToken: 'xoxb-1', fetch, retry: { baseDelay: 1 }, ...config });
+  
+  await connector.connect();
+  return { connector, fetch };
+}
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+});
+
+test('connects and records the bot and team', async () => {
+  const { connector, fetch } = await connect({});
+  
+  assert.deepEqual(connector.botUser, { id: 'UBOT', botId: 'BBOT', username: 'socialos' });
+  assert.equal(connector.team.name, 'Acme');
+  assert.equal(fetch.calls[0].headers.Authorization, 'Bearer xoxb-1');
+});
+
+test('replies in the thread of the message', async () => {
+  const { connector, fetch } = await connect({
+    'chat.postMessage': params => ({ channel: params.channel, ts: '200.1' })
+  });
+  
+  const result = await connector.reply('C1:100.5', { text: 'On it' }, { broadcast: true });
+  
+  assert.equal(result.id, 'C1:200.1');
+  assert.equal(result.threadTs, '100.5');
+  assert.equal(result.replyTo, 'C1:100.5');
+  assert.deepEqual(fetch.calls.at(-1).params, { channel: 'C1', text: 'On it', thread_ts: '100.5', reply_broadcast: true });
+});
+
+test('raises ok: false responses as classified errors', async () => {
+  let attempts = 0;
+  const { connector } = await connect({
+    'conversations.history': () => (++attempts < 2 ? { ok: false, error: 'ratelimited' } : { messages: [{ ts: '1.0', text: 'hi', user: 'U1' }] }),
+    'chat.postMessage': () => ({ ok: false, error: 'channel_not_found' })
+  });
+  
+  // Rate limits are retried
+  const messages = await connector.getMessages('C1');
+  assert.equal(attempts, 2);
+  assert.equal(messages[0].author.name, 'User U1');
+  
+  // Client errors are not
+  const error = await connector.sendMessage('C404', { text: 'hi' }).catch(e => e);
+  assert.equal(error.code, 'channel_not_found');
+  assert.equal(error.status, 400);
+});
+
+test('treats a repeated reaction as success', async () => {
+  const { connector, fetch } = await connect({
+    'reactions.add': () => ({ ok: false, error: 'already_reacted' })
+  });
+  
+  assert.deepEqual(await connector.like('C1:100.5'), { success: true, messageId: 'C1:100.5', emoji: 'thumbsup' });
+  assert.deepEqual(fetch.calls.at(-1).params, { channel: 'C1', timestamp: '100.5', name: 'thumbsup' });
+});
+
+test('parses message IDs into channel and timestamp', () => {
+  assert.deepEqual(parseMessageId('C1:100.5'), { channelId: 'C1', ts: '100.5' });
+  assert.throws(() => parseMessageId('100.5'), /expected channelId:ts/);
+});
+
+test('streams Socket Mode messages and acknowledges every envelope', async (t) => {
+  const wss = new WebSocket.WebSocketServer({ host: '127.0.0.1', port: 0 });
+  await once(wss, 'listening');
+  t.after(() => {
+    for (const socket of wss.clients) socket.terminate();
+    return new Promise(resolve => wss.close(resolve));
+  });
+  
+  const acks = [];
+  let allAcked;
+  const acked = new Promise(resolve => { allAcked = resolve; });
+  let connections = 0;
+  const envelope = (id, event) => JSON.stringify({ envelope_id: id, type: 'events_api', payload: { event } });
+  
+  wss.on('connection', (socket) => {
+    socket.on('message', (raw) => {
+      acks.push(JSON.parse(raw.toString()).envelope_id);
+      if (acks.length === 5) allAcked();
+    });
+    
+    // The first socket is asked to reconnect, the second delivers messages
+    if (++connections === 1) {
+      socket.send(JSON.stringify({ envelope_id: 'e0', type: 'disconnect', reason: 'refresh_requested' }));
+      return;
+    }
+    
+    socket.send(envelope('e1', { type: 'message', channel: 'C2', user: 'U1', ts: '1.0', text: 'other channel' }));
+    socket.send(envelope('e2', { type: 'message', subtype: 'message_changed', channel: 'C1', ts: '2.0' }));
+    socket.send(envelope('e3', { type: 'message', channel: 'C1', bot_id: 'B2', ts: '3.0', text: 'from a bot' }));
+    socket.send(envelope('e4', { type: 'message', channel: 'C1', user: 'U1', ts: '4.0', text: 'hello <@UBOT>' }));
+  });
+  
+  const url = `ws://127.0.0.1:${wss.address().port}`;
+  const { connector, fetch } = await connect({
+    'apps.connections.open': () => ({ url })
+  }, { appToken: 'xapp-1', WebSocket });
+  
+  const controller = new AbortController();
+  let message;
+  
+  for await (const mention of connector.streamMentions({ channelIds: ['C1'], signal: controller.signal })) {
+    message = mention;
+    controller.abort();
+  }
+  
+  assert.equal(message.id, 'C1:4.0');
+  assert.equal(message.content, 'hello <@UBOT>');
+  assert.equal(message.author.username, 'u1');
+  
+  // Acknowledgements reach the server after the stream has ended
+  await acked;
+  assert.deepEqual(acks, ['e0', 'e1', 'e2', 'e3', 'e4']);
+  
+  const opens = fetch.calls.filter(call => call.method === 'apps.connections.open');
+  assert.equal(opens.length, 2);
+  assert.equal(opens[0].headers.Authorization, 'Bearer xapp-1');
+});
@@ -0,0 +1,90 @@
+/**
+ * SocialOS WebSocket Utilities
+ * 
+ * Helpers shared by connectors that consume real-time event streams.
+ */
+
+/**
+ * Resolve a WebSocket implementation
+ * @param {Function} WebSocketImpl - Explicit implementation (optional)
+ * @returns {Function} WebSocket constructor
+ */
+function resolveWebSocket(WebSocketImpl) {
+  if (WebSocketImpl) return WebSocketImpl;
+  
+  if (typeof globalThis.WebSocket === 'function') {
+    return globalThis.WebSocket;
+  }
+  
+  try {
+    return require('ws');
+  } catch (error) {
+    throw new Error('No WebSocket implementation available; install "ws" or pass config.WebSocket');
+  }
+}
+
+/**
+ * Push-based queue consumed as an async iterator.
+ * Lets event callbacks feed async generators without losing events.
+ */
+class EventQueue {
+  constructor() {
+    this.items = [];
+    this.waiting = [];
+    this.ended = false;
+    this.error = null;
+  }
+  
+  /**
+   * Add an item for the consumer
+   * @param {*} item - Queued item
+   */
+  push(item) {
+    if (this.ended) return;
+    
+    const waiter = this.waiting.shift();
+    if (waiter) {
+      waiter.resolve({ value: item, done: false });
+    } else {
+      this.items.push(item);
+    }
+  }
+  
+  /**
+   * End the queue, optionally with an error
+   * @param {Error} error - Error to raise in the consumer (optional)
+   */
+  end(error = null) {
+    if (this.ended) return;
+    
+    this.ended = true;
+    this.error = error;
+    
+    for (const waiter of this.waiting.splice(0)) {
+      if (error) waiter.reject(error);
+      else waiter.resolve({ value: undefined, done: true });
+    }
+  }
+  
+  /**
+   * Get the next item
+   * @returns {Promise} Iterator result
+   */
+  next() {
+    if (this.items.length > 0) {
+      return Promise.resolve({ value: this.items.shift(), done: false });
+    }
+    
+    if (this.ended) {
+      return this.error ? Promise.reject(this.error) : Promise.resolve({ value: undefined, done: true });
+    }
+    
+    return new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+  }
+  
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+}
+
+module.exports = { resolveWebSocket, EventQueue };
@@ -1,11 +1,41 @@
 /**
  * SocialOS X/Twitter Connector
  * 
- * Platform connector for interacting with the X (formerly Twitter) API.
+ * Platform connector for interacting with the X (formerly Twitter) API v2.
  * Handles authentication, posting, reading, and engagement.
+ * 
+ * Requests are signed with OAuth 1.0a when user credentials are configured, use
+ * an OAuth 2 user token (refreshed before it expires) when a clientId is set, and
+ * fall back to the app-only OAuth 2 bearer token otherwise. Set config.fixtures
+ * to record live responses to a fixture file or replay them without network access.
  */
 
 const { BaseConnector } = require('./base-connector');
+const { HttpClient } = require('./http-client');
+const { HttpRecorder } = require('./http-recorder');
+const { buildOAuth1Header } = require('./oauth1');
+const { OAUTH2_ENDPOINTS } = require('./oauth2');
+const { createPost, createAuthor, createSearchResults } = require('./content-model');
+const { prepareMedia } = require('./media');
+const { sleep } = require('./retry-policy');
+
+// Fields requested whenever tweets or users are read
+const TWEET_QUERY = {
+  expansions: 'author_id',
+  'tweet.fields': 'author_id,created_at,public_metrics,conversation_id,referenced_tweets',
+  'user.fields': 'name,username,profile_image_url,public_metrics,description'
+};
+
+const USER_FIELDS = 'name,username,profile_image_url,public_metrics,description,created_at';
+
+// Tweet length limit, counted in code points
+const MAX_TWEET_LENGTH = 280;
+
+// X accepts upload segments of up to 5MB
+const DEFAULT_CHUNK_SIZE = 4 * 1024 * 1024;
+
+// Give up on server-side video processing after this long
+const MEDIA_PROCESSING_TIMEOUT = 5 * 60 * 1000;
 
 class XConnector extends BaseConnector {
   /**
@@ -13,17 +43,30 @@ class XConnector extends BaseConnector {
    * @param {Object} config - Connector configuration
    * @param {String} config.apiKey - X/Twitter API key
    * @param {String} config.apiSecret - X/Twitter API secret
-   * @param {String} config.accessToken - X/Twitter access token (optional)
+   * @param {String} config.accessToken - OAuth 1.0a access token, or an OAuth 2 user token when accessSecret is not set (optional)
    * @param {String} config.accessSecret - X/Twitter access token secret (optional)
    * @param {String} config.bearerToken - X/Twitter bearer token (optional)
+   * @param {String} config.clientId - OAuth 2 client ID, for user tokens (optional)
+   * @param {String} config.clientSecret - OAuth 2 client secret, for confidential clients (optional)
+   * @param {String} config.redirectUri - OAuth 2 redirect URI (optional)
+   * @param {String} config.refreshToken - OAuth 2 refresh token (optional)
+   * @param {Number} config.expiresAt - OAuth 2 access token expiry in epoch ms (optional)
+   * @param {String} config.username - Account to act as when only a bearer token is configured (optional)
+   * @param {String} config.apiUrl - API base URL (default: https://api.twitter.com)
+   * @param {String} config.uploadUrl - Media upload base URL (default: https://upload.twitter.com)
+   * @param {Object} config.fixtures - Record/replay settings ({ mode: 'record'|'replay', path })
+   * @param {Number} config.pollInterval - Mention and timeline polling interval in ms (default: 60000)
+   * @param {Number} config.mediaChunkSize - Segment size in bytes for chunked video/GIF uploads (default: 4MB)
    */
   constructor(config = {}) {
-    super('x');
+    super('x', config);
     
     this.config = config;
     this.client = null;
-    this.userClient = null;
+    this.uploadClient = null;
+    this.recorder = null;
     this.connectedUser = null;
+    this.pollInterval = config.pollInterval || 60000;
   }
   
   /**
@@ -31,9 +74,25 @@ class XConnector extends BaseConnector {
    * @returns {Object} Connection result
    */
   async connect() {
-    try {
-      // Simulation of connecting to X API
-      // In a real implementation, would use the twitter-api-v2 package
+    await this._loadCredentials();
+    this._getOAuthClient();
+    
+    if (!this._hasUserContext() && !this.config.bearerToken) {
+      throw new Error('X credentials required: apiKey, apiSecret, accessToken and accessSecret, an OAuth 2 user token, or bearerToken');
+    }
+    
+    if (this.config.fixtures && !this.recorder) {
+      this.recorder = new HttpRecorder({
+        mode: this.config.fixtures.mode,
+        fixturePath: this.config.fixtures.path,
+        fetch: this.config.fetch
+      });
+    }
+    
+    this.client = this._createClient(this.config.apiUrl || 'https://api.twitter.com');
+    this.uploadClient = this._createClient(this.config.uploadUrl || 'https://upload.twitter.com');
+    
+    return this._handleApiCall(async () => {
       console.log('Connecting to X API with credentials:', {
         apiKey: this.config.apiKey ? '***' : undefined,
         apiSecret: this.config.apiSecret ? '***' : undefined,
@@ -42,57 +101,95 @@ class XConnector extends BaseConnector {
         bearerToken: this.config.bearerToken ? '***' : undefined,
       });
       
-      // Simulate successful connection
+      // App-only tokens have no "me"; they act as the configured username, if any
+      if (this._hasUserContext()) {
+        const response = await this.client.get('/2/users/me', { 'user.fields': USER_FIELDS });
+        this.connectedUser = this._mapUser(response.data);
+      } else if (this.config.username) {
+        const response = await this.client.get(`/2/users/by/username/${encodeURIComponent(this.config.username)}`, {
+          'user.fields': USER_FIELDS
+        });
+        this.connectedUser = this._mapUser(response.data);
+      }
+      
       this.connected = true;
       this.lastConnection = new Date();
-      this.connectedUser = {
-        id: '12345678',
-        username: 'socialos_agent',
-        name: 'SocialOS Agent'
-      };
       
       return {
         connected: true,
-        readOnly: !this.config.accessToken,
+        readOnly: !this._hasUserContext(),
         user: this.connectedUser
       };
-    } catch (error) {
-      throw new Error(`Failed to connect to X API: ${error.message}`);
+    }, 'Failed to connect to X API');
+  }
+  
+  /**
+   * Check the platform is reachable by looking up the connected account
+   * @protected
+   */
+  async _probe() {
+    // App-only tokens without a username have no account to look up
+    if (!this.connectedUser) {
+      return super._probe();
     }
+    
+    await this._handleApiCall(async () => this.client.get(`/2/users/${this.connectedUser.id}`), 'Health probe failed', { retry: false });
   }
   
   /**
    * Post a tweet
    * @param {Object} content - Tweet content
    * @param {String} content.text - Tweet text
-   * @param {Array} content.media - Media attachments (optional)
+   * @param {Array} content.media - Media to upload and attach: file paths, Buffers or { path | data, altText } (optional)
    * @param {Object} options - Post options
+   * @param {String} options.replyTo - Tweet ID to reply to
+   * @param {String} options.quoteTweetId - Tweet ID to quote
+   * @param {Array} options.mediaIds - Uploaded media IDs to attach (see uploadMedia)
    * @returns {Object} Post result
    */
   async post(content, options = {}) {
-    if (!this.connected) {
-      throw new Error('Not connected to X API');
+    if (this._isDryRun('post')) return this._recordDryRun('post', [content, options]);
+    
+    this._requireUserContext('posting');
+    
+    const body = { text: content.text };
+    const mediaIds = [...(options.mediaIds || [])];
+    
+    // Validate every attachment before uploading any of them
+    if (content.media && content.media.length > 0) {
+      const media = await prepareMedia(this.platform, content.media);
+      
+      for (const item of media) {
+        mediaIds.push((await this._uploadLoadedMedia(item)).mediaId);
+      }
+    }
+    
+    if (options.replyTo) {
+      body.reply = { in_reply_to_tweet_id: String(options.replyTo) };
+    }
+    
+    if (options.quoteTweetId) {
+      body.quote_tweet_id = String(options.quoteTweetId);
     }
     
-    if (!this.config.accessToken) {
-      throw new Error('User authentication required for posting');
+    if (mediaIds.length > 0) {
+      body.media = { media_ids: mediaIds.map(String) };
     }
     
-    try {
+    // Posting is not idempotent, so a retried timeout could publish twice
+    return this._handleApiCall(async () => {
       console.log(`Posting to X: "${content.text}"`);
       
-      // Simulate successful post
-      const tweetId = `tweet_${Date.now()}`;
+      const response = await this.client.post('/2/tweets', body);
+      const tweetId = response.data.id;
       
       return {
         success: true,
         id: tweetId,
-        text: content.text,
+        text: response.data.text,
         url: `https://twitter.com/i/web/status/${tweetId}`,
       };
-    } catch (error) {
-      throw new Error(`Failed to post tweet: ${error.message}`);
-    }
+    }, 'Failed to post tweet', { retry: false });
   }
   
   /**
@@ -102,26 +199,109 @@ class XConnector extends BaseConnector {
    * @returns {Object} Reply result
    */
   async reply(tweetId, content) {
-    if (!this.connected) {
-      throw new Error('Not connected to X API');
+    if (this._isDryRun('reply')) return this._recordDryRun('reply', [tweetId, content]);
+    
+    const result = await this.post(content, { replyTo: tweetId });
+    
+    return {
+      ...result,
+      replyTo: tweetId
+    };
+  }
+  
+  /**
+   * Publish a thread, each part replying to the one before it.
+   * Parts longer than maxLength are split at sentence boundaries, and every
+   * part is numbered "i/n". If a later part fails, the already-published parts
+   * are either deleted (rollback) or reported back so the thread can be resumed.
+   * @param {Array|String|Object} parts - Part texts or content objects, or one long text to split
+   * @param {Object} options - Thread options
+   * @param {Boolean} options.numbering - Append "i/n" to each part (default: true)
+   * @param {Number} options.maxLength - Maximum characters per part (default: 280)
+   * @param {String} options.replyTo - Tweet ID to attach the thread under (e.g. to resume a partial thread)
+   * @param {Array} options.mediaIds - Uploaded media IDs to attach to the first part
+   * @param {Boolean} options.rollback - Delete published parts if a later part fails (default: false)
+   * @returns {Object} Thread result ({ success, id, ids, posts, url }, plus partial, failedIndex, error and remaining on partial failure)
+   */
+  async postThread(parts, options = {}) {
+    if (this._isDryRun('postThread')) return this._recordDryRun('postThread', [parts, options]);
+    
+    this._requireUserContext('posting');
+    
+    const texts = splitThread((Array.isArray(parts) ? parts : [parts]).map(part => (typeof part === 'string' ? part : part.text)), {
+      maxLength: options.maxLength,
+      numbering: options.numbering
+    });
+    
+    if (texts.length === 0) {
+      throw new Error('Thread has no content');
+    }
+    
+    const posts = [];
+    let previousId = options.replyTo || null;
+    
+    for (let i = 0; i < texts.length; i++) {
+      try {
+        const result = await this.post({ text: texts[i] }, {
+          replyTo: previousId,
+          mediaIds: i === 0 ? options.mediaIds : undefined
+        });
+        
+        posts.push(result);
+        previousId = result.id;
+      } catch (error) {
+        // Nothing was published, so there is nothing to roll back or resume
+        if (posts.length === 0) throw error;
+        
+        this.logActivity('thread_failed', { failedIndex: i, published: posts.length, error: error.message });
+        
+        if (options.rollback) {
+          throw await this._rollbackThread(posts, i, texts.length, error);
+        }
+        
+        return {
+          success: false,
+          partial: true,
+          id: posts[0].id,
+          ids: posts.map(post => post.id),
+          posts,
+          url: posts[0].url,
+          failedIndex: i,
+          error: error.message,
+          remaining: texts.slice(i)
+        };
+      }
     }
     
-    try {
-      console.log(`Replying to tweet ${tweetId}: "${content.text}"`);
+    return {
+      success: true,
+      id: posts[0].id,
+      ids: posts.map(post => post.id),
+      posts,
+      url: posts[0].url
+    };
+  }
+  
+  /**
+   * Delete a tweet
+   * @param {String} tweetId - ID of tweet to delete
+   * @returns {Object} Delete result
+   */
+  async deleteTweet(tweetId) {
+    if (this._isDryRun('deleteTweet')) return this._recordDryRun('deleteTweet', [tweetId]);
+    
+    this._requireUserContext('deleting');
+    
+    return this._handleApiCall(async () => {
+      console.log(`Deleting tweet ${tweetId}`);
       
-      // Simulate successful reply
-      const replyId = `reply_${Date.now()}`;
+      const response = await this.client.delete(`/2/tweets/${encodeURIComponent(tweetId)}`);
       
       return {
-        success: true,
-        id: replyId,
-        text: content.text,
-        replyTo: tweetId,
-        url: `https://twitter.com/i/web/status/${replyId}`,
+        success: Boolean(response.data && response.data.deleted),
+        id: tweetId
       };
-    } catch (error) {
-      throw new Error(`Failed to reply to tweet: ${error.message}`);
-    }
+    }, 'Failed to delete tweet');
   }
   
   /**
@@ -130,21 +310,43 @@ class XConnector extends BaseConnector {
    * @returns {Object} Retweet result
    */
   async retweet(tweetId) {
-    if (!this.connected) {
-      throw new Error('Not connected to X API');
-    }
+    if (this._isDryRun('retweet')) return this._recordDryRun('retweet', [tweetId]);
     
-    try {
+    this._requireUserContext('retweeting');
+    
+    return this._handleApiCall(async () => {
       console.log(`Retweeting tweet ${tweetId}`);
       
-      // Simulate successful retweet
+      const response = await this.client.post(`/2/users/${this.connectedUser.id}/retweets`, {
+        tweet_id: String(tweetId)
+      });
+      
       return {
-        success: true,
+        success: Boolean(response.data && response.data.retweeted),
         id: tweetId
       };
-    } catch (error) {
-      throw new Error(`Failed to retweet: ${error.message}`);
+    }, 'Failed to retweet');
+  }
+  
+  /**
+   * Repost a tweet, quoting it when a comment is given
+   * @param {String} tweetId - ID of tweet to repost
+   * @param {Object} comment - Quote content (optional)
+   * @returns {Object} Repost result
+   */
+  async repost(tweetId, comment) {
+    if (this._isDryRun('repost')) return this._recordDryRun('repost', [tweetId, comment]);
+    
+    if (!comment || !comment.text) {
+      return this.retweet(tweetId);
     }
+    
+    const result = await this.post(comment, { quoteTweetId: tweetId });
+    
+    return {
+      ...result,
+      quoted: tweetId
+    };
   }
   
   /**
@@ -153,101 +355,180 @@ class XConnector extends BaseConnector {
    * @returns {Object} Like result
    */
   async like(tweetId) {
-    if (!this.connected) {
-      throw new Error('Not connected to X API');
-    }
+    if (this._isDryRun('like')) return this._recordDryRun('like', [tweetId]);
+    
+    this._requireUserContext('liking');
     
-    try {
+    return this._handleApiCall(async () => {
       console.log(`Liking tweet ${tweetId}`);
       
-      // Simulate successful like
+      const response = await this.client.post(`/2/users/${this.connectedUser.id}/likes`, {
+        tweet_id: String(tweetId)
+      });
+      
       return {
-        success: true,
+        success: Boolean(response.data && response.data.liked),
         id: tweetId
       };
-    } catch (error) {
-      throw new Error(`Failed to like tweet: ${error.message}`);
-    }
+    }, 'Failed to like tweet');
   }
   
   /**
    * Get a tweet by ID
    * @param {String} tweetId - Tweet ID
-   * @param {Object} options - Query options
+   * @param {Object} options - Query options (extra v2 query parameters)
    * @returns {Object} Tweet data
    */
   async getTweet(tweetId, options = {}) {
-    if (!this.connected) {
-      throw new Error('Not connected to X API');
-    }
+    this._requireConnection();
     
-    try {
+    return this._handleApiCall(async () => {
       console.log(`Getting tweet ${tweetId}`);
       
-      // Simulate tweet data
+      const response = await this.client.get(`/2/tweets/${encodeURIComponent(tweetId)}`, {
+        ...TWEET_QUERY,
+        ...options
+      });
+      
+      return this._mapTweet(response.data, this._indexUsers(response.includes));
+    }, 'Failed to get tweet');
+  }
+  
+  /**
+   * Get a post by ID
+   * @param {String} tweetId - Tweet ID
+   * @returns {Object} Post data
+   */
+  async getPost(tweetId) {
+    return this.getTweet(tweetId);
+  }
+  
+  /**
+   * Get a user profile
+   * @param {String} handle - Username (with or without @)
+   * @returns {Object} User profile
+   */
+  async getUserProfile(handle) {
+    this._requireConnection();
+    
+    const username = handle.replace(/^@/, '');
+    
+    return this._handleApiCall(async () => {
+      console.log(`Getting X user @${username}`);
+      
+      const response = await this.client.get(`/2/users/by/username/${encodeURIComponent(username)}`, {
+        'user.fields': USER_FIELDS
+      });
+      
       return {
-        id: tweetId,
-        text: "This is a sample tweet text for the SocialOS framework demo",
-        author: {
-          id: "987654321",
-          username: "example_user",
-          name: "Example User",
-          profile_image_url: "https://example.com/profile.jpg"
-        },
-        metrics: {
-          retweet_count: 42,
-          reply_count: 17,
-          like_count: 137,
-          quote_count: 5
-        },
-        created_at: new Date().toISOString()
+        ...this._mapUser(response.data),
+        description: response.data.description || ''
       };
-    } catch (error) {
-      throw new Error(`Failed to get tweet: ${error.message}`);
-    }
+    }, 'Failed to get user');
   }
   
   /**
-   * Search for tweets
-   * @param {String} query - Search query
-   * @param {Object} options - Search options
-   * @returns {Array} Search results
+   * Follow a user
+   * @param {String} handle - Username (with or without @)
+   * @returns {Object} Follow result
    */
-  async search(query, options = {}) {
-    if (!this.connected) {
-      throw new Error('Not connected to X API');
-    }
+  async followUser(handle) {
+    if (this._isDryRun('followUser')) return this._recordDryRun('followUser', [handle]);
     
-    try {
-      console.log(`Searching for tweets: "${query}"`);
+    this._requireUserContext('following');
+    
+    const user = await this.getUserProfile(handle);
+    
+    return this._handleApiCall(async () => {
+      console.log(`Following X user @${user.username}`);
       
-      // Simulate search results
-      const tweets = Array(options.max_results || 10).fill().map((_, i) => ({
-        id: `search_${Date.now()}_${i}`,
-        text: `Tweet about ${query} - sample result ${i+1}`,
-        author: {
-          id: `user_${1000 + i}`,
-          username: `user${i}`,
-          name: `User ${i}`,
-          profile_image_url: `https://example.com/user${i}.jpg`
-        },
-        metrics: {
-          retweet_count: Math.floor(Math.random() * 100),
-          like_count: Math.floor(Math.random() * 500)
-        },
-        created_at: new Date(Date.now() - i * 3600000).toISOString()
-      }));
+      const response = await this.client.post(`/2/users/${this.connectedUser.id}/following`, {
+        target_user_id: user.id
+      });
       
+      // Protected accounts return a pending follow request instead
       return {
-        tweets,
-        meta: {
-          result_count: tweets.length,
-          next_token: `next_${Date.now()}`
-        }
+        success: true,
+        username: user.username,
+        following: Boolean(response.data.following),
+        pending: Boolean(response.data.pending_follow)
       };
-    } catch (error) {
-      throw new Error(`Search failed: ${error.message}`);
-    }
+    }, 'Failed to follow user');
+  }
+  
+  /**
+   * Send a direct message
+   * @param {String} recipient - Recipient username (with or without @)
+   * @param {Object} content - Message content
+   * @param {String} content.text - Message text
+   * @returns {Object} Message result
+   */
+  async sendDirectMessage(recipient, content) {
+    if (this._isDryRun('sendDirectMessage')) return this._recordDryRun('sendDirectMessage', [recipient, content]);
+    
+    this._requireUserContext('direct messages');
+    
+    const user = await this.getUserProfile(recipient);
+    
+    return this._handleApiCall(async () => {
+      console.log(`Sending direct message to @${user.username}: "${content.text}"`);
+      
+      const response = await this.client.post(`/2/dm_conversations/with/${user.id}/messages`, {
+        text: content.text
+      });
+      
+      return {
+        success: true,
+        id: response.data.dm_event_id,
+        conversationId: response.data.dm_conversation_id,
+        recipient: user.username,
+        text: content.text
+      };
+    }, 'Failed to send direct message', { retry: false });
+  }
+  
+  /**
+   * Search recent tweets.
+   * Follows next_token across pages until maxPages pages have been read.
+   * @param {String} query - Search query
+   * @param {Object} options - Search options
+   * @param {Number} options.max_results - Results per page, 10-100 (default: 10)
+   * @param {String} options.next_token - Token of the page to start from
+   * @param {Number} options.maxPages - Pages to read (default: 1)
+   * @param {String} options.since_id - Only return tweets newer than this ID
+   * @returns {Object} Search results ({ posts, meta }, with tweets kept as an alias of posts)
+   */
+  async search(query, options = {}) {
+    this._requireConnection();
+    
+    console.log(`Searching for tweets: "${query}"`);
+    
+    const maxPages = options.maxPages || 1;
+    const posts = [];
+    let nextToken = options.next_token;
+    let newestId = null;
+    let pages = 0;
+    
+    do {
+      const page = await this._fetchTweets('/2/tweets/search/recent', {
+        query,
+        max_results: Math.min(Math.max(options.max_results || 10, 10), 100),
+        next_token: nextToken,
+        since_id: options.since_id
+      }, 'Search failed');
+      
+      posts.push(...page.posts);
+      nextToken = page.meta.next_token;
+      newestId = newestId || page.meta.newest_id || null;
+      pages++;
+    } while (nextToken && pages < maxPages);
+    
+    const results = createSearchResults(posts, { next_token: nextToken || null, newest_id: newestId });
+    
+    return {
+      ...results,
+      tweets: results.posts
+    };
   }
   
   /**
@@ -256,85 +537,555 @@ class XConnector extends BaseConnector {
    * @returns {Array} Trending topics
    */
   async getTrends(locationId = 1) {
-    if (!this.connected) {
-      throw new Error('Not connected to X API');
-    }
+    this._requireConnection();
     
-    try {
+    return this._handleApiCall(async () => {
       console.log(`Getting trends for location ${locationId}`);
       
-      // Simulate trending topics
-      return [
-        {
-          name: "#SocialOS",
-          query: "SocialOS",
-          url: "https://twitter.com/search?q=%23SocialOS",
-          tweet_volume: 52400
-        },
-        {
-          name: "#AIAgents",
-          query: "AIAgents",
-          url: "https://twitter.com/search?q=%23AIAgents",
-          tweet_volume: 38700
-        },
-        {
-          name: "Autonomous Marketing",
-          query: "\"Autonomous Marketing\"",
-          url: "https://twitter.com/search?q=%22Autonomous+Marketing%22",
-          tweet_volume: 12500
-        },
-        {
-          name: "#Web3",
-          query: "Web3",
-          url: "https://twitter.com/search?q=%23Web3",
-          tweet_volume: 143000
-        },
-        {
-          name: "LangChain",
-          query: "LangChain",
-          url: "https://twitter.com/search?q=LangChain",
-          tweet_volume: 9800
-        }
-      ];
-    } catch (error) {
-      throw new Error(`Failed to get trends: ${error.message}`);
-    }
+      const response = await this.client.get(`/2/trends/by/woeid/${encodeURIComponent(locationId)}`);
+      
+      return (response.data || []).map(trend => ({
+        name: trend.trend_name,
+        query: trend.trend_name,
+        url: `https://twitter.com/search?q=${encodeURIComponent(trend.trend_name)}`,
+        tweet_volume: trend.tweet_count || null
+      }));
+    }, 'Failed to get trends');
   }
   
   /**
-   * Stream mentions of the authenticated user
+   * Upload media for use in a tweet.
+   * Images use a single request; GIFs and videos are uploaded in segments and
+   * the call resolves once X has finished processing them.
+   * @param {String|Buffer|Object} input - File path, Buffer, or { path | data, mimeType, altText }
+   * @param {Object} options - Upload options
+   * @param {String} options.mimeType - MIME type, if it cannot be detected from the contents
+   * @param {String} options.altText - Alt text for accessibility (optional)
+   * @returns {Object} Upload result ({ mediaId, mimeType, category, size, altText })
+   */
+  async uploadMedia(input, options = {}) {
+    if (this._isDryRun('uploadMedia')) return this._recordDryRun('uploadMedia', [input, options]);
+    
+    this._requireUserContext('media upload');
+    
+    const source = typeof input === 'string' ? { path: input } : Buffer.isBuffer(input) ? { data: input } : input;
+    const [media] = await prepareMedia(this.platform, [{ ...options, ...source }]);
+    
+    return this._uploadLoadedMedia(media);
+  }
+  
+  /**
+   * Stream mentions of the authenticated user.
+   * Polls the mentions timeline and yields only mentions posted after the stream starts.
+   * @param {Object} options - Stream options
+   * @param {String} options.sinceId - Yield mentions newer than this tweet ID
+   * @param {AbortSignal} options.signal - Signal to stop the stream
    * @returns {AsyncGenerator} Mention stream
    */
-  async *streamMentions() {
-    if (!this.connected) {
-      throw new Error('Not connected to X API');
+  async *streamMentions(options = {}) {
+    this._requireUserId('streaming mentions');
+    
+    console.log("Starting mentions stream");
+    
+    yield* this._pollTweets(`/2/users/${this.connectedUser.id}/mentions`, options, 'Failed to get mentions');
+  }
+  
+  /**
+   * Stream the authenticated user's home timeline
+   * @param {Object} options - Stream options
+   * @param {String} options.sinceId - Yield tweets newer than this ID
+   * @param {AbortSignal} options.signal - Signal to stop the stream
+   * @returns {AsyncGenerator} Post stream
+   */
+  async *streamTimeline(options = {}) {
+    this._requireUserContext('streaming the timeline');
+    
+    console.log("Starting timeline stream");
+    
+    yield* this._pollTweets(
+      `/2/users/${this.connectedUser.id}/timelines/reverse_chronological`,
+      options,
+      'Failed to get timeline'
+    );
+  }
+  
+  /**
+   * Delete the published parts of a failed thread, newest first
+   * @returns {Error} Error describing the failure and the rollback outcome
+   * @private
+   */
+  async _rollbackThread(posts, failedIndex, total, cause) {
+    const undeleted = [];
+    
+    for (const post of [...posts].reverse()) {
+      try {
+        await this.deleteTweet(post.id);
+      } catch (error) {
+        undeleted.push(post.id);
+      }
+    }
+    
+    const error = new Error(`Thread failed at part ${failedIndex + 1}/${total}: ${cause.message}`);
+    error.code = 'THREAD_FAILED';
+    error.platform = this.platform;
+    error.status = cause.status;
+    error.originalError = cause;
+    error.failedIndex = failedIndex;
+    error.ids = posts.map(post => post.id);
+    error.rolledBack = undeleted.length === 0;
+    error.undeletedIds = undeleted;
+    return error;
+  }
+  
+  /**
+   * Poll a tweet timeline with since_id, yielding new tweets oldest first
+   * @private
+   */
+  async *_pollTweets(path, options, errorMessage) {
+    let sinceId = options.sinceId || null;
+    
+    // Skip the backlog unless a starting point was given
+    if (!sinceId) {
+      const latest = await this._fetchTweets(path, { max_results: 5 }, errorMessage);
+      sinceId = latest.meta.newest_id || null;
     }
     
-    try {
-      console.log("Starting mentions stream");
+    while (this.connected && !(options.signal && options.signal.aborted)) {
+      try {
+        const page = await this._fetchTweets(path, { since_id: sinceId || undefined, max_results: 100 }, errorMessage);
+        
+        // Timelines arrive newest first
+        for (const post of page.posts.reverse()) {
+          yield post;
+        }
+        
+        sinceId = page.meta.newest_id || sinceId;
+      } catch (error) {
+        this.logActivity('stream_error', { error: error.message });
+      }
       
-      // This is a simplified simulation of a streaming API
-      // In a real implementation, this would connect to Twitter's streaming API
+      await sleep(this.pollInterval, options.signal);
+    }
+  }
+  
+  /**
+   * Fetch one page of tweets from a v2 endpoint
+   * @private
+   */
+  async _fetchTweets(path, query, errorMessage) {
+    return this._handleApiCall(async () => {
+      const response = await this.client.get(path, { ...TWEET_QUERY, ...query });
+      const users = this._indexUsers(response.includes);
       
-      // Yield an initial mention as a demonstration
-      yield {
-        id: `mention_${Date.now()}`,
-        text: `@${this.connectedUser.username} Hey, check out this cool new AI framework!`,
-        author: {
-          id: "user_2000",
-          username: "tech_enthusiast",
-          name: "Tech Enthusiast",
-          profile_image_url: "https://example.com/tech_user.jpg"
-        },
-        created_at: new Date().toISOString()
+      return {
+        posts: (response.data || []).map(tweet => this._mapTweet(tweet, users)),
+        meta: response.meta || {}
       };
+    }, errorMessage);
+  }
+  
+  /**
+   * Upload validated media and set its alt text
+   * @private
+   */
+  async _uploadLoadedMedia(media) {
+    // Already uploaded (e.g. by an earlier post)
+    if (media.mediaId) return media;
+    
+    console.log(`Uploading ${media.size} bytes of ${media.mimeType} to X`);
+    
+    const mediaId = media.category === 'image' ? await this._simpleUpload(media) : await this._chunkedUpload(media);
+    
+    if (media.altText && media.category !== 'video') {
+      await this._handleApiCall(async () => {
+        await this.uploadClient.post('/1.1/media/metadata/create.json', {
+          media_id: mediaId,
+          alt_text: { text: media.altText }
+        });
+      }, 'Failed to set media alt text');
+    }
+    
+    return {
+      mediaId,
+      mimeType: media.mimeType,
+      category: media.category,
+      size: media.size,
+      altText: media.altText
+    };
+  }
+  
+  /**
+   * Upload an image in a single multipart request
+   * @private
+   */
+  async _simpleUpload(media) {
+    const response = await this._handleApiCall(async () => {
+      const form = new FormData();
+      form.append('media', new Blob([media.data], { type: media.mimeType }), media.filename || 'media');
       
-      // In a real implementation, this would be an infinite loop yielding new mentions
-      // For this simulation, we just yield once and then "end" the stream
-    } catch (error) {
-      throw new Error(`Mention stream error: ${error.message}`);
+      return this.uploadClient.post('/1.1/media/upload.json', form);
+    }, 'Failed to upload media');
+    
+    return response.media_id_string;
+  }
+  
+  /**
+   * Upload media with the INIT / APPEND / FINALIZE flow
+   * @private
+   */
+  async _chunkedUpload(media) {
+    const chunkSize = this.config.mediaChunkSize || DEFAULT_CHUNK_SIZE;
+    
+    const init = await this._handleApiCall(async () => this.uploadClient.post('/1.1/media/upload.json', new URLSearchParams({
+      command: 'INIT',
+      total_bytes: String(media.size),
+      media_type: media.mimeType,
+      media_category: media.category === 'video' ? 'tweet_video' : 'tweet_gif'
+    })), 'Failed to initialize media upload');
+    
+    const mediaId = init.media_id_string;
+    
+    for (let offset = 0, index = 0; offset < media.size; offset += chunkSize, index++) {
+      // Segments are addressed by index, so a retried segment simply replaces itself
+      await this._handleApiCall(async () => {
+        const form = new FormData();
+        form.append('command', 'APPEND');
+        form.append('media_id', mediaId);
+        form.append('segment_index', String(index));
+        form.append('media', new Blob([media.data.subarray(offset, offset + chunkSize)]));
+        
+        return this.uploadClient.post('/1.1/media/upload.json', form);
+      }, `Failed to upload media segment ${index}`);
+    }
+    
+    const finalized = await this._handleApiCall(async () => this.uploadClient.post('/1.1/media/upload.json', new URLSearchParams({
+      command: 'FINALIZE',
+      media_id: mediaId
+    })), 'Failed to finalize media upload');
+    
+    await this._waitForProcessing(mediaId, finalized.processing_info);
+    
+    return mediaId;
+  }
+  
+  /**
+   * Poll upload status until X has finished processing the media
+   * @private
+   */
+  async _waitForProcessing(mediaId, processingInfo) {
+    const deadline = Date.now() + MEDIA_PROCESSING_TIMEOUT;
+    let info = processingInfo;
+    
+    while (info && ['pending', 'in_progress'].includes(info.state)) {
+      if (Date.now() > deadline) {
+        const error = new Error(`Media ${mediaId} was still processing after ${MEDIA_PROCESSING_TIMEOUT / 1000}s`);
+        error.code = 'MEDIA_PROCESSING_TIMEOUT';
+        error.platform = this.platform;
+        throw error;
+      }
+      
+      await sleep((info.check_after_secs || 1) * 1000);
+      
+      const status = await this._handleApiCall(async () => this.uploadClient.get('/1.1/media/upload.json', {
+        command: 'STATUS',
+        media_id: mediaId
+      }), 'Failed to check media status');
+      
+      info = status.processing_info;
+    }
+    
+    if (info && info.state === 'failed') {
+      const error = new Error(`Media ${mediaId} failed processing: ${(info.error && info.error.message) || 'unknown error'}`);
+      error.code = 'MEDIA_PROCESSING_FAILED';
+      error.platform = this.platform;
+      throw error;
     }
   }
+  
+  /**
+   * Create an HTTP client that authorizes every request
+   * @private
+   */
+  _createClient(baseUrl) {
+    return new HttpClient({
+      baseUrl,
+      timeout: this.config.timeout,
+      fetch: this.recorder ? this.recorder.fetch : this.config.fetch,
+      authorize: request => this._authorize(request)
+    });
+  }
+  
+  /**
+   * Build the Authorization header for a request
+   * @private
+   */
+  async _authorize({ method, url, body }) {
+    if (this._usesOAuth1()) {
+      // Only form-encoded bodies are part of the OAuth 1.0a signature
+      const params = body instanceof URLSearchParams ? Object.fromEntries(body) : {};
+      
+      return {
+        Authorization: buildOAuth1Header({ method, url, params }, {
+          consumerKey: this.config.apiKey,
+          consumerSecret: this.config.apiSecret,
+          token: this.config.accessToken,
+          tokenSecret: this.config.accessSecret
+        })
+      };
+    }
+    
+    if (this._usesOAuth2User()) {
+      return { Authorization: `Bearer ${await this.oauth.getAccessToken()}` };
+    }
+    
+    return { Authorization: `Bearer ${this.config.bearerToken}` };
+  }
+  
+  /**
+   * Check whether requests act as a user (OAuth 1.0a or an OAuth 2 user token)
+   * @private
+   */
+  _hasUserContext() {
+    return this._usesOAuth1() || this._usesOAuth2User();
+  }
+  
+  /**
+   * Check whether OAuth 1.0a user credentials are configured
+   * @private
+   */
+  _usesOAuth1() {
+    const { apiKey, apiSecret, accessToken, accessSecret } = this.config;
+    return Boolean(apiKey && apiSecret && accessToken && accessSecret);
+  }
+  
+  /**
+   * Check whether an OAuth 2 user token is configured
+   * @private
+   */
+  _usesOAuth2User() {
+    const { clientId, accessToken, accessSecret, refreshToken } = this.config;
+    return Boolean(clientId && !accessSecret && (accessToken || refreshToken));
+  }
+  
+  /**
+   * Map a v2 tweet to a normalized post
+   * @param {Object} tweet - v2 tweet object
+   * @param {Object} users - Expanded users by ID
+   * @returns {Object} Normalized post
+   * @private
+   */
+  _mapTweet(tweet, users = {}) {
+    const parent = (tweet.referenced_tweets || []).find(ref => ref.type === 'replied_to');
+    
+    return createPost({
+      id: tweet.id,
+      platform: this.platform,
+      text: tweet.text,
+      author: this._mapUser(users[tweet.author_id] || { id: tweet.author_id }),
+      metrics: tweet.public_metrics,
+      created_at: tweet.created_at,
+      url: `https://twitter.com/i/web/status/${tweet.id}`,
+      in_reply_to_id: parent ? parent.id : null
+    });
+  }
+  
+  /**
+   * Map a v2 user to a normalized author
+   * @private
+   */
+  _mapUser(user = {}) {
+    return createAuthor({
+      id: user.id,
+      username: user.username,
+      name: user.name,
+      profile_image_url: user.profile_image_url,
+      url: user.username ? `https://twitter.com/${user.username}` : null,
+      followers_count: user.public_metrics && user.public_metrics.followers_count
+    });
+  }
+  
+  /**
+   * Index expanded users by ID
+   * @private
+   */
+  _indexUsers(includes) {
+    const users = {};
+    for (const user of (includes && includes.users) || []) {
+      users[user.id] = user;
+    }
+    return users;
+  }
+  
+  /**
+   * Ensure the connector is connected
+   * @private
+   */
+  _requireConnection() {
+    if (!this.connected) {
+      throw new Error('Not connected to X API');
+    }
+  }
+  
+  /**
+   * Ensure the connector knows which account it acts as
+   * @param {String} action - Action description for the error
+   * @private
+   */
+  _requireUserId(action) {
+    this._requireConnection();
+    
+    if (!this.connectedUser) {
+      throw new Error(`User authentication or config.username required for ${action}`);
+    }
+  }
+  
+  /**
+   * Ensure the connector is connected with user credentials
+   * @param {String} action - Action description for the error
+   * @private
+   */
+  _requireUserContext(action) {
+    this._requireConnection();
+    
+    if (!this._hasUserContext()) {
+      throw new Error(`User authentication required for ${action}`);
+    }
+  }
+}
+
+// Actions supported by this connector
+XConnector.capabilities = [
+  'post',
+  'postThread',
+  'deleteTweet',
+  'reply',
+  'repost',
+  'retweet',
+  'like',
+  'getPost',
+  'getTweet',
+  'getUserProfile',
+  'search',
+  'getTrends',
+  'uploadMedia',
+  'followUser',
+  'sendDirectMessage',
+  'streamMentions',
+  'streamTimeline'
+];
+
+/**
+ * Split text into numbered thread parts.
+ * Each input text is split at sentence boundaries (falling back to words for
+ * overlong sentences), so separate inputs never share a part.
+ * @param {String|Array} input - Text, or an array of part texts
+ * @param {Object} options - Split options
+ * @param {Number} options.maxLength - Maximum characters per part, numbering included (default: 280)
+ * @param {Boolean} options.numbering - Append "i/n" to each part when there is more than one (default: true)
+ * @returns {Array} Part texts
+ */
+function splitThread(input, options = {}) {
+  const maxLength = options.maxLength || MAX_TWEET_LENGTH;
+  const numbering = options.numbering !== false;
+  const texts = (Array.isArray(input) ? input : [input])
+    .map(text => (text || '').trim())
+    .filter(Boolean);
+  
+  // The numbering suffix grows with the part count, so repack until its width settles
+  let digits = 1;
+  let parts;
+  
+  while (true) {
+    const reserved = numbering ? ` ${'9'.repeat(digits)}/${'9'.repeat(digits)}`.length : 0;
+    parts = texts.flatMap(text => packSentences(splitSentences(text), maxLength - reserved));
+    
+    if (!numbering || String(parts.length).length <= digits) break;
+    digits = String(parts.length).length;
+  }
+  
+  if (!numbering || parts.length < 2) return parts;
+  
+  return parts.map((part, i) => `${part} ${i + 1}/${parts.length}`);
 }
 
-module.exports = { XConnector };
+/**
+ * Split text into sentences
+ * @private
+ */
+function splitSentences(text) {
+  if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+    return Array.from(new Intl.Segmenter(undefined, { granularity: 'sentence' }).segment(text), part => part.segment.trim())
+      .filter(Boolean);
+  }
+  
+  return (text.match(/[^.!?]+(?:[.!?]+|$)/g) || []).map(sentence => sentence.trim()).filter(Boolean);
+}
+
+/**
+ * Greedily pack sentences into parts of at most limit characters
+ * @private
+ */
+function packSentences(sentences, limit) {
+  const parts = [];
+  let current = '';
+  
+  const pieces = sentences.flatMap(sentence => (length(sentence) > limit ? splitWords(sentence, limit) : [sentence]));
+  
+  for (const piece of pieces) {
+    if (!current) {
+      current = piece;
+    } else if (length(`${current} ${piece}`) <= limit) {
+      current = `${current} ${piece}`;
+    } else {
+      parts.push(current);
+      current = piece;
+    }
+  }
+  
+  if (current) parts.push(current);
+  return parts;
+}
+
+/**
+ * Split an overlong sentence at word boundaries, hard-splitting overlong words
+ * @private
+ */
+function splitWords(sentence, limit) {
+  const pieces = [];
+  let current = '';
+  
+  for (const word of sentence.split(/\s+/)) {
+    const chars = Array.from(word);
+    
+    if (chars.length > limit) {
+      if (current) pieces.push(current);
+      for (let i = 0; i < chars.length; i += limit) {
+        pieces.push(chars.slice(i, i + limit).join(''));
+      }
+      current = pieces.pop();
+    } else if (!current) {
+      current = word;
+    } else if (length(`${current} ${word}`) <= limit) {
+      current = `${current} ${word}`;
+    } else {
+      pieces.push(current);
+      current = word;
+    }
+  }
+  
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+/**
+ * Count code points in a string
+ * @private
+ */
+function length(text) {
+  return Array.from(text).length;
+}
+
+// OAuth 2 user-token endpoints (see BaseConnector#getAuthorizationUrl)
+XConnector.oauthEndpoints = OAUTH2_ENDPOINTS.x;
+
+module.exports = { XConnector, splitThread };
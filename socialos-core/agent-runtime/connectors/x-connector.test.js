@@ -0,0 +1,145 @@
+/**
+ * Tests for XConnector thread splitting and publishing
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { XConnector, splitThread } = require('./x-connector');
+
+/**
+ * Create a fake X API v2
+ * @param {Object} routes - Handlers keyed by "METHOD /path", called with (body, url)
+ * @returns {Function} fetch, with the handled requests on .requests
+ */
+function createApi(routes) {
+  const fetch = async (url, init) => {
+    const parsed = new URL(url);
+    const key = `${init.method} ${parsed.pathname}`;
+    const body = init.body ? JSON.parse(init.body) : null;
+    fetch.requests.push({ key, body });
+    
+    const handler = routes[key] || (key === 'GET /2/users/me' && (() => ({ data: { id: '1', username: 'socialos' } })));
+    if (!handler) {
+      return new Response('{"title":"Not Found"}', { status: 404 });
+    }
+    
+    const result = await handler(body, parsed);
+    if (result instanceof Response) return result;
+    return new Response(JSON.stringify(result), { status: 200, headers: { 'content-type': 'application/json' } });
+  };
+  
+  fetch.requests = [];
+  return fetch;
+}
+
+/**
+ * Create a connected connector for a fake API
+ * @param {Object} routes - API routes
+ * @returns {Promise<Object>} { connector, fetch }
+ */
+async function connect(routes) {
+  const fetch = createApi(routes);
+  const connector = new XConnector({
+    apiKey: 'key',
+    apiSecret: 'secret',
+    accessToken: 'token',
+    accessSecret: 'token-secret',
+    fetch,
+    retry: { baseDelay: 1 }
+  });
+  
+  await connector.connect();
+  return { connector, fetch };
+}
+
+/**
+ * Create a POST /2/tweets handler that fails on the given attempts
+ * @param {Array} failures - 1-based attempt numbers that fail with a 403
+ * @returns {Function} Route handler
+ */
+function tweets(failures = []) {
+  let count = 0;
+  
+  return (body) => {
+    count++;
+    if (failures.includes(count)) {
+      return new Response('{"detail":"duplicate content"}', { status: 403 });
+    }
+    return { data: { id: `t${count}`, text: body.text } };
+  };
+}
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+});
+
+test('splits long text at sentence boundaries and numbers the parts', () => {
+  const text = 'First sentence is here. Second one follows it! Third closes the thought? Fourth.';
+  const parts = splitThread(text, { maxLength: 32 });
+  
+  assert.deepEqual(parts, [
+    'First sentence is here. 1/4',
+    'Second one follows it! 2/4',
+    'Third closes the thought? 3/4',
+    'Fourth. 4/4'
+  ]);
+  assert.deepEqual(splitThread(['One.', 'Two.'], { numbering: false }), ['One.', 'Two.']);
+  assert.deepEqual(splitThread('Short enough.'), ['Short enough.']);
+});
+
+test('keeps every part within the limit as the numbering widens', () => {
+  const words = Array.from({ length: 60 }, (_, i) => `word${i}`).join(' ');
+  const parts = splitThread(words, { maxLength: 30 });
+  
+  assert.ok(parts.length >= 10);
+  assert.ok(parts.every(part => Array.from(part).length <= 30));
+  assert.match(parts.at(-1), new RegExp(` ${parts.length}/${parts.length}$`));
+});
+
+test('chains each part as a reply to the one before it', async () => {
+  const { connector, fetch } = await connect({ 'POST /2/tweets': tweets() });
+  
+  const result = await connector.postThread(['One.', 'Two.', 'Three.'], { replyTo: 't0', mediaIds: ['m1'] });
+  const bodies = fetch.requests.filter(r => r.key === 'POST /2/tweets').map(r => r.body);
+  
+  assert.equal(result.success, true);
+  assert.deepEqual(result.ids, ['t1', 't2', 't3']);
+  assert.deepEqual(bodies.map(body => body.reply && body.reply.in_reply_to_tweet_id), ['t0', 't1', 't2']);
+  assert.deepEqual(bodies.map(body => body.media), [{ media_ids: ['m1'] }, undefined, undefined]);
+  assert.equal(bodies[1].text, 'Two. 2/3');
+});
+
+test('reports a partial thread so it can be resumed', async () => {
+  const { connector } = await connect({ 'POST /2/tweets': tweets([3]) });
+  
+  const result = await connector.postThread(['One.', 'Two.', 'Three.', 'Four.']);
+  
+  assert.equal(result.success, false);
+  assert.equal(result.partial, true);
+  assert.deepEqual(result.ids, ['t1', 't2']);
+  assert.equal(result.failedIndex, 2);
+  assert.deepEqual(result.remaining, ['Three. 3/4', 'Four. 4/4']);
+});
+
+test('rolls back published parts, newest first, when asked to', async () => {
+  const deleted = [];
+  const remove = id => () => {
+    deleted.push(id);
+    return id === 't1' ? new Response('{}', { status: 403 }) : { data: { deleted: true } };
+  };
+  const { connector } = await connect({
+    'POST /2/tweets': tweets([3]),
+    'DELETE /2/tweets/t1': remove('t1'),
+    'DELETE /2/tweets/t2': remove('t2')
+  });
+  
+  const error = await connector.postThread(['One.', 'Two.', 'Three.'], { rollback: true }).catch(e => e);
+  
+  assert.equal(error.code, 'THREAD_FAILED');
+  assert.equal(error.status, 403);
+  assert.equal(error.failedIndex, 2);
+  assert.deepEqual(error.ids, ['t1', 't2']);
+  assert.deepEqual(deleted, ['t2', 't1']);
+  assert.equal(error.rolledBack, false);
+  assert.deepEqual(error.undeletedIds, ['t1']);
+});
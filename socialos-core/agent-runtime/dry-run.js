@@ -0,0 +1,292 @@
+/**
+ * SocialOS Dry Run
+ * 
+ * Sandbox mode for trying agents against live accounts without changing them.
+ * While dry-run is on, connector writes are recorded in an outbox with their
+ * exact arguments and answered with fake results shaped like the real ones.
+ * Reads still reach the platform, so agents behave as they would live.
+ */
+
+const { EventEmitter } = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Connector actions that change something on the platform
+const WRITE_ACTIONS = [
+  'post',
+  'postThread',
+  'reply',
+  'comment',
+  'repost',
+  'retweet',
+  'boost',
+  'shareArticle',
+  'like',
+  'favourite',
+  'addReaction',
+  'followUser',
+  'sendMessage',
+  'sendDirectMessage',
+  'createThread',
+  'uploadMedia',
+  'deleteTweet',
+  'deleteMessage',
+  'pinMessage',
+  'unpinMessage',
+  'timeoutMember',
+  'kickMember',
+  'banMember',
+  'syncCommands',
+  'respondToInteraction'
+];
+
+// Links for fake posts, where the platform's URL can be built from the ID alone
+const PERMALINKS = {
+  x: id => `https://twitter.com/i/web/status/${id}`,
+  linkedin: id => `https://www.linkedin.com/feed/update/${id}/`
+};
+
+class Outbox extends EventEmitter {
+  /**
+   * Create a new Outbox
+   * @param {Object} options - Outbox options
+   * @param {Number} options.limit - Most recent entries kept (default: 1000)
+   */
+  constructor(options = {}) {
+    super();
+    this.limit = options.limit || 1000;
+    this.entries = [];
+    this.sequence = 0;
+  }
+  
+  /**
+   * Record an intercepted write
+   * @param {Object} write - Write details ({ platform, account, action, args, scope })
+   * @returns {Object} Outbox entry ({ id, platform, account, action, args, result, executionId, agentId, timestamp })
+   */
+  record(write) {
+    this.sequence++;
+    const id = `dryrun_${Date.now()}_${this.sequence}`;
+    
+    const entry = {
+      id,
+      platform: write.platform,
+      account: write.account || write.platform,
+      action: write.action,
+      args: snapshot(write.args),
+      result: createFakeResult(write.platform, write.action, write.args, id),
+      executionId: write.scope.executionId || null,
+      agentId: write.scope.agentId || null,
+      timestamp: new Date().toISOString()
+    };
+    
+    this.entries.push(entry);
+    if (this.entries.length > this.limit) {
+      this.entries.shift();
+    }
+    
+    this.emit('entry', entry);
+    return entry;
+  }
+  
+  /**
+   * List recorded writes, oldest first
+   * @param {Object} filter - Filter options
+   * @param {String} filter.platform - Only writes to this platform
+   * @param {String} filter.action - Only this action
+   * @param {String} filter.executionId - Only writes made during this execution
+   * @param {String} filter.agentId - Only writes made by this agent's executions
+   * @returns {Array} Outbox entries
+   */
+  list(filter = {}) {
+    return this.entries.filter(entry =>
+      (!filter.platform || entry.platform === filter.platform) &&
+      (!filter.action || entry.action === filter.action) &&
+      (!filter.executionId || entry.executionId === filter.executionId) &&
+      (!filter.agentId || entry.agentId === filter.agentId));
+  }
+  
+  /**
+   * Remove all recorded writes
+   * @returns {Number} Entries removed
+   */
+  clear() {
+    const count = this.entries.length;
+    this.entries = [];
+    return count;
+  }
+}
+
+class DryRun {
+  /**
+   * Turn on dry-run mode for every connector and executor
+   * @param {Object} options - Dry-run options
+   * @param {Outbox} options.outbox - Outbox to record into (default: the shared outbox)
+   * @returns {Outbox} Outbox receiving the writes
+   */
+  static enable(options = {}) {
+    if (options.outbox) {
+      DryRun.outbox = options.outbox;
+    }
+    
+    DryRun.enabled = true;
+    return DryRun.outbox;
+  }
+  
+  /**
+   * Turn off global dry-run mode (connectors configured with dryRun stay in it)
+   */
+  static disable() {
+    DryRun.enabled = false;
+  }
+  
+  /**
+   * Check whether writes are being intercepted
+   * @param {Object} connector - Connector about to write (optional; honours its config.dryRun)
+   * @returns {Boolean} True in dry-run mode
+   */
+  static isEnabled(connector) {
+    const scope = DryRun.storage.getStore();
+    
+    return DryRun.enabled ||
+      Boolean(scope && scope.dryRun) ||
+      Boolean(connector && connector.config && connector.config.dryRun);
+  }
+  
+  /**
+   * Run a function in a dry-run scope; writes made inside it are tagged with the scope
+   * @param {Object} scope - Scope fields ({ executionId, agentId, action })
+   * @param {Function} fn - Function to run
+   * @returns {*} Function result
+   */
+  static run(scope, fn) {
+    return DryRun.storage.run({ ...scope, dryRun: true }, fn);
+  }
+  
+  /**
+   * Record a connector write in the outbox instead of sending it
+   * @param {Object} connector - Connector the write was made on
+   * @param {String} action - Write action
+   * @param {Array} args - Call arguments
+   * @returns {Object} Fake result
+   */
+  static async intercept(connector, action, args) {
+    const entry = DryRun.outbox.record({
+      platform: connector.platform,
+      account: connector.config.credentialKey,
+      action,
+      args,
+      scope: DryRun.storage.getStore() || {}
+    });
+    
+    if (typeof connector.logActivity === 'function') {
+      connector.logActivity('dry_run', { action, outboxId: entry.id });
+    }
+    
+    return entry.result;
+  }
+}
+
+/**
+ * Build a fake result shaped like the connector's real result for an action
+ * @param {String} platform - Platform identifier
+ * @param {String} action - Write action
+ * @param {Array} args - Call arguments
+ * @param {String} id - Outbox entry ID, used as the fake platform ID
+ * @returns {Object} Fake result
+ */
+function createFakeResult(platform, action, args, id) {
+  const [first, second, third] = args;
+  const url = PERMALINKS[platform] ? PERMALINKS[platform](id) : null;
+  const textOf = content => (typeof content === 'string' ? content : (content && content.text) || '');
+  let result;
+  
+  switch (action) {
+    case 'post':
+      result = { id, text: textOf(first), url };
+      break;
+    case 'postThread': {
+      const parts = (first || []).map((part, index) => ({ id: `${id}_${index + 1}`, text: textOf(part) }));
+      result = { id: parts.length ? parts[0].id : id, ids: parts.map(part => part.id), posts: parts, url };
+      break;
+    }
+    case 'reply':
+      result = { id, text: textOf(second), replyTo: first, url };
+      break;
+    case 'comment':
+      result = { id, text: textOf(second), postId: first };
+      break;
+    case 'repost':
+    case 'retweet':
+    case 'boost':
+      result = { id, resharedFrom: first, text: textOf(second), url };
+      break;
+    case 'shareArticle':
+      result = { id, title: first && first.title, url };
+      break;
+    case 'like':
+    case 'favourite':
+      result = { id: first, liked: true };
+      break;
+    case 'addReaction':
+      result = { messageId: first, emoji: second };
+      break;
+    case 'followUser':
+      result = { userId: first, following: true };
+      break;
+    case 'sendMessage':
+      result = { id, channelId: first, text: textOf(second) };
+      break;
+    case 'sendDirectMessage':
+      result = { id, recipient: first, text: textOf(second) };
+      break;
+    case 'createThread':
+      result = { id, channelId: first, name: second, text: textOf(third) };
+      break;
+    case 'uploadMedia':
+      return { mediaId: id, altText: (second && second.altText) || (first && first.altText) || null, dryRun: true };
+    case 'deleteTweet':
+      result = { id: first, deleted: true };
+      break;
+    case 'deleteMessage':
+    case 'pinMessage':
+    case 'unpinMessage':
+      result = { action, channelId: first, messageId: second, reason: (third && third.reason) || null };
+      break;
+    case 'timeoutMember':
+      result = {
+        action,
+        serverId: first,
+        userId: second,
+        until: third > 0 ? new Date(Date.now() + third).toISOString() : null,
+        reason: (args[3] && args[3].reason) || null
+      };
+      break;
+    case 'kickMember':
+    case 'banMember':
+      result = { action, serverId: first, userId: second, reason: (third && third.reason) || null };
+      break;
+    default:
+      result = {};
+  }
+  
+  return { success: true, ...result, dryRun: true };
+}
+
+/**
+ * Copy call arguments so later mutation does not change the record
+ * @private
+ */
+function snapshot(args) {
+  try {
+    return structuredClone(args);
+  } catch (error) {
+    // Functions and streams cannot be cloned; keep the originals
+    return args;
+  }
+}
+
+DryRun.enabled = ['1', 'true'].includes(String(process.env.SOCIALOS_DRY_RUN).toLowerCase());
+DryRun.outbox = new Outbox();
+DryRun.storage = new AsyncLocalStorage();
+
+module.exports = { DryRun, Outbox, WRITE_ACTIONS, createFakeResult };
@@ -0,0 +1,113 @@
+/**
+ * Tests for the dry-run outbox, fake results and connector interception
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DryRun, Outbox, createFakeResult } = require('./dry-run');
+const { XConnector } = require('./connectors/x-connector');
+
+/**
+ * Create a connected X connector whose API serves only GET requests
+ * @param {Object} config - Extra connector config
+ * @returns {Promise<Object>} { connector, requests }
+ */
+async function connectX(config = {}) {
+  const requests = [];
+  const fetch = async (url, init) => {
+    const { pathname } = new URL(url);
+    requests.push(`${init.method} ${pathname}`);
+    
+    const body = pathname === '/2/users/me' ?
+      { data: { id: '1', username: 'socialos' } } :
+      { data: { id: '7', text: 'live tweet', author_id: '1' } };
+    return new Response(JSON.stringify(body), { status: init.method === 'GET' ? 200 : 500, headers: { 'content-type': 'application/json' } });
+  };
+  const connector = new XConnector({ apiKey: 'k', apiSecret: 's', accessToken: 't', accessSecret: 'ts', fetch, retry: false, ...config });
+  
+  await connector.connect();
+  return { connector, requests };
+}
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+});
+
+test.afterEach(() => {
+  DryRun.disable();
+});
+
+test('records connector writes without sending them and lets reads through', async () => {
+  const outbox = DryRun.enable({ outbox: new Outbox() });
+  const { connector, requests } = await connectX({ credentialKey: 'x:brand' });
+  const content = { text: 'Hello from the sandbox' };
+  
+  const result = await connector.post(content);
+  content.text = 'changed later';
+  const tweet = await connector.getPost('7');
+  
+  assert.equal(result.dryRun, true);
+  assert.equal(result.text, 'Hello from the sandbox');
+  assert.equal(result.url, `https://twitter.com/i/web/status/${result.id}`);
+  assert.equal(tweet.text, 'live tweet');
+  assert.deepEqual(requests, ['GET /2/users/me', 'GET /2/tweets/7']);
+  
+  const [entry] = outbox.list();
+  assert.equal(entry.id, result.id);
+  assert.equal(entry.account, 'x:brand');
+  assert.deepEqual(entry.args, [{ text: 'Hello from the sandbox' }, {}]);
+});
+
+test('a connector configured with dryRun stays sandboxed while the global mode is off', async () => {
+  const before = DryRun.outbox.list().length;
+  const { connector, requests } = await connectX({ dryRun: true });
+  
+  await connector.retweet('7');
+  
+  assert.equal(DryRun.isEnabled(), false);
+  assert.equal(DryRun.outbox.list().length, before + 1);
+  assert.equal(requests.length, 1);
+  DryRun.outbox.clear();
+});
+
+test('tags writes made inside a scope and filters by it', async () => {
+  const outbox = DryRun.enable({ outbox: new Outbox() });
+  DryRun.disable();
+  const connector = { platform: 'discord', config: {} };
+  
+  await DryRun.run({ executionId: 'e1', agentId: 'a1' }, () => DryRun.intercept(connector, 'like', ['m1']));
+  await DryRun.run({ executionId: 'e2', agentId: 'a1' }, () => DryRun.intercept(connector, 'post', [{ text: 'hi' }]));
+  
+  assert.deepEqual(outbox.list({ executionId: 'e1' }).map(entry => entry.action), ['like']);
+  assert.equal(outbox.list({ agentId: 'a1' }).length, 2);
+  assert.equal(outbox.list({ platform: 'discord', action: 'post' })[0].account, 'discord');
+  assert.equal(outbox.clear(), 2);
+});
+
+test('keeps only the most recent entries and emits each one', () => {
+  const outbox = new Outbox({ limit: 2 });
+  const emitted = [];
+  outbox.on('entry', entry => emitted.push(entry.args[0]));
+  
+  for (const n of [1, 2, 3]) {
+    outbox.record({ platform: 'x', action: 'like', args: [String(n)], scope: {} });
+  }
+  
+  assert.deepEqual(outbox.list().map(entry => entry.args[0]), ['2', '3']);
+  assert.deepEqual(emitted, ['1', '2', '3']);
+});
+
+test('fake results follow the shape of the real ones', () => {
+  const thread = createFakeResult('x', 'postThread', [['One.', { text: 'Two.' }]], 'd1');
+  assert.deepEqual(thread.ids, ['d1_1', 'd1_2']);
+  assert.equal(thread.posts[1].text, 'Two.');
+  
+  const reply = createFakeResult('linkedin', 'reply', ['urn:li:share:1', 'Thanks'], 'd2');
+  assert.deepEqual(reply, { success: true, id: 'd2', text: 'Thanks', replyTo: 'urn:li:share:1', url: 'https://www.linkedin.com/feed/update/d2/', dryRun: true });
+  
+  const timeout = createFakeResult('discord', 'timeoutMember', ['g1', 'u1', 0, { reason: 'spam' }], 'd3');
+  assert.equal(timeout.until, null);
+  assert.equal(timeout.reason, 'spam');
+  
+  assert.deepEqual(createFakeResult('bluesky', 'uploadMedia', ['a.png', { altText: 'A cat' }], 'd4'), { mediaId: 'd4', altText: 'A cat', dryRun: true });
+});
@@ -0,0 +1,590 @@
+/**
+ * SocialOS Execution Log
+ * 
+ * Pluggable stores for AgentExecutor's execution history. A store implements
+ * append(execution), query(filter), prune() and clear(filter); stats(filter) is
+ * derived from query. Built in are an in-process store, a JSONL file that
+ * survives restarts, and Redis through MemoryManager.
+ */
+
+const fs = require('fs');
+
+// Sorted index of execution IDs by timestamp used by RedisExecutionStore
+const INDEX_NAME = 'executions';
+
+class ExecutionStore {
+  /**
+   * Create a new execution store
+   * @param {Object} options - Store options
+   * @param {Number} options.maxEntries - Most recent executions kept (default: 1000)
+   * @param {Number} options.maxAge - Age in ms after which executions are dropped (default: kept)
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 1000;
+    this.maxAge = options.maxAge || null;
+  }
+  
+  /**
+   * Record an execution
+   * @param {Object} execution - Execution record ({ id, agentId, action, status, timestamp, duration, ... })
+   */
+  async append(execution) {
+    throw new Error('Method not implemented');
+  }
+  
+  /**
+   * Find executions, newest first
+   * @param {Object} filter - Query filter (see matchesFilter)
+   * @returns {Array} Executions
+   */
+  async query(filter = {}) {
+    throw new Error('Method not implemented');
+  }
+  
+  /**
+   * Drop executions outside the retention limits
+   * @returns {Number} Executions dropped
+   */
+  async prune() {
+    throw new Error('Method not implemented');
+  }
+  
+  /**
+   * Remove executions
+   * @param {Object} filter - Clear filter
+   * @param {String} filter.agentId - Only this agent's executions (default: every execution)
+   */
+  async clear(filter = {}) {
+    throw new Error('Method not implemented');
+  }
+  
+  /**
+   * Aggregate duration and error statistics
+   * @param {Object} filter - Query filter; limit is ignored
+   * @returns {Object} Stats ({ total, succeeded, failed, cancelled, vetoed, errorRate, duration: { p50, p95, average }, actions })
+   */
+  async stats(filter = {}) {
+    const executions = await this.query({ ...filter, limit: null });
+    return computeStats(executions);
+  }
+  
+  /**
+   * Get the oldest timestamp retention keeps
+   * @returns {Number} Cutoff timestamp, or null without an age limit
+   * @protected
+   */
+  _getCutoff() {
+    return this.maxAge ? Date.now() - this.maxAge : null;
+  }
+  
+  /**
+   * Split executions into those retention keeps and those it drops
+   * @param {Array} executions - Executions, oldest first
+   * @returns {Object} { kept, dropped }
+   * @protected
+   */
+  _applyRetention(executions) {
+    const cutoff = this._getCutoff();
+    const fresh = cutoff ? executions.filter(execution => execution.timestamp >= cutoff) : executions;
+    const kept = fresh.slice(-this.maxEntries);
+    const keptSet = new Set(kept);
+    
+    return { kept, dropped: executions.filter(execution => !keptSet.has(execution)) };
+  }
+}
+
+/**
+ * Keeps executions in process memory; lost on restart
+ */
+class InMemoryExecutionStore extends ExecutionStore {
+  /**
+   * Create a new in-memory execution store
+   * @param {Object} options - Store options (maxEntries, maxAge)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.executions = [];
+  }
+  
+  /**
+   * Record an execution
+   * @param {Object} execution - Execution record
+   */
+  async append(execution) {
+    this.executions.push(execution);
+    
+    if (this.executions.length > this.maxEntries) {
+      this.executions.shift();
+    }
+  }
+  
+  /**
+   * Find executions, newest first
+   * @param {Object} filter - Query filter
+   * @returns {Array} Executions
+   */
+  async query(filter = {}) {
+    await this.prune();
+    return selectExecutions(this.executions, filter);
+  }
+  
+  /**
+   * Drop executions outside the retention limits
+   * @returns {Number} Executions dropped
+   */
+  async prune() {
+    const { kept, dropped } = this._applyRetention(this.executions);
+    this.executions = kept;
+    return dropped.length;
+  }
+  
+  /**
+   * Remove executions
+   * @param {Object} filter - Clear filter (agentId)
+   */
+  async clear(filter = {}) {
+    this.executions = filter.agentId
+      ? this.executions.filter(execution => execution.agentId !== filter.agentId)
+      : [];
+  }
+}
+
+/**
+ * Appends executions to a JSONL file, one JSON object per line. The file is
+ * read once and cached; dropped executions are compacted out of the file in
+ * batches rather than on every write.
+ */
+class FileExecutionStore extends ExecutionStore {
+  /**
+   * Create a new JSONL file execution store
+   * @param {Object} options - Store options (maxEntries, maxAge)
+   * @param {String} options.path - Log file path
+   * @param {Number} options.compactAfter - Dropped executions tolerated in the file before it is rewritten (default: 100)
+   */
+  constructor(options = {}) {
+    super(options);
+    
+    if (!options.path) {
+      throw new Error('FileExecutionStore requires a path');
+    }
+    
+    this.path = options.path;
+    this.compactAfter = options.compactAfter || 100;
+    this.executions = null;
+    this.stale = 0;
+    
+    // Writes are serialized so appends and compactions cannot interleave
+    this.writeQueue = Promise.resolve();
+  }
+  
+  /**
+   * Record an execution
+   * @param {Object} execution - Execution record
+   */
+  async append(execution) {
+    return this._enqueue(async () => {
+      const executions = await this._load();
+      
+      await fs.promises.appendFile(this.path, `${JSON.stringify(execution)}\n`);
+      executions.push(execution);
+      
+      await this._retain(false);
+    });
+  }
+  
+  /**
+   * Find executions, newest first
+   * @param {Object} filter - Query filter
+   * @returns {Array} Executions
+   */
+  async query(filter = {}) {
+    await this.writeQueue;
+    const executions = await this._load();
+    
+    const cutoff = this._getCutoff();
+    const fresh = cutoff ? executions.filter(execution => execution.timestamp >= cutoff) : executions;
+    
+    return selectExecutions(fresh, filter);
+  }
+  
+  /**
+   * Drop executions outside the retention limits and rewrite the file
+   * @returns {Number} Executions dropped
+   */
+  async prune() {
+    return this._enqueue(async () => {
+      await this._load();
+      return this._retain(true);
+    });
+  }
+  
+  /**
+   * Remove executions and rewrite the file
+   * @param {Object} filter - Clear filter (agentId)
+   */
+  async clear(filter = {}) {
+    return this._enqueue(async () => {
+      const executions = filter.agentId
+        ? (await this._load()).filter(execution => execution.agentId !== filter.agentId)
+        : [];
+      
+      await this._write(executions);
+      this.executions = executions;
+      this.stale = 0;
+    });
+  }
+  
+  /**
+   * Apply retention to the cache, rewriting the file once enough lines are stale
+   * @private
+   */
+  async _retain(force) {
+    const { kept, dropped } = this._applyRetention(this.executions);
+    
+    this.executions = kept;
+    this.stale += dropped.length;
+    
+    if (this.stale > 0 && (force || this.stale >= this.compactAfter)) {
+      await this._write(kept);
+      this.stale = 0;
+    }
+    
+    return dropped.length;
+  }
+  
+  /**
+   * Replace the log file with the given executions
+   * @private
+   */
+  async _write(executions) {
+    const tempPath = `${this.path}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, executions.map(execution => `${JSON.stringify(execution)}\n`).join(''));
+    await fs.promises.rename(tempPath, this.path);
+  }
+  
+  /**
+   * Read the log file into the cache on first use
+   * @private
+   */
+  async _load() {
+    if (this.executions) return this.executions;
+    
+    let raw = '';
+    try {
+      raw = await fs.promises.readFile(this.path, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    
+    this.executions = [];
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      
+      try {
+        this.executions.push(JSON.parse(line));
+      } catch (error) {
+        // A line cut short by a crash is skipped rather than failing the whole log
+        this.stale++;
+      }
+    }
+    
+    return this.executions;
+  }
+  
+  /**
+   * Run a write after the previous ones
+   * @private
+   */
+  _enqueue(task) {
+    const write = this.writeQueue.then(task);
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+}
+
+/**
+ * Stores each execution as a MemoryManager item under execution:<id>, so the
+ * log lives in Redis (or MemoryManager's in-memory fallback). A sorted index
+ * of execution IDs by timestamp keeps queries and retention from scanning
+ * every key; executions are only loaded a page at a time.
+ */
+class RedisExecutionStore extends ExecutionStore {
+  /**
+   * Create a new Redis execution store
+   * @param {Object} options - Store options (maxEntries, maxAge)
+   * @param {MemoryManager} options.memory - Memory manager to store through (default: one in the socialos:executions namespace)
+   * @param {String} options.redisUrl - Redis connection URL, when no memory manager is given
+   * @param {Number} options.pruneEvery - Appends between retention sweeps (default: 100)
+   * @param {Number} options.pageSize - Executions loaded per round trip while querying (default: 100)
+   */
+  constructor(options = {}) {
+    super(options);
+    
+    // Required here so the other stores do not load Redis and LangChain
+    const { MemoryManager } = require('../memory-layer/memory-manager');
+    
+    this.memory = options.memory || new MemoryManager({
+      namespace: 'socialos:executions',
+      redisUrl: options.redisUrl
+    });
+    this.pruneEvery = options.pruneEvery || 100;
+    this.pageSize = options.pageSize || 100;
+    this.appends = 0;
+  }
+  
+  /**
+   * Record an execution
+   * @param {Object} execution - Execution record
+   */
+  async append(execution) {
+    await this.memory.store(this._getKey(execution.id), execution, {
+      agentId: execution.agentId,
+      action: execution.action,
+      status: execution.status
+    });
+    await this.memory.addToIndex(INDEX_NAME, execution.id, execution.timestamp);
+    
+    this.appends++;
+    if (this.appends % this.pruneEvery === 0) {
+      await this.prune();
+    }
+  }
+  
+  /**
+   * Find executions, newest first. Only as many pages are loaded as it takes to fill the limit.
+   * @param {Object} filter - Query filter
+   * @returns {Array} Executions
+   */
+  async query(filter = {}) {
+    const since = filter.since !== undefined ? toTimestamp(filter.since) : -Infinity;
+    const until = filter.until !== undefined ? toTimestamp(filter.until) : Infinity;
+    
+    const ids = (await this._getRetained())
+      .filter(entry => entry.score >= since && entry.score < until)
+      .map(entry => entry.member);
+    
+    const matches = [];
+    for (let offset = 0; offset < ids.length; offset += this.pageSize) {
+      for (const execution of await this._loadPage(ids.slice(offset, offset + this.pageSize))) {
+        if (matchesFilter(execution, filter)) {
+          matches.push(execution);
+        }
+      }
+      
+      if (filter.limit && matches.length >= filter.limit) {
+        return matches.slice(0, filter.limit);
+      }
+    }
+    
+    return matches;
+  }
+  
+  /**
+   * Drop executions outside the retention limits
+   * @returns {Number} Executions dropped
+   */
+  async prune() {
+    const cutoff = this._getCutoff();
+    const dropped = (await this.memory.rangeIndex(INDEX_NAME))
+      .filter((entry, rank) => rank >= this.maxEntries || (cutoff && entry.score < cutoff))
+      .map(entry => entry.member);
+    
+    await this._remove(dropped);
+    return dropped.length;
+  }
+  
+  /**
+   * Remove executions
+   * @param {Object} filter - Clear filter (agentId)
+   */
+  async clear(filter = {}) {
+    const ids = (await this.memory.rangeIndex(INDEX_NAME)).map(entry => entry.member);
+    
+    if (!filter.agentId) {
+      return this._remove(ids);
+    }
+    
+    for (let offset = 0; offset < ids.length; offset += this.pageSize) {
+      const executions = await this._loadPage(ids.slice(offset, offset + this.pageSize));
+      
+      await this._remove(executions
+        .filter(execution => execution.agentId === filter.agentId)
+        .map(execution => execution.id));
+    }
+  }
+  
+  /**
+   * Get the index entries retention keeps, newest first
+   * @private
+   */
+  async _getRetained() {
+    const cutoff = this._getCutoff();
+    
+    return this.memory.rangeIndex(INDEX_NAME, {
+      min: cutoff === null ? -Infinity : cutoff,
+      count: this.maxEntries
+    });
+  }
+  
+  /**
+   * Load executions by ID, skipping any that have gone missing
+   * @private
+   */
+  async _loadPage(ids) {
+    const memories = await this.memory.retrieveMany(ids.map(id => this._getKey(id)));
+    return memories.filter(Boolean).map(memory => memory.data);
+  }
+  
+  /**
+   * Delete executions and their index entries
+   * @private
+   */
+  async _remove(ids) {
+    for (const id of ids) {
+      await this.memory.delete(this._getKey(id));
+    }
+    
+    await this.memory.removeFromIndex(INDEX_NAME, ids);
+  }
+  
+  /**
+   * Generate the memory key for an execution
+   * @private
+   */
+  _getKey(id) {
+    return `execution:${id}`;
+  }
+}
+
+/**
+ * Create an execution store from a spec
+ * @param {Object} spec - Store instance, or options with type 'memory' (default), 'file' or 'redis'
+ * @returns {ExecutionStore} Execution store
+ */
+function createExecutionStore(spec = {}) {
+  if (spec instanceof ExecutionStore) return spec;
+  
+  switch (spec.type) {
+    case 'memory':
+    case undefined:
+      return new InMemoryExecutionStore(spec);
+    case 'file':
+      return new FileExecutionStore(spec);
+    case 'redis':
+      return new RedisExecutionStore(spec);
+    default:
+      throw new Error(`Unknown execution store type: ${spec.type}`);
+  }
+}
+
+/**
+ * Check an execution against a query filter
+ * @param {Object} execution - Execution record
+ * @param {Object} filter - Query filter
+ * @param {String} filter.agentId - Only this agent's executions
+ * @param {String|Array} filter.action - Only these actions
+ * @param {String|Array} filter.status - Only these statuses (success, error, timeout, cancelled, vetoed)
+ * @param {Date|Number|String} filter.since - Only executions at or after this time
+ * @param {Date|Number|String} filter.until - Only executions before this time
+ * @returns {Boolean} True if the execution matches
+ */
+function matchesFilter(execution, filter) {
+  const actions = filter.action ? [].concat(filter.action) : null;
+  const statuses = filter.status ? [].concat(filter.status) : null;
+  const since = filter.since !== undefined ? toTimestamp(filter.since) : null;
+  const until = filter.until !== undefined ? toTimestamp(filter.until) : null;
+  
+  return (!filter.agentId || execution.agentId === filter.agentId) &&
+    (!actions || actions.includes(execution.action)) &&
+    (!statuses || statuses.includes(execution.status)) &&
+    (since === null || execution.timestamp >= since) &&
+    (until === null || execution.timestamp < until);
+}
+
+/**
+ * Aggregate executions into overall and per-action stats
+ * @param {Array} executions - Execution records
+ * @returns {Object} Stats ({ total, succeeded, failed, cancelled, vetoed, errorRate, duration, actions })
+ */
+function computeStats(executions) {
+  const byAction = {};
+  
+  for (const execution of executions) {
+    (byAction[execution.action] = byAction[execution.action] || []).push(execution);
+  }
+  
+  const actions = {};
+  for (const [action, group] of Object.entries(byAction)) {
+    actions[action] = summarize(group);
+  }
+  
+  return { ...summarize(executions), actions };
+}
+
+/**
+ * Summarize a group of executions. Cancelled and vetoed executions are
+ * counted on their own and left out of the error rate; timeouts count as failures.
+ * @private
+ */
+function summarize(executions) {
+  const durations = executions.map(execution => execution.duration).sort((a, b) => a - b);
+  const count = status => executions.filter(execution => execution.status === status).length;
+  const succeeded = count('success');
+  const cancelled = count('cancelled');
+  const vetoed = count('vetoed');
+  const total = executions.length;
+  const failed = total - succeeded - cancelled - vetoed;
+  
+  return {
+    total,
+    succeeded,
+    failed,
+    cancelled,
+    vetoed,
+    errorRate: failed + succeeded ? failed / (failed + succeeded) : 0,
+    duration: {
+      p50: percentile(durations, 0.5),
+      p95: percentile(durations, 0.95),
+      average: total ? Math.round(durations.reduce((sum, duration) => sum + duration, 0) / total) : null
+    }
+  };
+}
+
+/**
+ * Nearest-rank percentile of sorted values
+ * @private
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+/**
+ * Filter, order newest first and limit executions
+ * @private
+ */
+function selectExecutions(executions, filter) {
+  const matches = executions
+    .filter(execution => matchesFilter(execution, filter))
+    .reverse();
+  
+  return filter.limit ? matches.slice(0, filter.limit) : matches;
+}
+
+/**
+ * Convert a Date, ISO string or epoch ms to epoch ms
+ * @private
+ */
+function toTimestamp(value) {
+  return value instanceof Date ? value.getTime() : typeof value === 'string' ? Date.parse(value) : value;
+}
+
+module.exports = {
+  ExecutionStore,
+  InMemoryExecutionStore,
+  FileExecutionStore,
+  RedisExecutionStore,
+  createExecutionStore,
+  matchesFilter,
+  computeStats
+};
@@ -0,0 +1,116 @@
+/**
+ * Tests for the in-memory and JSONL execution stores, filters and stats
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { InMemoryExecutionStore, FileExecutionStore, createExecutionStore, computeStats } = require('./execution-log');
+
+/**
+ * Create an execution record
+ * @param {Number} n - Execution number, also its timestamp
+ * @param {Object} fields - Extra fields
+ * @returns {Object} Execution
+ */
+function execution(n, fields = {}) {
+  return { id: `e${n}`, agentId: 'a1', action: 'post', status: 'success', timestamp: n, duration: n * 10, ...fields };
+}
+
+/**
+ * Create a log file path in a temporary directory removed after the test
+ * @param {Object} t - Test context
+ * @returns {String} File path
+ */
+function tempLog(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'socialos-executions-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'executions.jsonl');
+}
+
+test('in-memory store filters newest first and keeps the latest entries', async () => {
+  const store = new InMemoryExecutionStore({ maxEntries: 3 });
+  
+  for (const n of [1, 2, 3, 4]) {
+    await store.append(execution(n, { agentId: n % 2 ? 'a1' : 'a2', status: n === 3 ? 'error' : 'success' }));
+  }
+  
+  assert.deepEqual((await store.query()).map(e => e.id), ['e4', 'e3', 'e2']);
+  assert.deepEqual((await store.query({ agentId: 'a1' })).map(e => e.id), ['e3']);
+  assert.deepEqual((await store.query({ status: ['error'], since: 2, until: 4 })).map(e => e.id), ['e3']);
+  assert.deepEqual((await store.query({ limit: 1 })).map(e => e.id), ['e4']);
+  
+  await store.clear({ agentId: 'a2' });
+  assert.deepEqual((await store.query()).map(e => e.id), ['e3']);
+});
+
+test('drops executions older than maxAge', async () => {
+  const store = new InMemoryExecutionStore({ maxAge: 1000 });
+  await store.append(execution(Date.now() - 5000, { id: 'old' }));
+  await store.append(execution(Date.now(), { id: 'new' }));
+  
+  assert.deepEqual((await store.query()).map(e => e.id), ['new']);
+});
+
+test('file store survives a restart and skips a torn last line', async (t) => {
+  const logPath = tempLog(t);
+  const store = new FileExecutionStore({ path: logPath });
+  
+  await Promise.all([1, 2, 3].map(n => store.append(execution(n))));
+  fs.appendFileSync(logPath, '{"id":"e4","agent');
+  
+  const reopened = new FileExecutionStore({ path: logPath });
+  assert.deepEqual((await reopened.query()).map(e => e.id), ['e3', 'e2', 'e1']);
+  
+  await reopened.clear({ agentId: 'a1' });
+  assert.equal(fs.readFileSync(logPath, 'utf8'), '');
+});
+
+test('file store compacts dropped executions in batches', async (t) => {
+  const logPath = tempLog(t);
+  const store = new FileExecutionStore({ path: logPath, maxEntries: 2, compactAfter: 3 });
+  const lines = () => fs.readFileSync(logPath, 'utf8').trim().split('\n').length;
+  
+  for (const n of [1, 2, 3, 4]) {
+    await store.append(execution(n));
+  }
+  assert.equal(lines(), 4, 'two stale lines are tolerated');
+  
+  await store.append(execution(5));
+  assert.equal(lines(), 2);
+  assert.deepEqual((await store.query()).map(e => e.id), ['e5', 'e4']);
+  
+  await store.append(execution(6));
+  assert.equal(await store.prune(), 0);
+  assert.equal(lines(), 2, 'prune rewrites the stale line right away');
+});
+
+test('stats separate failures from deliberate stops', () => {
+  const stats = computeStats([
+    execution(1),
+    execution(2, { status: 'error' }),
+    execution(3, { status: 'timeout', action: 'reply' }),
+    execution(4, { status: 'cancelled' }),
+    execution(5, { status: 'vetoed' })
+  ]);
+  
+  assert.equal(stats.total, 5);
+  assert.equal(stats.failed, 2);
+  assert.equal(stats.cancelled, 1);
+  assert.equal(stats.vetoed, 1);
+  assert.equal(stats.errorRate, 2 / 3);
+  assert.deepEqual(stats.duration, { p50: 30, p95: 50, average: 30 });
+  assert.equal(stats.actions.reply.failed, 1);
+  assert.deepEqual(computeStats([]).duration, { p50: null, p95: null, average: null });
+});
+
+test('createExecutionStore builds stores from options', () => {
+  const store = new InMemoryExecutionStore();
+  
+  assert.equal(createExecutionStore(store), store);
+  assert.ok(createExecutionStore() instanceof InMemoryExecutionStore);
+  assert.throws(() => createExecutionStore({ type: 'file' }), /requires a path/);
+  assert.throws(() => createExecutionStore({ type: 'sqlite' }), /Unknown execution store type/);
+});
@@ -0,0 +1,46 @@
+/**
+ * SocialOS Execution Signal
+ * 
+ * Carries the AbortSignal of the running AgentExecutor execution through
+ * async calls, so connector requests made while an action runs are cancelled
+ * with it without every connector method taking a signal parameter.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a signal as the current execution signal.
+ * Timers and loops started inside fn keep the scope; once fn settles without
+ * being aborted they stop seeing the signal, so a health check started during
+ * an execution is not tied to it. After an abort they keep the aborted
+ * signal, so abandoned work cannot quietly carry on.
+ * @param {AbortSignal} signal - Signal cancelling work started inside fn
+ * @param {Function} fn - Async function to run
+ * @returns {*} Function result
+ */
+function runWithSignal(signal, fn) {
+  const scope = { signal };
+  
+  return storage.run(scope, async () => {
+    try {
+      return await fn();
+    } finally {
+      if (!signal.aborted) {
+        scope.signal = null;
+      }
+    }
+  });
+}
+
+/**
+ * Get the signal of the execution the caller is running in
+ * @returns {AbortSignal} Signal, or null outside an execution
+ */
+function getCurrentSignal() {
+  const scope = storage.getStore();
+  return scope ? scope.signal : null;
+}
+
+module.exports = { runWithSignal, getCurrentSignal };
@@ -2,45 +2,59 @@
  * SocialOS Platform Connector Factory
  * 
  * Creates platform-specific connectors for social media platforms.
- * Supports X/Twitter, LinkedIn, Discord, and others.
+ * Connectors are resolved through a registry: built-ins (X/Twitter, LinkedIn,
+ * Discord, Slack, Mastodon, Bluesky) are registered at load and custom connectors can be added or
+ * override them without changing the factory.
  */
 
 const { XConnector } = require('./connectors/x-connector');
 const { LinkedInConnector } = require('./connectors/linkedin-connector');
 const { DiscordConnector } = require('./connectors/discord-connector');
+const { SlackConnector } = require('./connectors/slack-connector');
+const { MastodonConnector } = require('./connectors/mastodon-connector');
+const { BlueskyConnector } = require('./connectors/bluesky-connector');
 const { GenericConnector } = require('./connectors/generic-connector');
 
 class PlatformConnectorFactory {
   /**
    * Create a platform connector based on platform type
-   * @param {String} platform - Platform identifier (x, linkedin, discord, etc)
+   * @param {String} platform - Platform identifier or alias (x, twitter, linkedin, discord, etc)
    * @param {Object} config - Platform-specific configuration
    * @returns {Object} Platform connector instance
    */
   static create(platform, config = {}) {
-    switch (platform.toLowerCase()) {
-      case 'x':
-      case 'twitter':
-        return new XConnector(config);
-        
-      case 'linkedin':
-        return new LinkedInConnector(config);
-        
-      case 'discord':
-        return new DiscordConnector(config);
-        
-      default:
-        console.warn(`Unknown platform: ${platform}, using generic connector`);
-        return new GenericConnector(config);
+    if (!platform || typeof platform !== 'string') {
+      throw new Error('Platform must be a valid string');
+    }
+    
+    const name = PlatformConnectorFactory.resolvePlatform(platform);
+    
+    if (name) {
+      const ConnectorClass = PlatformConnectorFactory.connectorRegistry[name];
+      return new ConnectorClass(config);
+    }
+    
+    const fallback = PlatformConnectorFactory.connectorRegistry[PlatformConnectorFactory.fallbackPlatform];
+    if (!fallback) {
+      throw new Error(`Unknown platform: ${platform}. Registered platforms: ${Object.keys(PlatformConnectorFactory.connectorRegistry).join(', ')}`);
     }
+    
+    console.warn(`Unknown platform: ${platform}, using ${PlatformConnectorFactory.fallbackPlatform} connector`);
+    return new fallback({ platform: platform.toLowerCase(), ...config });
   }
   
   /**
-   * Register a custom connector for a platform
+   * Register a custom connector for a platform.
+   * Registered platforms are resolved before aliases, so registering an
+   * existing platform or alias (e.g. 'twitter') takes precedence over built-ins.
    * @param {String} platform - Platform identifier
    * @param {Class} ConnectorClass - Connector class
+   * @param {Object} options - Registration options
+   * @param {Array} options.aliases - Alternative platform identifiers
+   * @param {Array} options.capabilities - Supported actions (defaults to ConnectorClass.capabilities)
+   * @param {String} options.description - Human-readable description
    */
-  static registerConnector(platform, ConnectorClass) {
+  static registerConnector(platform, ConnectorClass, options = {}) {
     if (!platform || typeof platform !== 'string') {
       throw new Error('Platform must be a valid string');
     }
@@ -49,16 +63,121 @@ class PlatformConnectorFactory {
       throw new Error('ConnectorClass must be a valid constructor');
     }
     
+    const name = platform.toLowerCase();
+    const aliases = (options.aliases || []).map(alias => alias.toLowerCase());
+    
     // Store the custom connector in the registry
-    PlatformConnectorFactory.connectorRegistry[platform.toLowerCase()] = ConnectorClass;
+    PlatformConnectorFactory.connectorRegistry[name] = ConnectorClass;
+    PlatformConnectorFactory.connectorMetadata[name] = {
+      platform: name,
+      aliases,
+      capabilities: options.capabilities || ConnectorClass.capabilities || [],
+      description: options.description || '',
+      builtIn: Boolean(options.builtIn)
+    };
+    
+    for (const alias of aliases) {
+      PlatformConnectorFactory.aliases[alias] = name;
+    }
+  }
+  
+  /**
+   * Remove a connector and its aliases from the registry
+   * @param {String} platform - Platform identifier
+   * @returns {Boolean} True if a connector was removed
+   */
+  static unregisterConnector(platform) {
+    const name = platform.toLowerCase();
+    
+    if (!PlatformConnectorFactory.connectorRegistry[name]) {
+      return false;
+    }
+    
+    for (const [alias, target] of Object.entries(PlatformConnectorFactory.aliases)) {
+      if (target === name) {
+        delete PlatformConnectorFactory.aliases[alias];
+      }
+    }
+    
+    delete PlatformConnectorFactory.connectorRegistry[name];
+    delete PlatformConnectorFactory.connectorMetadata[name];
+    return true;
+  }
+  
+  /**
+   * Resolve a platform identifier or alias to a registered platform
+   * @param {String} platform - Platform identifier or alias
+   * @returns {String|null} Registered platform name
+   */
+  static resolvePlatform(platform) {
+    const name = platform.toLowerCase();
+    
+    if (PlatformConnectorFactory.connectorRegistry[name]) {
+      return name;
+    }
+    
+    return PlatformConnectorFactory.aliases[name] || null;
+  }
+  
+  /**
+   * Check whether a platform (or alias) has a registered connector
+   * @param {String} platform - Platform identifier
+   * @returns {Boolean} True if registered
+   */
+  static hasConnector(platform) {
+    return PlatformConnectorFactory.resolvePlatform(platform) !== null;
+  }
+  
+  /**
+   * Get capability metadata for a platform
+   * @param {String} platform - Platform identifier or alias
+   * @returns {Array} Supported actions
+   */
+  static getCapabilities(platform) {
+    const name = PlatformConnectorFactory.resolvePlatform(platform);
+    return name ? [...PlatformConnectorFactory.connectorMetadata[name].capabilities] : [];
+  }
+  
+  /**
+   * Check whether a connector instance supports an action.
+   * Custom connectors may not extend BaseConnector, so this falls back to looking for the method.
+   * @param {Object} connector - Connector instance (may be null)
+   * @param {String} action - Action name
+   * @returns {Boolean} True if the action can be called
+   */
+  static supports(connector, action) {
+    if (!connector) return false;
+    
+    if (typeof connector.supports === 'function') {
+      return connector.supports(action);
+    }
+    
+    return typeof connector[action] === 'function';
+  }
+  
+  /**
+   * List all registered connectors
+   * @returns {Array} Connector metadata
+   */
+  static listConnectors() {
+    return Object.values(PlatformConnectorFactory.connectorMetadata).map(metadata => ({
+      ...metadata,
+      aliases: [...metadata.aliases],
+      capabilities: [...metadata.capabilities]
+    }));
   }
   
   /**
    * Create a multi-platform connector for interacting with multiple platforms
    * @param {Object} platforms - Map of platform configurations
+   * @param {Object} options - Default fan-out options for executeAction
+   * @param {Number} options.concurrency - Maximum platforms called at once (default: all)
+   * @param {Number} options.timeout - Per-platform timeout in ms (default: none)
+   * @param {Object} options.timeouts - Per-platform timeout overrides ({ linkedin: 30000 })
+   * @param {Object} options.transforms - Per-platform param transformers ({ x: (params, platform) => params })
    * @returns {Object} Multi-platform connector
    */
-  static createMultiPlatform(platforms) {
+  static createMultiPlatform(platforms, options = {}) {
     const connectors = {};
     
     for (const [platform, config] of Object.entries(platforms)) {
@@ -67,32 +186,45 @@ class PlatformConnectorFactory {
     
     return {
       /**
-       * Execute an action across multiple platforms
+       * Execute an action across multiple platforms concurrently.
+       * A timed-out call is reported as timedOut but cannot be cancelled, so it
+       * may still complete on the platform.
        * @param {String} action - Action name
        * @param {Object} params - Action parameters
-       * @param {Array} targetPlatforms - Specific platforms to target (optional)
+       * @param {Array|Object} executeOptions - Target platforms, or options overriding the defaults
+       * @param {Array} executeOptions.platforms - Specific platforms to target (optional)
+       * @returns {Object} { success, results, succeeded, failed, unsupported, timedOut }
        */
-      async executeAction(action, params, targetPlatforms) {
-        const results = {};
-        const platforms = targetPlatforms || Object.keys(connectors);
+      async executeAction(action, params, executeOptions = {}) {
+        const overrides = Array.isArray(executeOptions) ? { platforms: executeOptions } : executeOptions;
+        const settings = {
+          ...options,
+          ...overrides,
+          timeouts: { ...options.timeouts, ...overrides.timeouts },
+          transforms: { ...options.transforms, ...overrides.transforms }
+        };
+        const targets = settings.platforms || Object.keys(connectors);
         
-        for (const platform of platforms) {
-          const connector = connectors[platform];
-          if (!connector) continue;
-          
-          if (typeof connector[action] !== 'function') {
-            results[platform] = { error: `Action ${action} not supported on ${platform}` };
-            continue;
-          }
-          
-          try {
-            results[platform] = await connector[action](params);
-          } catch (error) {
-            results[platform] = { error: error.message };
-          }
+        const entries = await mapWithConcurrency(targets, settings.concurrency, (platform) =>
+          executePlatformAction(connectors[platform], platform, action, params, settings));
+        
+        const summary = {
+          action,
+          success: true,
+          results: {},
+          succeeded: [],
+          failed: [],
+          unsupported: [],
+          timedOut: []
+        };
+        
+        for (const entry of entries) {
+          summary.results[entry.platform] = entry;
+          summary[entry.status].push(entry.platform);
         }
         
-        return results;
+        summary.success = summary.failed.length === 0 && summary.timedOut.length === 0;
+        return summary;
       },
       
       /**
@@ -115,7 +247,106 @@ class PlatformConnectorFactory {
   }
 }
 
+/**
+ * Run one platform's share of a fan-out action and classify the outcome
+ * @private
+ */
+async function executePlatformAction(connector, platform, action, params, settings) {
+  const startTime = Date.now();
+  const entry = (status, fields) => ({ platform, status, ...fields, duration: Date.now() - startTime });
+  
+  if (!connector) {
+    return entry('failed', { error: `No connector for platform: ${platform}` });
+  }
+  
+  const timeout = settings.timeouts[platform] !== undefined ? settings.timeouts[platform] : settings.timeout;
+  const transform = settings.transforms[platform];
+  let timer = null;
+  
+  try {
+    if (!PlatformConnectorFactory.supports(connector, action)) {
+      return entry('unsupported', { error: `Action ${action} not supported on ${platform}` });
+    }
+    
+    const platformParams = transform ? await transform(params, platform) : params;
+    const call = Promise.resolve(connector[action](platformParams));
+    
+    const result = !(timeout > 0) ? await call : await Promise.race([
+      call,
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          const error = new Error(`${action} on ${platform} timed out after ${timeout}ms`);
+          error.code = 'ACTION_TIMEOUT';
+          reject(error);
+        }, timeout);
+      })
+    ]);
+    
+    return entry('succeeded', { result });
+  } catch (error) {
+    return entry(error.code === 'ACTION_TIMEOUT' ? 'timedOut' : 'failed', { error: error.message, code: error.code });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Map items through an async worker with at most `limit` in flight, preserving order
+ * @private
+ */
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  
+  const run = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+  
+  const size = limit > 0 ? Math.min(limit, items.length) : items.length;
+  await Promise.all(Array.from({ length: size }, run));
+  return results;
+}
+
 // Initialize connector registry
 PlatformConnectorFactory.connectorRegistry = {};
+PlatformConnectorFactory.connectorMetadata = {};
+PlatformConnectorFactory.aliases = {};
+PlatformConnectorFactory.fallbackPlatform = 'generic';
+
+// Register built-in connectors
+PlatformConnectorFactory.registerConnector('x', XConnector, {
+  aliases: ['twitter'],
+  description: 'X (formerly Twitter) API v2',
+  builtIn: true
+});
+PlatformConnectorFactory.registerConnector('linkedin', LinkedInConnector, {
+  description: 'LinkedIn API',
+  builtIn: true
+});
+PlatformConnectorFactory.registerConnector('discord', DiscordConnector, {
+  description: 'Discord bot API',
+  builtIn: true
+});
+PlatformConnectorFactory.registerConnector('slack', SlackConnector, {
+  description: 'Slack Web API and Socket Mode',
+  builtIn: true
+});
+PlatformConnectorFactory.registerConnector('mastodon', MastodonConnector, {
+  aliases: ['activitypub', 'fediverse'],
+  description: 'Mastodon / ActivityPub API',
+  builtIn: true
+});
+PlatformConnectorFactory.registerConnector('bluesky', BlueskyConnector, {
+  aliases: ['bsky', 'atproto'],
+  description: 'Bluesky / AT Protocol API',
+  builtIn: true
+});
+PlatformConnectorFactory.registerConnector('generic', GenericConnector, {
+  description: 'Declaratively configured REST/webhook API',
+  builtIn: true
+});
 
 module.exports = { PlatformConnectorFactory };
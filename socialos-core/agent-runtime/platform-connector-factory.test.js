@@ -0,0 +1,150 @@
+/**
+ * Tests for the connector registry and multi-platform fan-out
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PlatformConnectorFactory } = require('./platform-connector-factory');
+const { XConnector } = require('./connectors/x-connector');
+const { GenericConnector } = require('./connectors/generic-connector');
+
+class CustomConnector {
+  constructor(config) {
+    this.config = config;
+  }
+  
+  async post(content) {
+    return { id: 'custom-1', text: content.text };
+  }
+}
+
+CustomConnector.capabilities = ['post'];
+
+/**
+ * Custom connector whose post() waits config.delay ms, fails when config.fail is set,
+ * and counts calls in flight on config.tracker
+ */
+class FanOutConnector extends CustomConnector {
+  async post(content) {
+    const tracker = this.config.tracker || { active: 0, maxActive: 0 };
+    tracker.active++;
+    tracker.maxActive = Math.max(tracker.maxActive, tracker.active);
+    
+    try {
+      await new Promise(resolve => setTimeout(resolve, this.config.delay || 0));
+      if (this.config.fail) throw Object.assign(new Error(this.config.fail), { code: 'POST_FAILED' });
+      return { id: `${this.config.name}-1`, text: content.text };
+    } finally {
+      tracker.active--;
+    }
+  }
+}
+
+FanOutConnector.capabilities = ['post'];
+
+test.afterEach(() => {
+  PlatformConnectorFactory.unregisterConnector('custom');
+  PlatformConnectorFactory.unregisterConnector('twitter');
+});
+
+test('creates built-in connectors by name or alias', () => {
+  assert.ok(PlatformConnectorFactory.create('X') instanceof XConnector);
+  assert.ok(PlatformConnectorFactory.create('twitter') instanceof XConnector);
+  assert.equal(PlatformConnectorFactory.resolvePlatform('bsky'), 'bluesky');
+  assert.throws(() => PlatformConnectorFactory.create(''), /valid string/);
+});
+
+test('creates registered custom connectors with their config', () => {
+  PlatformConnectorFactory.registerConnector('custom', CustomConnector, { aliases: ['Mine'], description: 'In-house API' });
+  
+  const connector = PlatformConnectorFactory.create('mine', { token: 't' });
+  
+  assert.ok(connector instanceof CustomConnector);
+  assert.deepEqual(connector.config, { token: 't' });
+  assert.equal(PlatformConnectorFactory.hasConnector('custom'), true);
+  assert.deepEqual(PlatformConnectorFactory.getCapabilities('mine'), ['post']);
+  
+  const metadata = PlatformConnectorFactory.listConnectors().find(entry => entry.platform === 'custom');
+  assert.deepEqual(metadata, { platform: 'custom', aliases: ['mine'], capabilities: ['post'], description: 'In-house API', builtIn: false });
+});
+
+test('a registered platform takes precedence over a built-in alias', () => {
+  PlatformConnectorFactory.registerConnector('twitter', CustomConnector);
+  
+  assert.ok(PlatformConnectorFactory.create('twitter') instanceof CustomConnector);
+  assert.ok(PlatformConnectorFactory.create('x') instanceof XConnector);
+  
+  // Removing the override restores the alias
+  assert.equal(PlatformConnectorFactory.unregisterConnector('twitter'), true);
+  assert.ok(PlatformConnectorFactory.create('twitter') instanceof XConnector);
+});
+
+test('unregistering a connector removes its aliases', () => {
+  PlatformConnectorFactory.registerConnector('custom', CustomConnector, { aliases: ['mine'] });
+  PlatformConnectorFactory.unregisterConnector('custom');
+  
+  assert.equal(PlatformConnectorFactory.hasConnector('mine'), false);
+  assert.equal(PlatformConnectorFactory.unregisterConnector('custom'), false);
+  assert.throws(() => PlatformConnectorFactory.registerConnector('custom', {}), /valid constructor/);
+});
+
+test('unknown platforms fall back to the generic connector', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  
+  const connector = PlatformConnectorFactory.create('Forum', { baseUrl: 'https://forum.example.com' });
+  
+  assert.ok(connector instanceof GenericConnector);
+  assert.equal(connector.platform, 'forum');
+  assert.equal(warn.mock.callCount(), 1);
+});
+
+test('checks support on connector instances of any kind', () => {
+  const x = PlatformConnectorFactory.create('x');
+  
+  assert.equal(PlatformConnectorFactory.supports(x, 'post'), true);
+  assert.equal(PlatformConnectorFactory.supports(x, 'getTrends'), x.supports('getTrends'));
+  assert.equal(PlatformConnectorFactory.supports(new CustomConnector({}), 'post'), true);
+  assert.equal(PlatformConnectorFactory.supports(new CustomConnector({}), 'reply'), false);
+  assert.equal(PlatformConnectorFactory.supports(null, 'post'), false);
+});
+
+test('fans out to every platform and classifies the outcomes', async () => {
+  PlatformConnectorFactory.registerConnector('custom', FanOutConnector, { aliases: ['fast', 'broken', 'slow'] });
+  const multi = PlatformConnectorFactory.createMultiPlatform({
+    fast: { name: 'fast' },
+    broken: { name: 'broken', fail: 'Rejected by platform' },
+    slow: { name: 'slow', delay: 200 },
+    generic: { baseUrl: 'https://forum.example.com' }
+  }, {
+    timeout: 50,
+    transforms: { fast: params => ({ text: params.text.slice(0, 5) }) }
+  });
+  
+  const summary = await multi.executeAction('post', { text: 'Hello everyone' }, {
+    platforms: ['fast', 'broken', 'slow', 'generic', 'missing'],
+    timeouts: { fast: 1000 }
+  });
+  
+  assert.equal(summary.success, false);
+  assert.deepEqual(summary.succeeded, ['fast']);
+  assert.deepEqual(summary.failed, ['broken', 'missing']);
+  assert.deepEqual(summary.timedOut, ['slow']);
+  assert.deepEqual(summary.unsupported, ['generic']);
+  assert.deepEqual(summary.results.fast.result, { id: 'fast-1', text: 'Hello' });
+  assert.equal(summary.results.broken.code, 'POST_FAILED');
+  assert.equal(summary.results.slow.code, 'ACTION_TIMEOUT');
+  assert.match(summary.results.missing.error, /No connector for platform: missing/);
+});
+
+test('caps how many platforms are called at once', async () => {
+  PlatformConnectorFactory.registerConnector('custom', FanOutConnector, { aliases: ['one', 'two', 'three', 'four'] });
+  const tracker = { active: 0, maxActive: 0 };
+  const platforms = Object.fromEntries(['one', 'two', 'three', 'four'].map(name => [name, { name, delay: 10, tracker }]));
+  const multi = PlatformConnectorFactory.createMultiPlatform(platforms, { concurrency: 2 });
+  
+  const summary = await multi.executeAction('post', { text: 'Hi' });
+  
+  assert.equal(summary.success, true);
+  assert.deepEqual(summary.succeeded, ['one', 'two', 'three', 'four']);
+  assert.equal(tracker.maxActive, 2);
+});
@@ -0,0 +1,639 @@
+/**
+ * SocialOS Rate Limiter
+ * 
+ * Per-platform, per-action rate limiting for agent actions.
+ * Each action owns a bucket of sliding windows (e.g. 15 minutes and 24 hours);
+ * callers that exceed a window are queued until capacity frees up.
+ * Limiters can be shared per platform account, optionally backed by Redis.
+ */
+
+const ONE_MINUTE = 60 * 1000;
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Default limits per platform and action.
+ * Every action maps to a list of sliding windows that must all have capacity.
+ */
+const DEFAULT_LIMITS = {
+  x: {
+    post: [{ window: FIFTEEN_MINUTES, max: 50 }, { window: ONE_DAY, max: 300 }],
+    reply: [{ window: FIFTEEN_MINUTES, max: 50 }, { window: ONE_DAY, max: 300 }],
+    retweet: [{ window: FIFTEEN_MINUTES, max: 50 }, { window: ONE_DAY, max: 300 }],
+    like: [{ window: FIFTEEN_MINUTES, max: 50 }, { window: ONE_DAY, max: 1000 }],
+    search: [{ window: FIFTEEN_MINUTES, max: 180 }],
+    default: [{ window: FIFTEEN_MINUTES, max: 300 }]
+  },
+  linkedin: {
+    post: [{ window: ONE_DAY, max: 150 }],
+    comment: [{ window: FIFTEEN_MINUTES, max: 30 }, { window: ONE_DAY, max: 300 }],
+    default: [{ window: FIFTEEN_MINUTES, max: 100 }]
+  },
+  discord: {
+    sendMessage: [{ window: 5000, max: 5 }],
+    reply: [{ window: 5000, max: 5 }],
+    default: [{ window: 1000, max: 50 }]
+  },
+  slack: {
+    sendMessage: [{ window: 1000, max: 1 }],
+    reply: [{ window: 1000, max: 1 }],
+    addReaction: [{ window: ONE_MINUTE, max: 50 }],
+    default: [{ window: ONE_MINUTE, max: 20 }]
+  },
+  default: {
+    default: [{ window: FIFTEEN_MINUTES, max: 100 }]
+  }
+};
+
+/**
+ * In-memory store for sliding window state
+ */
+class MemoryRateLimitStore {
+  constructor() {
+    this.buckets = new Map();
+  }
+  
+  /**
+   * Try to consume one slot in every window of a bucket
+   * @param {String} key - Bucket key
+   * @param {Array} windows - Window definitions ({ window, max })
+   * @param {Number} now - Current timestamp
+   * @returns {Object} { allowed, waitMs }
+   */
+  async acquire(key, windows, now) {
+    const hits = this._prune(key, windows, now);
+    let waitMs = 0;
+    
+    for (const { window, max } of windows) {
+      const inWindow = hits.filter(t => t > now - window);
+      
+      if (inWindow.length >= max) {
+        // The window frees up when its oldest relevant hit expires
+        const oldest = inWindow[inWindow.length - max];
+        waitMs = Math.max(waitMs, oldest + window - now);
+      }
+    }
+    
+    if (waitMs > 0) {
+      return { allowed: false, waitMs };
+    }
+    
+    hits.push(now);
+    return { allowed: true, waitMs: 0 };
+  }
+  
+  /**
+   * Get usage counts for every window of a bucket
+   * @param {String} key - Bucket key
+   * @param {Array} windows - Window definitions
+   * @param {Number} now - Current timestamp
+   * @returns {Array} Usage per window ({ used, oldest })
+   */
+  async usage(key, windows, now) {
+    const hits = this._prune(key, windows, now);
+    
+    return windows.map(({ window }) => {
+      const inWindow = hits.filter(t => t > now - window);
+      return {
+        used: inWindow.length,
+        oldest: inWindow.length > 0 ? inWindow[0] : null
+      };
+    });
+  }
+  
+  /**
+   * Clear a bucket (or every bucket)
+   * @param {String} key - Bucket key (optional)
+   */
+  async reset(key) {
+    if (key) {
+      this.buckets.delete(key);
+    } else {
+      this.buckets.clear();
+    }
+  }
+  
+  /**
+   * Drop hits that fall outside the largest window
+   * @private
+   */
+  _prune(key, windows, now) {
+    const longest = Math.max(...windows.map(w => w.window));
+    const hits = (this.buckets.get(key) || []).filter(t => t > now - longest);
+    this.buckets.set(key, hits);
+    return hits;
+  }
+}
+
+/**
+ * Lua script that prunes, checks and records a hit atomically.
+ * KEYS[1] = bucket key, ARGV = now, member, longest window, then window/max pairs
+ */
+const ACQUIRE_SCRIPT = `
+local key = KEYS[1]
+local now = tonumber(ARGV[1])
+local longest = tonumber(ARGV[3])
+redis.call('ZREMRANGEBYSCORE', key, '-inf', now - longest)
+local wait = 0
+for i = 4, #ARGV, 2 do
+  local window = tonumber(ARGV[i])
+  local max = tonumber(ARGV[i + 1])
+  local count = redis.call('ZCOUNT', key, '(' .. (now - window), '+inf')
+  if count >= max then
+    local entry = redis.call('ZRANGEBYSCORE', key, '(' .. (now - window), '+inf', 'WITHSCORES', 'LIMIT', count - max, 1)
+    local freeIn = tonumber(entry[2]) + window - now
+    if freeIn > wait then wait = freeIn end
+  end
+end
+if wait > 0 then return wait end
+redis.call('ZADD', key, now, ARGV[2])
+redis.call('PEXPIRE', key, longest)
+return 0
+`;
+
+/**
+ * Redis-backed store so limits hold across processes.
+ * Reuses the Redis connection of a MemoryManager when one is given and
+ * falls back to in-memory state while Redis is unavailable.
+ */
+class RedisRateLimitStore {
+  /**
+   * Create a new RedisRateLimitStore
+   * @param {Object} options - Store options
+   * @param {Object} options.memoryManager - MemoryManager whose Redis client to reuse
+   * @param {Object} options.client - Connected Redis client (alternative to memoryManager)
+   */
+  constructor(options = {}) {
+    this.memoryManager = options.memoryManager || null;
+    this.client = options.client || null;
+    this.fallback = new MemoryRateLimitStore();
+  }
+  
+  /**
+   * Try to consume one slot in every window of a bucket
+   * @param {String} key - Bucket key
+   * @param {Array} windows - Window definitions ({ window, max })
+   * @param {Number} now - Current timestamp
+   * @returns {Object} { allowed, waitMs }
+   */
+  async acquire(key, windows, now) {
+    const client = this._getClient();
+    if (!client) {
+      return this.fallback.acquire(key, windows, now);
+    }
+    
+    const longest = Math.max(...windows.map(w => w.window));
+    const member = `${now}:${Math.random().toString(36).substr(2, 9)}`;
+    const args = [String(now), member, String(longest)];
+    
+    for (const { window, max } of windows) {
+      args.push(String(window), String(max));
+    }
+    
+    const waitMs = Number(await client.sendCommand(['EVAL', ACQUIRE_SCRIPT, '1', key, ...args]));
+    
+    return { allowed: waitMs === 0, waitMs };
+  }
+  
+  /**
+   * Get usage counts for every window of a bucket
+   * @param {String} key - Bucket key
+   * @param {Array} windows - Window definitions
+   * @param {Number} now - Current timestamp
+   * @returns {Array} Usage per window ({ used, oldest })
+   */
+  async usage(key, windows, now) {
+    const client = this._getClient();
+    if (!client) {
+      return this.fallback.usage(key, windows, now);
+    }
+    
+    const results = [];
+    
+    for (const { window } of windows) {
+      const min = `(${now - window}`;
+      const used = Number(await client.sendCommand(['ZCOUNT', key, min, '+inf']));
+      const first = await client.sendCommand(['ZRANGEBYSCORE', key, min, '+inf', 'WITHSCORES', 'LIMIT', '0', '1']);
+      
+      results.push({
+        used,
+        oldest: first && first.length > 1 ? Number(first[1]) : null
+      });
+    }
+    
+    return results;
+  }
+  
+  /**
+   * Clear a bucket
+   * @param {String} key - Bucket key
+   */
+  async reset(key) {
+    const client = this._getClient();
+    if (!client) {
+      return this.fallback.reset(key);
+    }
+    
+    if (key) {
+      await client.sendCommand(['DEL', key]);
+    }
+  }
+  
+  /**
+   * Resolve the Redis client, if one is connected
+   * @returns {Object|null} Redis client
+   * @private
+   */
+  _getClient() {
+    const client = this.memoryManager ? this.memoryManager.client : this.client;
+    
+    // MemoryManager swaps in a Map when Redis is unreachable
+    if (!client || client instanceof Map || typeof client.sendCommand !== 'function') {
+      return null;
+    }
+    
+    return client;
+  }
+}
+
+class RateLimiter {
+  /**
+   * Create a new RateLimiter
+   * @param {Object} options - Limiter options
+   * @param {String} options.platform - Platform identifier
+   * @param {Object} options.limits - Per-action limit overrides ({ action: [{ window, max }] })
+   * @param {Object} options.store - Window state store (defaults to in-memory)
+   * @param {String} options.keyPrefix - Prefix for bucket keys
+   * @param {Number} options.maxWait - Maximum time in ms a caller may be queued
+   * @param {Number} options.maxQueueSize - Maximum queued callers per action
+   */
+  constructor(options = {}) {
+    this.platform = (options.platform || 'default').toLowerCase();
+    this.limits = RateLimiter.resolveLimits(this.platform, options.limits);
+    this.store = options.store || new MemoryRateLimitStore();
+    this.keyPrefix = options.keyPrefix || `ratelimit:${this.platform}`;
+    this.maxWait = options.maxWait !== undefined ? options.maxWait : FIFTEEN_MINUTES;
+    this.maxQueueSize = options.maxQueueSize || 100;
+    
+    // Pending callers per action
+    this.queues = {};
+    this.timers = {};
+    this.draining = {};
+  }
+  
+  /**
+   * Merge platform defaults with custom limits
+   * @param {String} platform - Platform identifier
+   * @param {Object} limits - Custom limits
+   * @returns {Object} Resolved limits
+   */
+  static resolveLimits(platform, limits = {}) {
+    const defaults = DEFAULT_LIMITS[platform] || DEFAULT_LIMITS.default;
+    const resolved = { ...DEFAULT_LIMITS.default, ...defaults };
+    
+    for (const [action, windows] of Object.entries(limits || {})) {
+      const list = Array.isArray(windows) ? windows : [windows];
+      
+      for (const { window, max } of list) {
+        if (!(window > 0) || !(max > 0)) {
+          throw new Error(`Invalid rate limit for ${platform}.${action}: window and max must be positive`);
+        }
+      }
+      
+      resolved[action] = list;
+    }
+    
+    return resolved;
+  }
+  
+  /**
+   * Get the windows that apply to an action
+   * @param {String} action - Action name
+   * @returns {Array} Window definitions
+   */
+  getLimits(action) {
+    return this.limits[action] || this.limits.default;
+  }
+  
+  /**
+   * Wait until the action may run and consume one slot
+   * @param {String} action - Action name
+   * @param {Object} options - Check options
+   * @param {Number} options.maxWait - Override the maximum queue wait in ms
+   * @param {AbortSignal} options.signal - Leaves the queue without using a slot once aborted, rejecting with the abort reason
+   * @returns {Object} Check result ({ action, waited })
+   */
+  check(action, options = {}) {
+    const maxWait = options.maxWait !== undefined ? options.maxWait : this.maxWait;
+    const { signal } = options;
+    const queue = this.queues[action] = this.queues[action] || [];
+    
+    if (signal && signal.aborted) {
+      return Promise.reject(signal.reason);
+    }
+    
+    if (queue.length >= this.maxQueueSize) {
+      return Promise.reject(this._createLimitError(action, null, 'queue is full'));
+    }
+    
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        const index = queue.indexOf(entry);
+        if (index === -1) return;
+        
+        queue.splice(index, 1);
+        reject(signal.reason);
+        
+        // The next caller may be waiting on the slot this one gave up
+        if (index === 0) this._drain(action);
+      };
+      
+      const settle = (fn) => (value) => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        fn(value);
+      };
+      
+      const entry = { resolve: settle(resolve), reject: settle(reject), maxWait, enqueuedAt: Date.now() };
+      
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+      
+      queue.push(entry);
+      this._drain(action);
+    });
+  }
+  
+  /**
+   * Consume a slot without waiting
+   * @param {String} action - Action name
+   * @returns {Boolean} True if the action was allowed
+   */
+  async tryAcquire(action) {
+    if (this.queues[action] && this.queues[action].length > 0) {
+      return false;
+    }
+    
+    const { allowed } = await this.store.acquire(this._getKey(action), this.getLimits(action), Date.now());
+    return allowed;
+  }
+  
+  /**
+   * Get remaining quota for every configured or used action
+   * @returns {Object} Quota status
+   */
+  async getQuotaStatus() {
+    const now = Date.now();
+    const actions = new Set([...Object.keys(this.limits), ...Object.keys(this.queues)]);
+    const status = {
+      platform: this.platform,
+      timestamp: now,
+      actions: {}
+    };
+    
+    for (const action of actions) {
+      const windows = this.getLimits(action);
+      const usage = await this.store.usage(this._getKey(action), windows, now);
+      
+      const windowStatus = windows.map((w, i) => ({
+        window: w.window,
+        max: w.max,
+        used: usage[i].used,
+        remaining: Math.max(w.max - usage[i].used, 0),
+        resetAt: usage[i].oldest ? new Date(usage[i].oldest + w.window).toISOString() : null
+      }));
+      
+      status.actions[action] = {
+        remaining: Math.min(...windowStatus.map(w => w.remaining)),
+        queued: (this.queues[action] || []).length,
+        windows: windowStatus
+      };
+    }
+    
+    return status;
+  }
+  
+  /**
+   * Reset usage for an action (or all actions)
+   * @param {String} action - Action name (optional)
+   */
+  async reset(action) {
+    if (action) {
+      await this.store.reset(this._getKey(action));
+    } else {
+      for (const name of Object.keys(this.limits)) {
+        await this.store.reset(this._getKey(name));
+      }
+    }
+  }
+  
+  /**
+   * Reject all queued callers and stop pending timers
+   */
+  destroy() {
+    for (const action of Object.keys(this.queues)) {
+      clearTimeout(this.timers[action]);
+      
+      for (const entry of this.queues[action]) {
+        entry.reject(this._createLimitError(action, null, 'limiter destroyed'));
+      }
+    }
+    
+    this.queues = {};
+    this.timers = {};
+  }
+  
+  /**
+   * Release queued callers in order as capacity becomes available
+   * @param {String} action - Action name
+   * @private
+   */
+  async _drain(action) {
+    if (this.draining[action]) return;
+    this.draining[action] = true;
+    
+    clearTimeout(this.timers[action]);
+    const queue = this.queues[action];
+    
+    try {
+      while (queue.length > 0) {
+        const entry = queue[0];
+        const now = Date.now();
+        
+        let result = null;
+        let failure = null;
+        try {
+          result = await this.store.acquire(this._getKey(action), this.getLimits(action), now);
+        } catch (error) {
+          failure = error;
+        }
+        
+        // The caller aborted and left the queue while the store answered
+        if (queue[0] !== entry) {
+          // A slot taken on its behalf goes to whoever is first now instead of going to waste
+          if (result && result.allowed && queue.length > 0) {
+            const next = queue.shift();
+            next.resolve({ action, waited: now - next.enqueuedAt });
+          }
+          continue;
+        }
+        
+        if (failure) {
+          removeEntry(queue, entry);
+          entry.reject(failure);
+          continue;
+        }
+        
+        if (result.allowed) {
+          removeEntry(queue, entry);
+          entry.resolve({ action, waited: now - entry.enqueuedAt });
+          continue;
+        }
+        
+        // Fail callers that would exceed their maximum wait
+        const waited = now - entry.enqueuedAt;
+        if (waited + result.waitMs > entry.maxWait) {
+          removeEntry(queue, entry);
+          entry.reject(this._createLimitError(action, result.waitMs));
+          continue;
+        }
+        
+        this.timers[action] = setTimeout(() => this._drain(action), result.waitMs);
+        break;
+      }
+    } finally {
+      this.draining[action] = false;
+    }
+  }
+  
+  /**
+   * Generate a bucket key for an action
+   * @param {String} action - Action name
+   * @returns {String} Bucket key
+   * @private
+   */
+  _getKey(action) {
+    return `${this.keyPrefix}:${this.limits[action] ? action : 'default'}`;
+  }
+  
+  /**
+   * Create a rate limit error
+   * @private
+   */
+  _createLimitError(action, retryAfter, reason = 'limit exceeded') {
+    const error = new Error(`Rate limit for ${this.platform}.${action}: ${reason}`);
+    error.code = 'RATE_LIMITED';
+    error.platform = this.platform;
+    error.action = action;
+    error.retryAfter = retryAfter;
+    return error;
+  }
+}
+
+/**
+ * Remove a waiting caller from its queue, wherever it is
+ * @param {Array} queue - Action queue
+ * @param {Object} entry - Queue entry
+ * @private
+ */
+function removeEntry(queue, entry) {
+  const index = queue.indexOf(entry);
+  if (index !== -1) queue.splice(index, 1);
+}
+
+/**
+ * Registry of rate limiters shared by every agent using the same platform account
+ */
+class RateLimiterRegistry {
+  /**
+   * Configure the store used for shared limiters
+   * @param {Object} options - Registry options
+   * @param {Object} options.store - Rate limit store instance
+   * @param {Object} options.memoryManager - MemoryManager whose Redis connection to reuse
+   */
+  static configure(options = {}) {
+    if (options.store) {
+      RateLimiterRegistry.store = options.store;
+    } else if (options.memoryManager) {
+      RateLimiterRegistry.store = new RedisRateLimitStore({ memoryManager: options.memoryManager });
+    }
+    
+    if (options.maxWait !== undefined) {
+      RateLimiterRegistry.maxWait = options.maxWait;
+    }
+  }
+  
+  /**
+   * Get the account identity of a connected connector
+   * @param {Object} connector - Platform connector
+   * @returns {String|null} Account identifier
+   */
+  static getAccountId(connector) {
+    if (!connector) return null;
+    
+    const user = connector.connectedUser || connector.botUser;
+    if (!user) return null;
+    
+    return String(user.id || user.username);
+  }
+  
+  /**
+   * Get (or create) the limiter for a platform account.
+   * The first caller for an account defines its limits.
+   * @param {Object} options - Limiter options
+   * @param {String} options.platform - Platform identifier
+   * @param {String} options.account - Account identifier
+   * @param {Object} options.limits - Per-action limit overrides
+   * @returns {RateLimiter} Shared rate limiter
+   */
+  static getLimiter({ platform, account, limits } = {}) {
+    if (!platform || !account) {
+      throw new Error('Platform and account are required for a shared rate limiter');
+    }
+    
+    const key = `${platform.toLowerCase()}:${account}`;
+    
+    if (!RateLimiterRegistry.limiters.has(key)) {
+      RateLimiterRegistry.limiters.set(key, new RateLimiter({
+        platform,
+        limits,
+        store: RateLimiterRegistry.store,
+        keyPrefix: `ratelimit:${key}`,
+        maxWait: RateLimiterRegistry.maxWait
+      }));
+    }
+    
+    return RateLimiterRegistry.limiters.get(key);
+  }
+  
+  /**
+   * List the accounts that currently have a shared limiter
+   * @returns {Array} Registry keys (platform:account)
+   */
+  static listLimiters() {
+    return Array.from(RateLimiterRegistry.limiters.keys());
+  }
+  
+  /**
+   * Destroy and remove all shared limiters
+   */
+  static clear() {
+    for (const limiter of RateLimiterRegistry.limiters.values()) {
+      limiter.destroy();
+    }
+    
+    RateLimiterRegistry.limiters.clear();
+  }
+}
+
+// Initialize shared limiter registry
+RateLimiterRegistry.limiters = new Map();
+RateLimiterRegistry.store = new MemoryRateLimitStore();
+RateLimiterRegistry.maxWait = undefined;
+
+RateLimiter.DEFAULT_LIMITS = DEFAULT_LIMITS;
+
+module.exports = {
+  RateLimiter,
+  RateLimiterRegistry,
+  MemoryRateLimitStore,
+  RedisRateLimitStore
+};
@@ -0,0 +1,193 @@
+/**
+ * Tests for sliding-window rate limiting, queueing and quota reporting
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RateLimiter, RateLimiterRegistry, MemoryRateLimitStore, RedisRateLimitStore } = require('./rate-limiter');
+
+/**
+ * Create a limiter with one short window for the "post" action
+ * @param {Object} options - Extra limiter options
+ * @returns {RateLimiter} Limiter
+ */
+function createLimiter(options = {}) {
+  return new RateLimiter({ platform: 'x', limits: { post: [{ window: 50, max: 2 }] }, ...options });
+}
+
+test('queues callers over the limit until the window frees up', async (t) => {
+  const limiter = createLimiter();
+  t.after(() => limiter.destroy());
+  
+  const first = await limiter.check('post');
+  await limiter.check('post');
+  const started = Date.now();
+  const third = await limiter.check('post');
+  
+  assert.equal(first.action, 'post');
+  assert.ok(Date.now() - started >= 40, 'third caller waited for the window');
+  assert.ok(third.waited >= 40);
+});
+
+test('releases queued callers in order', async (t) => {
+  const limiter = createLimiter({ limits: { post: [{ window: 30, max: 1 }] } });
+  t.after(() => limiter.destroy());
+  
+  const order = [];
+  await Promise.all([1, 2, 3].map(n => limiter.check('post').then(() => order.push(n))));
+  
+  assert.deepEqual(order, [1, 2, 3]);
+});
+
+test('rejects callers that would wait longer than maxWait', async (t) => {
+  const limiter = createLimiter({ limits: { post: [{ window: 10000, max: 1 }] }, maxWait: 100 });
+  t.after(() => limiter.destroy());
+  
+  await limiter.check('post');
+  const error = await limiter.check('post').catch(e => e);
+  
+  assert.equal(error.code, 'RATE_LIMITED');
+  assert.equal(error.platform, 'x');
+  assert.equal(error.action, 'post');
+  assert.ok(error.retryAfter > 9000);
+  
+  // A per-call maxWait overrides the limiter's
+  await assert.rejects(limiter.check('post', { maxWait: 0 }), { code: 'RATE_LIMITED' });
+});
+
+test('rejects new callers once the queue is full', async (t) => {
+  const limiter = createLimiter({ limits: { post: [{ window: 10000, max: 1 }] }, maxQueueSize: 1 });
+  t.after(() => limiter.destroy());
+  
+  await limiter.check('post');
+  const queued = limiter.check('post');
+  
+  await assert.rejects(limiter.check('post'), { code: 'RATE_LIMITED', message: /queue is full/ });
+  
+  limiter.destroy();
+  await assert.rejects(queued, { message: /limiter destroyed/ });
+});
+
+test('a caller aborted while the store answers hands its slot to the next waiter', async (t) => {
+  const store = new MemoryRateLimitStore();
+  const acquire = store.acquire.bind(store);
+  let answer;
+  t.mock.method(store, 'acquire', (...args) => new Promise(resolve => { answer = () => resolve(acquire(...args)); }));
+  const limiter = createLimiter({ store, limits: { post: [{ window: 10000, max: 1 }] } });
+  t.after(() => limiter.destroy());
+  
+  const controller = new AbortController();
+  const aborted = limiter.check('post', { signal: controller.signal });
+  const next = limiter.check('post');
+  
+  controller.abort(new Error('cancelled'));
+  answer();
+  
+  await assert.rejects(aborted, /cancelled/);
+  assert.equal((await next).action, 'post');
+  assert.equal(store.acquire.mock.callCount(), 1);
+  assert.equal((await limiter.getQuotaStatus()).actions.post.windows[0].used, 1);
+});
+
+test('tryAcquire consumes a slot without queueing', async (t) => {
+  const limiter = createLimiter();
+  t.after(() => limiter.destroy());
+  
+  assert.equal(await limiter.tryAcquire('post'), true);
+  assert.equal(await limiter.tryAcquire('post'), true);
+  assert.equal(await limiter.tryAcquire('post'), false);
+  
+  await limiter.reset('post');
+  assert.equal(await limiter.tryAcquire('post'), true);
+});
+
+test('reports remaining quota per window', async (t) => {
+  const limiter = createLimiter({ limits: { post: [{ window: 1000, max: 3 }, { window: 60000, max: 10 }] } });
+  t.after(() => limiter.destroy());
+  
+  await limiter.check('post');
+  await limiter.check('post');
+  
+  const status = await limiter.getQuotaStatus();
+  const post = status.actions.post;
+  
+  assert.equal(status.platform, 'x');
+  assert.equal(post.remaining, 1);
+  assert.equal(post.queued, 0);
+  assert.deepEqual(post.windows.map(w => [w.window, w.used, w.remaining]), [[1000, 2, 1], [60000, 2, 8]]);
+  assert.ok(post.windows[0].resetAt);
+  
+  // Platform defaults are reported alongside the overrides
+  assert.ok(status.actions.like.remaining > 0);
+});
+
+test('resolveLimits merges platform defaults and validates overrides', () => {
+  const limits = RateLimiter.resolveLimits('linkedin', { post: { window: 1000, max: 5 } });
+  
+  assert.deepEqual(limits.post, [{ window: 1000, max: 5 }]);
+  assert.deepEqual(limits.comment, RateLimiter.DEFAULT_LIMITS.linkedin.comment);
+  assert.deepEqual(RateLimiter.resolveLimits('unknown').default, RateLimiter.DEFAULT_LIMITS.default.default);
+  assert.throws(() => RateLimiter.resolveLimits('x', { post: [{ window: 0, max: 1 }] }), /window and max must be positive/);
+});
+
+test('actions without their own limits share the default bucket', async () => {
+  const store = new MemoryRateLimitStore();
+  const limiter = new RateLimiter({ platform: 'discord', limits: { default: [{ window: 1000, max: 1 }] }, store });
+  
+  assert.equal(await limiter.tryAcquire('pin'), true);
+  assert.equal(await limiter.tryAcquire('unpin'), false);
+  assert.deepEqual([...store.buckets.keys()], ['ratelimit:discord:default']);
+});
+
+test('shares one limiter per platform account', (t) => {
+  t.after(() => RateLimiterRegistry.clear());
+  
+  const limiter = RateLimiterRegistry.getLimiter({ platform: 'X', account: '42', limits: { post: [{ window: 1000, max: 1 }] } });
+  
+  // Later callers get the same limiter, with the limits it was created with
+  assert.equal(RateLimiterRegistry.getLimiter({ platform: 'x', account: '42' }), limiter);
+  assert.notEqual(RateLimiterRegistry.getLimiter({ platform: 'x', account: '43' }), limiter);
+  assert.deepEqual(limiter.getLimits('post'), [{ window: 1000, max: 1 }]);
+  assert.equal(limiter.keyPrefix, 'ratelimit:x:42');
+  assert.deepEqual(RateLimiterRegistry.listLimiters(), ['x:42', 'x:43']);
+  assert.throws(() => RateLimiterRegistry.getLimiter({ platform: 'x' }), /account are required/);
+});
+
+test('identifies the account of a connected connector', () => {
+  assert.equal(RateLimiterRegistry.getAccountId({ connectedUser: { id: 42, username: 'brand' } }), '42');
+  assert.equal(RateLimiterRegistry.getAccountId({ botUser: { username: 'bot' } }), 'bot');
+  assert.equal(RateLimiterRegistry.getAccountId({}), null);
+  assert.equal(RateLimiterRegistry.getAccountId(null), null);
+});
+
+test('RedisRateLimitStore checks every window in one script', async () => {
+  const commands = [];
+  const client = {
+    sendCommand: async (args) => {
+      commands.push(args);
+      return commands.length === 1 ? 0 : 1500;
+    }
+  };
+  const store = new RedisRateLimitStore({ memoryManager: { client } });
+  const windows = [{ window: 1000, max: 5 }, { window: 60000, max: 50 }];
+  
+  assert.deepEqual(await store.acquire('ratelimit:x:42:post', windows, 10000), { allowed: true, waitMs: 0 });
+  assert.deepEqual(await store.acquire('ratelimit:x:42:post', windows, 10001), { allowed: false, waitMs: 1500 });
+  
+  const [command, script, keyCount, key, now, member, longest, ...limits] = commands[0];
+  assert.equal(command, 'EVAL');
+  assert.match(script, /ZREMRANGEBYSCORE/);
+  assert.deepEqual([keyCount, key, now, longest], ['1', 'ratelimit:x:42:post', '10000', '60000']);
+  assert.match(member, /^10000:/);
+  assert.deepEqual(limits, ['1000', '5', '60000', '50']);
+});
+
+test('RedisRateLimitStore falls back to memory while Redis is unavailable', async () => {
+  // MemoryManager swaps its client for a Map when Redis is unreachable
+  const store = new RedisRateLimitStore({ memoryManager: { client: new Map() } });
+  const windows = [{ window: 1000, max: 1 }];
+  
+  assert.equal((await store.acquire('key', windows, 0)).allowed, true);
+  assert.equal((await store.acquire('key', windows, 1)).allowed, false);
+  assert.deepEqual(await store.usage('key', windows, 1), [{ used: 1, oldest: 0 }]);
+});
@@ -5,6 +5,7 @@
  * Allows agents to maintain context over time.
  */
 
+const crypto = require('crypto');
 const { Redis } = require('redis');
 const { OpenAIEmbeddings } = require('langchain/embeddings');
 
@@ -23,6 +24,12 @@ class MemoryManager {
     
     // Initialize Redis client
     this.client = null;
+    
+    // Sorted indexes for the in-memory fallback (name -> Map of member -> score)
+    this.indexes = new Map();
+    
+    // Locks for the in-memory fallback (name -> { token, expiresAt })
+    this.locks = new Map();
     this.embeddings = new OpenAIEmbeddings({
       model: this.embeddingModel
     });
@@ -190,6 +197,148 @@ class MemoryManager {
     });
   }
   
+  /**
+   * Retrieve several memories at once
+   * @param {Array} keys - Memory keys
+   * @returns {Array} Memories in key order, with null for missing keys
+   */
+  async retrieveMany(keys) {
+    if (keys.length === 0) {
+      return [];
+    }
+    
+    const fullKeys = keys.map(key => this._getKey(key));
+    const values = this.client instanceof Map
+      ? fullKeys.map(fullKey => this.client.get(fullKey))
+      : await this.client.mGet(fullKeys);
+    
+    return values.map(value => value ? JSON.parse(value) : null);
+  }
+  
+  /**
+   * Add a member to a sorted index, or update its score
+   * @param {String} name - Index name
+   * @param {String} member - Member, usually a memory key
+   * @param {Number} score - Sort score, such as a timestamp
+   */
+  async addToIndex(name, member, score) {
+    const fullKey = this._getKey(name);
+    
+    if (this.client instanceof Map) {
+      // In-memory fallback
+      if (!this.indexes.has(fullKey)) {
+        this.indexes.set(fullKey, new Map());
+      }
+      this.indexes.get(fullKey).set(member, score);
+    } else {
+      // Redis sorted set
+      await this.client.zAdd(fullKey, { score, value: member });
+    }
+  }
+  
+  /**
+   * Remove members from a sorted index
+   * @param {String} name - Index name
+   * @param {Array} members - Members to remove
+   */
+  async removeFromIndex(name, members) {
+    const fullKey = this._getKey(name);
+    
+    if (members.length === 0) {
+      return;
+    }
+    
+    if (this.client instanceof Map) {
+      const index = this.indexes.get(fullKey);
+      for (const member of members) {
+        if (index) index.delete(member);
+      }
+    } else {
+      await this.client.zRem(fullKey, members);
+    }
+  }
+  
+  /**
+   * Read a sorted index, highest score first
+   * @param {String} name - Index name
+   * @param {Object} options - Range options
+   * @param {Number} options.min - Lowest score included (default: -Infinity)
+   * @param {Number} options.max - Highest score included (default: Infinity)
+   * @param {Number} options.offset - Entries to skip (default: 0)
+   * @param {Number} options.count - Maximum entries (default: all)
+   * @returns {Array} Entries ({ member, score })
+   */
+  async rangeIndex(name, options = {}) {
+    const fullKey = this._getKey(name);
+    const { min = -Infinity, max = Infinity, offset = 0, count = Infinity } = options;
+    
+    if (this.client instanceof Map) {
+      // In-memory fallback
+      const index = this.indexes.get(fullKey) || new Map();
+      
+      return Array.from(index, ([member, score]) => ({ member, score }))
+        .filter(entry => entry.score >= min && entry.score <= max)
+        .sort((a, b) => b.score - a.score)
+        .slice(offset, offset + count);
+    } else {
+      // Redis sorted set; with REV the range runs from max down to min
+      const entries = await this.client.zRangeWithScores(fullKey, toScore(max), toScore(min), {
+        BY: 'SCORE',
+        REV: true,
+        LIMIT: { offset, count: count === Infinity ? -1 : count }
+      });
+      
+      return entries.map(entry => ({ member: entry.value, score: entry.score }));
+    }
+  }
+  
+  /**
+   * Take a lock unless another holder has it
+   * @param {String} name - Lock name
+   * @param {Number} ttl - Lock lifetime in ms, so a crashed holder cannot keep it forever
+   * @returns {String|null} Token needed to release the lock, or null if it is held
+   */
+  async acquireLock(name, ttl) {
+    const fullKey = this._getKey(name);
+    const token = crypto.randomUUID();
+    
+    if (this.client instanceof Map) {
+      // In-memory fallback
+      const held = this.locks.get(fullKey);
+      if (held && held.expiresAt > Date.now()) {
+        return null;
+      }
+      this.locks.set(fullKey, { token, expiresAt: Date.now() + ttl });
+      return token;
+    } else {
+      // Redis only sets the key if no one holds it
+      const result = await this.client.set(fullKey, token, { NX: true, PX: ttl });
+      return result === 'OK' ? token : null;
+    }
+  }
+  
+  /**
+   * Release a lock, unless it expired and was taken by another holder
+   * @param {String} name - Lock name
+   * @param {String} token - Token returned by acquireLock
+   */
+  async releaseLock(name, token) {
+    const fullKey = this._getKey(name);
+    
+    if (this.client instanceof Map) {
+      const held = this.locks.get(fullKey);
+      if (held && held.token === token) {
+        this.locks.delete(fullKey);
+      }
+    } else {
+      // Compare and delete in one step
+      await this.client.eval(
+        "if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) else return 0 end",
+        { keys: [fullKey], arguments: [token] }
+      );
+    }
+  }
+  
   /**
    * Delete a memory
    * @param {String} key - Memory key
@@ -236,4 +385,14 @@ class MemoryManager {
   }
 }
 
+/**
+ * Format a score bound for Redis range commands
+ * @private
+ */
+function toScore(value) {
+  if (value === Infinity) return '+inf';
+  if (value === -Infinity) return '-inf';
+  return value;
+}
+
 module.exports = { MemoryManager };